@@ -7,8 +7,44 @@ class AIService {
     this.rewriter = null;
     this.proofreader = null;
     this.languageModel = null;
-    this.translator = null;
+    this.languageDetector = null;
+    this.translators = new Map(); // 'from>to' -> Promise of a Translator (null if the pair can't be translated)
     this.initialized = false;
+
+    // Languages the Prompt, Summarizer and Rewriter models can write. They write in the
+    // language of the text they are given when they can, in English otherwise.
+    this.modelLanguages = ['en', 'es', 'ja'];
+    this.modelLanguage = 'en';
+    this.nativeLanguage = 'en'; // Reader's language for definitions and summaries
+    // Offered as the reader's language (codes the Translator API accepts)
+    this.translationLanguages = ['ar', 'bn', 'de', 'en', 'es', 'fr', 'hi', 'it', 'ja', 'ko', 'nl', 'pl', 'pt', 'ru', 'th', 'tr', 'uk', 'vi', 'zh'];
+
+    // Persistent cache of model output (see transform-cache.js)
+    this.cache = typeof TransformCache !== 'undefined' ? new TransformCache() : null;
+
+    // Inflection-aware lookup in the idioms dictionary (see idiom-matcher.js), built on first use
+    this.idiomMatcher = null;
+    this.packIdioms = {}; // Idioms from the enabled idiom packs (see idiom-pack-store.js)
+
+    // Curated definitions for the glossary domains in use (see domain-glossary.js)
+    this.domainGlossary = null;
+    this.glossaryDomains = [];
+  }
+
+  // ===== Transformation Cache =====
+  // Only model output is cached. Fallback results are cheap to recompute and
+  // shouldn't hide a better answer once Chrome AI becomes available.
+
+  async getCachedResult(type, params, text) {
+    if (!this.cache) return null;
+    return this.cache.get(type, params, text);
+  }
+
+  cacheResult(type, params, text, result) {
+    if (this.cache) {
+      this.cache.set(type, params, text, result);
+    }
+    return result;
   }
 
   async initialize() {
@@ -16,12 +52,14 @@ class AIService {
 
     try {
       // Check if any Chrome Built-in AI APIs are available
-      // Note: All modern APIs use global namespaces (LanguageModel, Summarizer, Rewriter, Proofreader)
-      // Translator is not used as it doesn't support same-language translation
+      // Note: All modern APIs use global namespaces (LanguageModel, Summarizer, Rewriter, Proofreader,
+      // LanguageDetector, Translator)
       const hasAnyAPI = typeof LanguageModel !== 'undefined' ||
                         typeof Summarizer !== 'undefined' ||
                         typeof Rewriter !== 'undefined' ||
-                        typeof Proofreader !== 'undefined';
+                        typeof Proofreader !== 'undefined' ||
+                        typeof LanguageDetector !== 'undefined' ||
+                        typeof Translator !== 'undefined';
 
       if (!hasAnyAPI) {
         console.log('ℹ️ Chrome Built-in AI APIs not detected - Extension will use fallback methods for all features');
@@ -39,7 +77,7 @@ class AIService {
             type: 'key-points',
             format: 'markdown',
             length: 'medium',
-            outputLanguage: 'en'
+            outputLanguage: this.modelLanguage
           });
           console.log('🔍 Summarizer availability:', availability);
 
@@ -51,7 +89,7 @@ class AIService {
               type: 'key-points',
               format: 'markdown',
               length: 'medium',
-              outputLanguage: 'en', // Specify output language for optimal quality and safety
+              outputLanguage: this.modelLanguage, // Specify output language for optimal quality and safety
               monitor(m) {
                 m.addEventListener('downloadprogress', (e) => {
                   console.log(`📥 Summarizer model downloading: ${Math.round(e.loaded * 100)}%`);
@@ -75,7 +113,7 @@ class AIService {
             tone: 'as-is',
             format: 'plain-text',
             length: 'as-is',
-            outputLanguage: 'en'
+            outputLanguage: this.modelLanguage
           });
           console.log('🔍 Rewriter availability:', availability);
 
@@ -87,7 +125,7 @@ class AIService {
               tone: 'as-is',
               format: 'plain-text',
               length: 'as-is',
-              outputLanguage: 'en', // Specify output language for optimal quality and safety
+              outputLanguage: this.modelLanguage, // Specify output language for optimal quality and safety
               monitor(m) {
                 m.addEventListener('downloadprogress', (e) => {
                   console.log(`📥 Rewriter model downloading: ${Math.round(e.loaded * 100)}%`);
@@ -114,7 +152,7 @@ class AIService {
           } else if (availability === 'readily' || availability === 'after-download' || availability === 'available') {
             // Create proofreader with monitor for download progress
             this.proofreader = await Proofreader.create({
-              expectedInputLanguages: ['en'], // Specify expected input language
+              expectedInputLanguages: [this.modelLanguage], // Specify expected input language
               monitor(m) {
                 m.addEventListener('downloadprogress', (e) => {
                   console.log(`📥 Proofreader model downloading: ${Math.round(e.loaded * 100)}%`);
@@ -134,7 +172,7 @@ class AIService {
         try {
           // Check availability first (required by Chrome docs)
           const availability = await LanguageModel.availability({
-            outputLanguage: 'en'
+            outputLanguage: this.modelLanguage
           });
           console.log('🔍 Language Model availability:', availability);
           console.log('🔍 Language Model availability type:', typeof availability);
@@ -144,7 +182,7 @@ class AIService {
           } else if (availability === 'readily' || availability === 'after-download' || availability === 'available') {
             // Get model parameters for optimal configuration (only if available)
             const params = await LanguageModel.params({
-              outputLanguage: 'en'
+              outputLanguage: this.modelLanguage
             });
             console.log('📊 Language Model params:', params);
 
@@ -152,13 +190,13 @@ class AIService {
             this.languageModel = await LanguageModel.create({
               temperature: params.defaultTemperature,
               topK: params.defaultTopK,
-              outputLanguage: 'en',
+              outputLanguage: this.modelLanguage,
               // Add expected inputs/outputs for better support
               expectedInputs: [
-                { type: 'text', languages: ['en'] }
+                { type: 'text', languages: [this.modelLanguage] }
               ],
               expectedOutputs: [
-                { type: 'text', languages: ['en'] }
+                { type: 'text', languages: [this.modelLanguage] }
               ],
               // Add initial system prompt for better context
               initialPrompts: [
@@ -181,8 +219,29 @@ class AIService {
         }
       }
 
-      // Note: Translator API is not initialized because same-language translation (en->en)
-      // is not supported. For idiom-to-literal conversion, we use Language Model instead.
+      // Initialize Language Detector API (finds the page language). Translator sessions are
+      // created per language pair when first needed, see getTranslator().
+      if (typeof LanguageDetector !== 'undefined' && !this.languageDetector) {
+        try {
+          const availability = await LanguageDetector.availability();
+          console.log('🔍 Language Detector availability:', availability);
+
+          if (availability === 'no' || availability === 'unavailable') {
+            console.warn('⚠️ Language Detector not available on this device');
+          } else {
+            this.languageDetector = await LanguageDetector.create({
+              monitor(m) {
+                m.addEventListener('downloadprogress', (e) => {
+                  console.log(`📥 Language Detector model downloading: ${Math.round(e.loaded * 100)}%`);
+                });
+              }
+            });
+            console.log('✅ Chrome AI Language Detector initialized');
+          }
+        } catch (error) {
+          console.warn('⚠️ Chrome AI Language Detector not available:', error.message);
+        }
+      }
 
       this.initialized = true;
       return true;
@@ -192,6 +251,165 @@ class AIService {
     }
   }
 
+  // ===== Languages =====
+  // The page language is detected so non-English pages can be translated into the reader's
+  // native language before they are simplified, and definitions and summaries are translated
+  // for the reader. Translation needs the Translator API; without it text is left as it is.
+
+  // Primary language subtag ('en', 'pt') of the text. hint is the page's lang attribute,
+  // used when the detector is missing or unsure.
+  async detectLanguage(text, hint = '') {
+    const fallback = this.normalizeLanguage(hint) || 'en';
+    if (!this.languageDetector || !text || text.trim().length < 20) return fallback;
+
+    try {
+      const [best] = await this.languageDetector.detect(text.substring(0, 2000));
+      if (best && best.detectedLanguage !== 'und' && best.confidence >= 0.5) {
+        return this.normalizeLanguage(best.detectedLanguage);
+      }
+    } catch (error) {
+      console.warn('⚠️ Language detection failed:', error);
+    }
+    return fallback;
+  }
+
+  normalizeLanguage(code) {
+    return String(code || '').trim().toLowerCase().split(/[-_]/)[0];
+  }
+
+  // "Spanish" for 'es', in the browser's language
+  getLanguageName(code) {
+    try {
+      return new Intl.DisplayNames([navigator.language || 'en'], { type: 'language' }).of(code) || code;
+    } catch (error) {
+      return code;
+    }
+  }
+
+  // Language the models would use for text in `language`
+  resolveModelLanguage(language) {
+    return this.modelLanguages.includes(language) ? language : 'en';
+  }
+
+  // Language of the text the models will rewrite. The sessions fix their output language
+  // when they are created, so a change recreates them.
+  async setModelLanguage(language) {
+    const next = this.resolveModelLanguage(language);
+    if (next === this.modelLanguage) return;
+
+    console.log(`🌍 Model language: ${this.modelLanguage} → ${next}`);
+    this.modelLanguage = next;
+    if (!this.initialized) return;
+
+    [this.summarizer, this.rewriter, this.proofreader, this.languageModel].forEach(session => {
+      if (session && session.destroy) session.destroy();
+    });
+    this.summarizer = null;
+    this.rewriter = null;
+    this.proofreader = null;
+    this.languageModel = null;
+    this.initialized = false;
+    await this.initialize();
+  }
+
+  setNativeLanguage(language) {
+    this.nativeLanguage = this.normalizeLanguage(language) || 'en';
+  }
+
+  async canTranslate(sourceLanguage, targetLanguage) {
+    if (sourceLanguage === targetLanguage) return true;
+    return !!(await this.getTranslator(sourceLanguage, targetLanguage));
+  }
+
+  // One session per language pair, created on first use (this may download a language pack).
+  // Failures aren't remembered, so a pair can be retried after a download.
+  getTranslator(sourceLanguage, targetLanguage) {
+    if (typeof Translator === 'undefined') return Promise.resolve(null);
+
+    const key = `${sourceLanguage}>${targetLanguage}`;
+    if (!this.translators.has(key)) {
+      this.translators.set(key, this.createTranslator(sourceLanguage, targetLanguage).then(translator => {
+        if (!translator) this.translators.delete(key);
+        return translator;
+      }));
+    }
+    return this.translators.get(key);
+  }
+
+  async createTranslator(sourceLanguage, targetLanguage) {
+    try {
+      const availability = await Translator.availability({ sourceLanguage, targetLanguage });
+      console.log(`🔍 Translator availability (${sourceLanguage} → ${targetLanguage}):`, availability);
+      if (availability === 'no' || availability === 'unavailable') return null;
+
+      const translator = await Translator.create({
+        sourceLanguage,
+        targetLanguage,
+        monitor(m) {
+          m.addEventListener('downloadprogress', (e) => {
+            console.log(`📥 Translation model downloading: ${Math.round(e.loaded * 100)}%`);
+          });
+        }
+      });
+      console.log(`✅ Chrome AI Translator initialized (${sourceLanguage} → ${targetLanguage})`);
+      return translator;
+    } catch (error) {
+      console.warn(`⚠️ Chrome AI Translator not available (${sourceLanguage} → ${targetLanguage}):`, error.message);
+      return null;
+    }
+  }
+
+  // Returns the text unchanged when the pair can't be translated
+  async translateText(text, sourceLanguage, targetLanguage, options = {}) {
+    if (!text || !sourceLanguage || !targetLanguage || sourceLanguage === targetLanguage) return text;
+
+    const params = { from: sourceLanguage, to: targetLanguage };
+    const cached = await this.getCachedResult('translate', params, text);
+    if (cached) return cached;
+
+    const translator = await this.getTranslator(sourceLanguage, targetLanguage);
+    if (!translator) return text;
+
+    try {
+      const translateOptions = {};
+      if (options.signal) {
+        translateOptions.signal = options.signal;
+      }
+
+      const translated = await translator.translate(text, translateOptions);
+      return this.cacheResult('translate', params, text, translated.trim());
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        console.log('🛑 Translation cancelled');
+        return text;
+      }
+      console.error('❌ Translation failed:', error);
+      return text;
+    }
+  }
+
+  // Translates text written in sourceLanguage into the reader's native language
+  toNativeLanguage(text, sourceLanguage = this.modelLanguage, options = {}) {
+    return this.translateText(text, sourceLanguage, this.nativeLanguage, options);
+  }
+
+  // Definitions for the reader. The Prompt API writes in modelLanguage; the offline
+  // dictionaries and glossaries are English.
+  async explainTermInNativeLanguage(term, context = '', options = {}) {
+    const entry = this.getGlossaryEntry(term);
+    if (entry) {
+      return this.toNativeLanguage(`${term}: ${entry.definition}`, 'en', options);
+    }
+
+    const explanation = await this.explainTerm(term, context, options);
+    return this.toNativeLanguage(explanation, this.languageModel ? this.modelLanguage : 'en', options);
+  }
+
+  async explainIdiomInNativeLanguage(idiom, literalMeaning = '', options = {}) {
+    const explanation = await this.explainIdiom(idiom, literalMeaning, options);
+    return this.toNativeLanguage(explanation, this.languageModel ? this.modelLanguage : 'en', options);
+  }
+
   async summarizeText(text, options = {}) {
     if (!this.summarizer) {
       return this.fallbackSummarize(text);
@@ -201,7 +419,7 @@ class AIService {
       const summary = await this.summarizer.summarize(text, {
         context: options.context || '',
         type: options.type || 'key-points',
-        outputLanguage: 'en' // Specify output language to prevent warnings
+        outputLanguage: this.modelLanguage // Specify output language to prevent warnings
       });
       return summary;
     } catch (error) {
@@ -216,6 +434,9 @@ class AIService {
       return this.fallbackSimplify(text, readingLevel);
     }
 
+    const cached = await this.getCachedResult('simplify', { level: readingLevel }, text);
+    if (cached) return cached;
+
     try {
       console.log('🤖 Using Chrome AI Prompt API (Language Model) for text simplification');
 
@@ -252,14 +473,14 @@ ${text}`;
       console.log('🛑 Simplification prompt:', prompt.substring(0, 500));
 
       const promptOptions = {
-        outputLanguage: 'en'
+        outputLanguage: this.modelLanguage
       };
       if (options.signal) {
         promptOptions.signal = options.signal;
       }
 
       const simplified = await this.languageModel.prompt(prompt, promptOptions);
-      return simplified.trim();
+      return this.cacheResult('simplify', { level: readingLevel }, text, simplified.trim());
     } catch (error) {
       if (error.name === 'AbortError') {
         console.log('🛑 Text simplification cancelled');
@@ -276,6 +497,9 @@ ${text}`;
       return this.fallbackExpand(text);
     }
 
+    const cached = await this.getCachedResult('expand', {}, text);
+    if (cached) return cached;
+
     try {
       console.log('🤖 Using Chrome AI Language Model for text expansion');
 
@@ -296,14 +520,14 @@ Original text:
 ${text}`;
 
       const promptOptions = {
-        outputLanguage: 'en'
+        outputLanguage: this.modelLanguage
       };
       if (options.signal) {
         promptOptions.signal = options.signal;
       }
 
       const expanded = await this.languageModel.prompt(prompt, promptOptions);
-      return expanded.trim();
+      return this.cacheResult('expand', {}, text, expanded.trim());
     } catch (error) {
       if (error.name === 'AbortError') {
         console.log('🛑 Text expansion cancelled');
@@ -331,7 +555,7 @@ ${text}`;
               tone: tone,
               format: 'plain-text',
               length: 'as-is',
-              outputLanguage: 'en'
+              outputLanguage: this.modelLanguage
             });
 
             // Only add if it's actually different from the original
@@ -371,7 +595,7 @@ Original sentence: ${text}`;
 
         const promptOptions = {
           signal: options.signal,
-          outputLanguage: 'en'
+          outputLanguage: this.modelLanguage
         };
 
         const response = await this.languageModel.prompt(prompt, promptOptions);
@@ -397,6 +621,11 @@ Original sentence: ${text}`;
   }
 
   async adjustTone(text, tone = 'neutral', options = {}) {
+    if (this.rewriter || this.languageModel) {
+      const cached = await this.getCachedResult('tone', { tone }, text);
+      if (cached) return cached;
+    }
+
     // Use Rewriter API for tone adjustment (best suited for this task)
     if (this.rewriter) {
       try {
@@ -416,7 +645,7 @@ Original sentence: ${text}`;
           tone: rewriterTone,
           format: 'plain-text',
           length: 'as-is',
-          outputLanguage: 'en'
+          outputLanguage: this.modelLanguage
         });
 
         // For encouraging tone, add positive phrasing using Language Model
@@ -430,15 +659,15 @@ Original sentence: ${text}`;
 
 Make it supportive and motivating. Return ONLY the rewritten text.`;
 
-            const encouraging = await this.languageModel.prompt(prompt, { outputLanguage: 'en' });
-            return encouraging.trim();
+            const encouraging = await this.languageModel.prompt(prompt, { outputLanguage: this.modelLanguage });
+            return this.cacheResult('tone', { tone }, text, encouraging.trim());
           } catch (err) {
             console.warn('⚠️ Failed to add encouraging tone, returning casual version:', err);
             return rewritten.trim();
           }
         }
 
-        return rewritten.trim();
+        return this.cacheResult('tone', { tone }, text, rewritten.trim());
       } catch (error) {
         console.warn('⚠️ Rewriter API failed for tone adjustment:', error);
       }
@@ -465,9 +694,9 @@ Keep the same meaning but adjust the tone. Return ONLY the rewritten text.`;
 
         const adjusted = await this.languageModel.prompt(prompt, {
           signal: options.signal,
-          outputLanguage: 'en'
+          outputLanguage: this.modelLanguage
         });
-        return adjusted.trim();
+        return this.cacheResult('tone', { tone }, text, adjusted.trim());
       } catch (error) {
         console.error('❌ Language Model failed for tone adjustment:', error);
       }
@@ -477,6 +706,11 @@ Keep the same meaning but adjust the tone. Return ONLY the rewritten text.`;
   }
 
   async convertToActiveVoice(text, options = {}) {
+    if (this.languageModel || this.rewriter) {
+      const cached = await this.getCachedResult('activeVoice', {}, text);
+      if (cached) return cached;
+    }
+
     // Try Language Model first (better for grammatical transformations)
     if (this.languageModel) {
       try {
@@ -498,9 +732,9 @@ Converted text:`;
 
         const converted = await this.languageModel.prompt(prompt, {
           signal: options.signal,
-          outputLanguage: 'en'
+          outputLanguage: this.modelLanguage
         });
-        return converted.trim();
+        return this.cacheResult('activeVoice', {}, text, converted.trim());
       } catch (error) {
         console.error('❌ Language Model failed for active voice conversion:', error);
       }
@@ -514,9 +748,9 @@ Converted text:`;
           tone: 'as-is',
           format: 'plain-text',
           length: 'as-is',
-          outputLanguage: 'en'
+          outputLanguage: this.modelLanguage
         });
-        return rewritten.trim();
+        return this.cacheResult('activeVoice', {}, text, rewritten.trim());
       } catch (error) {
         console.warn('⚠️ Rewriter API failed:', error);
       }
@@ -526,6 +760,11 @@ Converted text:`;
   }
 
   async restructureSentences(text, options = {}) {
+    if (this.languageModel || this.rewriter) {
+      const cached = await this.getCachedResult('restructure', {}, text);
+      if (cached) return cached;
+    }
+
     // Use Language Model for sentence restructuring (best suited for this task)
     if (this.languageModel) {
       try {
@@ -548,9 +787,9 @@ Restructured text:`;
 
         const restructured = await this.languageModel.prompt(prompt, {
           signal: options.signal,
-          outputLanguage: 'en'
+          outputLanguage: this.modelLanguage
         });
-        return restructured.trim();
+        return this.cacheResult('restructure', {}, text, restructured.trim());
       } catch (error) {
         console.error('❌ Language Model failed for sentence restructuring:', error);
       }
@@ -564,9 +803,9 @@ Restructured text:`;
           tone: 'as-is',
           format: 'plain-text',
           length: 'shorter',
-          outputLanguage: 'en'
+          outputLanguage: this.modelLanguage
         });
-        return rewritten.trim();
+        return this.cacheResult('restructure', {}, text, rewritten.trim());
       } catch (error) {
         console.warn('⚠️ Rewriter API failed:', error);
       }
@@ -729,7 +968,7 @@ ${text}`;
 
       // Support abort signal for cancellation
       const promptOptions = {
-        outputLanguage: 'en'
+        outputLanguage: this.modelLanguage
       };
       if (options.signal) {
         promptOptions.signal = options.signal;
@@ -795,14 +1034,14 @@ ${text}`;
 
       // Create new session with same parameters using global LanguageModel
       const params = await LanguageModel.params({
-        outputLanguage: 'en'
+        outputLanguage: this.modelLanguage
       });
       this.languageModel = await LanguageModel.create({
         temperature: params.defaultTemperature,
         topK: params.defaultTopK,
-        outputLanguage: 'en',
-        expectedInputs: [{ type: 'text', languages: ['en'] }],
-        expectedOutputs: [{ type: 'text', languages: ['en'] }],
+        outputLanguage: this.modelLanguage,
+        expectedInputs: [{ type: 'text', languages: [this.modelLanguage] }],
+        expectedOutputs: [{ type: 'text', languages: [this.modelLanguage] }],
         initialPrompts: [
           {
             role: 'system',
@@ -822,6 +1061,10 @@ ${text}`;
       return this.fallbackDefinition(term);
     }
 
+    // Definitions are context-aware, so the sentence is part of the key
+    const cached = await this.getCachedResult('explainTerm', { term: term.toLowerCase() }, context || term);
+    if (cached) return cached;
+
     try {
       console.log('🤖 explainTerm (context-aware)', term);
       // Check session quota before prompting
@@ -837,14 +1080,14 @@ Provide a brief, simple definition (1-2 sentences max) that explains how "${term
 Format your response as: "In this sentence, '${term}' means [your explanation]."`;
 
       const promptOptions = {
-        outputLanguage: 'en'
+        outputLanguage: this.modelLanguage
       };
       if (options.signal) {
         promptOptions.signal = options.signal;
       }
 
       const explanation = await this.languageModel.prompt(prompt, promptOptions);
-      return explanation;
+      return this.cacheResult('explainTerm', { term: term.toLowerCase() }, context || term, explanation);
     } catch (error) {
       if (error.name === 'AbortError') {
         console.log('🛑 Term explanation cancelled');
@@ -861,6 +1104,9 @@ Format your response as: "In this sentence, '${term}' means [your explanation]."
       return literalMeaning || this.fallbackIdiomExplanation(idiom);
     }
 
+    const cached = await this.getCachedResult('explainIdiom', {}, idiom.toLowerCase());
+    if (cached) return cached;
+
     try {
       // Check session quota before prompting
       await this.checkSessionQuota();
@@ -876,14 +1122,14 @@ Format: Start with the idiom, then "means" and the explanation.
 Example: "break the ice means to start a conversation and help people feel comfortable"`;
 
       const promptOptions = {
-        outputLanguage: 'en'
+        outputLanguage: this.modelLanguage
       };
       if (options.signal) {
         promptOptions.signal = options.signal;
       }
 
       const explanation = await this.languageModel.prompt(prompt, promptOptions);
-      return explanation.trim();
+      return this.cacheResult('explainIdiom', {}, idiom.toLowerCase(), explanation.trim());
     } catch (error) {
       if (error.name === 'AbortError') {
         console.log('🛑 Idiom explanation cancelled');
@@ -1016,7 +1262,7 @@ Respond ONLY with valid JSON, no other text.`;
 
       const promptOptions = {
         responseConstraint: responseSchema,
-        outputLanguage: 'en'
+        outputLanguage: this.modelLanguage
       };
 
       // Support abort signal for cancellation
@@ -1042,36 +1288,225 @@ Respond ONLY with valid JSON, no other text.`;
     }
   }
 
-  fallbackIdiomDetection(sentence) {
-    // Use the comprehensive idioms dictionary loaded from idioms-dictionary.js
-    const idioms = window.IDIOMS_DICTIONARY || {};
+  // ===== Hidden Meanings =====
+  // Sentences that don't mean what they literally say: sarcasm, rhetorical questions,
+  // hyperbole, metaphor and implied meaning. Returns [{ quote, category, restatement, source }]
+  // where quote is the sentence as written in the text.
+
+  async detectHiddenMeanings(text, options = {}) {
+    if (!this.languageModel) {
+      return this.fallbackHiddenMeanings(text);
+    }
+
+    const cached = await this.getCachedResult('hiddenMeanings', {}, text);
+    if (cached) return this.parseHiddenMeanings(cached, text);
+
+    try {
+      // Check session quota before prompting
+      await this.checkSessionQuota();
+
+      const prompt = `Find the sentences in this paragraph that do not mean exactly what they literally say:
+- sarcasm: saying the opposite of what is meant
+- rhetorical-question: a question that is not really asking for an answer
+- hyperbole: an exaggeration that should not be taken literally
+- metaphor: describing something as if it were something else
+- implied-meaning: something suggested but not said directly
+
+Paragraph:
+"${text}"
+
+For each such sentence, copy the sentence exactly as written, give its category, and restate what the writer really means in plain, literal words for someone who takes language literally. Skip sentences that mean what they say and skip common idioms.
+
+Respond with JSON:
+{
+  "annotations": [
+    { "quote": "the exact sentence", "category": "sarcasm", "restatement": "plain meaning" }
+  ]
+}
+If there are none, respond with { "annotations": [] }.
+
+Respond ONLY with valid JSON, no other text.`;
+
+      const responseSchema = {
+        type: 'object',
+        properties: {
+          annotations: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                quote: { type: 'string' },
+                category: { type: 'string', enum: ['sarcasm', 'rhetorical-question', 'hyperbole', 'metaphor', 'implied-meaning'] },
+                restatement: { type: 'string' }
+              },
+              required: ['quote', 'category', 'restatement']
+            }
+          }
+        },
+        required: ['annotations']
+      };
+
+      const promptOptions = {
+        responseConstraint: responseSchema,
+        outputLanguage: this.modelLanguage
+      };
+      if (options.signal) {
+        promptOptions.signal = options.signal;
+      }
 
-    const idiomCount = Object.keys(idioms).length;
-    if (idiomCount === 0) {
+      const response = await this.languageModel.prompt(prompt, promptOptions);
+      console.log('🤖 AI response for hidden meanings:', response.substring(0, 200));
+
+      return this.parseHiddenMeanings(this.cacheResult('hiddenMeanings', {}, text, response), text);
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        console.log('🛑 Hidden meaning detection cancelled');
+        return [];
+      }
+      console.error('❌ Hidden meaning detection failed, using fallback:', error);
+      return this.fallbackHiddenMeanings(text);
+    }
+  }
+
+  // Keeps only annotations whose quote really is in the text, so they can be highlighted
+  parseHiddenMeanings(response, text) {
+    try {
+      const result = JSON.parse(response);
+      const normalizedText = text.replace(/\s+/g, ' ');
+      return (result.annotations || [])
+        .filter(annotation => annotation.quote && annotation.restatement &&
+          normalizedText.includes(annotation.quote.trim().replace(/\s+/g, ' ')))
+        .map(annotation => ({ ...annotation, quote: annotation.quote.trim(), source: 'ai' }));
+    } catch (error) {
+      console.error('❌ Could not parse hidden meanings:', error);
+      return [];
+    }
+  }
+
+  // Without the Prompt API only tell-tale wordings are recognised, so many sentences are
+  // missed; the ones found are marked as guesses
+  fallbackHiddenMeanings(text) {
+    const cues = [
+      // Sarcasm
+      { pattern: /^(oh,?\s+)(great|wonderful|fantastic|perfect|lovely|brilliant|joy)\b/i, category: 'sarcasm', restatement: 'The writer is probably unhappy and means the opposite of these positive words.' },
+      { pattern: /\byeah,?\s+right\b|\bas if\b/i, category: 'sarcasm', restatement: 'The writer does not believe this.' },
+      { pattern: /\bjust what (i|we) (needed|wanted)\b/i, category: 'sarcasm', restatement: 'The writer did not want this; it makes things worse.' },
+      { pattern: /\bthanks a lot\b|\bthanks for nothing\b/i, category: 'sarcasm', restatement: 'The writer is not thankful; they are annoyed.' },
+      { pattern: /\b(what a|big) surprise\b/i, category: 'sarcasm', restatement: 'The writer is not surprised; they expected this.' },
+      { pattern: /\bhow (convenient|nice|lovely)\b.*!/i, category: 'sarcasm', restatement: 'The writer probably thinks this is suspicious or unfair.' },
+      // Rhetorical questions
+      { pattern: /\bwho cares\?/i, category: 'rhetorical-question', restatement: 'The writer thinks this does not matter.' },
+      { pattern: /\bwho knows\?/i, category: 'rhetorical-question', restatement: 'Nobody knows this for sure.' },
+      { pattern: /\bwhat'?s the point\b.*\?/i, category: 'rhetorical-question', restatement: 'The writer thinks this is useless.' },
+      { pattern: /\bwhy bother\?/i, category: 'rhetorical-question', restatement: 'The writer thinks it is not worth doing.' },
+      { pattern: /\bis it any wonder\b.*\?/i, category: 'rhetorical-question', restatement: 'The writer thinks this result is not surprising.' },
+      { pattern: /\bwhat could (possibly )?go wrong\?/i, category: 'rhetorical-question', restatement: 'The writer expects that a lot could go wrong.' },
+      { pattern: /\bhow hard can it be\?/i, category: 'rhetorical-question', restatement: 'The writer thinks it should be easy (and may be wrong).' },
+      { pattern: /\b(do|did) you really (think|expect|believe)\b.*\?/i, category: 'rhetorical-question', restatement: 'The writer thinks the answer is obviously no.' },
+      { pattern: /\bwhat did (you|they|we) expect\?/i, category: 'rhetorical-question', restatement: 'This result was predictable.' },
+      { pattern: /\bwho would have thought\b.*\?/i, category: 'rhetorical-question', restatement: 'The writer is pointing out that this is surprising (or, sarcastically, obvious).' },
+      // Hyperbole
+      { pattern: /\b(a )?(million|billion|thousand|hundred) times\b/i, category: 'hyperbole', restatement: 'This means "many times", not an exact number.' },
+      { pattern: /\b(took|takes|taking|take) forever\b/i, category: 'hyperbole', restatement: 'This means "a very long time".' },
+      { pattern: /\bi'?m (starving|dying)\b|\bdying to\b/i, category: 'hyperbole', restatement: 'This means the writer wants something very much; nobody is really dying.' },
+      { pattern: /\b(tons|loads|a ton) of\b/i, category: 'hyperbole', restatement: 'This means "a lot of", not an exact weight or amount.' },
+      { pattern: /\b(scared|bored|worried) (to death|stiff)\b/i, category: 'hyperbole', restatement: 'This means very scared or bored; nobody was hurt.' },
+      { pattern: /\bnever in a million years\b/i, category: 'hyperbole', restatement: 'This means "very unlikely" or "never".' },
+      { pattern: /\b(is|are) killing me\b/i, category: 'hyperbole', restatement: 'This means it is bothering or hurting the writer a lot.' },
+      { pattern: /\bto die for\b/i, category: 'hyperbole', restatement: 'This means "extremely good".' },
+      { pattern: /\beveryone (knows|agrees)\b/i, category: 'hyperbole', restatement: 'This means many people believe it; not literally everyone.' },
+      // Implied meaning
+      { pattern: /\bit would be (nice|great|helpful) if\b/i, category: 'implied-meaning', restatement: 'This is a request: the writer wants this to happen.' },
+      { pattern: /\bi (was )?wonder(ing)? if you could\b/i, category: 'implied-meaning', restatement: 'This is a polite request, not a question about what you can do.' },
+      { pattern: /\bwith (all )?due respect\b/i, category: 'implied-meaning', restatement: 'The writer is about to disagree or criticise.' },
+      { pattern: /\bno offen[cs]e\b/i, category: 'implied-meaning', restatement: 'What follows may sound rude or critical.' },
+      { pattern: /\bnot (too|that) bad\b/i, category: 'implied-meaning', restatement: 'This means "quite good".' },
+      { pattern: /\bwe'?ll see\b/i, category: 'implied-meaning', restatement: 'The writer is doubtful that it will happen.' },
+      { pattern: /\bi'?ll think about it\b/i, category: 'implied-meaning', restatement: 'This often means "probably not".' }
+    ];
+
+    const sentences = text.match(/[^.!?]+[.!?]+["')\]]*|[^.!?]+$/g) || [text];
+    const annotations = [];
+
+    sentences.forEach(sentence => {
+      const quote = sentence.trim();
+      if (quote.length < 8) return;
+
+      const cue = cues.find(({ pattern }) => pattern.test(quote));
+      if (cue) {
+        annotations.push({ quote, category: cue.category, restatement: cue.restatement, source: 'pattern' });
+      }
+    });
+
+    return annotations;
+  }
+
+  // Dictionary-based detection. `idiom` is the phrase as written in the sentence (for
+  // highlighting), `canonical` the dictionary entry it was matched to.
+  fallbackIdiomDetection(sentence) {
+    const matcher = this.getIdiomMatcher();
+    if (!matcher) {
       console.error('❌ Idioms dictionary not loaded!');
       return { hasIdiom: false };
     }
 
-    console.log(`📚 Using dictionary with ${idiomCount} idioms`);
+    const match = matcher.find(sentence);
+    if (!match) {
+      return { hasIdiom: false };
+    }
+
+    console.log(`✅ Found idiom: "${match.text}" (${match.idiom}) → "${match.entry.meaning}"`);
+    return {
+      hasIdiom: true,
+      idiom: match.text,
+      canonical: match.idiom,
+      literal: match.entry.meaning,
+      example: match.entry.example,
+      register: match.entry.register
+    };
+  }
+
+  getIdiomMatcher() {
+    if (!this.idiomMatcher) {
+      if (!window.IDIOMS_DICTIONARY || typeof IdiomMatcher === 'undefined') return null;
+      // Pack entries override built-in ones with the same phrase
+      const dictionary = { ...window.IDIOMS_DICTIONARY, ...this.packIdioms };
+      this.idiomMatcher = new IdiomMatcher(dictionary);
+      console.log(`📚 Idiom matcher ready with ${Object.keys(dictionary).length} idioms`);
+    }
+    return this.idiomMatcher;
+  }
 
-    const lowerSentence = sentence.toLowerCase();
+  // Replaces the idiom pack entries merged into the dictionary
+  setPackIdioms(idioms) {
+    this.packIdioms = idioms || {};
+    this.idiomMatcher = null;
+  }
 
-    // Sort idioms by length (longest first) to match more specific phrases before shorter ones
-    const sortedIdioms = Object.entries(idioms).sort((a, b) => b[0].length - a[0].length);
+  // Dictionary entry for an idiom (canonical phrase), or null
+  getIdiomEntry(idiom) {
+    const matcher = this.getIdiomMatcher();
+    return matcher ? matcher.getEntry(idiom) : null;
+  }
 
-    // Check for each idiom
-    for (const [idiom, literal] of sortedIdioms) {
-      if (lowerSentence.includes(idiom.toLowerCase())) {
-        console.log(`✅ Found idiom: "${idiom}" → "${literal}"`);
-        return {
-          hasIdiom: true,
-          idiom: idiom,
-          literal: literal
-        };
-      }
+  getDomainGlossary() {
+    if (!this.domainGlossary) {
+      if (!window.DOMAIN_GLOSSARIES || typeof DomainGlossary === 'undefined') return null;
+      this.domainGlossary = new DomainGlossary(window.DOMAIN_GLOSSARIES);
     }
+    return this.domainGlossary;
+  }
+
+  // Domains whose terms are highlighted and defined from the glossary
+  setGlossaryDomains(domains) {
+    this.glossaryDomains = domains || [];
+  }
 
-    return { hasIdiom: false };
+  // Glossary entry ({ term, definition, domain }) for a word as written, or null
+  getGlossaryEntry(term) {
+    const glossary = this.getDomainGlossary();
+    if (!glossary || this.glossaryDomains.length === 0) return null;
+    return glossary.lookup(term, this.glossaryDomains);
   }
 
   // Fallback methods when AI APIs are unavailable
@@ -0,0 +1,613 @@
+// Article Exporter
+// Saves the article as the reader currently sees it (rewrites, TL;DR, definitions, idiom
+// explanations) to a standalone HTML file, Markdown or an EPUB. Definitions become
+// footnotes and idioms a glossary, so the export reads well without CogniRead.
+
+class ArticleExporter {
+  constructor() {
+    // Page furniture and CogniRead's in-page additions never make it into an export
+    this.removeSelector = [
+      'script', 'style', 'noscript', 'template', 'iframe', 'object', 'embed', 'form', 'button',
+      'input', 'select', 'textarea', 'nav', 'aside', 'svg', 'canvas', 'video', 'audio',
+      '[hidden]', '[aria-hidden="true"]',
+      '.cogniread-tldr-container', '.cogniread-difficulty-badge-inline', '.cogniread-df-article-meta',
+      '[data-cogniread-excluded]'
+    ].join(', ');
+
+    this.keepAttributes = ['href', 'src', 'alt', 'title', 'colspan', 'rowspan'];
+
+    this.css = `
+body { margin: 0; padding: 2rem 1rem; background: #fdfdfb; color: #1f2328; font-family: Georgia, 'Times New Roman', serif; font-size: 1.125rem; line-height: 1.75; }
+article { max-width: 42rem; margin: 0 auto; }
+h1, h2, h3, h4 { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; line-height: 1.3; }
+img { max-width: 100%; height: auto; }
+a { color: #1a5fb4; }
+blockquote { margin: 1.5em 0; padding-left: 1em; border-left: 3px solid #d0d7de; color: #57606a; }
+pre { overflow-x: auto; padding: 1em; background: #f6f8fa; border-radius: 6px; }
+.cr-source { font-size: 0.85rem; color: #57606a; }
+.cr-tldr { margin: 1.5em 0 2em; padding: 1em 1.25em; background: #eef4ff; border-left: 4px solid #4185f4; border-radius: 6px; }
+.cr-tldr h2 { margin-top: 0; font-size: 1.1rem; }
+.cr-footnote-ref { font-size: 0.75em; line-height: 0; }
+.cr-footnote-ref a, .cr-idiom { text-decoration: none; }
+.cr-idiom { color: inherit; border-bottom: 1px dotted #8250df; }
+.cr-notes, .cr-glossary { margin-top: 3em; padding-top: 1em; border-top: 1px solid #d0d7de; font-size: 0.95rem; }
+.cr-notes h2, .cr-glossary h2 { font-size: 1.1rem; }
+.cr-glossary dt { font-weight: bold; }
+.cr-glossary dd { margin: 0 0 0.75em 0; }
+`.trim();
+  }
+
+  // ===== Article model =====
+
+  // root: element holding the article; definitions: Map of lowercase term -> definition
+  buildModel({ root, title, url, tldr = [], definitions = new Map(), language = 'en' }) {
+    const body = root.cloneNode(true);
+
+    body.querySelectorAll(this.removeSelector).forEach(el => el.remove());
+
+    // Fixation emphasis splits words into <b> pieces - put the plain text back
+    body.querySelectorAll('.cogniread-fixation-text').forEach(wrapper => {
+      wrapper.replaceWith(document.createTextNode(wrapper.textContent));
+    });
+
+    const footnotes = this.convertDefinitions(body, definitions);
+    const glossary = this.convertIdioms(body);
+
+    this.cleanAttributes(body);
+    body.normalize();
+
+    return {
+      title: title || 'Untitled article',
+      url: url || '',
+      language,
+      exportedAt: new Date(),
+      tldr: tldr.filter(Boolean),
+      body,
+      footnotes,
+      glossary
+    };
+  }
+
+  // First occurrence of each defined word gets a numbered footnote reference
+  convertDefinitions(body, definitions) {
+    const footnotes = [];
+    const numbered = new Map();
+
+    body.querySelectorAll('.cogniread-difficult-word').forEach(span => {
+      const term = (span.dataset.term || span.textContent).toLowerCase();
+      const text = document.createTextNode(span.textContent);
+
+      if (!definitions.has(term) || numbered.has(term)) {
+        span.replaceWith(text);
+        return;
+      }
+
+      const number = footnotes.length + 1;
+      numbered.set(term, number);
+      footnotes.push({ number, term: span.textContent, definition: definitions.get(term) });
+
+      const sup = document.createElement('sup');
+      sup.className = 'cr-footnote-ref';
+      sup.id = `fnref-${number}`;
+      const link = document.createElement('a');
+      link.href = `#fn-${number}`;
+      link.textContent = String(number);
+      sup.appendChild(link);
+
+      span.replaceWith(text, sup);
+    });
+
+    return footnotes;
+  }
+
+  // Idiom phrases link to their glossary entry; the meaning comes from the idiom dictionary
+  convertIdioms(body) {
+    const glossary = [];
+    const numbered = new Map();
+
+    body.querySelectorAll('.cogniread-idiom-phrase').forEach(span => {
+      const idiom = (span.dataset.canonical || span.dataset.idiom || span.textContent).toLowerCase();
+      const meaning = span.dataset.meaning || span.dataset.original;
+
+      if (!meaning) {
+        span.replaceWith(document.createTextNode(span.textContent));
+        return;
+      }
+
+      if (!numbered.has(idiom)) {
+        numbered.set(idiom, glossary.length + 1);
+        glossary.push({ number: glossary.length + 1, idiom: span.dataset.canonical || span.dataset.idiom || span.textContent, meaning });
+      }
+
+      const link = document.createElement('a');
+      link.className = 'cr-idiom';
+      link.href = `#idiom-${numbered.get(idiom)}`;
+      link.textContent = span.textContent;
+      span.replaceWith(link);
+    });
+
+    return glossary;
+  }
+
+  // Drop page classes, styles and handlers; make links and images absolute
+  cleanAttributes(body) {
+    const elements = [body, ...body.querySelectorAll('*')];
+    elements.forEach(el => {
+      const ours = (el.className || '').toString().startsWith('cr-');
+
+      if (el.tagName === 'IMG') {
+        const src = el.getAttribute('src') || el.getAttribute('data-src') || '';
+        if (src) el.setAttribute('src', this.absoluteUrl(src));
+      }
+      if (el.tagName === 'A' && el.getAttribute('href')) {
+        const href = el.getAttribute('href');
+        if (!href.startsWith('#')) el.setAttribute('href', this.absoluteUrl(href));
+      }
+
+      Array.from(el.attributes).forEach(attr => {
+        const keep = this.keepAttributes.includes(attr.name) || (ours && (attr.name === 'class' || attr.name === 'id'));
+        if (!keep) el.removeAttribute(attr.name);
+      });
+
+      // javascript: and data: links don't belong in a document
+      const href = el.getAttribute('href');
+      if (href && !/^(https?:|mailto:|#)/i.test(href)) {
+        el.removeAttribute('href');
+      }
+    });
+  }
+
+  absoluteUrl(value) {
+    try {
+      return new URL(value, document.baseURI).href;
+    } catch (error) {
+      return value;
+    }
+  }
+
+  // ===== Formats =====
+
+  async export(format, model) {
+    const base = this.slugify(model.title);
+    if (format === 'markdown') {
+      return { filename: `${base}.md`, blob: new Blob([this.toMarkdown(model)], { type: 'text/markdown;charset=utf-8' }) };
+    }
+    if (format === 'epub') {
+      return { filename: `${base}.epub`, blob: this.toEPUB(model) };
+    }
+    return { filename: `${base}.html`, blob: new Blob([this.toHTML(model)], { type: 'text/html;charset=utf-8' }) };
+  }
+
+  download({ filename, blob }) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.style.display = 'none';
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  hasOwnHeading(model) {
+    const heading = model.body.querySelector('h1');
+    return !!heading && heading.textContent.trim() === model.title.trim();
+  }
+
+  toHTML(model) {
+    const escape = (text) => this.escapeXml(text);
+
+    return `<!DOCTYPE html>
+<html lang="${escape(model.language)}">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<meta name="generator" content="CogniRead">
+<title>${escape(model.title)}</title>
+<style>
+${this.css}
+</style>
+</head>
+<body>
+<article>
+${this.renderHeader(model)}
+${this.renderTldr(model)}
+<div class="cr-content">
+${model.body.innerHTML}
+</div>
+${this.renderFootnotes(model)}
+${this.renderGlossary(model)}
+</article>
+</body>
+</html>
+`;
+  }
+
+  // The header and back-matter sections are shared by the HTML and EPUB documents
+  renderHeader(model) {
+    const escape = (text) => this.escapeXml(text);
+    const title = this.hasOwnHeading(model) ? '' : `<h1>${escape(model.title)}</h1>`;
+    const source = model.url
+      ? `Saved from <a href="${escape(model.url)}">${escape(model.url)}</a> on ${escape(model.exportedAt.toLocaleDateString())}`
+      : `Saved on ${escape(model.exportedAt.toLocaleDateString())}`;
+    return `<header>${title}<p class="cr-source">${source}</p></header>`;
+  }
+
+  renderTldr(model) {
+    if (model.tldr.length === 0) return '';
+    const items = model.tldr.map(point => `<li>${this.escapeXml(point)}</li>`).join('');
+    return `<section class="cr-tldr" id="tldr"><h2>TL;DR</h2><ul>${items}</ul></section>`;
+  }
+
+  renderFootnotes(model) {
+    if (model.footnotes.length === 0) return '';
+    const items = model.footnotes.map(note => `<li id="fn-${note.number}"><strong>${this.escapeXml(note.term)}</strong>: ${this.escapeXml(note.definition)} <a href="#fnref-${note.number}" title="Back to text">↩</a></li>`).join('');
+    return `<section class="cr-notes" id="notes"><h2>Definitions</h2><ol>${items}</ol></section>`;
+  }
+
+  renderGlossary(model) {
+    if (model.glossary.length === 0) return '';
+    const items = model.glossary.map(entry => `<dt id="idiom-${entry.number}">${this.escapeXml(entry.idiom)}</dt><dd>${this.escapeXml(entry.meaning)}</dd>`).join('');
+    return `<section class="cr-glossary" id="glossary"><h2>Idiom Glossary</h2><dl>${items}</dl></section>`;
+  }
+
+  // ===== Markdown =====
+
+  toMarkdown(model) {
+    const parts = [];
+
+    if (!this.hasOwnHeading(model)) {
+      parts.push(`# ${model.title}`);
+    }
+    if (model.url) {
+      parts.push(`*Saved from <${model.url}> on ${model.exportedAt.toLocaleDateString()}*`);
+    }
+
+    if (model.tldr.length > 0) {
+      parts.push(`> **TL;DR**\n>\n${model.tldr.map(point => `> - ${this.escapeMarkdown(point)}`).join('\n')}`);
+    }
+
+    parts.push(this.blockToMarkdown(model.body).trim());
+
+    if (model.glossary.length > 0) {
+      parts.push(`## Idiom Glossary\n\n${model.glossary.map(entry => `- **${this.escapeMarkdown(entry.idiom)}**: ${this.escapeMarkdown(entry.meaning)}`).join('\n')}`);
+    }
+
+    if (model.footnotes.length > 0) {
+      parts.push(model.footnotes.map(note => `[^${note.number}]: **${this.escapeMarkdown(note.term)}**: ${this.escapeMarkdown(note.definition)}`).join('\n'));
+    }
+
+    return parts.join('\n\n').replace(/\n{3,}/g, '\n\n') + '\n';
+  }
+
+  blockToMarkdown(node, listDepth = 0) {
+    let output = '';
+
+    node.childNodes.forEach(child => {
+      if (child.nodeType === Node.TEXT_NODE) {
+        output += this.escapeMarkdown(child.nodeValue.replace(/\s+/g, ' '));
+        return;
+      }
+      if (child.nodeType !== Node.ELEMENT_NODE) return;
+
+      const tag = child.tagName.toLowerCase();
+      const inline = () => this.blockToMarkdown(child, listDepth).replace(/\s+/g, ' ').trim();
+
+      switch (tag) {
+        case 'h1': case 'h2': case 'h3': case 'h4': case 'h5': case 'h6':
+          output += `\n\n${'#'.repeat(Number(tag[1]))} ${inline()}\n\n`;
+          break;
+        case 'p': case 'div': case 'section': case 'article': case 'main': case 'header':
+        case 'footer': case 'figure': case 'figcaption':
+          output += `\n\n${this.blockToMarkdown(child, listDepth).trim()}\n\n`;
+          break;
+        case 'br':
+          output += '  \n';
+          break;
+        case 'hr':
+          output += '\n\n---\n\n';
+          break;
+        case 'strong': case 'b':
+          output += inline() ? `**${inline()}**` : '';
+          break;
+        case 'em': case 'i':
+          output += inline() ? `*${inline()}*` : '';
+          break;
+        case 'code':
+          output += `\`${child.textContent}\``;
+          break;
+        case 'pre':
+          output += `\n\n\`\`\`\n${child.textContent.replace(/\n+$/, '')}\n\`\`\`\n\n`;
+          break;
+        case 'sup':
+          if (child.classList.contains('cr-footnote-ref')) {
+            output += `[^${child.textContent.trim()}]`;
+          } else {
+            output += `<sup>${inline()}</sup>`;
+          }
+          break;
+        case 'a':
+          if (child.classList.contains('cr-idiom') || !child.getAttribute('href')) {
+            output += inline();
+          } else {
+            output += `[${inline()}](${child.getAttribute('href')})`;
+          }
+          break;
+        case 'img':
+          output += `![${this.escapeMarkdown(child.getAttribute('alt') || '')}](${child.getAttribute('src') || ''})`;
+          break;
+        case 'ul': case 'ol':
+          output += `\n\n${this.listToMarkdown(child, listDepth)}\n\n`;
+          break;
+        case 'blockquote':
+          output += `\n\n${this.blockToMarkdown(child, listDepth).trim().split('\n').map(line => `> ${line}`.trimEnd()).join('\n')}\n\n`;
+          break;
+        case 'table':
+          output += `\n\n${this.tableToMarkdown(child)}\n\n`;
+          break;
+        default:
+          output += this.blockToMarkdown(child, listDepth);
+      }
+    });
+
+    return output;
+  }
+
+  listToMarkdown(list, depth) {
+    const ordered = list.tagName.toLowerCase() === 'ol';
+    const indent = '  '.repeat(depth);
+
+    return Array.from(list.children)
+      .filter(item => item.tagName.toLowerCase() === 'li')
+      .map((item, index) => {
+        const marker = ordered ? `${index + 1}.` : '-';
+        const text = this.blockToMarkdown(item, depth + 1)
+          .trim()
+          .replace(/\n{2,}/g, '\n')
+          .split('\n')
+          .map((line, i) => (i === 0 ? line : `${indent}  ${line.trimStart()}`))
+          .join('\n');
+        return `${indent}${marker} ${text}`;
+      })
+      .join('\n');
+  }
+
+  tableToMarkdown(table) {
+    const rows = Array.from(table.querySelectorAll('tr')).map(row =>
+      Array.from(row.children).map(cell => this.blockToMarkdown(cell).replace(/\s+/g, ' ').replace(/\|/g, '\\|').trim())
+    );
+    if (rows.length === 0) return '';
+
+    const width = Math.max(...rows.map(row => row.length));
+    const pad = (row) => row.concat(Array(width - row.length).fill(''));
+    const lines = [`| ${pad(rows[0]).join(' | ')} |`, `| ${Array(width).fill('---').join(' | ')} |`];
+    rows.slice(1).forEach(row => lines.push(`| ${pad(row).join(' | ')} |`));
+    return lines.join('\n');
+  }
+
+  escapeMarkdown(text) {
+    return String(text).replace(/([\\`*_[\]])/g, '\\$1');
+  }
+
+  // ===== EPUB =====
+
+  toEPUB(model) {
+    const id = `urn:uuid:${this.uuid()}`;
+    const modified = new Date().toISOString().replace(/\.\d+Z$/, 'Z');
+    const title = this.escapeXml(model.title);
+    const language = this.escapeXml(model.language);
+
+    // Remote images aren't allowed in EPUB without packaging them - keep their descriptions
+    const body = model.body.cloneNode(true);
+    body.querySelectorAll('img').forEach(img => {
+      const alt = img.getAttribute('alt');
+      if (alt) {
+        const note = document.createElement('p');
+        note.textContent = `[Image: ${alt}]`;
+        img.replaceWith(note);
+      } else {
+        img.remove();
+      }
+    });
+
+    const serializer = new XMLSerializer();
+    const bodyXhtml = Array.from(body.childNodes).map(node => serializer.serializeToString(node)).join('');
+
+    const sections = [
+      model.tldr.length > 0 ? '<li><a href="article.xhtml#tldr">TL;DR</a></li>' : '',
+      '<li><a href="article.xhtml#content">Article</a></li>',
+      model.footnotes.length > 0 ? '<li><a href="article.xhtml#notes">Definitions</a></li>' : '',
+      model.glossary.length > 0 ? '<li><a href="article.xhtml#glossary">Idiom Glossary</a></li>' : ''
+    ].join('');
+
+    const xhtmlPage = (pageTitle, content, extraNamespace = '') => `<?xml version="1.0" encoding="utf-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml"${extraNamespace} xml:lang="${language}" lang="${language}">
+<head>
+<meta charset="utf-8"/>
+<title>${pageTitle}</title>
+<link rel="stylesheet" type="text/css" href="style.css"/>
+</head>
+<body>
+${content}
+</body>
+</html>
+`;
+
+    const files = [
+      { name: 'mimetype', content: 'application/epub+zip' },
+      {
+        name: 'META-INF/container.xml',
+        content: `<?xml version="1.0" encoding="utf-8"?>
+<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
+  <rootfiles>
+    <rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/>
+  </rootfiles>
+</container>
+`
+      },
+      {
+        name: 'OEBPS/content.opf',
+        content: `<?xml version="1.0" encoding="utf-8"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="book-id" xml:lang="${language}">
+  <metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
+    <dc:identifier id="book-id">${id}</dc:identifier>
+    <dc:title>${title}</dc:title>
+    <dc:language>${language}</dc:language>
+    ${model.url ? `<dc:source>${this.escapeXml(model.url)}</dc:source>` : ''}
+    <dc:publisher>CogniRead</dc:publisher>
+    <meta property="dcterms:modified">${modified}</meta>
+  </metadata>
+  <manifest>
+    <item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav"/>
+    <item id="article" href="article.xhtml" media-type="application/xhtml+xml"/>
+    <item id="css" href="style.css" media-type="text/css"/>
+  </manifest>
+  <spine>
+    <itemref idref="article"/>
+  </spine>
+</package>
+`
+      },
+      {
+        name: 'OEBPS/nav.xhtml',
+        content: xhtmlPage(title, `<nav epub:type="toc" id="toc"><h1>${title}</h1><ol>${sections}</ol></nav>`, ' xmlns:epub="http://www.idpf.org/2007/ops"')
+      },
+      {
+        name: 'OEBPS/article.xhtml',
+        content: xhtmlPage(title, `<article>
+${this.renderHeader(model)}
+${this.renderTldr(model)}
+<div class="cr-content" id="content">
+${bodyXhtml}
+</div>
+${this.renderFootnotes(model)}
+${this.renderGlossary(model)}
+</article>`)
+      },
+      { name: 'OEBPS/style.css', content: this.css }
+    ];
+
+    return new Blob([this.createZip(files)], { type: 'application/epub+zip' });
+  }
+
+  // Minimal store-only (uncompressed) ZIP writer - EPUB requires "mimetype" first and uncompressed
+  createZip(files) {
+    const encoder = new TextEncoder();
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    const now = new Date();
+    const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | Math.floor(now.getSeconds() / 2);
+    const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+
+    files.forEach(file => {
+      const name = encoder.encode(file.name);
+      const data = encoder.encode(file.content);
+      const crc = this.crc32(data);
+
+      const local = new DataView(new ArrayBuffer(30));
+      local.setUint32(0, 0x04034b50, true); // Local file header signature
+      local.setUint16(4, 20, true); // Version needed
+      local.setUint16(6, 0x0800, true); // UTF-8 file names
+      local.setUint16(8, 0, true); // Stored
+      local.setUint16(10, dosTime, true);
+      local.setUint16(12, dosDate, true);
+      local.setUint32(14, crc, true);
+      local.setUint32(18, data.length, true);
+      local.setUint32(22, data.length, true);
+      local.setUint16(26, name.length, true);
+      local.setUint16(28, 0, true);
+      localParts.push(new Uint8Array(local.buffer), name, data);
+
+      const central = new DataView(new ArrayBuffer(46));
+      central.setUint32(0, 0x02014b50, true); // Central directory signature
+      central.setUint16(4, 20, true); // Version made by
+      central.setUint16(6, 20, true);
+      central.setUint16(8, 0x0800, true);
+      central.setUint16(10, 0, true);
+      central.setUint16(12, dosTime, true);
+      central.setUint16(14, dosDate, true);
+      central.setUint32(16, crc, true);
+      central.setUint32(20, data.length, true);
+      central.setUint32(24, data.length, true);
+      central.setUint16(28, name.length, true);
+      central.setUint16(30, 0, true); // Extra field length
+      central.setUint16(32, 0, true); // Comment length
+      central.setUint16(34, 0, true); // Disk number
+      central.setUint16(36, 0, true); // Internal attributes
+      central.setUint32(38, 0, true); // External attributes
+      central.setUint32(42, offset, true);
+      centralParts.push(new Uint8Array(central.buffer), name);
+
+      offset += 30 + name.length + data.length;
+    });
+
+    const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true); // End of central directory signature
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    return new Blob([...localParts, ...centralParts, new Uint8Array(end.buffer)]);
+  }
+
+  crc32(bytes) {
+    if (!this.crcTable) {
+      this.crcTable = new Uint32Array(256);
+      for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+          c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        }
+        this.crcTable[n] = c >>> 0;
+      }
+    }
+
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) {
+      crc = this.crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+  }
+
+  uuid() {
+    if (typeof crypto !== 'undefined' && crypto.randomUUID) {
+      return crypto.randomUUID();
+    }
+    return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, c => {
+      const r = Math.random() * 16 | 0;
+      return (c === 'x' ? r : (r & 0x3 | 0x8)).toString(16);
+    });
+  }
+
+  // ===== Helpers =====
+
+  escapeXml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  slugify(title) {
+    const slug = title
+      .toLowerCase()
+      .normalize('NFKD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '')
+      .substring(0, 60);
+    return slug || 'article';
+  }
+}
+
+// Export for use in content script
+if (typeof window !== 'undefined') {
+  window.ArticleExporter = ArticleExporter;
+}
@@ -1,8 +1,28 @@
 // Background service worker for CogniRead Extension
 
+// Review schedule (shared with the review page) for the due-card badge
+importScripts('vocabulary-store.js', 'spaced-repetition.js');
+
 // Track which tabs have CogniRead activated
+// The set is mirrored to chrome.storage.session so it survives service worker restarts
 const activeTabs = new Set();
 
+// Tabs whose scripts are being injected right now (prevents double injection)
+const pendingActivations = new Set();
+
+// Resolves once the activation state has been restored after a (re)start
+const activeTabsReady = restoreActiveTabs();
+
+// Extension pages content scripts may ask to open
+const EXTENSION_PAGES = ['vocabulary.html', 'review.html', 'library.html', 'idiom-packs.html'];
+
+// Largest image kept when an article is saved for offline reading
+const MAX_SAVED_IMAGE_BYTES = 2 * 1024 * 1024;
+
+const REVIEW_ALARM = 'cogniread-review-badge';
+const REVIEW_BADGE_COLOR = '#4185F4';
+const reviewScheduler = new SpacedRepetition();
+
 // Listen for extension installation
 chrome.runtime.onInstalled.addListener(() => {
   console.log('CogniRead installed');
@@ -17,7 +37,12 @@ chrome.runtime.onInstalled.addListener(() => {
   });
 
   // Set default badge
-  chrome.action.setBadgeBackgroundColor({ color: '#4185F4' });
+  chrome.action.setBadgeBackgroundColor({ color: REVIEW_BADGE_COLOR });
+  updateReviewBadge();
+});
+
+chrome.runtime.onStartup.addListener(() => {
+  updateReviewBadge();
 });
 
 // Listen for messages from popup or content scripts
@@ -28,26 +53,16 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   if (request.action === 'activateOnTab') {
     const tabId = request.tabId;
 
-    if (activeTabs.has(tabId)) {
-      sendResponse({ success: false, message: 'Already activated on this tab' });
-      return;
-    }
-
-    // Inject content scripts
-    injectContentScripts(tabId)
+    activeTabsReady
       .then(() => {
-        activeTabs.add(tabId);
-        updateBadge(tabId, true);
+        if (activeTabs.has(tabId)) {
+          sendResponse({ success: false, message: 'Already activated on this tab' });
+          return;
+        }
 
-        // Update stats
-        chrome.storage.sync.get(['cogniread_stats'], (result) => {
-          const stats = result.cogniread_stats || {};
-          stats.activationCount = (stats.activationCount || 0) + 1;
-          stats.lastUsed = new Date().toISOString();
-          chrome.storage.sync.set({ cogniread_stats: stats });
+        return activateTab(tabId).then(() => {
+          sendResponse({ success: true, message: 'CogniRead activated!' });
         });
-
-        sendResponse({ success: true, message: 'CogniRead activated!' });
       })
       .catch((error) => {
         console.error('Failed to inject scripts:', error);
@@ -61,16 +76,18 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   if (request.action === 'deactivateOnTab') {
     const tabId = request.tabId;
 
-    if (!activeTabs.has(tabId)) {
-      sendResponse({ success: false, message: 'Not activated on this tab' });
-      return;
-    }
+    activeTabsReady.then(() => {
+      if (!activeTabs.has(tabId)) {
+        sendResponse({ success: false, message: 'Not activated on this tab' });
+        return;
+      }
 
-    // Send message to content script to clean up
-    chrome.tabs.sendMessage(tabId, { action: 'cleanup' }, (response) => {
-      activeTabs.delete(tabId);
-      updateBadge(tabId, false);
-      sendResponse({ success: true, message: 'CogniRead deactivated' });
+      // Send message to content script to clean up
+      chrome.tabs.sendMessage(tabId, { action: 'cleanup' }, (response) => {
+        setTabActive(tabId, false);
+        updateBadge(tabId, false);
+        sendResponse({ success: true, message: 'CogniRead deactivated' });
+      });
     });
 
     return true;
@@ -79,7 +96,12 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   // Check if tab is activated
   if (request.action === 'checkActivation') {
     const tabId = request.tabId;
-    sendResponse({ isActivated: activeTabs.has(tabId) });
+
+    activeTabsReady.then(() => {
+      sendResponse({ isActivated: activeTabs.has(tabId) });
+    });
+
+    return true;
   }
 
   // Handle activation request from demo page (no tabId provided, use sender's tab)
@@ -92,26 +114,16 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
       return;
     }
 
-    if (activeTabs.has(tabId)) {
-      sendResponse({ success: true, message: 'Already activated on this tab' });
-      return;
-    }
-
-    // Inject content scripts
-    injectContentScripts(tabId)
+    activeTabsReady
       .then(() => {
-        activeTabs.add(tabId);
-        updateBadge(tabId, true);
+        if (activeTabs.has(tabId)) {
+          sendResponse({ success: true, message: 'Already activated on this tab' });
+          return;
+        }
 
-        // Update stats
-        chrome.storage.sync.get(['cogniread_stats'], (result) => {
-          const stats = result.cogniread_stats || {};
-          stats.activationCount = (stats.activationCount || 0) + 1;
-          stats.lastUsed = new Date().toISOString();
-          chrome.storage.sync.set({ cogniread_stats: stats });
+        return activateTab(tabId).then(() => {
+          sendResponse({ success: true, message: 'CogniRead activated!' });
         });
-
-        sendResponse({ success: true, message: 'CogniRead activated!' });
       })
       .catch((error) => {
         console.error('Failed to inject scripts:', error);
@@ -120,8 +132,166 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
 
     return true; // Keep message channel open for async response
   }
+
+  // Content scripts can't open extension pages themselves
+  if (request.action === 'openExtensionPage') {
+    if (!EXTENSION_PAGES.includes(request.page)) {
+      sendResponse({ success: false, message: 'Unknown page' });
+      return;
+    }
+
+    chrome.tabs.create({ url: chrome.runtime.getURL(request.page) })
+      .then(() => sendResponse({ success: true }))
+      .catch((error) => sendResponse({ success: false, message: error.message }));
+
+    return true;
+  }
+
+  // Saved articles keep their images as data URLs so they open offline.
+  // Fetched here because page CORS rules don't apply to the extension's host permissions.
+  if (request.action === 'fetchImageData') {
+    fetchImageAsDataUrl(request.url)
+      .then((dataUrl) => sendResponse({ success: true, dataUrl }))
+      .catch((error) => sendResponse({ success: false, message: error.message }));
+
+    return true;
+  }
 });
 
+async function fetchImageAsDataUrl(url) {
+  if (!/^https?:/i.test(url || '')) {
+    throw new Error('Unsupported image URL');
+  }
+
+  const response = await fetch(url, { credentials: 'omit' });
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}`);
+  }
+
+  const type = (response.headers.get('content-type') || '').split(';')[0].trim();
+  if (!type.startsWith('image/')) {
+    throw new Error('Not an image');
+  }
+
+  const bytes = new Uint8Array(await response.arrayBuffer());
+  if (bytes.length > MAX_SAVED_IMAGE_BYTES) {
+    throw new Error('Image too large');
+  }
+
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return `data:${type};base64,${btoa(binary)}`;
+}
+
+// Restore activation state saved before the service worker was stopped.
+// Tabs are only kept if their content script still answers getStatus - the page
+// may have been reloaded or closed while the worker was asleep.
+async function restoreActiveTabs() {
+  try {
+    const result = await chrome.storage.session.get(['cogniread_active_tabs']);
+    const savedTabIds = result.cogniread_active_tabs || [];
+
+    const statuses = await Promise.all(savedTabIds.map(async (tabId) => ({
+      tabId,
+      running: await isCogniReadRunning(tabId)
+    })));
+
+    statuses.forEach(({ tabId, running }) => {
+      if (running) {
+        activeTabs.add(tabId);
+        updateBadge(tabId, true);
+      } else {
+        // Clear the stale badge if the tab still exists
+        chrome.tabs.get(tabId)
+          .then(() => updateBadge(tabId, false))
+          .catch(() => {});
+      }
+    });
+
+    await persistActiveTabs();
+    console.log(`Restored ${activeTabs.size} active tab(s)`);
+  } catch (error) {
+    console.error('Failed to restore active tabs:', error);
+  }
+}
+
+// Ask the content script in a tab for its status ({ initialized, state }), or null
+async function getContentStatus(tabId) {
+  try {
+    return (await chrome.tabs.sendMessage(tabId, { action: 'getStatus' })) || null;
+  } catch (error) {
+    // No content script listening (tab closed, reloaded or never injected)
+    return null;
+  }
+}
+
+// Ask the content script in a tab whether CogniRead is initialized
+async function isCogniReadRunning(tabId) {
+  const status = await getContentStatus(tabId);
+  return !!(status && status.initialized);
+}
+
+function persistActiveTabs() {
+  return chrome.storage.session.set({ cogniread_active_tabs: [...activeTabs] });
+}
+
+// Add or remove a tab and write the change through to session storage
+function setTabActive(tabId, isActive) {
+  if (isActive) {
+    activeTabs.add(tabId);
+  } else {
+    activeTabs.delete(tabId);
+  }
+
+  persistActiveTabs().catch((error) => {
+    console.error('Failed to save active tabs:', error);
+  });
+}
+
+// Inject CogniRead into a tab and record it as active
+async function activateTab(tabId) {
+  await activeTabsReady;
+  if (activeTabs.has(tabId) || pendingActivations.has(tabId)) return;
+
+  pendingActivations.add(tabId);
+  try {
+    // Scripts stay in the page after CogniRead is closed; injecting them again would
+    // redeclare every class, so restart the existing instance instead
+    const status = await getContentStatus(tabId);
+    if (!status) {
+      await injectContentScripts(tabId);
+    } else if (!status.initialized) {
+      await chrome.tabs.sendMessage(tabId, { action: 'reinitialize' });
+    }
+    setTabActive(tabId, true);
+    updateBadge(tabId, true);
+
+    // Update stats
+    chrome.storage.sync.get(['cogniread_stats'], (result) => {
+      const stats = result.cogniread_stats || {};
+      stats.activationCount = (stats.activationCount || 0) + 1;
+      stats.lastUsed = new Date().toISOString();
+      chrome.storage.sync.set({ cogniread_stats: stats });
+    });
+  } finally {
+    pendingActivations.delete(tabId);
+  }
+}
+
+// Check a page URL against the auto-activation allow-list
+// An entry matches its own hostname and any subdomain (example.com -> docs.example.com)
+async function isAutoActivateUrl(url) {
+  if (!url || !/^https?:/.test(url)) return false;
+
+  const result = await chrome.storage.sync.get(['cogniread_auto_activate_domains']);
+  const domains = result.cogniread_auto_activate_domains || [];
+  const hostname = new URL(url).hostname.toLowerCase();
+
+  return domains.some(domain => hostname === domain || hostname.endsWith('.' + domain));
+}
+
 // Inject content scripts into a tab
 async function injectContentScripts(tabId) {
   try {
@@ -131,10 +301,10 @@ async function injectContentScripts(tabId) {
       func: showLoadingIndicator
     });*/
 
-    // Inject CSS first
+    // Inject CSS first: only the in-page annotations, the panel's styles live in the UI root
     await chrome.scripting.insertCSS({
       target: { tabId: tabId },
-      files: ['styles.css']
+      files: ['page-styles.css']
     });
 
     // Inject JavaScript files in order
@@ -143,11 +313,56 @@ async function injectContentScripts(tabId) {
       files: ['idioms-dictionary.js']
     });
 
+    await chrome.scripting.executeScript({
+      target: { tabId: tabId },
+      files: ['idiom-matcher.js']
+    });
+
+    await chrome.scripting.executeScript({
+      target: { tabId: tabId },
+      files: ['idiom-pack-store.js']
+    });
+
+    await chrome.scripting.executeScript({
+      target: { tabId: tabId },
+      files: ['domain-glossaries.js']
+    });
+
+    await chrome.scripting.executeScript({
+      target: { tabId: tabId },
+      files: ['domain-glossary.js']
+    });
+
+    await chrome.scripting.executeScript({
+      target: { tabId: tabId },
+      files: ['transform-cache.js']
+    });
+
     await chrome.scripting.executeScript({
       target: { tabId: tabId },
       files: ['ai-service.js']
     });
 
+    await chrome.scripting.executeScript({
+      target: { tabId: tabId },
+      files: ['ui-root.js']
+    });
+
+    await chrome.scripting.executeScript({
+      target: { tabId: tabId },
+      files: ['content-extractor.js']
+    });
+
+    await chrome.scripting.executeScript({
+      target: { tabId: tabId },
+      files: ['extraction-rules.js']
+    });
+
+    await chrome.scripting.executeScript({
+      target: { tabId: tabId },
+      files: ['element-picker.js']
+    });
+
     await chrome.scripting.executeScript({
       target: { tabId: tabId },
       files: ['cognitive-engine.js']
@@ -158,6 +373,66 @@ async function injectContentScripts(tabId) {
       files: ['prompt-api-service.js']
     });
 
+    await chrome.scripting.executeScript({
+      target: { tabId: tabId },
+      files: ['transform-pipeline.js']
+    });
+
+    await chrome.scripting.executeScript({
+      target: { tabId: tabId },
+      files: ['text-diff.js']
+    });
+
+    await chrome.scripting.executeScript({
+      target: { tabId: tabId },
+      files: ['faithfulness-checker.js']
+    });
+
+    await chrome.scripting.executeScript({
+      target: { tabId: tabId },
+      files: ['read-aloud.js']
+    });
+
+    await chrome.scripting.executeScript({
+      target: { tabId: tabId },
+      files: ['fixation-emphasis.js']
+    });
+
+    await chrome.scripting.executeScript({
+      target: { tabId: tabId },
+      files: ['vocabulary-store.js']
+    });
+
+    await chrome.scripting.executeScript({
+      target: { tabId: tabId },
+      files: ['comprehension-quiz.js']
+    });
+
+    await chrome.scripting.executeScript({
+      target: { tabId: tabId },
+      files: ['article-exporter.js']
+    });
+
+    await chrome.scripting.executeScript({
+      target: { tabId: tabId },
+      files: ['library-store.js']
+    });
+
+    await chrome.scripting.executeScript({
+      target: { tabId: tabId },
+      files: ['distraction-free-mode.js']
+    });
+
+    await chrome.scripting.executeScript({
+      target: { tabId: tabId },
+      files: ['reading-position.js']
+    });
+
+    await chrome.scripting.executeScript({
+      target: { tabId: tabId },
+      files: ['dynamic-content-watcher.js']
+    });
+
     await chrome.scripting.executeScript({
       target: { tabId: tabId },
       files: ['content.js']
@@ -308,22 +583,78 @@ function updateBadge(tabId, isActive) {
     chrome.action.setBadgeText({ tabId: tabId, text: '✓' });
     chrome.action.setBadgeBackgroundColor({ tabId: tabId, color: '#34A853' });
   } else {
-    chrome.action.setBadgeText({ tabId: tabId, text: '' });
+    // null falls back to the global badge text (the due-card count). The color has no
+    // documented reset, so the tab gets the global color instead.
+    chrome.action.setBadgeText({ tabId: tabId, text: null });
+    chrome.action.setBadgeBackgroundColor({ tabId: tabId, color: REVIEW_BADGE_COLOR });
   }
 }
 
+// ===== Review Badge =====
+// The global badge counts review cards that are due. Cards become due with time, so the
+// count is refreshed by a periodic alarm as well as whenever the notebook changes.
+
+async function updateReviewBadge() {
+  try {
+    const due = await reviewScheduler.countDue();
+    chrome.action.setBadgeText({ text: due > 0 ? (due > 99 ? '99+' : String(due)) : '' });
+    chrome.action.setBadgeBackgroundColor({ color: REVIEW_BADGE_COLOR });
+  } catch (error) {
+    console.error('Failed to update review badge:', error);
+  }
+}
+
+chrome.alarms.get(REVIEW_ALARM).then((alarm) => {
+  if (!alarm) {
+    chrome.alarms.create(REVIEW_ALARM, { periodInMinutes: 30 });
+  }
+});
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === REVIEW_ALARM) {
+    updateReviewBadge();
+  }
+});
+
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'local' && (changes.cogniread_vocabulary || changes.cogniread_review)) {
+    updateReviewBadge();
+  }
+});
+
 // Clean up when tab is closed
 chrome.tabs.onRemoved.addListener((tabId) => {
-  activeTabs.delete(tabId);
+  activeTabsReady.then(() => {
+    if (activeTabs.has(tabId)) {
+      setTabActive(tabId, false);
+    }
+  });
 });
 
 // Clean up when tab is updated (page navigation)
-chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
+  await activeTabsReady;
+
   if (changeInfo.status === 'loading' && activeTabs.has(tabId)) {
     // Tab navigated to new page, deactivate
-    activeTabs.delete(tabId);
+    setTabActive(tabId, false);
     updateBadge(tabId, false);
   }
+
+  // Auto-activate on allow-listed domains once the page has loaded
+  // (content.js restores the saved preferences / site profile on initialize)
+  if (changeInfo.status === 'complete' && !activeTabs.has(tabId)) {
+    isAutoActivateUrl(tab.url)
+      .then((allowed) => {
+        if (allowed) {
+          console.log('Auto-activating CogniRead on tab', tabId);
+          return activateTab(tabId);
+        }
+      })
+      .catch((error) => {
+        console.error('Failed to auto-activate:', error);
+      });
+  }
 });
 
 // Create context menus (remove all first to prevent duplicates on service worker restart)
@@ -404,11 +735,7 @@ chrome.contextMenus.removeAll(() => {
 
 chrome.contextMenus.onClicked.addListener((info, tab) => {
   if (info.menuItemId === 'cogniread-activate') {
-    injectContentScripts(tab.id)
-      .then(() => {
-        activeTabs.add(tab.id);
-        updateBadge(tab.id, true);
-      })
+    activateTab(tab.id)
       .catch((error) => {
         console.error('Failed to activate via context menu:', error);
       });
@@ -9,30 +9,12 @@ class CognitiveEngine {
     this.focusMode = false;
     this.tldrMode = false;
     this.dyslexiaMode = false;
+    this.minJargonStem = 7; // Letters an affix must leave for isJargon ("unhappy" leaves 5)
   }
 
-  // Extract main content from page
+  // Extract main content from page (see ContentExtractor for how it is found)
   extractMainContent() {
-    // Priority order for content extraction
-    const selectors = [
-      'article',
-      'main',
-      '[role="main"]',
-      '.content',
-      '#content',
-      '.post-content',
-      '.article-content',
-      'body'
-    ];
-
-    for (const selector of selectors) {
-      const element = document.querySelector(selector);
-      if (element) {
-        return this.cleanContent(element);
-      }
-    }
-
-    return this.cleanContent(document.body);
+    return this.cleanContent(window.cognireadContentExtractor.getMainContent());
   }
 
   // Clean and prepare content
@@ -40,8 +22,9 @@ class CognitiveEngine {
     const clone = element.cloneNode(true);
 
     // Remove unwanted elements
-    const unwanted = clone.querySelectorAll('script, style, nav, header, footer, aside, .ad, .advertisement, iframe');
+    const unwanted = clone.querySelectorAll('script, style, nav, header, footer, aside, .ad, .advertisement, iframe, .cogniread-bilingual-line');
     unwanted.forEach(el => el.remove());
+    window.cognireadContentExtractor.removeExcluded(clone); // Per-site rule exclusions
 
     return {
       element: clone,
@@ -131,31 +114,9 @@ class CognitiveEngine {
     };
 
     // Find main content container in the actual DOM
-    const selectors = [
-      'article',
-      'main',
-      '[role="main"]',
-      '.content',
-      '#content',
-      '.post-content',
-      '.article-content',
-      '[role="article"]'
-    ];
-
-    let container = null;
-    for (const selector of selectors) {
-      container = document.querySelector(selector);
-      if (container) {
-        console.log(`✅ Found content container: ${selector}`);
-        break;
-      }
-    }
-
-    // Fallback to body if no main content found
-    if (!container) {
-      console.log('⚠️ No specific content container found, using document.body');
-      container = document.body;
-    }
+    const extraction = window.cognireadContentExtractor.extract();
+    const container = extraction.element;
+    console.log(`✅ Found content container: ${extraction.path} (${extraction.method})`);
 
     // Find all paragraphs and headings in the actual DOM
     const elements = container.querySelectorAll('p, h1, h2, h3, h4, h5, h6, li, blockquote, div');
@@ -171,20 +132,14 @@ class CognitiveEngine {
       const isArticleHeader = inHeader && inArticle;
 
       // Only filter headers that are NOT part of articles
-      if (element.closest('nav, footer, .ad, .advertisement, script, style') || (inHeader && !isArticleHeader)) {
+      if (element.closest('nav, footer, .ad, .advertisement, script, style, [data-cogniread-excluded]') || (inHeader && !isArticleHeader)) {
         debugStats.filteredUnwanted++;
         return;
       }
 
-      // Skip CogniRead's own UI elements (but not the theme class on HTML)
-      // Check for specific CogniRead containers by ID or specific classes
-      const cognireadContainer = element.closest(
-        '#cogniread-panel, #cogniread-mini, ' +
-        '#cogniread-focus-overlay, #cogniread-focus-content, ' +
-        '.cogniread-panel, .cogniread-mini, ' +
-        '.cogniread-focus-overlay, .cogniread-focus-content, ' +
-        '.cogniread-distraction-free'
-      );
+      // Skip CogniRead's own markup: the UI lives in a shadow root, only the bilingual
+      // lines are added to the article
+      const cognireadContainer = element.closest('#cogniread-ui-host, .cogniread-bilingual-line');
 
       if (cognireadContainer) {
         debugStats.filteredCogniread++;
@@ -228,13 +183,7 @@ class CognitiveEngine {
       Array.from(elements).slice(0, 10).forEach((el, i) => {
         const inHeader = el.closest('header');
         const inArticle = el.closest('article, main, [role="main"], [role="article"]');
-        const cognireadParent = el.closest(
-          '#cogniread-panel, #cogniread-mini, ' +
-          '#cogniread-focus-overlay, #cogniread-focus-content, ' +
-          '.cogniread-panel, .cogniread-mini, ' +
-          '.cogniread-focus-overlay, .cogniread-focus-content, ' +
-          '.cogniread-distraction-free'
-        );
+        const cognireadParent = el.closest('#cogniread-ui-host, .cogniread-bilingual-line');
 
         const debugInfo = {
           tag: el.tagName,
@@ -265,10 +214,16 @@ class CognitiveEngine {
     return chunks;
   }
 
-  // Identify difficult terms for definition bubbles
+  // Identify difficult terms for definition bubbles. Terms from the active domain
+  // glossaries come first, as written in the text, so multi-word terms and acronyms
+  // ("statute of limitations", "EBITDA") are caught too. With a glossary in use it stands
+  // in for the prefix/suffix guesses of isJargon.
   identifyDifficultTerms(text) {
     const words = text.split(/\s+/);
-    const difficultWords = [];
+    const glossary = this.aiService ? this.aiService.getDomainGlossary() : null;
+    const useGlossary = !!glossary && this.aiService.glossaryDomains.length > 0;
+    const difficultWords = useGlossary ? glossary.findTerms(text, this.aiService.glossaryDomains) : [];
+    const seen = new Set(difficultWords.map(term => term.toLowerCase()));
 
     for (const word of words) {
       const cleaned = word.replace(/[^a-zA-Z]/g, '').toLowerCase();
@@ -277,9 +232,10 @@ class CognitiveEngine {
       if (
         cleaned.length > 10 || // Long words
         this.countSyllables(cleaned) > 3 || // Multi-syllabic
-        this.isJargon(cleaned) // Technical jargon
+        (!useGlossary && this.isJargon(cleaned)) // Technical jargon
       ) {
-        if (!difficultWords.includes(cleaned)) {
+        if (!seen.has(cleaned)) {
+          seen.add(cleaned);
           difficultWords.push(cleaned);
         }
       }
@@ -301,7 +257,11 @@ class CognitiveEngine {
       /ity$/, /ous$/, /ive$/, /ful$/, /less$/, /able$/
     ];
 
-    return jargonPatterns.some(pattern => pattern.test(word));
+    // An affix on a short stem is an everyday word ("unhappy", "redo", "helpful")
+    return jargonPatterns.some(pattern => {
+      const match = word.match(pattern);
+      return !!match && word.length - match[0].length >= this.minJargonStem;
+    });
   }
 
   // Calculate reading progress
@@ -0,0 +1,281 @@
+// Comprehension Quiz
+// "Check my understanding" questions for the current article. Questions come from the
+// Prompt API when it is available and from cloze deletions on key sentences otherwise.
+// Every question remembers the paragraph it was built from so a wrong answer can point
+// the reader back to it.
+
+class ComprehensionQuiz {
+  constructor(options = {}) {
+    this.promptAPI = options.promptAPI || null;
+    this.maxQuestions = options.maxQuestions || 6;
+    this.maxParagraphs = 12; // Paragraphs sent to the model (sampled across the article)
+
+    this.stopWords = new Set([
+      'about', 'above', 'after', 'again', 'against', 'also', 'although', 'among', 'because',
+      'been', 'before', 'being', 'below', 'between', 'both', 'cannot', 'could', 'does', 'doing',
+      'down', 'during', 'each', 'even', 'every', 'from', 'further', 'have', 'having', 'here',
+      'however', 'into', 'just', 'like', 'made', 'make', 'many', 'more', 'most', 'much', 'must',
+      'only', 'other', 'over', 'same', 'should', 'since', 'some', 'such', 'than', 'that', 'their',
+      'them', 'then', 'there', 'these', 'they', 'this', 'those', 'through', 'under', 'until',
+      'very', 'were', 'what', 'when', 'where', 'which', 'while', 'will', 'with', 'within',
+      'without', 'would', 'your', 'said', 'says', 'into', 'onto', 'upon', 'well', 'still', 'often'
+    ]);
+  }
+
+  // paragraphs: [{ index, text }] - index is the caller's handle for scrolling back
+  async generate(paragraphs) {
+    const usable = paragraphs.filter(p => p.text && p.text.trim().length >= 60);
+    if (usable.length === 0) {
+      return { source: 'none', questions: [] };
+    }
+
+    if (this.promptAPI && await this.promptAPI.waitForInit()) {
+      const sample = this.sampleParagraphs(usable, this.maxParagraphs);
+      const result = await this.promptAPI.generateComprehensionQuestions(sample);
+      const questions = this.validateAIQuestions(result, sample);
+
+      if (questions.length >= 2) {
+        return { source: 'ai', questions: questions.slice(0, this.maxQuestions) };
+      }
+      console.warn('⚠️ Quiz generation returned too few usable questions, using cloze fallback');
+    }
+
+    return { source: 'cloze', questions: this.buildClozeQuestions(usable) };
+  }
+
+  // Evenly spaced paragraphs so long articles are covered end to end
+  sampleParagraphs(paragraphs, limit) {
+    if (paragraphs.length <= limit) return paragraphs;
+    const step = paragraphs.length / limit;
+    return Array.from({ length: limit }, (_, i) => paragraphs[Math.floor(i * step)]);
+  }
+
+  // Drop malformed questions and map the model's paragraph labels back to our indexes
+  validateAIQuestions(result, sample) {
+    if (!result || !Array.isArray(result.questions)) return [];
+
+    const indexes = new Set(sample.map(p => p.index));
+    const questions = [];
+
+    result.questions.forEach(raw => {
+      if (!raw || typeof raw.question !== 'string' || !raw.question.trim()) return;
+      const paragraphIndex = Number(raw.paragraph);
+      if (!indexes.has(paragraphIndex)) return;
+
+      if (raw.type === 'multiple-choice') {
+        const options = Array.isArray(raw.options) ? raw.options.filter(o => typeof o === 'string' && o.trim()) : [];
+        const answerIndex = Number(raw.answer);
+        if (options.length < 2 || !Number.isInteger(answerIndex) || !options[answerIndex]) return;
+
+        questions.push({
+          id: `q${questions.length}`,
+          type: 'multiple-choice',
+          prompt: raw.question.trim(),
+          options,
+          answerIndex,
+          answer: options[answerIndex],
+          paragraphIndex
+        });
+      } else if (raw.type === 'short-answer' && typeof raw.answer === 'string' && raw.answer.trim()) {
+        questions.push({
+          id: `q${questions.length}`,
+          type: 'short-answer',
+          prompt: raw.question.trim(),
+          answer: raw.answer.trim(),
+          keywords: Array.isArray(raw.keywords) ? raw.keywords.filter(k => typeof k === 'string' && k.trim()) : [],
+          paragraphIndex
+        });
+      }
+    });
+
+    return questions;
+  }
+
+  // ===== Cloze fallback =====
+
+  buildClozeQuestions(paragraphs) {
+    const frequencies = this.countKeywords(paragraphs.map(p => p.text).join(' '));
+
+    // Sentences scored by how central their words are to the article
+    const candidates = [];
+    paragraphs.forEach(paragraph => {
+      this.splitSentences(paragraph.text).forEach(sentence => {
+        const candidate = this.scoreSentence(sentence, frequencies);
+        if (candidate) {
+          candidates.push({ ...candidate, sentence, paragraphIndex: paragraph.index });
+        }
+      });
+    });
+
+    // Best first, at most one question per paragraph and per answer
+    const usedParagraphs = new Set();
+    const usedAnswers = new Set();
+    const chosen = [];
+    candidates.sort((a, b) => b.score - a.score).forEach(candidate => {
+      const answerKey = candidate.answer.toLowerCase();
+      if (chosen.length >= this.maxQuestions || usedParagraphs.has(candidate.paragraphIndex) || usedAnswers.has(answerKey)) {
+        return;
+      }
+      usedParagraphs.add(candidate.paragraphIndex);
+      usedAnswers.add(answerKey);
+      chosen.push(candidate);
+    });
+    chosen.sort((a, b) => a.paragraphIndex - b.paragraphIndex);
+
+    const vocabulary = Object.keys(frequencies).filter(word => frequencies[word] >= 2);
+
+    return chosen.map((candidate, i) => {
+      const prompt = candidate.sentence.replace(candidate.pattern, '_____');
+      const distractors = this.pickDistractors(candidate.answer, candidate.sentence, vocabulary, frequencies);
+
+      if (distractors.length >= 3) {
+        const options = this.shuffle([candidate.answer, ...distractors.slice(0, 3)]);
+        return {
+          id: `q${i}`,
+          type: 'multiple-choice',
+          prompt: `Which word completes the sentence? "${prompt}"`,
+          options,
+          answerIndex: options.indexOf(candidate.answer),
+          answer: candidate.answer,
+          paragraphIndex: candidate.paragraphIndex
+        };
+      }
+
+      return {
+        id: `q${i}`,
+        type: 'cloze',
+        prompt: `Fill in the blank: "${prompt}"`,
+        answer: candidate.answer,
+        paragraphIndex: candidate.paragraphIndex
+      };
+    });
+  }
+
+  countKeywords(text) {
+    const frequencies = {};
+    (text.toLowerCase().match(/\b[a-z][a-z'-]{3,}\b/g) || []).forEach(word => {
+      if (!this.stopWords.has(word)) {
+        frequencies[word] = (frequencies[word] || 0) + 1;
+      }
+    });
+    return frequencies;
+  }
+
+  splitSentences(text) {
+    return (text.match(/[^.!?]+[.!?]+["'”’)]*/g) || [text])
+      .map(sentence => sentence.trim())
+      .filter(sentence => sentence.length >= 40 && sentence.length <= 260);
+  }
+
+  // The blank is the sentence's most repeated keyword; numbers count as keywords too
+  scoreSentence(sentence, frequencies) {
+    const words = sentence.match(/\b[A-Za-z][A-Za-z'-]{3,}\b/g) || [];
+    let score = 0;
+    let answer = null;
+    let answerWeight = 0;
+
+    words.forEach(word => {
+      const lower = word.toLowerCase();
+      const frequency = frequencies[lower] || 0;
+      if (frequency < 2) return;
+      score += frequency;
+      const weight = frequency * 10 + lower.length;
+      if (weight > answerWeight) {
+        answer = word;
+        answerWeight = weight;
+      }
+    });
+
+    const number = (sentence.match(/\b\d[\d,.]*\b/) || [])[0];
+    if (number) score += 3;
+
+    if (!answer && number) answer = number;
+    if (!answer) return null;
+
+    return {
+      score,
+      answer,
+      pattern: new RegExp(`\\b${answer.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`)
+    };
+  }
+
+  // Other article keywords that look like the answer, so guessing by shape doesn't work
+  pickDistractors(answer, sentence, vocabulary, frequencies) {
+    if (/^\d/.test(answer)) return [];
+
+    const lowerAnswer = answer.toLowerCase();
+    const sentenceLower = sentence.toLowerCase();
+    const capitalized = /^[A-Z]/.test(answer);
+
+    return vocabulary
+      .filter(word => word !== lowerAnswer && !sentenceLower.includes(word))
+      .sort((a, b) => {
+        const distance = word => Math.abs(word.length - lowerAnswer.length) - frequencies[word] / 10;
+        return distance(a) - distance(b);
+      })
+      .slice(0, 3)
+      .map(word => capitalized ? word.charAt(0).toUpperCase() + word.slice(1) : word);
+  }
+
+  shuffle(items) {
+    const result = items.slice();
+    for (let i = result.length - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1));
+      [result[i], result[j]] = [result[j], result[i]];
+    }
+    return result;
+  }
+
+  // ===== Grading =====
+
+  // response: option index for multiple choice, text otherwise
+  grade(question, response) {
+    if (question.type === 'multiple-choice') {
+      return { correct: Number(response) === question.answerIndex, expected: question.answer };
+    }
+
+    const given = this.normalize(response);
+    const expected = this.normalize(question.answer);
+    if (!given) return { correct: false, expected: question.answer };
+
+    if (question.type === 'cloze') {
+      const close = expected.length > 5 && this.editDistance(given, expected) <= 1;
+      return { correct: given === expected || close, expected: question.answer };
+    }
+
+    // Short answer: the expected phrase, or at least half of its keywords
+    const keywords = question.keywords.map(keyword => this.normalize(keyword)).filter(Boolean);
+    const matched = keywords.filter(keyword => given.includes(keyword)).length;
+    const correct = given.includes(expected) ||
+      (given.length >= 3 && expected.includes(given)) ||
+      (keywords.length > 0 && matched >= Math.ceil(keywords.length / 2));
+
+    return { correct, expected: question.answer };
+  }
+
+  normalize(text) {
+    return String(text || '').toLowerCase().replace(/[^\p{L}\p{N}\s]/gu, ' ').replace(/\s+/g, ' ').trim();
+  }
+
+  // Levenshtein distance, for forgiving typos in fill-in-the-blank answers
+  editDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      for (let j = 1; j <= b.length; j++) {
+        current[j] = Math.min(
+          previous[j] + 1,
+          current[j - 1] + 1,
+          previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+        );
+      }
+      previous = current;
+    }
+    return previous[b.length];
+  }
+}
+
+// Export for use in content script
+if (typeof window !== 'undefined') {
+  window.ComprehensionQuiz = ComprehensionQuiz;
+}
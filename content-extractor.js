@@ -0,0 +1,388 @@
+// Content Extractor
+// Finds the element holding the page's main article, shared by every feature (focus
+// chunks, TL;DR, definitions, idioms, rewrites, reader view). Scoring follows the approach
+// of Mozilla's Readability: paragraphs award points to their ancestors by length and comma
+// count, class/id names add or subtract hints, and link-heavy blocks are discounted.
+// A per-site rule (picked by the user, see ExtractionRules) overrides the scoring.
+// The last result is kept on `lastResult` and can be inspected with `debug()`.
+
+class ContentExtractor {
+  constructor() {
+    this.paragraphSelector = 'p, pre, td, blockquote, li, h2, h3, section > div, article > div';
+    this.ignoreSelector = [
+      'script', 'style', 'noscript', 'template', 'svg', 'iframe', 'form', 'button', 'select',
+      'textarea', '[hidden]', '[aria-hidden="true"]',
+      '#cogniread-ui-host', '.cogniread-tldr-container', '[data-cogniread-excluded]'
+    ].join(', ');
+
+    // Class/id hints, as in Readability
+    this.unlikely = /-ad-|ai2html|banner|breadcrumbs|combx|comment|community|cover-wrap|disqus|extra|footer|gdpr|header|legends|menu|related|remark|replies|rss|shoutbox|sidebar|skyscraper|social|sponsor|supplemental|ad-break|agegate|pagination|pager|popup|yom-remote|newsletter|cookie|promo|share/i;
+    this.maybeCandidate = /and|article|body|column|content|main|shadow/i;
+    this.positive = /article|body|content|entry|hentry|h-entry|main|page|pagination|post|text|blog|story|prose/i;
+    this.negative = /-ad-|hidden|^hid$| hid$| hid |^hid |banner|combx|comment|com-|contact|foot|footer|footnote|gdpr|masthead|media|meta|outbrain|promo|related|scroll|share|shoutbox|sidebar|skyscraper|sponsor|shopping|tags|tool|widget|nav|menu|cookie|newsletter/i;
+
+    this.minParagraphLength = 25;
+    this.cacheTime = 5000; // Reuse a result briefly; features ask for it many times in a row
+    this.rule = null; // { main, exclude: [] } for this site
+    this.lastResult = null;
+    this.debugOverlay = null;
+  }
+
+  setRule(rule) {
+    this.rule = rule && (rule.main || (rule.exclude || []).length) ? rule : null;
+    this.invalidate();
+  }
+
+  // Returns the main content element (falls back to <body>)
+  getMainContent(options = {}) {
+    return this.extract(options).element;
+  }
+
+  extract({ force = false } = {}) {
+    const cached = this.lastResult;
+    if (!force && cached && cached.url === window.location.href &&
+        cached.element.isConnected && Date.now() - cached.time < this.cacheTime) {
+      return cached;
+    }
+
+    const started = performance.now();
+    this.markExcluded();
+    let result = this.applyRule() || this.scoreCandidates();
+
+    if (!result) {
+      result = { element: document.body, score: 0, method: 'fallback', candidates: [] };
+    }
+
+    result.url = window.location.href;
+    result.time = Date.now();
+    result.duration = Math.round(performance.now() - started);
+    result.textLength = this.getInnerText(result.element).length;
+    result.path = this.describe(result.element);
+    this.lastResult = result;
+
+    return result;
+  }
+
+  // Forget the cached result (e.g. after the page replaced its content)
+  invalidate() {
+    this.lastResult = null;
+  }
+
+  // ===== Site rules =====
+
+  // The user's main content selector, if it still matches something on the page
+  applyRule() {
+    if (!this.rule || !this.rule.main) return null;
+
+    const element = this.query(this.rule.main)[0];
+    if (!element) {
+      console.warn(`⚠️ Site rule "${this.rule.main}" matched nothing, scoring the page instead`);
+      return null;
+    }
+    return { element, score: null, method: 'site-rule', candidates: [] };
+  }
+
+  // Excluded elements are tagged so copies of the content (reader view, export, focus
+  // chunks) can drop them without re-running the selectors
+  markExcluded() {
+    document.querySelectorAll('[data-cogniread-excluded]').forEach(element => {
+      element.removeAttribute('data-cogniread-excluded');
+    });
+    if (!this.rule) return;
+
+    (this.rule.exclude || []).forEach(selector => {
+      this.query(selector).forEach(element => element.setAttribute('data-cogniread-excluded', ''));
+    });
+  }
+
+  isExcluded(element) {
+    return !!element.closest('[data-cogniread-excluded]');
+  }
+
+  // Removes excluded elements from a copy of the main content
+  removeExcluded(root) {
+    root.querySelectorAll('[data-cogniread-excluded]').forEach(element => element.remove());
+    return root;
+  }
+
+  query(selector) {
+    try {
+      return Array.from(document.querySelectorAll(selector));
+    } catch (error) {
+      console.warn(`⚠️ Invalid site rule selector "${selector}"`);
+      return [];
+    }
+  }
+
+  // ===== Scoring =====
+
+  scoreCandidates() {
+    const scores = new Map(); // element -> content score
+
+    const initialize = (element) => {
+      if (!scores.has(element)) {
+        scores.set(element, this.getTagWeight(element) + this.getClassWeight(element));
+      }
+    };
+
+    document.body.querySelectorAll(this.paragraphSelector).forEach(paragraph => {
+      if (this.isIgnored(paragraph)) return;
+
+      const text = this.getInnerText(paragraph);
+      if (text.length < this.minParagraphLength) return;
+
+      // Ancestors share the paragraph's score: the parent fully, then less at each level
+      const ancestors = this.getAncestors(paragraph, 5);
+      if (ancestors.length === 0) return;
+
+      let score = 1;
+      score += text.split(/[,，、]/).length - 1;
+      score += Math.min(Math.floor(text.length / 100), 3);
+
+      ancestors.forEach((ancestor, level) => {
+        initialize(ancestor);
+        const divider = level === 0 ? 1 : level === 1 ? 2 : level * 3;
+        scores.set(ancestor, scores.get(ancestor) + score / divider);
+      });
+    });
+
+    if (scores.size === 0) return null;
+
+    // Link-heavy blocks (menus, link lists) lose most of their score
+    const candidates = Array.from(scores.entries()).map(([element, score]) => {
+      const linkDensity = this.getLinkDensity(element);
+      return { element, score: score * (1 - linkDensity), linkDensity };
+    }).sort((a, b) => b.score - a.score);
+
+    let top = candidates[0];
+    if (!top || top.score <= 0) return null;
+
+    top = this.promoteCommonAncestor(top, candidates, scores);
+    top = this.promoteParent(top, candidates);
+
+    return {
+      element: top.element,
+      score: Math.round(top.score * 10) / 10,
+      method: 'readability',
+      candidates: candidates.slice(0, 5).map(candidate => ({
+        element: candidate.element,
+        path: this.describe(candidate.element),
+        score: Math.round(candidate.score * 10) / 10,
+        linkDensity: Math.round(candidate.linkDensity * 100) / 100
+      }))
+    };
+  }
+
+  // When several strong candidates sit under one ancestor, the article is that ancestor
+  // (e.g. a story split into several <div>s around inline ads)
+  promoteCommonAncestor(top, candidates, scores) {
+    const alternatives = candidates
+      .slice(1, 6)
+      .filter(candidate => candidate.score >= top.score * 0.75)
+      .map(candidate => candidate.element);
+
+    if (alternatives.length < 3) return top;
+
+    let ancestor = top.element.parentElement;
+    while (ancestor && ancestor !== document.body) {
+      const contained = alternatives.filter(element => ancestor.contains(element)).length;
+      if (contained >= 3) {
+        const existing = candidates.find(candidate => candidate.element === ancestor);
+        return existing || { element: ancestor, score: scores.get(ancestor) || top.score, linkDensity: this.getLinkDensity(ancestor) };
+      }
+      ancestor = ancestor.parentElement;
+    }
+    return top;
+  }
+
+  // Walk up while the parent scores better (its other children belong to the article too)
+  promoteParent(top, candidates) {
+    let current = top;
+    let lastScore = top.score;
+
+    let parent = current.element.parentElement;
+    while (parent && parent !== document.body) {
+      const entry = candidates.find(candidate => candidate.element === parent);
+      if (!entry) {
+        parent = parent.parentElement;
+        continue;
+      }
+      if (entry.score < lastScore / 3) break;
+      if (entry.score > lastScore) {
+        current = entry;
+      }
+      lastScore = entry.score;
+      parent = parent.parentElement;
+    }
+
+    return current;
+  }
+
+  getAncestors(element, maxDepth) {
+    const ancestors = [];
+    let node = element.parentElement;
+    while (node && node !== document.documentElement && ancestors.length < maxDepth) {
+      if (node === document.body) break;
+      ancestors.push(node);
+      node = node.parentElement;
+    }
+    return ancestors;
+  }
+
+  getTagWeight(element) {
+    switch (element.tagName) {
+      case 'ARTICLE':
+        return 10;
+      case 'MAIN':
+      case 'DIV':
+      case 'SECTION':
+        return 5;
+      case 'PRE':
+      case 'TD':
+      case 'BLOCKQUOTE':
+        return 3;
+      case 'ADDRESS':
+      case 'OL':
+      case 'UL':
+      case 'DL':
+      case 'DD':
+      case 'DT':
+      case 'LI':
+      case 'FORM':
+        return -3;
+      case 'H1':
+      case 'H2':
+      case 'H3':
+      case 'H4':
+      case 'H5':
+      case 'H6':
+      case 'TH':
+      case 'ASIDE':
+      case 'NAV':
+      case 'FOOTER':
+        return -5;
+      default:
+        return 0;
+    }
+  }
+
+  getClassWeight(element) {
+    let weight = 0;
+    [element.className, element.id].forEach(value => {
+      if (typeof value !== 'string' || !value) return;
+      if (this.negative.test(value)) weight -= 25;
+      if (this.positive.test(value)) weight += 25;
+    });
+
+    const role = element.getAttribute('role');
+    if (role === 'main' || role === 'article' || element.getAttribute('itemprop') === 'articleBody') {
+      weight += 25;
+    }
+    return weight;
+  }
+
+  // Page chrome and CogniRead's own UI never count towards a candidate
+  isIgnored(element) {
+    if (element.closest(this.ignoreSelector)) return true;
+    if (element.closest('nav, aside, footer, [role="navigation"], [role="complementary"]')) return true;
+
+    // Unlikely class/id anywhere up the tree, unless it also looks like content
+    for (let node = element; node && node !== document.body; node = node.parentElement) {
+      const hint = `${typeof node.className === 'string' ? node.className : ''} ${node.id}`;
+      if (this.unlikely.test(hint) && !this.maybeCandidate.test(hint) && node.tagName !== 'ARTICLE' && node.tagName !== 'MAIN') {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  getInnerText(element) {
+    return (element.textContent || '').replace(/\s+/g, ' ').trim();
+  }
+
+  getLinkDensity(element) {
+    const textLength = this.getInnerText(element).length;
+    if (textLength === 0) return 0;
+
+    let linkLength = 0;
+    element.querySelectorAll('a').forEach(link => {
+      const href = link.getAttribute('href');
+      // In-page anchors (footnotes, tables of contents) count for less
+      const coefficient = href && href.startsWith('#') ? 0.3 : 1;
+      linkLength += this.getInnerText(link).length * coefficient;
+    });
+    return Math.min(1, linkLength / textLength);
+  }
+
+  // Short CSS-like path for logs, e.g. "main#content > div.article-body"
+  describe(element) {
+    const parts = [];
+    let node = element;
+    while (node && node.nodeType === Node.ELEMENT_NODE && parts.length < 4) {
+      let part = node.tagName.toLowerCase();
+      if (node.id) part += `#${node.id}`;
+      const className = typeof node.className === 'string' ? node.className.trim().split(/\s+/)[0] : '';
+      if (className) part += `.${className}`;
+      parts.unshift(part);
+      if (node === document.body) break;
+      node = node.parentElement;
+    }
+    return parts.join(' > ');
+  }
+
+  // ===== Debugging =====
+
+  // Logs the result and outlines the chosen element (green) and runners-up (orange).
+  // Call again to remove the outlines.
+  debug() {
+    if (this.debugOverlay) {
+      this.debugOverlay.forEach(box => box.remove());
+      this.debugOverlay = null;
+      return this.lastResult;
+    }
+
+    const result = this.extract({ force: true });
+    const score = result.score !== null ? `, score ${result.score}` : '';
+    console.log(`🧭 Main content: ${result.path} (${result.method}${score}, ${result.textLength} chars, ${result.duration} ms)`);
+    if (this.rule) {
+      const excluded = document.querySelectorAll('[data-cogniread-excluded]').length;
+      console.log(`🧭 Site rule: main ${this.rule.main || '(scored)'}, ${excluded} excluded element(s)`, this.rule);
+    }
+    if (result.candidates.length > 0) {
+      console.table(result.candidates.map(({ path, score, linkDensity }) => ({ path, score, linkDensity })));
+    }
+
+    this.debugOverlay = [];
+    const outline = (element, color, label) => {
+      const rect = element.getBoundingClientRect();
+      const box = document.createElement('div');
+      box.className = 'cogniread-extraction-debug';
+      box.style.cssText = `position:absolute;left:${rect.left + window.scrollX}px;top:${rect.top + window.scrollY}px;` +
+        `width:${rect.width}px;height:${rect.height}px;outline:3px dashed ${color};pointer-events:none;z-index:2147483646;`;
+      const tag = document.createElement('span');
+      tag.style.cssText = `position:absolute;top:0;left:0;background:${color};color:#fff;font:12px/1.4 monospace;padding:2px 6px;`;
+      tag.textContent = label;
+      box.appendChild(tag);
+      document.body.appendChild(box);
+      this.debugOverlay.push(box);
+    };
+
+    result.candidates.slice(1).forEach(candidate => {
+      if (candidate.element !== result.element) {
+        outline(candidate.element, '#f0ad4e', `${candidate.path} · ${candidate.score}`);
+      }
+    });
+    document.querySelectorAll('[data-cogniread-excluded]').forEach(element => {
+      outline(element, '#dc3545', 'excluded');
+    });
+    outline(result.element, '#28a745', `main: ${result.path}${result.score !== null ? ` · ${result.score}` : ''}`);
+
+    return result;
+  }
+}
+
+// Export for use in content script
+if (typeof window !== 'undefined') {
+  window.ContentExtractor = ContentExtractor;
+  window.cognireadContentExtractor = new ContentExtractor();
+}
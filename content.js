@@ -4,20 +4,71 @@
 class CogniRead {
   constructor() {
     this.aiService = null;
+    this.uiHost = null;
+    this.uiRoot = null; // Closed shadow root holding all CogniRead UI (see UIRoot)
+    this.contentExtractor = null; // Shared main-content finder (window.cognireadContentExtractor)
+    this.extractionRules = null;
+    this.extractionRule = null; // This site's picked main content / excluded elements
+    this.elementPicker = null;
+    this.contentWatcher = null; // Applies active modes to content that loads later, resets on SPA routes
     this.cognitiveEngine = null;
     this.distractionFreeMode = null;
     this.initialized = false;
+    this.siteProfile = null; // Saved profile for this origin (overrides global preferences)
+    this.savingPaused = false; // Set while features are turned off without saving (see resetAllFeatures)
+    this.pipeline = null; // Ordered paragraph rewrites (simplify, expand, tone, ...)
+    this.textDiff = null;
+    this.comparePanels = new Map(); // Paragraph -> open original vs. rewrite panel
+    this.faithfulnessChecker = null;
+    this.faithfulnessResults = new WeakMap(); // Paragraph -> { rewritten, issues, aiProblems }
+    this.faithfulnessBadges = new Map(); // Paragraph -> its "Check meaning" badge
+    this.overlayObserver = null; // Repositions the compare panels and badges when the page reflows
+    this.overlayResizeHandler = null;
+    this.faithfulnessQueue = Promise.resolve(); // AI checks run one at a time
+    this.readAloud = null;
+    this.readAloudIndex = -1; // Focus chunk being read
+    this.fixationEmphasis = null;
+    this.vocabularyStore = null;
+    this.idiomPackStore = null;
+    this.hiddenMeaningController = null; // Aborts the hidden meaning scan when the mode is turned off
+    this.hiddenMeaningScanned = new WeakSet(); // Elements already sent for hidden meanings
+    this.bilingualController = null; // Aborts the bilingual translations when the mode is turned off
+    this.bilingualLines = new Map(); // Paragraph -> the translation shown under it
+    this.detectedGlossaryDomains = []; // Glossary domains Auto-Detect found on this page
+    this.libraryStore = null;
+    this.readingPosition = null;
+    this.readingPositionTimer = null;
+    this.resumePending = false; // Saved position isn't overwritten while "Resume" is offered
+    this.resumePromptTimer = null; // Closes the "Resume" prompt after a while
+    this.siteProfileTimer = null; // Gathers feature changes on a profiled site into one write
+    this.comprehensionQuiz = null;
+    this.quizParagraphs = []; // Source paragraph elements, indexed by question.paragraphIndex
     this.state = {
       focusMode: false,
       tldrMode: false,
       dyslexiaMode: false,
+      fixationMode: false, // Bold the first part of each word
+      fixationRatio: 0.4,
       definitionsEnabled: true,
+      glossaryDomain: 'auto', // Domain glossary for definitions: 'auto', 'off' or a domain id
       idiomMode: false,
+      idiomPacks: [], // Ids of the idiom packs Literal Language uses with the built-in dictionary
+      hiddenMeaningMode: false, // Mark sarcasm, hyperbole and other non-literal sentences
+      pageLanguage: 'en', // Detected when the page is analyzed (not saved)
+      nativeLanguage: 'en', // Reader's language for definitions, summaries and translations
+      translateFirst: false, // Translate the page into nativeLanguage before other rewrites
+      bilingualMode: false, // Show the other language under each paragraph
       simplificationLevel: 0, // 0=off, 1=ELI5, 2=ELI10, 3=ELI15, 4=College
       expansionMode: false,
       toneAdjustment: 'off', // 'off', 'formal', 'casual', 'encouraging', 'neutral'
       activeVoice: false,
       sentenceRestructuring: false,
+      compareMode: false, // Click a rewritten paragraph to compare it with the original
+      faithfulnessAI: false, // Ask the Prompt API to double-check rewrites for meaning changes
+      readAloud: false, // Speaking the Focus Mode chunks (not restored on load)
+      readAloudRate: 1,
+      readAloudPitch: 1,
+      readAloudVoice: '', // voiceURI, '' = browser default
       currentFocusIndex: 0,
       contentChunks: [],
       theme: 'light', // 'light' or 'dark'
@@ -42,9 +93,38 @@ class CogniRead {
 
     console.log('CogniRead initializing...');
 
+    // Panel, bubbles and modals live in a shadow root, isolated from the page's styles
+    this.uiHost = new UIRoot();
+    this.uiRoot = await this.uiHost.mount();
+
     // Initialize AI service
     this.aiService = new AIService();
     await this.aiService.initialize();
+    this.contentExtractor = window.cognireadContentExtractor;
+    this.extractionRules = new ExtractionRules();
+    this.elementPicker = new ElementPicker({ uiRoot: this.uiRoot });
+    await this.loadExtractionRule();
+    this.pipeline = this.createTransformPipeline();
+    this.textDiff = new TextDiff();
+    this.faithfulnessChecker = new FaithfulnessChecker();
+    this.readAloud = new ReadAloud();
+    this.fixationEmphasis = new FixationEmphasis();
+    this.vocabularyStore = new VocabularyStore();
+    this.idiomPackStore = new IdiomPackStore();
+    // Packs edited on the Idiom Packs page apply without a reload (until the panel is closed)
+    this.idiomPackStore.onChange(() => {
+      if (this.initialized) this.applyIdiomPacks();
+    });
+    this.comprehensionQuiz = new ComprehensionQuiz({ promptAPI: window.cognireadPromptAPI });
+    this.articleExporter = new ArticleExporter();
+    this.libraryStore = new LibraryStore();
+    // Anchors use a paragraph's original text, so rewrites don't move the saved place
+    this.readingPosition = new ReadingPosition({
+      getText: (element) => {
+        const record = this.pipeline.getRecord(element);
+        return record ? record.originalText : element.textContent;
+      }
+    });
 
     // Check if AI APIs are actually loaded (not just using fallbacks)
     const hasAI = !!(this.aiService.languageModel || this.aiService.summarizer || this.aiService.rewriter);
@@ -60,7 +140,10 @@ class CogniRead {
     this.cognitiveEngine = new CognitiveEngine(this.aiService);
 
     // Initialize distraction-free mode
-    this.distractionFreeMode = new DistractionFreeMode();
+    this.distractionFreeMode = new DistractionFreeMode({
+      uiRoot: this.uiRoot,
+      onProgress: () => this.scheduleReadingPositionSave()
+    });
 
     // Create UI elements
     this.createUI();
@@ -68,6 +151,9 @@ class CogniRead {
     // Initialize theme system
     this.initializeTheme();
 
+    // Before the preferences, which decide whether this page gets translated
+    await this.detectPageLanguage();
+
     // Load saved preferences
     await this.loadPreferences();
 
@@ -77,9 +163,20 @@ class CogniRead {
     // Analyze current page
     await this.analyzePage();
 
+    this.contentWatcher = new DynamicContentWatcher({
+      getRoot: () => this.findMainContainer(),
+      ignoreSelector: '#cogniread-ui-host, .cogniread-tldr-container, .cogniread-bilingual-line, ' +
+        '[data-original-text], [data-cogniread-excluded]',
+      onContent: (blocks) => this.handleNewContent(blocks),
+      onNavigate: (url) => this.handleNavigation(url)
+    });
+    this.contentWatcher.start();
+
     this.initialized = true;
     console.log('CogniRead initialized successfully');
 
+    this.offerResume();
+
     // Trigger bounce animation on mini panel
     if (this.ui.miniPanel) {
       this.ui.miniPanel.classList.add('bounce-in');
@@ -97,7 +194,7 @@ class CogniRead {
     // Create overlay container
     this.ui.overlay = document.createElement('div');
     this.ui.overlay.id = 'cogniread-overlay';
-    document.body.appendChild(this.ui.overlay);
+    this.uiRoot.appendChild(this.ui.overlay);
 
     // Progress bar removed - no longer needed
 
@@ -107,7 +204,7 @@ class CogniRead {
     // Create focus mode overlay
     this.ui.focusOverlay = document.createElement('div');
     this.ui.focusOverlay.className = 'cogniread-focus-overlay hidden';
-    document.body.appendChild(this.ui.focusOverlay);
+    this.uiRoot.appendChild(this.ui.focusOverlay);
 
     // Create focus mode counter
     this.ui.focusCounter = document.createElement('div');
@@ -121,13 +218,13 @@ class CogniRead {
         </svg>
       </button>
     `;
-    document.body.appendChild(this.ui.focusCounter);
+    this.uiRoot.appendChild(this.ui.focusCounter);
 
     // Create focus mode content container
     this.ui.focusContent = document.createElement('div');
     this.ui.focusContent.id = 'cogniread-focus-content';
     this.ui.focusContent.className = 'hidden';
-    document.body.appendChild(this.ui.focusContent);
+    this.uiRoot.appendChild(this.ui.focusContent);
   }
 
   createControlPanel() {
@@ -143,7 +240,7 @@ class CogniRead {
         Click to configure
       </div>
     `;
-    document.body.appendChild(this.ui.miniPanel);
+    this.uiRoot.appendChild(this.ui.miniPanel);
 
     // Force immediate visibility and positioning to prevent rendering issues
     // This ensures the button appears correctly in viewport without needing to scroll
@@ -174,6 +271,7 @@ class CogniRead {
           </svg>
           <span class="cogniread-logo-read">Read</span>
         </div>
+        <span class="cogniread-profile-chip" id="cogniread-profile-chip" style="display: none;">Site profile</span>
         <div class="cogniread-header-buttons">
           <button class="cogniread-minimize-btn" id="cogniread-minimize" title="Minimize">−</button>
         </div>
@@ -181,6 +279,89 @@ class CogniRead {
 
       <!-- Scrollable Content -->
       <div class="cogniread-panel-content">
+        <!-- Site Profile Section -->
+        <div class="cogniread-section site-profile" data-section="site-profile">
+          <div class="cogniread-section-header">
+            <div class="cogniread-section-header-left">
+              <span class="cogniread-section-icon">🗂️</span>
+              <span class="cogniread-section-title">Site Profile</span>
+            </div>
+            <div class="cogniread-section-header-right">
+              <span class="cogniread-chevron">▼</span>
+            </div>
+          </div>
+          <div class="cogniread-section-content">
+            <!-- Active profile status -->
+            <div class="cogniread-feature-item">
+              <div class="cogniread-feature-left">
+                <span class="cogniread-feature-icon" data-tooltip="Settings saved for this site are applied automatically when CogniRead activates here">🌍</span>
+                <div class="cogniread-profile-status">
+                  <span class="cogniread-feature-label" id="cogniread-profile-origin"></span>
+                  <span class="cogniread-profile-description" id="cogniread-profile-description">Using global defaults</span>
+                </div>
+              </div>
+            </div>
+            <!-- Save current state as this site's profile -->
+            <div class="cogniread-feature-item">
+              <div class="cogniread-feature-left">
+                <span class="cogniread-feature-icon" data-tooltip="Remembers the features that are on right now for every page on this site">💾</span>
+                <span class="cogniread-feature-label">Save for This Site</span>
+              </div>
+              <button class="cogniread-ai-button" id="cogniread-profile-save-btn">Save</button>
+            </div>
+            <!-- Remove the site profile -->
+            <div class="cogniread-feature-item" id="cogniread-profile-remove-item" style="display: none;">
+              <div class="cogniread-feature-left">
+                <span class="cogniread-feature-icon" data-tooltip="Forgets this site's profile and goes back to your global defaults">↩️</span>
+                <span class="cogniread-feature-label">Use Global Defaults</span>
+              </div>
+              <button class="cogniread-ai-button" id="cogniread-profile-remove-btn">Remove</button>
+            </div>
+            <!-- Extraction rule: where the article is on this site -->
+            <div class="cogniread-feature-item">
+              <div class="cogniread-feature-left">
+                <span class="cogniread-feature-icon" data-tooltip="If CogniRead picks the wrong part of the page, click the article to use it on every page of this site">🎯</span>
+                <div class="cogniread-profile-status">
+                  <span class="cogniread-feature-label">Main Content</span>
+                  <span class="cogniread-profile-description" id="cogniread-extraction-description">Detected automatically</span>
+                </div>
+              </div>
+              <button class="cogniread-ai-button" id="cogniread-pick-main-btn">Pick</button>
+            </div>
+            <div class="cogniread-feature-item">
+              <div class="cogniread-feature-left">
+                <span class="cogniread-feature-icon" data-tooltip="Click a part of the article to leave out (sign-up boxes, related links) on every page of this site">🚫</span>
+                <span class="cogniread-feature-label">Exclude Element</span>
+              </div>
+              <button class="cogniread-ai-button" id="cogniread-pick-exclude-btn">Pick</button>
+            </div>
+            <div class="cogniread-feature-item">
+              <div class="cogniread-feature-left">
+                <span class="cogniread-feature-icon" data-tooltip="Outlines the detected main content (green), the runners-up (orange) and excluded elements (red); scores are logged to the console">🔍</span>
+                <span class="cogniread-feature-label">Show Detection</span>
+              </div>
+              <button class="cogniread-ai-button" id="cogniread-extraction-debug-btn">Show</button>
+            </div>
+            <div class="cogniread-feature-item" id="cogniread-extraction-reset-item" style="display: none;">
+              <div class="cogniread-feature-left">
+                <span class="cogniread-feature-icon" data-tooltip="Forgets the picked main content and exclusions for this site">↩️</span>
+                <span class="cogniread-feature-label">Reset Content Rules</span>
+              </div>
+              <button class="cogniread-ai-button" id="cogniread-extraction-reset-btn">Reset</button>
+            </div>
+            <div class="cogniread-feature-item">
+              <div class="cogniread-feature-left">
+                <span class="cogniread-feature-icon" data-tooltip="Content rules for all sites as a JSON file, to back up or share with your team. Imported rules replace rules for the same sites.">🔁</span>
+                <span class="cogniread-feature-label">Share Content Rules</span>
+              </div>
+              <div class="cogniread-feature-right">
+                <button class="cogniread-ai-button" id="cogniread-rules-export-btn">Export</button>
+                <button class="cogniread-ai-button" id="cogniread-rules-import-btn">Import</button>
+              </div>
+            </div>
+          </div>
+        </div>
+
         <!-- Reading Modes Section -->
         <div class="cogniread-section reading-mode" data-section="reading-mode">
           <div class="cogniread-section-header">
@@ -213,6 +394,26 @@ class CogniRead {
                 <span class="cogniread-slider-label-item">College</span>
               </div>
             </div>
+            <!-- Compare Rewrites -->
+            <div class="cogniread-feature-item">
+              <div class="cogniread-feature-left">
+                <span class="cogniread-feature-icon" data-tooltip="Click a rewritten paragraph to see it next to the original, with word-level changes, and revert it">⇆</span>
+                <span class="cogniread-feature-label">Compare Rewrites</span>
+              </div>
+              <div class="cogniread-feature-right">
+                <div class="cogniread-toggle" id="cogniread-compare-toggle"></div>
+              </div>
+            </div>
+            <!-- AI Meaning Check -->
+            <div class="cogniread-feature-item">
+              <div class="cogniread-feature-left">
+                <span class="cogniread-feature-icon" data-tooltip="Rewrites that drop numbers, dates, negations or names are always flagged. This also asks Chrome's built-in AI for a second opinion">🛡️</span>
+                <span class="cogniread-feature-label">AI Meaning Check</span>
+              </div>
+              <div class="cogniread-feature-right">
+                <div class="cogniread-toggle" id="cogniread-faithfulness-ai-toggle"></div>
+              </div>
+            </div>
           </div>
         </div>
 
@@ -243,6 +444,29 @@ class CogniRead {
                 <div class="cogniread-toggle" id="cogniread-dyslexia-toggle"></div>
               </div>
             </div>
+            <!-- Fixation Emphasis -->
+            <div class="cogniread-feature-item">
+              <div class="cogniread-feature-left">
+                <span class="cogniread-feature-icon" data-tooltip="Bolds the first part of each word to give your eyes an anchor point (skips code and links)">𝐁</span>
+                <span class="cogniread-feature-label">Fixation Emphasis</span>
+              </div>
+              <div class="cogniread-feature-right">
+                <div class="cogniread-toggle" id="cogniread-fixation-toggle"></div>
+              </div>
+            </div>
+            <div class="cogniread-fixation-settings">
+              <div class="cogniread-slider-container">
+                <div class="cogniread-slider-header">
+                  <div class="cogniread-slider-label">
+                    <span class="cogniread-slider-label-text">Bold part of word</span>
+                  </div>
+                  <span class="cogniread-slider-value" id="cogniread-fixation-ratio-value">40%</span>
+                </div>
+                <div class="cogniread-slider-track">
+                  <input type="range" class="cogniread-slider" id="cogniread-fixation-ratio" min="0.2" max="0.7" value="0.4" step="0.05">
+                </div>
+              </div>
+            </div>
             <!-- Show Definitions -->
             <div class="cogniread-feature-item">
               <div class="cogniread-feature-left">
@@ -258,6 +482,36 @@ class CogniRead {
                 <div class="cogniread-toggle" id="cogniread-definitions-toggle"></div>
               </div>
             </div>
+            <!-- Domain Glossary -->
+            <div class="cogniread-feature-item">
+              <div class="cogniread-feature-left">
+                <span class="cogniread-feature-icon" data-tooltip="Highlights medical, legal, finance or computing terms and defines them from a built-in glossary, even offline">🏷️</span>
+                <span class="cogniread-feature-label">Glossary</span>
+              </div>
+              <select id="cogniread-glossary-select" class="cogniread-tone-select">
+                <option value="auto">Auto-Detect</option>
+                <option value="off">Off</option>
+                ${(this.aiService.getDomainGlossary() ? this.aiService.getDomainGlossary().getDomains() : [])
+                  .map(domain => `<option value="${domain.id}">${domain.icon} ${this.escapeHtml(domain.name)}</option>`)
+                  .join('')}
+              </select>
+            </div>
+            <!-- Vocabulary Notebook -->
+            <div class="cogniread-feature-item">
+              <div class="cogniread-feature-left">
+                <span class="cogniread-feature-icon" data-tooltip="Words you look up are saved with their sentence and page so you can review them later">📒</span>
+                <span class="cogniread-feature-label">Vocabulary Notebook</span>
+              </div>
+              <button class="cogniread-ai-button" id="cogniread-vocabulary-btn">Open</button>
+            </div>
+            <!-- Spaced-repetition review -->
+            <div class="cogniread-feature-item">
+              <div class="cogniread-feature-left">
+                <span class="cogniread-feature-icon" data-tooltip="Flashcards of your saved words and idioms, shown again just before you would forget them">🧠</span>
+                <span class="cogniread-feature-label">Review Words</span>
+              </div>
+              <button class="cogniread-ai-button" id="cogniread-review-btn">Review</button>
+            </div>
             <!-- Literal Language -->
             <div class="cogniread-feature-item">
               <div class="cogniread-feature-left">
@@ -273,6 +527,73 @@ class CogniRead {
                 <div class="cogniread-toggle" id="cogniread-literal-toggle"></div>
               </div>
             </div>
+            <div class="cogniread-idiom-pack-settings">
+              <div class="cogniread-feature-item">
+                <div class="cogniread-feature-left">
+                  <span class="cogniread-feature-icon" data-tooltip="Your own or shared collections of idioms, such as business jargon or regional sayings. Your choice is saved with your defaults, or with this site's profile if it has one">📦</span>
+                  <span class="cogniread-feature-label">Idiom Packs</span>
+                </div>
+                <button class="cogniread-ai-button" id="cogniread-idiom-packs-btn">Manage</button>
+              </div>
+              <div class="cogniread-idiom-pack-list" id="cogniread-idiom-pack-list"></div>
+            </div>
+            <!-- Hidden Meanings -->
+            <div class="cogniread-feature-item">
+              <div class="cogniread-feature-left">
+                <span class="cogniread-feature-icon" data-tooltip="Marks sarcasm, rhetorical questions, exaggeration, metaphors and hints, and says plainly what they mean">🎭</span>
+                <span class="cogniread-feature-label">Hidden Meanings</span>
+              </div>
+              <div class="cogniread-feature-right">
+                <button class="cogniread-star-btn" data-feature="hidden-meanings" data-starred="false" title="Pin to quick access">
+                  <svg class="star-icon" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg">
+                    <path d="M12 2l3.09 6.26L22 9.27l-5 4.87 1.18 6.88L12 17.77l-6.18 3.25L7 14.14 2 9.27l6.91-1.01L12 2z" fill="currentColor"/>
+                  </svg>
+                </button>
+                <div class="cogniread-toggle" id="cogniread-hidden-meaning-toggle"></div>
+              </div>
+            </div>
+            <!-- Read Aloud -->
+            <div class="cogniread-feature-item">
+              <div class="cogniread-feature-left">
+                <span class="cogniread-feature-icon" data-tooltip="Reads Focus Mode paragraphs aloud, highlighting each word as it is spoken (R)">🔊</span>
+                <span class="cogniread-feature-label">Read Aloud</span>
+              </div>
+              <div class="cogniread-feature-right">
+                <div class="cogniread-toggle" id="cogniread-read-aloud-toggle"></div>
+              </div>
+            </div>
+            <div class="cogniread-read-aloud-settings">
+              <div class="cogniread-slider-container">
+                <div class="cogniread-slider-header">
+                  <div class="cogniread-slider-label">
+                    <span class="cogniread-slider-label-text">Speed</span>
+                  </div>
+                  <span class="cogniread-slider-value" id="cogniread-read-aloud-rate-value">1.0×</span>
+                </div>
+                <div class="cogniread-slider-track">
+                  <input type="range" class="cogniread-slider" id="cogniread-read-aloud-rate" min="0.5" max="2" value="1" step="0.1">
+                </div>
+              </div>
+              <div class="cogniread-slider-container">
+                <div class="cogniread-slider-header">
+                  <div class="cogniread-slider-label">
+                    <span class="cogniread-slider-label-text">Pitch</span>
+                  </div>
+                  <span class="cogniread-slider-value" id="cogniread-read-aloud-pitch-value">1.0</span>
+                </div>
+                <div class="cogniread-slider-track">
+                  <input type="range" class="cogniread-slider" id="cogniread-read-aloud-pitch" min="0.5" max="2" value="1" step="0.1">
+                </div>
+              </div>
+              <div class="cogniread-feature-item">
+                <div class="cogniread-feature-left">
+                  <span class="cogniread-feature-label">Voice</span>
+                </div>
+                <select id="cogniread-read-aloud-voice" class="cogniread-tone-select">
+                  <option value="">Default</option>
+                </select>
+              </div>
+            </div>
           </div>
         </div>
 
@@ -320,6 +641,14 @@ class CogniRead {
               </div>
               <button class="cogniread-ai-button" id="cogniread-goals-btn">Analyze</button>
             </div>
+            <!-- Comprehension Quiz -->
+            <div class="cogniread-feature-item">
+              <div class="cogniread-feature-left">
+                <span class="cogniread-feature-icon" data-tooltip="Questions about this article; a wrong answer takes you to the paragraph that has the answer">✅</span>
+                <span class="cogniread-feature-label">Check My Understanding</span>
+              </div>
+              <button class="cogniread-ai-button" id="cogniread-quiz-btn">Quiz</button>
+            </div>
             <!-- Cognitive Load Indicator -->
             <div class="cogniread-feature-item">
               <div class="cogniread-feature-left">
@@ -395,6 +724,32 @@ class CogniRead {
                 <div class="cogniread-toggle" id="cogniread-distraction-free-toggle"></div>
               </div>
             </div>
+            <!-- Export Article -->
+            <div class="cogniread-feature-item">
+              <div class="cogniread-feature-left">
+                <span class="cogniread-feature-icon" data-tooltip="Save this page as you see it now - with TL;DR, definitions as footnotes and an idiom glossary">💾</span>
+                <span class="cogniread-feature-label">Export Article</span>
+              </div>
+              <div class="cogniread-feature-right">
+                <select id="cogniread-export-format" class="cogniread-tone-select">
+                  <option value="html">HTML</option>
+                  <option value="markdown">Markdown</option>
+                  <option value="epub">EPUB</option>
+                </select>
+                <button class="cogniread-ai-button" id="cogniread-export-btn">Export</button>
+              </div>
+            </div>
+            <!-- Offline Library -->
+            <div class="cogniread-feature-item">
+              <div class="cogniread-feature-left">
+                <span class="cogniread-feature-icon" data-tooltip="Keep this article, with your current transformations, to read later without a connection">🔖</span>
+                <span class="cogniread-feature-label">Save for Later</span>
+              </div>
+              <div class="cogniread-feature-right">
+                <button class="cogniread-ai-button" id="cogniread-save-article-btn">Save</button>
+                <button class="cogniread-ai-button" id="cogniread-library-btn">Library</button>
+              </div>
+            </div>
           </div>
         </div>
 
@@ -486,6 +841,74 @@ class CogniRead {
             </div>
           </div>
         </div>
+
+        <!-- Language Section -->
+        <div class="cogniread-section language-features" data-section="language-features">
+          <div class="cogniread-section-header">
+            <div class="cogniread-section-header-left">
+              <span class="cogniread-section-icon">🌍</span>
+              <span class="cogniread-section-title">Language</span>
+            </div>
+            <div class="cogniread-section-header-right">
+              <span class="cogniread-chevron">▼</span>
+            </div>
+          </div>
+          <div class="cogniread-section-content">
+            <!-- Page Language -->
+            <div class="cogniread-feature-item">
+              <div class="cogniread-feature-left">
+                <span class="cogniread-feature-icon" data-tooltip="Detected from the article text">🔎</span>
+                <span class="cogniread-feature-label">Page Language</span>
+              </div>
+              <span class="cogniread-page-language" id="cogniread-page-language"></span>
+            </div>
+            <!-- Native Language -->
+            <div class="cogniread-feature-item">
+              <div class="cogniread-feature-left">
+                <span class="cogniread-feature-icon" data-tooltip="Definitions and summaries are given in this language, and pages are translated into it">🏠</span>
+                <span class="cogniread-feature-label">My Language</span>
+              </div>
+              <select id="cogniread-native-language-select" class="cogniread-tone-select">
+                ${this.aiService.translationLanguages
+                  .map(code => ({ code, name: this.aiService.getLanguageName(code) }))
+                  .sort((a, b) => a.name.localeCompare(b.name))
+                  .map(language => `<option value="${language.code}">${this.escapeHtml(language.name)}</option>`)
+                  .join('')}
+              </select>
+            </div>
+            <!-- Translate First -->
+            <div class="cogniread-feature-item">
+              <div class="cogniread-feature-left">
+                <span class="cogniread-feature-icon" data-tooltip="Translates the page into your language; simplification and the other rewrites then work on the translation">🌐</span>
+                <span class="cogniread-feature-label">Translate First</span>
+              </div>
+              <div class="cogniread-feature-right">
+                <button class="cogniread-star-btn" data-feature="translate-first" data-starred="false" title="Pin to quick access">
+                  <svg class="star-icon" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg">
+                    <path d="M12 2l3.09 6.26L22 9.27l-5 4.87 1.18 6.88L12 17.77l-6.18 3.25L7 14.14 2 9.27l6.91-1.01L12 2z" fill="currentColor"/>
+                  </svg>
+                </button>
+                <div class="cogniread-toggle" id="cogniread-translate-first-toggle"></div>
+              </div>
+            </div>
+            <!-- Bilingual -->
+            <div class="cogniread-feature-item">
+              <div class="cogniread-feature-left">
+                <span class="cogniread-feature-icon" data-tooltip="For language learners: shows each paragraph in your language under the original">📑</span>
+                <span class="cogniread-feature-label">Bilingual</span>
+              </div>
+              <div class="cogniread-feature-right">
+                <button class="cogniread-star-btn" data-feature="bilingual" data-starred="false" title="Pin to quick access">
+                  <svg class="star-icon" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg">
+                    <path d="M12 2l3.09 6.26L22 9.27l-5 4.87 1.18 6.88L12 17.77l-6.18 3.25L7 14.14 2 9.27l6.91-1.01L12 2z" fill="currentColor"/>
+                  </svg>
+                </button>
+                <div class="cogniread-toggle" id="cogniread-bilingual-toggle"></div>
+              </div>
+            </div>
+            <div class="cogniread-language-note" id="cogniread-language-note"></div>
+          </div>
+        </div>
       </div>
 
       <!-- Theme Selector Footer (Outside scrollable area) -->
@@ -519,7 +942,7 @@ class CogniRead {
         <button class="cogniread-close-btn" id="cogniread-close" title="Close (refresh to reopen)">×</button>
       </div>
     `;
-    document.body.appendChild(this.ui.controls);
+    this.uiRoot.appendChild(this.ui.controls);
 
     // Panel toggle interactions
     this.ui.miniPanel.addEventListener('click', () => {
@@ -529,14 +952,14 @@ class CogniRead {
     });
 
     // Header click to toggle collapse/expand
-    document.getElementById('cogniread-panel-header').addEventListener('click', (e) => {
+    this.uiRoot.getElementById('cogniread-panel-header').addEventListener('click', (e) => {
       // Don't toggle if clicking on buttons
       if (e.target.closest('.cogniread-header-buttons')) return;
 
       this.togglePanelCollapse();
     });
 
-    document.getElementById('cogniread-minimize').addEventListener('click', (e) => {
+    this.uiRoot.getElementById('cogniread-minimize').addEventListener('click', (e) => {
       e.stopPropagation();
       this.ui.controls.classList.remove('cogniread-panel-expanded');
       setTimeout(() => {
@@ -545,7 +968,7 @@ class CogniRead {
     });
 
     // Close button - completely hides extension
-    document.getElementById('cogniread-close').addEventListener('click', (e) => {
+    this.uiRoot.getElementById('cogniread-close').addEventListener('click', (e) => {
       e.stopPropagation();
       this.showCloseConfirmation();
     });
@@ -615,7 +1038,7 @@ class CogniRead {
 
   showCloseConfirmation() {
     // Remove any existing confirmation modal
-    const existingModal = document.getElementById('cogniread-close-modal');
+    const existingModal = this.uiRoot.getElementById('cogniread-close-modal');
     if (existingModal) existingModal.remove();
 
     // Create modal overlay
@@ -651,15 +1074,15 @@ class CogniRead {
       </div>
     `;
 
-    document.body.appendChild(modal);
+    this.uiRoot.appendChild(modal);
 
     // Add event listeners
-    document.getElementById('cogniread-cancel-close').addEventListener('click', () => {
+    this.uiRoot.getElementById('cogniread-cancel-close').addEventListener('click', () => {
       modal.classList.add('fade-out');
       setTimeout(() => modal.remove(), 200);
     });
 
-    document.getElementById('cogniread-confirm-close').addEventListener('click', () => {
+    this.uiRoot.getElementById('cogniread-confirm-close').addEventListener('click', () => {
       modal.classList.add('fade-out');
       setTimeout(() => {
         modal.remove();
@@ -690,7 +1113,7 @@ class CogniRead {
     console.log('💬 Showing alternative phrasings for:', selectedText);
 
     // Remove any existing modal
-    const existingModal = document.getElementById('cogniread-alternatives-modal');
+    const existingModal = this.uiRoot.getElementById('cogniread-alternatives-modal');
     if (existingModal) existingModal.remove();
 
     // Create modal overlay
@@ -720,7 +1143,7 @@ class CogniRead {
       </div>
     `;
 
-    document.body.appendChild(modal);
+    this.uiRoot.appendChild(modal);
 
     // Add event listeners
     const closeModal = () => {
@@ -728,7 +1151,7 @@ class CogniRead {
       setTimeout(() => modal.remove(), 200);
     };
 
-    document.getElementById('cogniread-alternatives-close').addEventListener('click', closeModal);
+    this.uiRoot.getElementById('cogniread-alternatives-close').addEventListener('click', closeModal);
 
     // Close on overlay click
     modal.addEventListener('click', (e) => {
@@ -750,7 +1173,7 @@ class CogniRead {
     try {
       const alternatives = await this.aiService.generateAlternativePhrasings(selectedText);
 
-      const listContainer = document.getElementById('cogniread-alternatives-list');
+      const listContainer = this.uiRoot.getElementById('cogniread-alternatives-list');
 
       if (alternatives && alternatives.length > 0) {
         listContainer.innerHTML = alternatives.map((alt, index) => `
@@ -768,7 +1191,7 @@ class CogniRead {
       }
     } catch (error) {
       console.error('Failed to generate alternatives:', error);
-      const listContainer = document.getElementById('cogniread-alternatives-list');
+      const listContainer = this.uiRoot.getElementById('cogniread-alternatives-list');
       listContainer.innerHTML = `
         <div class="cogniread-alternatives-error">
           <p>Failed to generate alternative phrasings. Please try again.</p>
@@ -781,14 +1204,17 @@ class CogniRead {
     console.log('👋 Closing CogniRead extension...');
 
     // Disable all active features
-    if (this.state.simplificationLevel > 0) {
-      this.removeSimplification();
-      this.state.simplificationLevel = 0;
-    }
-    if (this.state.expansionMode) {
-      this.removeExpansion();
-      this.state.expansionMode = false;
-    }
+    this.readAloud.stop();
+    this.closeAllComparePanels();
+    this.removeAllFaithfulnessBadges();
+    this.closeQuizPanel();
+    this.closeResumePrompt();
+    this.toggleExtractionDebug(false);
+    this.elementPicker.stop(null);
+    if (this.contentWatcher) this.contentWatcher.stop();
+    this.pipeline.clear();
+    this.state.simplificationLevel = 0;
+    this.state.expansionMode = false;
     if (this.state.focusMode) {
       this.toggleFocusMode(false);
     }
@@ -804,6 +1230,12 @@ class CogniRead {
     if (this.state.idiomMode) {
       this.restoreOriginalText();
     }
+    if (this.state.hiddenMeaningMode) {
+      this.removeHiddenMeanings();
+    }
+    if (this.state.bilingualMode) {
+      this.removeBilingualLines();
+    }
 
     // Remove all UI elements from DOM
     if (this.ui.miniPanel) {
@@ -836,19 +1268,29 @@ class CogniRead {
     }
 
     // Remove any AI warning if present
-    const aiWarning = document.getElementById('cogniread-ai-warning');
+    const aiWarning = this.uiRoot.getElementById('cogniread-ai-warning');
     if (aiWarning) aiWarning.remove();
 
+    // Everything else mounted in the UI root (bubbles, modals, toasts) goes with it
+    this.uiHost.unmount();
+
     // Mark extension as not initialized
     this.initialized = false;
 
     console.log('✅ Extension closed and removed from DOM. Refresh page to reopen.');
   }
 
+  // Whether a key event comes from a text field, on the page or in the panel (events from
+  // the shadow root reach the document with the host as their target)
+  isEditableTarget(e) {
+    const target = e.composedPath()[0] || e.target;
+    return !!target && (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName));
+  }
+
   setupEventListeners() {
     // Simplification slider
-    const simplificationSlider = document.getElementById('cogniread-simplification-slider');
-    const simplificationValue = document.getElementById('cogniread-simplification-value');
+    const simplificationSlider = this.uiRoot.getElementById('cogniread-simplification-slider');
+    const simplificationValue = this.uiRoot.getElementById('cogniread-simplification-value');
 
     if (simplificationSlider && simplificationValue) {
       simplificationSlider.addEventListener('input', (e) => {
@@ -862,7 +1304,7 @@ class CogniRead {
     }
 
     // Text expansion toggle
-    const expansionToggle = document.getElementById('cogniread-expansion-toggle');
+    const expansionToggle = this.uiRoot.getElementById('cogniread-expansion-toggle');
     if (expansionToggle) {
       expansionToggle.addEventListener('click', () => {
         const isActive = expansionToggle.classList.toggle('active');
@@ -872,7 +1314,7 @@ class CogniRead {
     }
 
     // Tone adjustment select
-    const toneSelect = document.getElementById('cogniread-tone-select');
+    const toneSelect = this.uiRoot.getElementById('cogniread-tone-select');
     if (toneSelect) {
       toneSelect.addEventListener('change', (e) => {
         const tone = e.target.value;
@@ -882,8 +1324,36 @@ class CogniRead {
       });
     }
 
+    // Native language select
+    const nativeLanguageSelect = this.uiRoot.getElementById('cogniread-native-language-select');
+    if (nativeLanguageSelect) {
+      nativeLanguageSelect.addEventListener('change', (e) => {
+        this.setNativeLanguage(e.target.value);
+      });
+    }
+
+    // Translate first toggle
+    const translateFirstToggle = this.uiRoot.getElementById('cogniread-translate-first-toggle');
+    if (translateFirstToggle) {
+      translateFirstToggle.addEventListener('click', () => {
+        const isActive = translateFirstToggle.classList.toggle('active');
+        this.toggleTranslateFirst(isActive);
+        this.updateActiveBadge();
+      });
+    }
+
+    // Bilingual toggle
+    const bilingualToggle = this.uiRoot.getElementById('cogniread-bilingual-toggle');
+    if (bilingualToggle) {
+      bilingualToggle.addEventListener('click', () => {
+        const isActive = bilingualToggle.classList.toggle('active');
+        this.toggleBilingualMode(isActive);
+        this.updateActiveBadge();
+      });
+    }
+
     // Sentence restructuring toggle
-    const restructureToggle = document.getElementById('cogniread-restructure-toggle');
+    const restructureToggle = this.uiRoot.getElementById('cogniread-restructure-toggle');
     if (restructureToggle) {
       restructureToggle.addEventListener('click', () => {
         const isActive = restructureToggle.classList.toggle('active');
@@ -893,7 +1363,7 @@ class CogniRead {
     }
 
     // Active voice toggle
-    const activeVoiceToggle = document.getElementById('cogniread-active-voice-toggle');
+    const activeVoiceToggle = this.uiRoot.getElementById('cogniread-active-voice-toggle');
     if (activeVoiceToggle) {
       activeVoiceToggle.addEventListener('click', () => {
         const isActive = activeVoiceToggle.classList.toggle('active');
@@ -902,8 +1372,69 @@ class CogniRead {
       });
     }
 
+    // Compare rewrites toggle
+    const compareToggle = this.uiRoot.getElementById('cogniread-compare-toggle');
+    if (compareToggle) {
+      compareToggle.addEventListener('click', () => {
+        const isActive = compareToggle.classList.toggle('active');
+        this.toggleCompareMode(isActive);
+      });
+    }
+
+    // Read aloud toggle and settings
+    const readAloudToggle = this.uiRoot.getElementById('cogniread-read-aloud-toggle');
+    if (readAloudToggle) {
+      readAloudToggle.addEventListener('click', () => {
+        this.toggleReadAloud(!readAloudToggle.classList.contains('active'));
+      });
+    }
+
+    const readAloudRate = this.uiRoot.getElementById('cogniread-read-aloud-rate');
+    if (readAloudRate) {
+      readAloudRate.addEventListener('input', (e) => {
+        this.state.readAloudRate = parseFloat(e.target.value);
+        this.updateReadAloudSettingsUI();
+      });
+      // Apply on release - changing the rate restarts the current sentence
+      readAloudRate.addEventListener('change', () => {
+        this.readAloud.setSettings({ rate: this.state.readAloudRate });
+        this.savePreferences();
+      });
+    }
+
+    const readAloudPitch = this.uiRoot.getElementById('cogniread-read-aloud-pitch');
+    if (readAloudPitch) {
+      readAloudPitch.addEventListener('input', (e) => {
+        this.state.readAloudPitch = parseFloat(e.target.value);
+        this.updateReadAloudSettingsUI();
+      });
+      readAloudPitch.addEventListener('change', () => {
+        this.readAloud.setSettings({ pitch: this.state.readAloudPitch });
+        this.savePreferences();
+      });
+    }
+
+    const readAloudVoice = this.uiRoot.getElementById('cogniread-read-aloud-voice');
+    if (readAloudVoice) {
+      readAloudVoice.addEventListener('change', (e) => {
+        this.state.readAloudVoice = e.target.value;
+        this.readAloud.setSettings({ voiceURI: this.state.readAloudVoice });
+        this.savePreferences();
+      });
+      this.populateReadAloudVoices();
+    }
+
+    // AI meaning check toggle
+    const faithfulnessAIToggle = this.uiRoot.getElementById('cogniread-faithfulness-ai-toggle');
+    if (faithfulnessAIToggle) {
+      faithfulnessAIToggle.addEventListener('click', () => {
+        const isActive = faithfulnessAIToggle.classList.toggle('active');
+        this.toggleFaithfulnessAI(isActive);
+      });
+    }
+
     // Focus mode toggle
-    const focusModeToggle = document.getElementById('cogniread-focus-mode-toggle');
+    const focusModeToggle = this.uiRoot.getElementById('cogniread-focus-mode-toggle');
     if (focusModeToggle) {
       focusModeToggle.addEventListener('click', () => {
         const isActive = focusModeToggle.classList.toggle('active');
@@ -913,7 +1444,7 @@ class CogniRead {
     }
 
     // TL;DR mode toggle
-    const tldrModeToggle = document.getElementById('cogniread-tldr-toggle');
+    const tldrModeToggle = this.uiRoot.getElementById('cogniread-tldr-toggle');
     if (tldrModeToggle) {
       tldrModeToggle.addEventListener('click', () => {
         const isActive = tldrModeToggle.classList.toggle('active');
@@ -923,7 +1454,7 @@ class CogniRead {
     }
 
     // Distraction-Free mode toggle
-    const distractionFreeToggle = document.getElementById('cogniread-distraction-free-toggle');
+    const distractionFreeToggle = this.uiRoot.getElementById('cogniread-distraction-free-toggle');
     if (distractionFreeToggle) {
       distractionFreeToggle.addEventListener('click', () => {
         const isActive = distractionFreeToggle.classList.toggle('active');
@@ -933,7 +1464,7 @@ class CogniRead {
     }
 
     // Dyslexia mode toggle
-    const dyslexiaModeToggle = document.getElementById('cogniread-dyslexia-toggle');
+    const dyslexiaModeToggle = this.uiRoot.getElementById('cogniread-dyslexia-toggle');
     if (dyslexiaModeToggle) {
       dyslexiaModeToggle.addEventListener('click', () => {
         const isActive = dyslexiaModeToggle.classList.toggle('active');
@@ -942,8 +1473,28 @@ class CogniRead {
       });
     }
 
+    // Fixation emphasis toggle and ratio
+    const fixationToggle = this.uiRoot.getElementById('cogniread-fixation-toggle');
+    if (fixationToggle) {
+      fixationToggle.addEventListener('click', () => {
+        const isActive = fixationToggle.classList.toggle('active');
+        this.toggleFixationMode(isActive);
+      });
+    }
+
+    const fixationRatio = this.uiRoot.getElementById('cogniread-fixation-ratio');
+    if (fixationRatio) {
+      fixationRatio.addEventListener('input', (e) => {
+        this.state.fixationRatio = parseFloat(e.target.value);
+        this.updateFixationSettingsUI();
+      });
+      fixationRatio.addEventListener('change', () => {
+        this.setFixationRatio(this.state.fixationRatio);
+      });
+    }
+
     // Definitions toggle
-    const definitionsToggle = document.getElementById('cogniread-definitions-toggle');
+    const definitionsToggle = this.uiRoot.getElementById('cogniread-definitions-toggle');
     if (definitionsToggle) {
       definitionsToggle.addEventListener('click', () => {
         const isActive = definitionsToggle.classList.toggle('active');
@@ -952,8 +1503,16 @@ class CogniRead {
       });
     }
 
+    // Domain glossary select
+    const glossarySelect = this.uiRoot.getElementById('cogniread-glossary-select');
+    if (glossarySelect) {
+      glossarySelect.addEventListener('change', (e) => {
+        this.setGlossaryDomain(e.target.value);
+      });
+    }
+
     // Idiom mode toggle
-    const idiomModeToggle = document.getElementById('cogniread-literal-toggle');
+    const idiomModeToggle = this.uiRoot.getElementById('cogniread-literal-toggle');
     if (idiomModeToggle) {
       idiomModeToggle.addEventListener('click', () => {
         const isActive = idiomModeToggle.classList.toggle('active');
@@ -962,10 +1521,20 @@ class CogniRead {
       });
     }
 
+    // Hidden meaning toggle
+    const hiddenMeaningToggle = this.uiRoot.getElementById('cogniread-hidden-meaning-toggle');
+    if (hiddenMeaningToggle) {
+      hiddenMeaningToggle.addEventListener('click', () => {
+        const isActive = hiddenMeaningToggle.classList.toggle('active');
+        this.toggleHiddenMeaningMode(isActive);
+        this.updateActiveBadge();
+      });
+    }
+
     // ===== AI-Powered Features Event Listeners =====
 
     // Plain Language select
-    const plainLanguageSelect = document.getElementById('cogniread-plain-language-select');
+    const plainLanguageSelect = this.uiRoot.getElementById('cogniread-plain-language-select');
     if (plainLanguageSelect) {
       plainLanguageSelect.addEventListener('change', (e) => {
         this.applyPlainLanguageTranslation(e.target.value);
@@ -973,16 +1542,80 @@ class CogniRead {
       });
     }
 
+    // Idiom packs: enable per profile, manage on their own page
+    const idiomPacksBtn = this.uiRoot.getElementById('cogniread-idiom-packs-btn');
+    if (idiomPacksBtn) {
+      idiomPacksBtn.addEventListener('click', () => {
+        this.openExtensionPage('idiom-packs.html');
+      });
+    }
+
+    const idiomPackList = this.uiRoot.getElementById('cogniread-idiom-pack-list');
+    if (idiomPackList) {
+      idiomPackList.addEventListener('change', (e) => {
+        if (e.target.matches('input[data-pack-id]')) {
+          this.toggleIdiomPack(e.target.dataset.packId, e.target.checked);
+        }
+      });
+    }
+
+    // Vocabulary notebook button
+    const vocabularyBtn = this.uiRoot.getElementById('cogniread-vocabulary-btn');
+    if (vocabularyBtn) {
+      vocabularyBtn.addEventListener('click', () => {
+        this.openExtensionPage('vocabulary.html');
+      });
+    }
+
+    const reviewBtn = this.uiRoot.getElementById('cogniread-review-btn');
+    if (reviewBtn) {
+      reviewBtn.addEventListener('click', () => {
+        this.openExtensionPage('review.html');
+      });
+    }
+
     // Prerequisites button
-    const prerequisitesBtn = document.getElementById('cogniread-prerequisites-btn');
+    const prerequisitesBtn = this.uiRoot.getElementById('cogniread-prerequisites-btn');
     if (prerequisitesBtn) {
       prerequisitesBtn.addEventListener('click', () => {
         this.showPrerequisites();
       });
     }
 
+    // Export article button
+    const exportBtn = this.uiRoot.getElementById('cogniread-export-btn');
+    if (exportBtn) {
+      exportBtn.addEventListener('click', () => {
+        const format = this.uiRoot.getElementById('cogniread-export-format').value;
+        this.exportArticle(format);
+      });
+    }
+
+    // Offline library buttons
+    const saveArticleBtn = this.uiRoot.getElementById('cogniread-save-article-btn');
+    if (saveArticleBtn) {
+      saveArticleBtn.addEventListener('click', () => {
+        this.saveArticleForLater();
+      });
+    }
+
+    const libraryBtn = this.uiRoot.getElementById('cogniread-library-btn');
+    if (libraryBtn) {
+      libraryBtn.addEventListener('click', () => {
+        this.openExtensionPage('library.html');
+      });
+    }
+
+    // Comprehension quiz button
+    const quizBtn = this.uiRoot.getElementById('cogniread-quiz-btn');
+    if (quizBtn) {
+      quizBtn.addEventListener('click', () => {
+        this.showComprehensionQuiz();
+      });
+    }
+
     // Reading Goals button
-    const goalsBtn = document.getElementById('cogniread-goals-btn');
+    const goalsBtn = this.uiRoot.getElementById('cogniread-goals-btn');
     if (goalsBtn) {
       goalsBtn.addEventListener('click', () => {
         this.showReadingGoals();
@@ -990,7 +1623,7 @@ class CogniRead {
     }
 
     // Cognitive Load Heatmap toggle
-    const heatmapToggle = document.getElementById('cogniread-heatmap-toggle');
+    const heatmapToggle = this.uiRoot.getElementById('cogniread-heatmap-toggle');
     if (heatmapToggle) {
       heatmapToggle.addEventListener('click', () => {
         const isActive = heatmapToggle.classList.toggle('active');
@@ -1000,7 +1633,7 @@ class CogniRead {
     }
 
     // Theme toggle button - cycles through: light -> dark -> light
-    const themeToggle = document.getElementById('cogniread-theme-toggle');
+    const themeToggle = this.uiRoot.getElementById('cogniread-theme-toggle');
     if (themeToggle) {
       themeToggle.addEventListener('click', () => {
         const themeOrder = ['light', 'dark'];
@@ -1012,7 +1645,7 @@ class CogniRead {
     }
 
     // Position toggle button - cycles through: top-right -> top-left -> bottom-left -> bottom-right -> top-right
-    const positionToggle = document.getElementById('cogniread-position-toggle');
+    const positionToggle = this.uiRoot.getElementById('cogniread-position-toggle');
     if (positionToggle) {
       positionToggle.addEventListener('click', () => {
         const positionOrder = ['top-right', 'top-left', 'bottom-left', 'bottom-right'];
@@ -1024,7 +1657,7 @@ class CogniRead {
     }
 
     // Escape hatch button - resets all features to off
-    const escapeHatch = document.getElementById('cogniread-escape-hatch');
+    const escapeHatch = this.uiRoot.getElementById('cogniread-escape-hatch');
     if (escapeHatch) {
       escapeHatch.addEventListener('click', async () => {
         // Confirmation dialog
@@ -1039,13 +1672,21 @@ class CogniRead {
     // Scroll progress tracking
     window.addEventListener('scroll', () => {
       this.updateProgress();
+      this.scheduleReadingPositionSave();
     });
 
-    // Keyboard shortcuts
+    // Remember the reading position and pending profile changes when the tab is closed or
+    // navigated away
+    window.addEventListener('pagehide', () => {
+      this.saveReadingPosition();
+      this.saveScheduledSiteProfile();
+    });
+
+    // Keyboard shortcuts
     document.addEventListener('keydown', (e) => {
       if (e.ctrlKey && e.shiftKey && e.key === 'F') {
         e.preventDefault();
-        const toggle = document.getElementById('cogniread-focus-mode-toggle');
+        const toggle = this.uiRoot.getElementById('cogniread-focus-mode-toggle');
         if (toggle) {
           const isActive = toggle.classList.contains('active');
           toggle.classList.toggle('active');
@@ -1054,7 +1695,7 @@ class CogniRead {
       }
       if (e.ctrlKey && e.shiftKey && e.key === 'T') {
         e.preventDefault();
-        const toggle = document.getElementById('cogniread-tldr-toggle');
+        const toggle = this.uiRoot.getElementById('cogniread-tldr-toggle');
         if (toggle) {
           const isActive = toggle.classList.contains('active');
           toggle.classList.toggle('active');
@@ -1063,7 +1704,7 @@ class CogniRead {
       }
       if (e.ctrlKey && e.shiftKey && e.key === 'D') {
         e.preventDefault();
-        const toggle = document.getElementById('cogniread-distraction-free-toggle');
+        const toggle = this.uiRoot.getElementById('cogniread-distraction-free-toggle');
         if (toggle) {
           const isActive = toggle.classList.contains('active');
           toggle.classList.toggle('active');
@@ -1082,6 +1723,9 @@ class CogniRead {
     });
 
     document.addEventListener('keydown', (e) => {
+      // Typing in a field and browser shortcuts (Ctrl+R, Alt+←) keep working
+      if (this.isEditableTarget(e) || e.ctrlKey || e.metaKey || e.altKey) return;
+
       if (this.state.focusMode) {
         if (e.key === 'ArrowRight' || e.key === ' ') {
           e.preventDefault();
@@ -1089,8 +1733,11 @@ class CogniRead {
         } else if (e.key === 'ArrowLeft') {
           e.preventDefault();
           this.previousFocusChunk();
+        } else if (e.key === 'r' || e.key === 'R') {
+          e.preventDefault();
+          this.toggleReadAloudPlayback();
         } else if (e.key === 'Escape') {
-          const toggle = document.getElementById('cogniread-focus-mode-toggle');
+          const toggle = this.uiRoot.getElementById('cogniread-focus-mode-toggle');
           if (toggle) {
             toggle.classList.remove('active');
             this.toggleFocusMode(false);
@@ -1101,7 +1748,7 @@ class CogniRead {
 
     // ===== Star Button Event Listeners =====
     // Handle star toggle for all features
-    const starButtons = document.querySelectorAll('.cogniread-star-btn');
+    const starButtons = this.uiRoot.querySelectorAll('.cogniread-star-btn');
     starButtons.forEach(starBtn => {
       starBtn.addEventListener('click', (e) => {
         e.stopPropagation(); // Prevent triggering parent element events
@@ -1133,6 +1780,63 @@ class CogniRead {
         console.log(`⭐ ${newStarredState ? 'Starred' : 'Unstarred'} feature: ${featureName}`);
       });
     });
+
+    // ===== Site Profile Event Listeners =====
+    const profileSaveBtn = this.uiRoot.getElementById('cogniread-profile-save-btn');
+    if (profileSaveBtn) {
+      profileSaveBtn.addEventListener('click', () => {
+        this.saveSiteProfile();
+      });
+    }
+
+    const profileRemoveBtn = this.uiRoot.getElementById('cogniread-profile-remove-btn');
+    if (profileRemoveBtn) {
+      profileRemoveBtn.addEventListener('click', () => {
+        this.removeSiteProfile();
+      });
+    }
+
+    const pickMainBtn = this.uiRoot.getElementById('cogniread-pick-main-btn');
+    if (pickMainBtn) {
+      pickMainBtn.addEventListener('click', () => {
+        this.pickExtractionElement('main');
+      });
+    }
+
+    const pickExcludeBtn = this.uiRoot.getElementById('cogniread-pick-exclude-btn');
+    if (pickExcludeBtn) {
+      pickExcludeBtn.addEventListener('click', () => {
+        this.pickExtractionElement('exclude');
+      });
+    }
+
+    const extractionDebugBtn = this.uiRoot.getElementById('cogniread-extraction-debug-btn');
+    if (extractionDebugBtn) {
+      extractionDebugBtn.addEventListener('click', () => {
+        this.toggleExtractionDebug();
+      });
+    }
+
+    const extractionResetBtn = this.uiRoot.getElementById('cogniread-extraction-reset-btn');
+    if (extractionResetBtn) {
+      extractionResetBtn.addEventListener('click', () => {
+        this.resetExtractionRule();
+      });
+    }
+
+    const rulesExportBtn = this.uiRoot.getElementById('cogniread-rules-export-btn');
+    if (rulesExportBtn) {
+      rulesExportBtn.addEventListener('click', () => {
+        this.exportExtractionRules();
+      });
+    }
+
+    const rulesImportBtn = this.uiRoot.getElementById('cogniread-rules-import-btn');
+    if (rulesImportBtn) {
+      rulesImportBtn.addEventListener('click', () => {
+        this.importExtractionRules();
+      });
+    }
   }
 
   async analyzePage() {
@@ -1154,24 +1858,9 @@ class CogniRead {
   async applySimplification(level) {
     console.log('📊 Applying simplification level:', level);
 
-    // Remove any existing simplification first
-    this.removeSimplification();
-
-    if (level === 0) {
-      // Off - nothing to do
-      await this.savePreferences();
-      return;
-    }
-
     const levelNames = ['', 'ELI5', 'ELI10', 'ELI15', 'College Level'];
-    const levelName = levelNames[level];
-
-    await this.applyTextSimplification(levelName);
-
-    // If focus mode is active, refresh the current chunk to show updated content
-    if (this.state.focusMode) {
-      this.showFocusChunk(this.state.currentFocusIndex);
-    }
+    this.pipeline.setTransform('simplify', level > 0 ? { level: levelNames[level] } : null);
+    await this.applyTransforms();
 
     await this.savePreferences();
   }
@@ -1181,440 +1870,623 @@ class CogniRead {
     this.state.expansionMode = enabled;
     this.updateQuickToggleStates();
 
-    if (enabled) {
-      // Disable simplification when expansion is enabled
-      if (this.state.simplificationLevel > 0) {
-        this.removeSimplification();
-        this.state.simplificationLevel = 0;
-        document.getElementById('simplification-slider').value = 0;
-        document.getElementById('simplification-label').textContent = 'Simplification: Off';
+    // Disable simplification when expansion is enabled
+    if (enabled && this.state.simplificationLevel > 0) {
+      this.state.simplificationLevel = 0;
+      this.pipeline.setTransform('simplify', null);
+
+      const simplificationSlider = this.uiRoot.getElementById('cogniread-simplification-slider');
+      const simplificationValue = this.uiRoot.getElementById('cogniread-simplification-value');
+      if (simplificationSlider) {
+        simplificationSlider.value = 0;
+      }
+      if (simplificationValue) {
+        simplificationValue.textContent = 'Off';
       }
-      await this.applyTextExpansion();
-    } else {
-      this.removeExpansion();
     }
 
-    // If focus mode is active, refresh the current chunk to show updated content
-    if (this.state.focusMode) {
-      this.showFocusChunk(this.state.currentFocusIndex);
-    }
+    this.pipeline.setTransform('expand', enabled ? {} : null);
+    await this.applyTransforms();
 
     await this.savePreferences();
   }
 
-  async applyTextSimplification(levelName) {
-    console.log(`🔄 Starting ${levelName} simplification...`);
+  // ===== Transform Pipeline =====
+  // Plain language, simplification, expansion, restructuring, active voice and tone all
+  // rewrite the same paragraphs. They run as one ordered chain from each paragraph's
+  // original text (see transform-pipeline.js), so they stack and can be turned off in any order.
 
-    const content = this.cognitiveEngine.extractMainContent();
+  createTransformPipeline() {
+    const pipeline = new TransformPipeline({ escapeHtml: (text) => this.escapeHtml(text) });
 
-    // Find main container
-    const selectors = ['article', 'main', '[role="main"]', '.content', '#content'];
-    let container = null;
-    for (const selector of selectors) {
-      container = document.querySelector(selector);
-      if (container) {
-        console.log(`📦 Found container with selector: ${selector}`);
-        break;
-      }
-    }
-    if (!container) {
-      container = document.body;
-      console.log('📦 Using document.body as container');
-    }
+    // First, so "translate then simplify" rewrites the translation
+    pipeline.register({
+      id: 'translate',
+      label: (params) => `🌐 Translated from ${this.aiService.getLanguageName(params.from)}`,
+      className: 'cogniread-translated-text',
+      apply: (text, params, options) => this.aiService.translateText(text, params.from, params.to, options)
+    });
 
-    // Find all paragraphs to simplify
-    const paragraphs = container.querySelectorAll('p');
-    console.log(`📝 Found ${paragraphs.length} paragraphs in container`);
+    pipeline.register({
+      id: 'plainLanguage',
+      label: (params) => `🌐 Plain Language (${params.domain})`,
+      className: 'cogniread-plain-language',
+      apply: (text, params, options) => window.cognireadPromptAPI.translateToPlainLanguage(text, params.domain, options)
+    });
+
+    pipeline.register({
+      id: 'simplify',
+      label: (params) => `✨ Simplified (${params.level})`,
+      className: 'cogniread-simplified-text',
+      apply: (text, params, options) => this.aiService.simplifyText(text, params.level, options)
+    });
+
+    pipeline.register({
+      id: 'expand',
+      label: '📖 Expanded',
+      className: 'cogniread-expanded-text',
+      apply: (text, params, options) => this.aiService.expandText(text, options)
+    });
+
+    pipeline.register({
+      id: 'restructure',
+      label: '✂️ Restructured',
+      className: 'cogniread-restructured',
+      apply: (text, params, options) => this.aiService.restructureSentences(text, options)
+    });
+
+    pipeline.register({
+      id: 'activeVoice',
+      label: '📣 Active Voice',
+      className: 'cogniread-active-voice',
+      apply: (text, params, options) => this.aiService.convertToActiveVoice(text, options)
+    });
+
+    pipeline.register({
+      id: 'tone',
+      label: (params) => `🎵 Tone: ${params.tone}`,
+      className: 'cogniread-tone-adjusted',
+      apply: (text, params, options) => this.aiService.adjustTone(text, params.tone, options)
+    });
+
+    return pipeline;
+  }
 
-    if (paragraphs.length === 0) {
-      console.warn('⚠️ No paragraphs found to simplify');
+  // Re-derive every paragraph from its original through the transforms that are on.
+  // Outputs computed earlier are applied immediately; the rest are rewritten lazily,
+  // one at a time, as the paragraphs scroll into view.
+  async applyTransforms() {
+    const pipeline = this.pipeline;
+    pipeline.cancel();
+
+    if (!pipeline.hasActiveTransforms()) {
+      const restored = pipeline.getTransformedElements().length;
+      pipeline.restoreAll();
+      this.closeAllComparePanels();
+      this.removeAllFaithfulnessBadges();
+      this.syncFixation();
+      console.log(`🧹 Restored ${restored} paragraphs to original text`);
+      this.refreshFocusChunk();
       return;
     }
 
-    // Filter to only substantial paragraphs (>20 chars)
-    const substantialParagraphs = Array.from(paragraphs).filter(p => {
-      // Skip if inside unwanted elements
-      if (p.closest('nav, header, footer, aside, .ad, .advertisement')) {
-        return false;
+    const container = this.findMainContainer();
+    const paragraphs = new Set(this.findSubstantialParagraphs(container));
+
+    // Paragraphs rewritten earlier must be re-derived even if they no longer match
+    pipeline.getTransformedElements().forEach(element => {
+      if (document.body.contains(element)) {
+        paragraphs.add(element);
       }
-      return p.textContent.trim().length >= 20;
     });
 
-    console.log(`🎯 Will simplify all ${substantialParagraphs.length} substantial paragraphs`);
-
-    if (substantialParagraphs.length === 0) {
+    if (paragraphs.size === 0) {
       console.warn('⚠️ No substantial paragraphs found');
       return;
     }
 
-    const loading = this.showLoading(`Simplifying ${substantialParagraphs.length} paragraphs to ${levelName}...`);
-
-    try {
-      let processedCount = 0;
-
-      for (let i = 0; i < substantialParagraphs.length; i++) {
-        const p = substantialParagraphs[i];
-        const originalText = p.textContent.trim();
+    const pending = [];
+    for (const p of paragraphs) {
+      if (pipeline.isRenderCached(p)) {
+        await pipeline.render(p);
+        this.decorateTransformedParagraph(p);
+      } else {
+        // Don't leave an earlier chain's output and label up while this one is pending
+        if (pipeline.getRecord(p)) {
+          pipeline.settle(p);
+          this.syncFixation(p);
+        }
+        pending.push(p);
+      }
+    }
 
-        processedCount++;
-        console.log(`🔄 Processing paragraph ${processedCount}/${substantialParagraphs.length}...`);
-        console.log(`   Original (${originalText.length} chars): ${originalText.substring(0, 60)}...`);
+    console.log(`🎯 ${paragraphs.size - pending.length} paragraphs re-derived, ${pending.length} will be rewritten as they scroll into view`);
 
-        try {
-          // Use AI to simplify to the specified level
-          let simplified = await this.aiService.simplifyText(originalText, levelName);
+    // Settled paragraphs no longer show the rewrite their badge was about
+    this.positionParagraphOverlays();
 
-          console.log(`   Simplified (${simplified.length} chars): ${simplified.substring(0, 60)}...`);
+    if (pending.length > 0) {
+      this.scheduleTransforms(pending);
+    }
 
-          // Store original HTML and apply simplified version
-          p.dataset.originalHTML = p.innerHTML;
-          p.dataset.originalText = originalText;
-          // Use innerHTML to preserve spacing and structure
-          p.innerHTML = this.escapeHtml(simplified);
-          p.classList.add('cogniread-simplified-text');
+    this.refreshFocusChunk();
+  }
 
-          console.log(`✅ Simplified paragraph ${processedCount}/${substantialParagraphs.length}`);
+  // Rewrite paragraphs lazily as they scroll into view; paragraphs that appear while a
+  // job is running join it
+  scheduleTransforms(paragraphs) {
+    if (this.pipeline.job) {
+      this.pipeline.extend(paragraphs);
+      return;
+    }
 
-        } catch (error) {
-          console.error(`❌ Failed to simplify paragraph ${processedCount}:`, error);
-          // If AI fails, keep original but mark it
-          p.dataset.originalText = originalText;
-          p.classList.add('cogniread-simplified-text');
-        }
+    const job = this.pipeline.schedule(paragraphs, {
+      onRendered: (element) => {
+        this.decorateTransformedParagraph(element);
 
-        // Add small delay every 10 paragraphs to avoid overwhelming the browser
-        if (processedCount % 10 === 0) {
-          await new Promise(resolve => setTimeout(resolve, 50));
+        // Keep the focus mode copy in sync with the paragraph it shows
+        const focusChunk = this.state.contentChunks[this.state.currentFocusIndex];
+        if (this.state.focusMode && focusChunk && (focusChunk.element === element || focusChunk.element.contains(element))) {
+          this.showFocusChunk(this.state.currentFocusIndex);
         }
-      }
-
-      console.log(`✨ ${levelName} simplification complete! Processed ${processedCount} paragraphs.`);
+      },
+      onProgress: (progressJob) => this.updateTransformStatus(progressJob),
+      onDone: (doneJob, cancelled) => this.finishTransformStatus(doneJob, cancelled)
+    });
+    this.showTransformStatus(job);
+  }
 
-      // Scroll to the first simplified paragraph
-      const firstSimplifiedParagraph = document.querySelector('.cogniread-simplified-text');
-      if (firstSimplifiedParagraph) {
-        console.log('📜 Scrolling to first simplified paragraph...');
+  // Re-apply inline helpers to a paragraph whose text the pipeline just replaced
+  decorateTransformedParagraph(element) {
+    if (this.state.definitionsEnabled) {
+      const difficultTerms = this.cognitiveEngine.identifyDifficultTerms(element.textContent);
+      difficultTerms.forEach(term => this.wrapTermInTextNodes(element, term));
+    }
 
-        // Smooth scroll to the first simplified paragraph with some offset from top
-        firstSimplifiedParagraph.scrollIntoView({
-          behavior: 'smooth',
-          block: 'start',
-          inline: 'nearest'
-        });
+    if (this.state.fixationMode) {
+      this.fixationEmphasis.apply(element);
+    }
 
-        // Optional: Add a brief highlight animation to draw attention
-        firstSimplifiedParagraph.style.transition = 'box-shadow 0.3s ease';
-        firstSimplifiedParagraph.style.boxShadow = '0 0 20px rgba(76, 175, 80, 0.4)';
+    this.checkFaithfulness(element);
 
-        setTimeout(() => {
-          firstSimplifiedParagraph.style.boxShadow = '';
-        }, 2000);
-      }
+    if (this.comparePanels.has(element)) {
+      this.renderComparePanel(element);
+    }
+  }
 
-    } catch (error) {
-      console.error(`❌ ${levelName} simplification error:`, error);
-    } finally {
-      loading.remove();
+  refreshFocusChunk() {
+    if (this.state.focusMode) {
+      this.showFocusChunk(this.state.currentFocusIndex);
     }
   }
 
-  async applyTextExpansion() {
-    console.log('🔄 Starting text expansion...');
+  showTransformStatus(job) {
+    const existing = this.uiRoot.getElementById('cogniread-transform-status');
+    if (existing) existing.remove();
+
+    const status = document.createElement('div');
+    status.id = 'cogniread-transform-status';
+    status.className = 'cogniread-transform-status';
+    status.innerHTML = `
+      <span class="cogniread-transform-status-spinner"></span>
+      <span class="cogniread-transform-status-text"></span>
+      <button class="cogniread-transform-cancel" title="Stop rewriting">Cancel</button>
+    `;
+    status.querySelector('.cogniread-transform-cancel').addEventListener('click', () => {
+      console.log(`🛑 Cancelling rewrite (${job.done} of ${job.total} done)`);
+      this.pipeline.cancel();
+    });
+    this.uiRoot.appendChild(status);
 
-    const content = this.cognitiveEngine.extractMainContent();
+    job.status = status;
+    this.updateTransformStatus(job);
+  }
 
-    // Find main container
-    const selectors = ['article', 'main', '[role="main"]', '.content', '#content'];
-    let container = null;
-    for (const selector of selectors) {
-      container = document.querySelector(selector);
-      if (container) {
-        console.log(`📦 Found container with selector: ${selector}`);
-        break;
-      }
-    }
-    if (!container) {
-      container = document.body;
-      console.log('📦 Using document.body as container');
+  updateTransformStatus(job) {
+    const label = job.status && job.status.querySelector('.cogniread-transform-status-text');
+    if (label) {
+      label.textContent = `${this.pipeline.getLabel()} as you read · ${job.done} of ${job.total}`;
     }
+  }
 
-    // Find all paragraphs to expand
-    const paragraphs = container.querySelectorAll('p');
-    console.log(`📝 Found ${paragraphs.length} paragraphs in container`);
+  finishTransformStatus(job, cancelled) {
+    if (!job.status) return;
 
-    if (paragraphs.length === 0) {
-      console.warn('⚠️ No paragraphs found to expand');
-      return;
+    const label = job.status.querySelector('.cogniread-transform-status-text');
+    const spinner = job.status.querySelector('.cogniread-transform-status-spinner');
+    const cancelBtn = job.status.querySelector('.cogniread-transform-cancel');
+    if (label) {
+      label.textContent = cancelled
+        ? `Stopped · ${job.done} of ${job.total} rewritten`
+        : `✓ Rewrote ${job.done} paragraphs`;
     }
+    if (spinner) spinner.remove();
+    if (cancelBtn) cancelBtn.remove();
 
-    // Filter to only substantial paragraphs (>20 chars)
-    const substantialParagraphs = Array.from(paragraphs).filter(p => {
-      // Skip if inside unwanted elements
-      if (p.closest('nav, header, footer, aside, .ad, .advertisement')) {
-        return false;
-      }
-      return p.textContent.trim().length >= 20;
-    });
+    const status = job.status;
+    setTimeout(() => status.remove(), 2000);
+  }
 
-    console.log(`🎯 Will expand all ${substantialParagraphs.length} substantial paragraphs`);
+  // ===== Compare View =====
+  // Shows a rewritten paragraph next to its original with a word-level diff, so a faulty
+  // simplification of legal or medical text can be spotted and reverted in place.
 
-    if (substantialParagraphs.length === 0) {
-      console.warn('⚠️ No substantial paragraphs found');
-      return;
+  async toggleCompareMode(enabled) {
+    console.log('⇆ Compare Rewrites toggle:', enabled);
+    this.state.compareMode = enabled;
+
+    if (this.compareClickHandler) {
+      document.removeEventListener('click', this.compareClickHandler, true);
+      this.compareClickHandler = null;
     }
 
-    const totalParagraphs = substantialParagraphs.length;
-    const loading = this.showLoading(`Expanding Paragraphs: 0 of ${totalParagraphs}`);
+    if (enabled) {
+      this.compareClickHandler = (e) => {
+        if (!e.target || !e.target.closest) return;
+        // Links and definition words keep their own behaviour
+        if (e.target.closest('a, .cogniread-difficult-word')) return;
+        // Selecting text shouldn't open the comparison
+        if (window.getSelection().toString()) return;
 
-    try {
-      let processedCount = 0;
+        const paragraph = e.target.closest('.cogniread-transformed, .cogniread-transform-excluded');
+        if (!paragraph || !this.pipeline.getRecord(paragraph)) return;
 
-      for (let i = 0; i < substantialParagraphs.length; i++) {
-        const p = substantialParagraphs[i];
-        const originalText = p.textContent.trim();
+        e.preventDefault();
+        if (this.comparePanels.has(paragraph)) {
+          this.closeComparePanel(paragraph);
+        } else {
+          this.openComparePanel(paragraph);
+        }
+      };
+      document.addEventListener('click', this.compareClickHandler, true);
+      document.documentElement.classList.add('cogniread-compare-enabled');
+    } else {
+      this.closeAllComparePanels();
+      document.documentElement.classList.remove('cogniread-compare-enabled');
+    }
 
-        processedCount++;
-        console.log(`🔄 Processing paragraph ${processedCount}/${totalParagraphs}...`);
-        console.log(`   Original (${originalText.length} chars): ${originalText.substring(0, 60)}...`);
+    await this.savePreferences();
+  }
 
-        // Update loading message with progress
-        const loadingText = loading.querySelector('div:last-child');
-        if (loadingText) {
-          loadingText.textContent = `Expanding Paragraphs: ${processedCount} of ${totalParagraphs}`;
-        }
+  openComparePanel(element) {
+    const panel = document.createElement('div');
+    panel.className = 'cogniread-compare-panel';
+    this.uiRoot.appendChild(panel);
+    this.comparePanels.set(element, panel);
+    this.renderComparePanel(element);
+    this.watchParagraphOverlays();
+  }
 
-        try {
-          // Use AI to expand the text
-          let expanded = await this.aiService.expandText(originalText);
+  renderComparePanel(element) {
+    const panel = this.comparePanels.get(element);
+    const record = this.pipeline.getRecord(element);
+    if (!panel || !record) {
+      this.closeComparePanel(element);
+      return;
+    }
 
-          console.log(`   Expanded (${expanded.length} chars): ${expanded.substring(0, 60)}...`);
+    const excluded = this.pipeline.isExcluded(element);
+    const rewritten = this.pipeline.getOutput(element);
+    const label = this.pipeline.getLabel();
+    const faithfulness = this.faithfulnessResults.get(element);
+    const problems = faithfulness && faithfulness.rewritten === rewritten ? this.getFaithfulnessProblems(faithfulness) : [];
+
+    const baseline = this.getComparisonBaseline(element, record);
+    const translated = baseline !== record.originalText;
+    let originalHTML = this.escapeHtml(baseline);
+    let rewrittenHTML = '<em>Not rewritten yet</em>';
+    let stats = '';
+
+    if (rewritten) {
+      const ops = this.textDiff.diffWords(baseline, rewritten);
+      originalHTML = ops.filter(op => op.type !== 'insert').map(op => op.type === 'delete'
+        ? `<del class="cogniread-diff-delete">${this.escapeHtml(op.text)}</del>`
+        : this.escapeHtml(op.text)).join('');
+      rewrittenHTML = ops.filter(op => op.type !== 'delete').map(op => op.type === 'insert'
+        ? `<ins class="cogniread-diff-insert">${this.escapeHtml(op.text)}</ins>`
+        : this.escapeHtml(op.text)).join('');
+      stats = `${Math.round(this.textDiff.similarity(ops) * 100)}% of ${translated ? 'translated' : 'original'} words kept`;
+    }
+
+    panel.innerHTML = `
+      <div class="cogniread-compare-header">
+        <span class="cogniread-compare-title">⇆ Original vs. rewrite</span>
+        <span class="cogniread-compare-stats">${stats}</span>
+        <button class="cogniread-compare-close" title="Close comparison">×</button>
+      </div>
+      <div class="cogniread-compare-columns">
+        <div class="cogniread-compare-column">
+          <div class="cogniread-compare-column-label">${translated ? 'Translation' : 'Original'}${excluded ? ' · shown on page' : ''}</div>
+          <div class="cogniread-compare-text">${originalHTML}</div>
+        </div>
+        <div class="cogniread-compare-column">
+          <div class="cogniread-compare-column-label">${this.escapeHtml(label)}${excluded ? '' : ' · shown on page'}</div>
+          <div class="cogniread-compare-text">${rewrittenHTML}</div>
+        </div>
+      </div>
+      ${problems.length > 0 ? `
+        <ul class="cogniread-compare-warnings">
+          ${problems.map(problem => `<li>⚠️ ${this.escapeHtml(problem)}</li>`).join('')}
+        </ul>
+      ` : ''}
+      <div class="cogniread-compare-actions">
+        ${excluded
+          ? '<button class="cogniread-compare-action cogniread-compare-reapply">↻ Use rewrite for this paragraph</button>'
+          : '<button class="cogniread-compare-action cogniread-compare-revert">↩ Keep original for this paragraph</button>'}
+      </div>
+    `;
 
-          // Store original HTML and apply expanded version
-          p.dataset.originalHTML = p.innerHTML;
-          p.dataset.originalText = originalText;
-          // Use innerHTML to preserve spacing and structure
-          p.innerHTML = this.escapeHtml(expanded);
-          p.classList.add('cogniread-expanded-text');
+    panel.querySelector('.cogniread-compare-close').addEventListener('click', () => {
+      this.closeComparePanel(element);
+    });
 
-          console.log(`✅ Expanded paragraph ${processedCount}/${totalParagraphs}`);
+    const revertBtn = panel.querySelector('.cogniread-compare-revert');
+    if (revertBtn) {
+      revertBtn.addEventListener('click', () => this.revertParagraph(element));
+    }
 
-        } catch (error) {
-          console.error(`❌ Failed to expand paragraph ${processedCount}:`, error);
-          // If AI fails, keep original but mark it
-          p.dataset.originalText = originalText;
-          p.classList.add('cogniread-expanded-text');
-        }
+    const reapplyBtn = panel.querySelector('.cogniread-compare-reapply');
+    if (reapplyBtn) {
+      reapplyBtn.addEventListener('click', () => this.reapplyParagraph(element));
+    }
 
-        // Add small delay every 10 paragraphs to avoid overwhelming the browser
-        if (processedCount % 10 === 0) {
-          await new Promise(resolve => setTimeout(resolve, 50));
-        }
-      }
+    this.positionParagraphOverlays();
+  }
 
-      console.log(`✨ Text expansion complete! Processed ${processedCount} paragraphs.`);
+  closeComparePanel(element) {
+    const panel = this.comparePanels.get(element);
+    if (panel) {
+      panel.remove();
+    }
+    this.comparePanels.delete(element);
+    this.watchParagraphOverlays();
+  }
 
-      // Scroll to the first expanded paragraph
-      const firstExpandedParagraph = document.querySelector('.cogniread-expanded-text');
-      if (firstExpandedParagraph) {
-        console.log('📜 Scrolling to first expanded paragraph...');
+  closeAllComparePanels() {
+    Array.from(this.comparePanels.keys()).forEach(element => this.closeComparePanel(element));
+  }
 
-        // Smooth scroll to the first expanded paragraph with some offset from top
-        firstExpandedParagraph.scrollIntoView({
-          behavior: 'smooth',
-          block: 'start',
-          inline: 'nearest'
-        });
+  revertParagraph(element) {
+    console.log('↩ Keeping original text for paragraph');
+    this.pipeline.exclude(element);
+    this.removeFaithfulnessBadge(element);
+    this.syncFixation(element);
+    this.renderComparePanel(element);
+    this.refreshFocusChunk();
+  }
 
-        // Optional: Add a brief highlight animation to draw attention
-        firstExpandedParagraph.style.transition = 'box-shadow 0.3s ease';
-        firstExpandedParagraph.style.boxShadow = '0 0 20px rgba(65, 133, 244, 0.4)';
+  // ===== Faithfulness Check =====
+  // Rewrites are compared with their original for lost numbers, dates, negations and
+  // names (faithfulness-checker.js); the Prompt API can add a second opinion.
 
-        setTimeout(() => {
-          firstExpandedParagraph.style.boxShadow = '';
-        }, 2000);
-      }
+  checkFaithfulness(element) {
+    const record = this.pipeline.getRecord(element);
+    const rewritten = this.pipeline.getOutput(element);
+    if (!record || !rewritten || this.pipeline.isExcluded(element)) return;
 
-    } catch (error) {
-      console.error('❌ Text expansion error:', error);
-    } finally {
-      loading.remove();
+    const baseline = this.getComparisonBaseline(element, record);
+    const result = this.faithfulnessChecker.check(baseline, rewritten);
+    const entry = { rewritten, issues: result.issues, aiProblems: null };
+    this.faithfulnessResults.set(element, entry);
+    this.showFaithfulnessBadge(element, entry);
+
+    if (this.state.faithfulnessAI) {
+      this.queueAIFaithfulnessCheck(element, baseline, entry);
     }
   }
 
-  removeSimplification() {
-    console.log('🧹 Removing simplification...');
+  // What a rewrite is measured against: with Translate First the rewrites start from the
+  // translation, and names, numbers and negations can't be matched across languages
+  getComparisonBaseline(element, record) {
+    return this.pipeline.getStepOutput(element, 'translate') || record.originalText;
+  }
+
+  queueAIFaithfulnessCheck(element, original, entry) {
+    this.faithfulnessQueue = this.faithfulnessQueue.then(async () => {
+      // Skip paragraphs that were re-rendered or reverted while waiting
+      if (!this.state.faithfulnessAI || this.faithfulnessResults.get(element) !== entry) return;
 
-    // Hide any loading modals
-    this.hideAllLoadingModals();
+      const cacheText = `${original}\n\n${entry.rewritten}`;
+      let verdict = null;
+      const cached = await this.aiService.getCachedResult('faithfulness', {}, cacheText);
+      if (cached) {
+        verdict = JSON.parse(cached);
+      } else {
+        verdict = await window.cognireadPromptAPI.verifyFaithfulness(original, entry.rewritten);
+        if (verdict) {
+          this.aiService.cacheResult('faithfulness', {}, cacheText, JSON.stringify(verdict));
+        }
+      }
+
+      if (!verdict || this.faithfulnessResults.get(element) !== entry) return;
 
-    // Remove simplification and restore original HTML
-    const simplified = document.querySelectorAll('.cogniread-simplified-text');
-    console.log(`🧹 Restoring ${simplified.length} paragraphs to original text`);
+      entry.aiProblems = verdict.faithful
+        ? []
+        : (verdict.problems.length > 0 ? verdict.problems : ['Meaning may have changed']);
 
-    simplified.forEach(el => {
-      el.classList.remove('cogniread-simplified-text');
-      // Restore original HTML if available, otherwise fall back to text
-      if (el.dataset.originalHTML) {
-        el.innerHTML = el.dataset.originalHTML;
-        delete el.dataset.originalHTML;
-        delete el.dataset.originalText;
-      } else if (el.dataset.originalText) {
-        el.textContent = el.dataset.originalText;
-        delete el.dataset.originalText;
+      this.showFaithfulnessBadge(element, entry);
+      if (this.comparePanels.has(element)) {
+        this.renderComparePanel(element);
       }
+    }).catch(error => {
+      console.error('❌ AI faithfulness check failed:', error);
     });
   }
 
-  removeExpansion() {
-    console.log('🧹 Removing text expansion...');
+  getFaithfulnessProblems(entry) {
+    return [
+      ...entry.issues.map(issue => `${issue.label}: ${issue.detail}`),
+      ...(entry.aiProblems || []).map(problem => `AI: ${problem}`)
+    ];
+  }
 
-    // Hide any loading modals
-    this.hideAllLoadingModals();
+  showFaithfulnessBadge(element, entry) {
+    this.removeFaithfulnessBadge(element);
 
-    // Remove expansion and restore original HTML
-    const expanded = document.querySelectorAll('.cogniread-expanded-text');
-    console.log(`🧹 Restoring ${expanded.length} paragraphs to original text`);
+    const problems = this.getFaithfulnessProblems(entry);
+    if (problems.length === 0) return;
 
-    expanded.forEach(el => {
-      el.classList.remove('cogniread-expanded-text');
-      // Restore original HTML if available, otherwise fall back to text
-      if (el.dataset.originalHTML) {
-        el.innerHTML = el.dataset.originalHTML;
-        delete el.dataset.originalHTML;
-        delete el.dataset.originalText;
-      } else if (el.dataset.originalText) {
-        el.textContent = el.dataset.originalText;
-        delete el.dataset.originalText;
+    const badge = document.createElement('span');
+    badge.className = 'cogniread-faithfulness-badge';
+    badge.dataset.label = `⚠️ Check meaning (${problems.length})`;
+    badge.title = `${problems.join('\n')}\n\nClick to compare with the original`;
+    badge.setAttribute('role', 'button');
+    badge.setAttribute('tabindex', '0');
+    badge.setAttribute('aria-label', `The rewrite may have changed the meaning. ${problems.join('. ')}`);
+
+    const openCompare = (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      if (!this.comparePanels.has(element)) {
+        this.openComparePanel(element);
       }
+    };
+    badge.addEventListener('click', openCompare);
+    badge.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter' || e.key === ' ') openCompare(e);
     });
-  }
-
-  async applyToneAdjustment(tone) {
-    if (tone === 'off') {
-      this.removeToneAdjustment();
-      return;
-    }
-
-    console.log(`🎵 Applying ${tone} tone adjustment...`);
 
-    const container = this.findMainContainer();
-    const paragraphs = this.findSubstantialParagraphs(container);
+    this.uiRoot.appendChild(badge);
+    this.faithfulnessBadges.set(element, badge);
+    this.watchParagraphOverlays();
+    this.positionParagraphOverlays();
+  }
 
-    if (paragraphs.length === 0) {
-      console.warn('⚠️ No paragraphs found for tone adjustment');
-      return;
+  removeFaithfulnessBadge(element) {
+    const badge = this.faithfulnessBadges.get(element);
+    if (badge) {
+      badge.remove();
     }
+    this.faithfulnessBadges.delete(element);
+    this.watchParagraphOverlays();
+  }
 
-    const loading = this.showLoading(`Adjusting tone to ${tone}...`);
-
-    try {
-      for (let i = 0; i < paragraphs.length; i++) {
-        const p = paragraphs[i];
-        const originalText = p.textContent.trim();
+  removeAllFaithfulnessBadges() {
+    Array.from(this.faithfulnessBadges.keys()).forEach(element => this.removeFaithfulnessBadge(element));
+  }
 
-        console.log(`🎵 Adjusting paragraph ${i + 1}/${paragraphs.length} tone...`);
+  // ===== Paragraph Overlays =====
+  // Compare panels and faithfulness badges live in the UI root, placed in page coordinates
+  // against their paragraph (like the definition bubbles), and follow it when the page reflows
 
-        try {
-          const adjusted = await this.aiService.adjustTone(originalText, tone);
+  watchParagraphOverlays() {
+    const elements = new Set([...this.comparePanels.keys(), ...this.faithfulnessBadges.keys()]);
 
-          p.dataset.originalHTML = p.innerHTML;
-          p.dataset.originalText = originalText;
-          p.innerHTML = this.escapeHtml(adjusted);
-          p.classList.add('cogniread-tone-adjusted');
-        } catch (error) {
-          console.error(`❌ Failed to adjust tone for paragraph ${i + 1}:`, error);
-        }
+    if (elements.size === 0) {
+      if (this.overlayObserver) {
+        this.overlayObserver.disconnect();
+        this.overlayObserver = null;
+        window.removeEventListener('resize', this.overlayResizeHandler);
+        this.overlayResizeHandler = null;
       }
+      return;
+    }
 
-      console.log(`✅ Tone adjustment to ${tone} complete`);
-    } finally {
-      this.hideLoading(loading);
+    if (!this.overlayObserver) {
+      this.overlayResizeHandler = () => this.positionParagraphOverlays();
+      this.overlayObserver = new ResizeObserver(this.overlayResizeHandler);
+      window.addEventListener('resize', this.overlayResizeHandler);
     }
 
-    await this.savePreferences();
+    // The body catches reflows above the paragraphs, the paragraphs their own rewrites
+    this.overlayObserver.disconnect();
+    this.overlayObserver.observe(document.body);
+    elements.forEach(element => this.overlayObserver.observe(element));
   }
 
-  removeToneAdjustment() {
-    console.log('🧹 Removing tone adjustment...');
+  positionParagraphOverlays() {
+    this.comparePanels.forEach((panel, element) => {
+      if (!element.isConnected) {
+        this.closeComparePanel(element);
+        return;
+      }
+
+      // Hidden with its paragraph, e.g. while the reader view hides the page
+      const rect = element.getBoundingClientRect();
+      panel.style.display = rect.width === 0 && rect.height === 0 ? 'none' : '';
+      panel.style.left = `${rect.left + window.scrollX}px`;
+      panel.style.top = `${rect.bottom + window.scrollY + 8}px`;
+      panel.style.width = `${rect.width}px`;
+    });
 
-    const adjusted = document.querySelectorAll('.cogniread-tone-adjusted');
-    adjusted.forEach(el => {
-      el.classList.remove('cogniread-tone-adjusted');
-      if (el.dataset.originalHTML) {
-        el.innerHTML = el.dataset.originalHTML;
-        delete el.dataset.originalHTML;
-        delete el.dataset.originalText;
+    this.faithfulnessBadges.forEach((badge, element) => {
+      // Only while the paragraph still shows the rewrite that was checked
+      const entry = this.faithfulnessResults.get(element);
+      if (!element.isConnected || !element.classList.contains('cogniread-transformed') ||
+          !entry || entry.rewritten !== this.pipeline.getOutput(element)) {
+        this.removeFaithfulnessBadge(element);
+        return;
       }
+
+      // Just after the last line of the paragraph
+      const range = document.createRange();
+      range.selectNodeContents(element);
+      const lines = range.getClientRects();
+      const rect = lines.length > 0 ? lines[lines.length - 1] : element.getBoundingClientRect();
+      badge.style.display = rect.width === 0 && rect.height === 0 ? 'none' : '';
+      badge.style.left = `${rect.right + window.scrollX + 6}px`;
+      badge.style.top = `${rect.top + rect.height / 2 + window.scrollY}px`;
     });
   }
 
-  async toggleActiveVoice(enabled) {
-    console.log('📣 Active Voice toggle:', enabled);
-    this.state.activeVoice = enabled;
-    this.updateQuickToggleStates();
+  async toggleFaithfulnessAI(enabled) {
+    console.log('🛡️ AI Meaning Check toggle:', enabled);
 
     if (enabled) {
-      await this.applyActiveVoiceConversion();
-    } else {
-      this.removeActiveVoice();
+      try {
+        await window.ensurePromptAPIReady();
+      } catch (error) {
+        alert(error.message);
+        const toggle = this.uiRoot.getElementById('cogniread-faithfulness-ai-toggle');
+        if (toggle) {
+          toggle.classList.remove('active');
+        }
+        enabled = false;
+      }
     }
 
-    await this.savePreferences();
-  }
-
-  async applyActiveVoiceConversion() {
-    console.log('🔄 Converting to active voice...');
+    this.state.faithfulnessAI = enabled;
 
-    const container = this.findMainContainer();
-    const paragraphs = this.findSubstantialParagraphs(container);
+    // Re-check paragraphs that are already rewritten with (or without) the second opinion
+    this.pipeline.getTransformedElements().forEach(element => this.checkFaithfulness(element));
 
-    if (paragraphs.length === 0) {
-      console.warn('⚠️ No paragraphs found for active voice conversion');
-      return;
-    }
+    await this.savePreferences();
+  }
 
-    const loading = this.showLoading('Converting to active voice...');
+  async reapplyParagraph(element) {
+    console.log('↻ Re-applying rewrite to paragraph');
+    this.pipeline.include(element);
 
     try {
-      for (let i = 0; i < paragraphs.length; i++) {
-        const p = paragraphs[i];
-        const originalText = p.textContent.trim();
+      if (await this.pipeline.render(element)) {
+        this.decorateTransformedParagraph(element);
+      }
+    } catch (error) {
+      console.error('❌ Failed to re-apply rewrite:', error);
+    }
 
-        console.log(`📣 Converting paragraph ${i + 1}/${paragraphs.length}...`);
+    this.renderComparePanel(element);
+    this.refreshFocusChunk();
+  }
 
-        try {
-          const converted = await this.aiService.convertToActiveVoice(originalText);
+  async applyToneAdjustment(tone) {
+    console.log(`🎵 Applying ${tone} tone adjustment...`);
 
-          p.dataset.originalHTML = p.innerHTML;
-          p.dataset.originalText = originalText;
-          p.innerHTML = this.escapeHtml(converted);
-          p.classList.add('cogniread-active-voice');
-        } catch (error) {
-          console.error(`❌ Failed to convert paragraph ${i + 1}:`, error);
-        }
-      }
+    this.pipeline.setTransform('tone', tone === 'off' ? null : { tone });
+    await this.applyTransforms();
 
-      console.log('✅ Active voice conversion complete');
-    } finally {
-      this.hideLoading(loading);
-    }
+    await this.savePreferences();
   }
 
-  removeActiveVoice() {
-    console.log('🧹 Removing active voice conversion...');
+  async toggleActiveVoice(enabled) {
+    console.log('📣 Active Voice toggle:', enabled);
+    this.state.activeVoice = enabled;
+    this.updateQuickToggleStates();
 
-    // Hide any loading modals
-    this.hideAllLoadingModals();
+    this.pipeline.setTransform('activeVoice', enabled ? {} : null);
+    await this.applyTransforms();
 
-    const converted = document.querySelectorAll('.cogniread-active-voice');
-    converted.forEach(el => {
-      el.classList.remove('cogniread-active-voice');
-      if (el.dataset.originalHTML) {
-        el.innerHTML = el.dataset.originalHTML;
-        delete el.dataset.originalHTML;
-        delete el.dataset.originalText;
-      }
-    });
+    await this.savePreferences();
   }
 
   async toggleSentenceRestructuring(enabled) {
@@ -1622,78 +2494,15 @@ class CogniRead {
     this.state.sentenceRestructuring = enabled;
     this.updateQuickToggleStates();
 
-    if (enabled) {
-      await this.applySentenceRestructuring();
-    } else {
-      this.removeSentenceRestructuring();
-    }
+    this.pipeline.setTransform('restructure', enabled ? {} : null);
+    await this.applyTransforms();
 
     await this.savePreferences();
   }
 
-  async applySentenceRestructuring() {
-    console.log('🔄 Restructuring sentences...');
-
-    const container = this.findMainContainer();
-    const paragraphs = this.findSubstantialParagraphs(container);
-
-    if (paragraphs.length === 0) {
-      console.warn('⚠️ No paragraphs found for restructuring');
-      return;
-    }
-
-    const loading = this.showLoading('Restructuring sentences...');
-
-    try {
-      for (let i = 0; i < paragraphs.length; i++) {
-        const p = paragraphs[i];
-        const originalText = p.textContent.trim();
-
-        console.log(`✂️ Restructuring paragraph ${i + 1}/${paragraphs.length}...`);
-
-        try {
-          const restructured = await this.aiService.restructureSentences(originalText);
-
-          p.dataset.originalHTML = p.innerHTML;
-          p.dataset.originalText = originalText;
-          p.innerHTML = this.escapeHtml(restructured);
-          p.classList.add('cogniread-restructured');
-        } catch (error) {
-          console.error(`❌ Failed to restructure paragraph ${i + 1}:`, error);
-        }
-      }
-
-      console.log('✅ Sentence restructuring complete');
-    } finally {
-      this.hideLoading(loading);
-    }
-  }
-
-  removeSentenceRestructuring() {
-    console.log('🧹 Removing sentence restructuring...');
-
-    // Hide any loading modals
-    this.hideAllLoadingModals();
-
-    const restructured = document.querySelectorAll('.cogniread-restructured');
-    restructured.forEach(el => {
-      el.classList.remove('cogniread-restructured');
-      if (el.dataset.originalHTML) {
-        el.innerHTML = el.dataset.originalHTML;
-        delete el.dataset.originalHTML;
-        delete el.dataset.originalText;
-      }
-    });
-  }
-
-  findMainContainer() {
-    const selectors = ['article', 'main', '[role="main"]', '.content', '#content'];
-    for (const selector of selectors) {
-      const container = document.querySelector(selector);
-      if (container) return container;
-    }
-    return document.body;
-  }
+  findMainContainer() {
+    return this.contentExtractor.getMainContent();
+  }
 
   findSubstantialParagraphs(container) {
     const paragraphs = container.querySelectorAll('p');
@@ -1712,8 +2521,8 @@ class CogniRead {
     this.updateQuickToggleStates();
 
     // Manage TL;DR toggle state based on Focus Mode
-    const tldrToggle = document.getElementById('cogniread-tldr-toggle');
-    const tldrItem = document.getElementById('tldr-toggle-item');
+    const tldrToggle = this.uiRoot.getElementById('cogniread-tldr-toggle');
+    const tldrItem = this.uiRoot.getElementById('tldr-toggle-item');
 
     if (enabled) {
       console.log('Focus Mode enabled');
@@ -1757,7 +2566,7 @@ class CogniRead {
       this.ui.focusContent.classList.remove('hidden');
 
       // Add event listener to the close button in the counter
-      const closeBtn = document.getElementById('cogniread-focus-close-btn');
+      const closeBtn = this.uiRoot.getElementById('cogniread-focus-close-btn');
       if (closeBtn) {
         closeBtn.addEventListener('click', (e) => {
           e.stopPropagation();
@@ -1766,7 +2575,7 @@ class CogniRead {
           this.ui.focusCounter.classList.add('hidden');
 
           // Uncheck the toggle and disable focus mode
-          const focusToggle = document.getElementById('cogniread-focus-mode-toggle');
+          const focusToggle = this.uiRoot.getElementById('cogniread-focus-mode-toggle');
           if (focusToggle) {
             focusToggle.classList.remove('active');
           }
@@ -1812,6 +2621,11 @@ class CogniRead {
       this.ui.focusCounter.classList.add('hidden');
       this.ui.focusContent.classList.add('hidden');
       this.clearFocusMode();
+
+      // Read-aloud follows the focus chunks, so it stops with Focus Mode
+      if (this.state.readAloud) {
+        this.toggleReadAloud(false);
+      }
     }
 
     await this.savePreferences();
@@ -1837,6 +2651,14 @@ class CogniRead {
       // Mark original element (for reference only)
       chunk.element.classList.add('cogniread-focused');
 
+      // The original may be far off-screen, so rewrite it ahead of the scroll order
+      if (this.pipeline.job) {
+        chunk.element.querySelectorAll('.cogniread-transform-pending').forEach(p => {
+          this.pipeline.prioritize(p);
+        });
+        this.pipeline.prioritize(chunk.element);
+      }
+
       // Copy content into the fixed-position container with navigation controls
       this.ui.focusContent.innerHTML = `
         <div class="cogniread-focus-navigation">
@@ -1856,12 +2678,13 @@ class CogniRead {
           <span>→ Next</span>
           <span>Space: Next</span>
           <span>Esc: Exit</span>
+          <button class="cogniread-focus-speak-btn" id="cogniread-focus-speak-btn" title="Read aloud (R)">🔊</button>
         </div>
       `;
 
       // Add click handlers for navigation buttons
-      const prevBtn = document.getElementById('cogniread-focus-prev-btn');
-      const nextBtn = document.getElementById('cogniread-focus-next-btn');
+      const prevBtn = this.uiRoot.getElementById('cogniread-focus-prev-btn');
+      const nextBtn = this.uiRoot.getElementById('cogniread-focus-next-btn');
 
       if (prevBtn) {
         prevBtn.addEventListener('click', (e) => {
@@ -1877,6 +2700,14 @@ class CogniRead {
         });
       }
 
+      const speakBtn = this.uiRoot.getElementById('cogniread-focus-speak-btn');
+      if (speakBtn) {
+        speakBtn.addEventListener('click', (e) => {
+          e.stopPropagation();
+          this.toggleReadAloudPlayback();
+        });
+      }
+
       // Add click handlers for tip labels to trigger shortcuts
       const tipSpans = this.ui.focusContent.querySelectorAll('.cogniread-focus-tips span');
       tipSpans.forEach((span) => {
@@ -1895,7 +2726,7 @@ class CogniRead {
             } else if (text.includes('→ Next') || text.includes('Space:')) {
               this.nextFocusChunk();
             } else if (text.includes('Esc:')) {
-              const toggle = document.getElementById('cogniread-focus-mode-toggle');
+              const toggle = this.uiRoot.getElementById('cogniread-focus-mode-toggle');
               if (toggle) {
                 toggle.classList.remove('active');
                 this.toggleFocusMode(false);
@@ -1917,10 +2748,13 @@ class CogniRead {
       chunk.element.scrollIntoView({ behavior: 'smooth', block: 'center' });
 
       // Update counter
-      document.getElementById('focus-current').textContent = index + 1;
-      document.getElementById('focus-total').textContent = this.state.contentChunks.length;
+      this.uiRoot.getElementById('focus-current').textContent = index + 1;
+      this.uiRoot.getElementById('focus-total').textContent = this.state.contentChunks.length;
 
       console.log('Focused on:', chunk.type, chunk.text.substring(0, 50) + '...');
+
+      this.syncReadAloud(index);
+      this.scheduleReadingPositionSave();
     } else {
       console.warn('Invalid chunk index:', index);
     }
@@ -1946,6 +2780,143 @@ class CogniRead {
     });
   }
 
+  // ===== Read Aloud =====
+  // Speaks the current Focus Mode chunk (read-aloud.js), highlighting each word, and
+  // moves on to the next chunk when it finishes.
+
+  async toggleReadAloud(enabled) {
+    console.log('🔊 Read Aloud toggle:', enabled);
+
+    if (enabled && !this.readAloud.isSupported()) {
+      alert('Read aloud is not supported in this browser.');
+      enabled = false;
+    }
+
+    this.state.readAloud = enabled;
+    this.updateReadAloudUI();
+
+    if (!enabled) {
+      this.readAloud.stop();
+      this.readAloudIndex = -1;
+      return;
+    }
+
+    if (this.state.focusMode) {
+      this.readCurrentChunk();
+      return;
+    }
+
+    // Turning on Focus Mode shows the first chunk, which starts reading it
+    const focusToggle = this.uiRoot.getElementById('cogniread-focus-mode-toggle');
+    if (focusToggle) {
+      focusToggle.classList.add('active');
+    }
+    await this.toggleFocusMode(true);
+    this.updateActiveBadge();
+
+    if (!this.state.focusMode) {
+      this.state.readAloud = false;
+      this.updateReadAloudUI();
+    }
+  }
+
+  // Play / pause from the focus view button or the R key
+  toggleReadAloudPlayback() {
+    if (!this.state.readAloud) {
+      this.toggleReadAloud(true);
+      return;
+    }
+
+    if (this.readAloud.state === 'speaking') {
+      this.readAloud.pause();
+    } else if (this.readAloud.state === 'paused') {
+      this.readAloud.resume();
+    } else {
+      this.readCurrentChunk();
+    }
+    this.updateReadAloudUI();
+  }
+
+  readCurrentChunk() {
+    const wrapper = this.ui.focusContent && this.ui.focusContent.querySelector('.cogniread-focus-content-wrapper');
+    if (!wrapper) return;
+
+    this.readAloudIndex = this.state.currentFocusIndex;
+    this.readAloud.speak(wrapper, {
+      onEnd: () => {
+        if (this.state.currentFocusIndex < this.state.contentChunks.length - 1) {
+          this.nextFocusChunk();
+        } else {
+          console.log('🔊 Finished reading the last chunk');
+          this.toggleReadAloud(false);
+        }
+      }
+    });
+    this.updateReadAloudUI();
+  }
+
+  // The focus chunk was (re)drawn - follow it
+  syncReadAloud(index) {
+    if (!this.state.readAloud) return;
+
+    // Same chunk redrawn with unchanged text (e.g. a panel toggle) - keep reading
+    const wrapper = this.ui.focusContent.querySelector('.cogniread-focus-content-wrapper');
+    if (index === this.readAloudIndex && wrapper && this.readAloud.retarget(wrapper)) {
+      this.updateReadAloudUI();
+      return;
+    }
+
+    this.readCurrentChunk();
+  }
+
+  updateReadAloudUI() {
+    const toggle = this.uiRoot.getElementById('cogniread-read-aloud-toggle');
+    if (toggle) {
+      toggle.classList.toggle('active', this.state.readAloud);
+    }
+
+    const speakBtn = this.uiRoot.getElementById('cogniread-focus-speak-btn');
+    if (speakBtn) {
+      const speaking = this.state.readAloud && this.readAloud.state === 'speaking';
+      speakBtn.textContent = speaking ? '⏸' : '🔊';
+      speakBtn.title = speaking ? 'Pause reading (R)' : 'Read aloud (R)';
+    }
+  }
+
+  updateReadAloudSettingsUI() {
+    const rate = this.uiRoot.getElementById('cogniread-read-aloud-rate');
+    const rateValue = this.uiRoot.getElementById('cogniread-read-aloud-rate-value');
+    const pitch = this.uiRoot.getElementById('cogniread-read-aloud-pitch');
+    const pitchValue = this.uiRoot.getElementById('cogniread-read-aloud-pitch-value');
+    const voice = this.uiRoot.getElementById('cogniread-read-aloud-voice');
+
+    if (rate) rate.value = this.state.readAloudRate;
+    if (rateValue) rateValue.textContent = `${this.state.readAloudRate.toFixed(1)}×`;
+    if (pitch) pitch.value = this.state.readAloudPitch;
+    if (pitchValue) pitchValue.textContent = this.state.readAloudPitch.toFixed(1);
+    if (voice) voice.value = this.state.readAloudVoice;
+  }
+
+  async populateReadAloudVoices() {
+    const select = this.uiRoot.getElementById('cogniread-read-aloud-voice');
+    if (!select) return;
+
+    const voices = await this.readAloud.getVoices();
+    const pageLang = this.getTextLanguage();
+
+    // Voices for the page's language first
+    const sorted = voices.slice().sort((a, b) => {
+      const aMatch = a.lang.toLowerCase().startsWith(pageLang) ? 0 : 1;
+      const bMatch = b.lang.toLowerCase().startsWith(pageLang) ? 0 : 1;
+      return aMatch - bMatch || a.name.localeCompare(b.name);
+    });
+
+    select.innerHTML = '<option value="">Default</option>' + sorted.map(voice =>
+      `<option value="${this.escapeHtml(voice.voiceURI)}">${this.escapeHtml(voice.name)} (${this.escapeHtml(voice.lang)})</option>`
+    ).join('');
+    select.value = this.state.readAloudVoice;
+  }
+
   async toggleTLDRMode(enabled) {
     this.state.tldrMode = enabled;
     this.updateQuickToggleStates();
@@ -1977,10 +2948,18 @@ class CogniRead {
 
       console.log('✅ Proofread summary:', summary);
 
+      // In the reader's language. Without the Summarizer the summary is sentences of the page.
+      const summaryLanguage = this.aiService.summarizer ? this.aiService.modelLanguage : this.getTextLanguage();
+      if (summaryLanguage !== this.state.nativeLanguage) {
+        loading.querySelector('div:last-child').textContent = 'Translating summary...';
+        summary = await this.aiService.toNativeLanguage(summary, summaryLanguage);
+      }
+
       // Create TL;DR container
       const tldrContainer = document.createElement('div');
       tldrContainer.className = 'cogniread-tldr-container';
       tldrContainer.id = 'cogniread-tldr';
+      tldrContainer.lang = this.state.nativeLanguage;
       tldrContainer.innerHTML = `
         <h3>📝 TL;DR Summary</h3>
         ${this.formatSummaryAsList(summary)}
@@ -1988,15 +2967,14 @@ class CogniRead {
 
       // Insert at top of main content BEFORE other features process the page
       // This ensures TL;DR is in the DOM before definitions/idioms scan
-      const mainContent = this.cognitiveEngine.extractMainContent().element;
-      const realElement = document.querySelector(mainContent.tagName) || document.body;
+      const realElement = this.findMainContainer();
       realElement.insertBefore(tldrContainer, realElement.firstChild);
 
       console.log('✅ TL;DR inserted into DOM');
 
       // Now apply other features to the TL;DR section if they're enabled
       // Check definitions toggle state
-      const definitionsToggle = document.getElementById('cogniread-definitions-toggle');
+      const definitionsToggle = this.uiRoot.getElementById('cogniread-definitions-toggle');
       if (this.state.definitionsEnabled && definitionsToggle && definitionsToggle.classList.contains('active')) {
         console.log('🔄 Applying definitions to TL;DR section...');
         // Find difficult terms in the TL;DR summary
@@ -2013,7 +2991,7 @@ class CogniRead {
       }
 
       // Check idiom mode toggle state - ONLY process if toggle is active
-      const idiomToggle = document.getElementById('cogniread-literal-toggle');
+      const idiomToggle = this.uiRoot.getElementById('cogniread-literal-toggle');
       if (this.state.idiomMode && idiomToggle && idiomToggle.classList.contains('active')) {
         console.log('🔄 Scanning TL;DR for idioms (Literal Language mode is enabled)...');
         // Scan TL;DR for idioms using dictionary-based detection
@@ -2025,7 +3003,7 @@ class CogniRead {
               // Use dictionary detection (fast, no AI quota)
               const result = this.aiService.fallbackIdiomDetection(text);
               if (result.hasIdiom) {
-                this.wrapIdiomInTextNodes(element, result.idiom, text);
+                this.wrapIdiomInTextNodes(element, result.idiom, text, result.canonical);
               }
             } catch (error) {
               console.error('Failed to process TL;DR for idioms:', error);
@@ -2036,6 +3014,10 @@ class CogniRead {
         console.log('ℹ️ Skipping idiom processing for TL;DR - Literal Language mode is disabled');
       }
 
+      if (this.state.fixationMode) {
+        this.fixationEmphasis.apply(tldrContainer);
+      }
+
       // Scroll to TL;DR section with vertical padding
       console.log('📜 Scrolling to TL;DR summary...');
 
@@ -2089,12 +3071,70 @@ class CogniRead {
     await this.savePreferences();
   }
 
+  // ===== Fixation Emphasis =====
+  // Word-level wrappers (definitions, idioms) match whole text nodes, so the fixation
+  // markup is lifted around them and put back afterwards (see withoutFixation).
+
+  async toggleFixationMode(enabled) {
+    console.log('𝐁 Fixation Emphasis toggle:', enabled);
+    this.state.fixationMode = enabled;
+    this.syncFixation();
+    this.refreshFocusChunk();
+    await this.savePreferences();
+  }
+
+  async setFixationRatio(ratio) {
+    this.state.fixationRatio = ratio;
+    this.fixationEmphasis.setRatio(ratio);
+    this.updateFixationSettingsUI();
+
+    if (this.state.fixationMode) {
+      const container = this.findMainContainer();
+      this.fixationEmphasis.remove(container);
+      this.fixationEmphasis.apply(container);
+      this.refreshFocusChunk();
+    }
+
+    await this.savePreferences();
+  }
+
+  // Bring the page in line with fixationMode (e.g. after markup was restored from a snapshot)
+  syncFixation(root = null) {
+    const target = root || this.findMainContainer();
+    if (this.state.fixationMode) {
+      const count = this.fixationEmphasis.apply(target);
+      console.log(`𝐁 Emphasized ${count} text runs`);
+    } else {
+      this.fixationEmphasis.remove(root || document.body);
+    }
+  }
+
+  withoutFixation(root, callback) {
+    if (!this.state.fixationMode) {
+      return callback();
+    }
+
+    this.fixationEmphasis.remove(root);
+    try {
+      return callback();
+    } finally {
+      this.fixationEmphasis.apply(root);
+    }
+  }
+
+  updateFixationSettingsUI() {
+    const ratio = this.uiRoot.getElementById('cogniread-fixation-ratio');
+    const ratioValue = this.uiRoot.getElementById('cogniread-fixation-ratio-value');
+    if (ratio) ratio.value = this.state.fixationRatio;
+    if (ratioValue) ratioValue.textContent = `${Math.round(this.state.fixationRatio * 100)}%`;
+  }
+
   async setTheme(theme) {
     console.log('🎨 Setting theme:', theme);
     this.state.theme = theme;
 
     // Update toggle button state and title
-    const toggleBtn = document.getElementById('cogniread-theme-toggle');
+    const toggleBtn = this.uiRoot.getElementById('cogniread-theme-toggle');
 
     if (toggleBtn) {
       // Update tooltip title
@@ -2120,7 +3160,7 @@ class CogniRead {
     this.state.panelPosition = position;
 
     // Update toggle button state and title
-    const toggleBtn = document.getElementById('cogniread-position-toggle');
+    const toggleBtn = this.uiRoot.getElementById('cogniread-position-toggle');
 
     if (toggleBtn) {
       // Update tooltip title
@@ -2208,19 +3248,8 @@ class CogniRead {
     }
 
     // Find main container
-    const selectors = ['article', 'main', '[role="main"]', '.content', '#content'];
-    let container = null;
-    for (const selector of selectors) {
-      container = document.querySelector(selector);
-      if (container) {
-        console.log(`📦 Found container with selector: ${selector}`);
-        break;
-      }
-    }
-    if (!container) {
-      container = document.body;
-      console.log('📦 Using document.body as container');
-    }
+    const container = this.findMainContainer();
+    console.log(`📦 Found container: ${this.contentExtractor.lastResult.path}`);
 
     // Highlight difficult words in the content using text node manipulation
     const elements = container.querySelectorAll('p, li, blockquote, h1, h2, h3, h4, h5, h6');
@@ -2228,19 +3257,21 @@ class CogniRead {
 
     console.log(`📝 Processing ${elements.length} elements for difficult words...`);
 
-    elements.forEach((element, index) => {
-      // Skip navigation, ads, etc.
-      if (element.closest('nav, header, footer, aside, .ad, .advertisement')) {
-        return;
-      }
-
-      // Use text node replacement to preserve HTML structure
-      difficultTerms.forEach(term => {
-        const wrapped = this.wrapTermInTextNodes(element, term);
-        if (wrapped > 0) {
-          highlightCount += wrapped;
-          console.log(`✅ Wrapped ${wrapped} instance(s) of "${term}" in element ${index + 1}`);
+    this.withoutFixation(container, () => {
+      elements.forEach((element, index) => {
+        // Skip navigation, ads, etc.
+        if (element.closest('nav, header, footer, aside, .ad, .advertisement, [data-cogniread-excluded]')) {
+          return;
         }
+
+        // Use text node replacement to preserve HTML structure
+        difficultTerms.forEach(term => {
+          const wrapped = this.wrapTermInTextNodes(element, term);
+          if (wrapped > 0) {
+            highlightCount += wrapped;
+            console.log(`✅ Wrapped ${wrapped} instance(s) of "${term}" in element ${index + 1}`);
+          }
+        });
       });
     });
 
@@ -2287,8 +3318,10 @@ class CogniRead {
       const text = textNode.nodeValue;
       const textLower = text.toLowerCase();
 
-      // Find all occurrences of the term (word boundary)
-      const regex = new RegExp(`\\b(${term})\\b`, 'gi');
+      // Find all occurrences of the term (word boundary). Glossary acronyms ("APR") only
+      // match as written, so ordinary words that share their letters aren't wrapped.
+      const acronym = /^[A-Z][A-Za-z]*[A-Z]s?$/.test(term);
+      const regex = new RegExp(`\\b(${this.escapeRegex(term)})\\b`, acronym ? 'g' : 'gi');
       const matches = [...text.matchAll(regex)];
 
       if (matches.length === 0) return;
@@ -2329,33 +3362,48 @@ class CogniRead {
     return replacementCount;
   }
 
+  // Annotated text can be in the page or in the UI root (focus mode, reader view); events
+  // from inside the closed root reach the document retargeted to its host, so listen on both
+  addHoverListener(type, handler) {
+    document.addEventListener(type, handler, true);
+    if (this.uiRoot) this.uiRoot.addEventListener(type, handler, true);
+  }
+
+  removeHoverListener(type, handler) {
+    document.removeEventListener(type, handler, true);
+    if (this.uiRoot) this.uiRoot.removeEventListener(type, handler, true);
+  }
+
   attachDefinitionListeners() {
     // Remove previous listeners if any
     if (this.definitionMouseOverHandler) {
-      document.removeEventListener('mouseover', this.definitionMouseOverHandler, true);
+      this.removeHoverListener('mouseover', this.definitionMouseOverHandler);
     }
     if (this.definitionMouseOutHandler) {
-      document.removeEventListener('mouseout', this.definitionMouseOutHandler, true);
+      this.removeHoverListener('mouseout', this.definitionMouseOutHandler);
     }
 
     // Create handlers with proper binding and null checks
+    // Fixation emphasis splits words into <b> pieces, so match the word span via closest()
     this.definitionMouseOverHandler = async (e) => {
-      if (e.target && e.target.classList && e.target.classList.contains('cogniread-difficult-word')) {
-        console.log('🖱️ Mouse over difficult word:', e.target.textContent);
-        await this.showDefinition(e.target);
+      const word = e.target && e.target.closest ? e.target.closest('.cogniread-difficult-word') : null;
+      if (word && !(e.relatedTarget && word.contains(e.relatedTarget))) {
+        console.log('🖱️ Mouse over difficult word:', word.textContent);
+        await this.showDefinition(word);
       }
     };
 
     this.definitionMouseOutHandler = (e) => {
-      if (e.target && e.target.classList && e.target.classList.contains('cogniread-difficult-word')) {
+      const word = e.target && e.target.closest ? e.target.closest('.cogniread-difficult-word') : null;
+      if (word && !(e.relatedTarget && word.contains(e.relatedTarget))) {
         console.log('🖱️ Mouse out from difficult word');
         this.hideDefinition();
       }
     };
 
     // Add listeners using mouseover/mouseout which bubble properly
-    document.addEventListener('mouseover', this.definitionMouseOverHandler, true);
-    document.addEventListener('mouseout', this.definitionMouseOutHandler, true);
+    this.addHoverListener('mouseover', this.definitionMouseOverHandler);
+    this.addHoverListener('mouseout', this.definitionMouseOutHandler);
 
     console.log('✅ Attached definition hover listeners via event delegation');
   }
@@ -2365,11 +3413,11 @@ class CogniRead {
 
     // Remove event listeners
     if (this.definitionMouseOverHandler) {
-      document.removeEventListener('mouseover', this.definitionMouseOverHandler, true);
+      this.removeHoverListener('mouseover', this.definitionMouseOverHandler);
       this.definitionMouseOverHandler = null;
     }
     if (this.definitionMouseOutHandler) {
-      document.removeEventListener('mouseout', this.definitionMouseOutHandler, true);
+      this.removeHoverListener('mouseout', this.definitionMouseOutHandler);
       this.definitionMouseOutHandler = null;
     }
 
@@ -2382,6 +3430,11 @@ class CogniRead {
       span.replaceWith(document.createTextNode(text));
     });
 
+    // Unwrapped words lost their fixation markup
+    if (this.state.fixationMode) {
+      this.syncFixation();
+    }
+
     // Remove any visible definition bubble
     this.hideDefinition();
 
@@ -2422,7 +3475,7 @@ class CogniRead {
 
     console.log('📌 Bubble position:', { left, top });
 
-    document.body.appendChild(bubble);
+    this.uiRoot.appendChild(bubble);
     console.log('✅ Bubble added to DOM');
 
     // Get definition from AI
@@ -2431,7 +3484,7 @@ class CogniRead {
       const context = this.extractSentenceContext(element, term);
       console.log('🔍 Getting context-aware definition with sentence:', context.substring(0, 100) + '...');
 
-      const definition = await this.aiService.explainTerm(term, context);
+      const definition = await this.aiService.explainTermInNativeLanguage(term, context);
       console.log('✅ Definition received:', definition);
 
       // Format the definition with highlighted term
@@ -2457,6 +3510,11 @@ class CogniRead {
       }
 
       console.log('✅ Bubble text updated');
+
+      // Only keep words the reader actually waited for, not ones the mouse passed over
+      if (bubble.isConnected) {
+        this.saveVocabularyEntry(term, definition, context);
+      }
     } catch (error) {
       console.error('❌ Failed to get definition:', error);
       bubble.innerHTML = `<strong style="color: #4185F4; font-weight: 600;">${this.escapeHtml(term)}</strong>: A complex or technical word. (Definition unavailable)`;
@@ -2464,10 +3522,251 @@ class CogniRead {
   }
 
   hideDefinition() {
-    const bubble = document.getElementById('cogniread-definition-bubble');
+    const bubble = this.uiRoot.getElementById('cogniread-definition-bubble');
     if (bubble) bubble.remove();
   }
 
+  // ===== Vocabulary Notebook =====
+
+  async saveVocabularyEntry(term, definition, context, kind = 'word') {
+    const entry = await this.vocabularyStore.add({
+      term,
+      kind,
+      definition,
+      context,
+      url: window.location.href.split('#')[0],
+      title: document.title
+    });
+    if (entry) {
+      console.log(`📒 Saved "${term}" to vocabulary (${entry.lookups} lookup${entry.lookups === 1 ? '' : 's'})`);
+    }
+  }
+
+  async openExtensionPage(page) {
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'openExtensionPage', page });
+      if (!response || !response.success) {
+        throw new Error((response && response.message) || 'No response');
+      }
+    } catch (error) {
+      console.error(`❌ Could not open ${page}:`, error);
+      this.showToast('Could not open the page. Try reloading the extension.');
+    }
+  }
+
+  // ===== Article Export =====
+
+  // Saves the page as currently shown; root defaults to the reader view when it is open
+  async exportArticle(format, root = null) {
+    if (!root) {
+      root = this.distractionFreeMode && this.distractionFreeMode.isActive
+        ? this.distractionFreeMode.readerContainer.querySelector('.cogniread-df-content')
+        : this.findMainContainer();
+    }
+
+    const btn = this.uiRoot.getElementById('cogniread-export-btn');
+    if (btn) btn.disabled = true;
+
+    const loading = this.showLoading('Preparing export...');
+
+    try {
+      const tldrContainer = root.querySelector('.cogniread-tldr-container') || document.getElementById('cogniread-tldr');
+      const tldr = tldrContainer
+        ? Array.from(tldrContainer.querySelectorAll('li')).map(li => li.textContent.trim())
+        : [];
+
+      const definitions = await this.collectExportDefinitions(root, loading);
+
+      const model = this.articleExporter.buildModel({
+        root,
+        title: document.title,
+        url: window.location.href.split('#')[0],
+        tldr,
+        definitions,
+        language: this.getTextLanguage()
+      });
+
+      const file = await this.articleExporter.export(format, model);
+      this.articleExporter.download(file);
+
+      console.log(`💾 Exported ${file.filename} (${model.footnotes.length} footnotes, ${model.glossary.length} idioms)`);
+      this.showToast(`✓ Saved ${file.filename}`);
+    } catch (error) {
+      console.error('Error exporting article:', error);
+      alert('Failed to export this article. Please try again.');
+    } finally {
+      this.hideLoading(loading);
+      if (btn) btn.disabled = false;
+    }
+  }
+
+  // Definitions for the highlighted words, looked up the same way as the hover bubble (cached)
+  async collectExportDefinitions(root, loading) {
+    const maxTerms = 30;
+    const spans = new Map();
+    root.querySelectorAll('.cogniread-difficult-word').forEach(span => {
+      const term = (span.dataset.term || span.textContent).toLowerCase();
+      if (!spans.has(term) && spans.size < maxTerms) spans.set(term, span);
+    });
+
+    const definitions = new Map();
+    let done = 0;
+    for (const [term, span] of spans) {
+      loading.querySelector('div:last-child').textContent = `Looking up definitions (${++done}/${spans.size})...`;
+      try {
+        const definition = await this.aiService.explainTermInNativeLanguage(term, this.extractSentenceContext(span, term));
+        definitions.set(term, definition.replace(new RegExp(`^${this.escapeRegex(term)}(\\s+means\\s+|\\s*:\\s*)`, 'i'), ''));
+      } catch (error) {
+        console.warn(`⚠️ No definition for "${term}" in export:`, error);
+      }
+    }
+    return definitions;
+  }
+
+  // ===== Offline Library =====
+
+  // Saves the cleaned article with its current rewrites, TL;DR and idiom markup.
+  // root defaults to the reader view when it is open.
+  async saveArticleForLater(root = null) {
+    if (!root && this.distractionFreeMode.isActive) {
+      root = this.distractionFreeMode.readerContainer.querySelector('.cogniread-df-content');
+    }
+
+    const btn = this.uiRoot.getElementById('cogniread-save-article-btn');
+    if (btn) btn.disabled = true;
+
+    const loading = this.showLoading('Saving article for offline reading...');
+
+    try {
+      // The reader view is already cleaned; otherwise clean the page the same way
+      const content = root
+        ? root.cloneNode(true)
+        : this.distractionFreeMode.sanitizeContent(this.findMainContainer());
+
+      const tldrContainer = content.querySelector('.cogniread-tldr-container') || document.getElementById('cogniread-tldr');
+      const tldr = tldrContainer
+        ? Array.from(tldrContainer.querySelectorAll('li')).map(li => li.textContent.trim())
+        : [];
+
+      this.prepareLibraryContent(content);
+      await this.inlineLibraryImages(content, loading);
+
+      const text = content.innerText || content.textContent;
+      const analysis = await this.cognitiveEngine.analyzeComplexity(text);
+
+      const entry = await this.libraryStore.save({
+        url: window.location.href,
+        title: document.title,
+        siteName: window.location.hostname,
+        html: content.innerHTML,
+        tldr,
+        transformations: this.describeAppliedTransformations(content, tldr),
+        complexity: analysis.overallComplexity,
+        wordCount: analysis.wordCount,
+        readingTime: analysis.estimatedReadingTime
+      });
+
+      if (!entry) {
+        throw new Error('Library storage unavailable');
+      }
+
+      console.log(`🔖 Saved "${entry.title}" to the library (${Math.round(entry.size / 1024)} KB)`);
+      this.showToast('✓ Saved to your library');
+    } catch (error) {
+      console.error('Error saving article:', error);
+      alert('Failed to save this article. Please try again.');
+    } finally {
+      this.hideLoading(loading);
+      if (btn) btn.disabled = false;
+    }
+  }
+
+  // Strip CogniRead's in-page additions and anything that would run or load from the network
+  prepareLibraryContent(content) {
+    content.querySelectorAll([
+      'script', 'style', 'noscript', 'iframe', 'object', 'embed', 'form', 'input', 'select',
+      'textarea', 'video', 'audio', 'source', 'track', 'link', 'meta', 'base', 'image', '.cogniread-df-article-meta', '.cogniread-df-video-placeholder',
+      '.cogniread-tldr-container', '.cogniread-difficulty-badge-inline'
+    ].join(', ')).forEach(el => el.remove());
+
+    // Image placeholders from Pure Text level keep their description
+    content.querySelectorAll('.cogniread-df-image-placeholder').forEach(placeholder => {
+      const span = document.createElement('span');
+      span.textContent = placeholder.textContent;
+      placeholder.replaceWith(span);
+    });
+    content.querySelectorAll('button').forEach(el => el.remove());
+
+    this.fixationEmphasis.remove(content);
+
+    // Inline styles can load backgrounds too (style="background: url(...)")
+    [content, ...content.querySelectorAll('*')].forEach(el => {
+      Array.from(el.attributes).forEach(attr => {
+        if (/^on/i.test(attr.name) || ['srcset', 'sizes', 'loading', 'poster', 'background'].includes(attr.name) ||
+            (attr.name === 'style' && /url\s*\(/i.test(attr.value))) {
+          el.removeAttribute(attr.name);
+        }
+      });
+    });
+
+    content.querySelectorAll('a[href]').forEach(link => {
+      if (/^\s*javascript:/i.test(link.getAttribute('href'))) {
+        link.removeAttribute('href');
+        return;
+      }
+      if (!link.getAttribute('href').startsWith('#')) {
+        link.href = link.href; // Absolute, so links work from the library
+        link.target = '_blank';
+        link.rel = 'noopener';
+      }
+    });
+  }
+
+  // Images are fetched by the background worker and stored inline; ones that can't be
+  // kept are replaced by their description so the saved copy never needs the network
+  async inlineLibraryImages(content, loading) {
+    const maxImages = 30;
+    const images = Array.from(content.querySelectorAll('img'));
+
+    for (let i = 0; i < images.length; i++) {
+      const img = images[i];
+      const src = img.getAttribute('data-src') || img.src;
+      let dataUrl = null;
+
+      if (src && src.startsWith('data:image/')) {
+        continue;
+      }
+
+      if (i < maxImages && src) {
+        loading.querySelector('div:last-child').textContent = `Saving images (${i + 1}/${Math.min(images.length, maxImages)})...`;
+        try {
+          const response = await chrome.runtime.sendMessage({ action: 'fetchImageData', url: new URL(src, document.baseURI).href });
+          if (response && response.success) dataUrl = response.dataUrl;
+        } catch (error) {
+          console.warn('⚠️ Could not save image:', src, error);
+        }
+      }
+
+      if (dataUrl) {
+        img.src = dataUrl;
+        img.removeAttribute('data-src');
+      } else {
+        const span = document.createElement('span');
+        span.textContent = `📷 [Image: ${img.alt || 'No description'}]`;
+        img.replaceWith(span);
+      }
+    }
+  }
+
+  // Labels shown on the library card, e.g. "✨ Simplified (ELI5)", "📝 TL;DR"
+  describeAppliedTransformations(content, tldr) {
+    const applied = this.pipeline.getChain().map(step => this.pipeline.getLabel([step]));
+    if (tldr.length > 0) applied.push('📝 TL;DR');
+    if (content.querySelector('.cogniread-idiom-phrase')) applied.push('💬 Literal Language');
+    if (content.querySelector('.cogniread-difficult-word')) applied.push('💡 Definitions');
+    return applied;
+  }
+
   async toggleIdiomMode(enabled) {
     console.log('💬 Idiom mode toggle:', enabled);
     this.state.idiomMode = enabled;
@@ -2500,16 +3799,16 @@ class CogniRead {
   }
 
   async convertIdiomsToLiteral() {
+    // The dictionary and the idiom packs are English
+    if (this.getTextLanguage() !== 'en') {
+      console.log(`ℹ️ Skipping idiom scan: the page is in ${this.aiService.getLanguageName(this.getTextLanguage())}`);
+      return;
+    }
+
     console.log('🔄 Scanning entire page for idioms...');
 
     // Find main container
-    const selectors = ['article', 'main', '[role="main"]', '.content', '#content'];
-    let container = null;
-    for (const selector of selectors) {
-      container = document.querySelector(selector);
-      if (container) break;
-    }
-    if (!container) container = document.body;
+    const container = this.findMainContainer();
 
     // Find ALL text-containing elements
     const elements = container.querySelectorAll('p, h1, h2, h3, h4, h5, h6, li, blockquote');
@@ -2531,7 +3830,7 @@ class CogniRead {
         const element = elements[i];
 
         // Skip navigation, ads, etc.
-        if (element.closest('nav, header, footer, aside, .ad, .advertisement')) {
+        if (element.closest('nav, header, footer, aside, .ad, .advertisement, [data-cogniread-excluded]')) {
           continue;
         }
 
@@ -2545,64 +3844,11 @@ class CogniRead {
         console.log(`🔍 Scanning element ${i + 1}/${elements.length}: ${text.substring(0, 50)}...`);
 
         try {
-          // Split text into sentences - handle both punctuated and non-punctuated text
-          // Match sentences with punctuation OR text chunks without punctuation (like headings)
-          const sentences = text.match(/[^.!?]+[.!?]+|[^.!?]+/g) || [text];
-          console.log(`   Found ${sentences.length} sentences`);
-
-          let foundIdiomsInElement = false;
-          const idiomSpans = [];
-
-          // Check EACH sentence for idioms
-          for (const sentence of sentences) {
-            const trimmedSentence = sentence.trim();
-
-            if (trimmedSentence.length < 10) {
-              console.log(`   ⏭️ Skipping short sentence (${trimmedSentence.length} chars)`);
-              continue;
-            }
-
-            console.log(`   🔎 Checking: "${trimmedSentence.substring(0, 70)}..."`);
-
-            // Use dictionary-based detection (fast, no AI quota used)
-            // AI explanation will be fetched on hover
-            const result = this.aiService.fallbackIdiomDetection(trimmedSentence);
-
-            console.log(`   📊 Result:`, result);
-
-            if (result.hasIdiom) {
-              console.log(`   ✅ Idiom detected: "${result.idiom}"`);
-
-              idiomSpans.push({
-                idiom: result.idiom,
-                original: trimmedSentence
-              });
-
-              foundIdiomsInElement = true;
-              totalIdiomsFound++;
-            } else {
-              console.log(`   ❌ No idiom found`);
-            }
-          }
-
-          // If we found idioms, wrap them in spans
-          if (foundIdiomsInElement) {
-            console.log(`   🎯 Wrapping ${idiomSpans.length} idioms in this element`);
-
-            // Use safe text replacement that preserves HTML structure
-            idiomSpans.forEach(({ idiom, original }, index) => {
-              console.log(`   🔄 Replacing idiom ${index + 1}: "${idiom}"`);
-              this.wrapIdiomInTextNodes(element, idiom, original);
-            });
-
-            element.classList.add('cogniread-has-idioms');
+          const found = this.convertIdiomsInElement(element, text);
+          if (found > 0) {
+            totalIdiomsFound += found;
             processedElements.push(element);
-
-            // Verify spans were created
-            const spans = element.querySelectorAll('.cogniread-idiom-phrase');
-            console.log(`   ✅ Created ${spans.length} idiom spans in element`);
           }
-
         } catch (error) {
           console.error(`❌ Failed to process element ${i + 1}:`, error);
         }
@@ -2622,26 +3868,90 @@ class CogniRead {
     }
   }
 
-  escapeHtml(text) {
-    const div = document.createElement('div');
-    div.textContent = text;
-    return div.innerHTML;
-  }
+  // Wrap the dictionary idioms in one element; returns how many were found
+  convertIdiomsInElement(element, text = element.textContent.trim()) {
+    // Split text into sentences - handle both punctuated and non-punctuated text
+    // Match sentences with punctuation OR text chunks without punctuation (like headings)
+    const sentences = text.match(/[^.!?]+[.!?]+|[^.!?]+/g) || [text];
+    console.log(`   Found ${sentences.length} sentences`);
 
-  escapeRegex(str) {
-    return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-  }
+    let foundIdiomsInElement = false;
+    const idiomSpans = [];
 
-  extractSentenceContext(element, term) {
-    // Get the full text from parent element
-    const parentText = element.parentElement.textContent;
+    // Check EACH sentence for idioms
+    for (const sentence of sentences) {
+      const trimmedSentence = sentence.trim();
 
-    // Split into sentences (handle various punctuation)
-    const sentences = parentText.match(/[^.!?]+[.!?]+/g) || [parentText];
+      if (trimmedSentence.length < 10) {
+        console.log(`   ⏭️ Skipping short sentence (${trimmedSentence.length} chars)`);
+        continue;
+      }
 
-    // Find the sentence containing the term (case-insensitive)
-    const termLower = term.toLowerCase();
-    for (const sentence of sentences) {
+      console.log(`   🔎 Checking: "${trimmedSentence.substring(0, 70)}..."`);
+
+      // Use dictionary-based detection (fast, no AI quota used)
+      // AI explanation will be fetched on hover
+      const result = this.aiService.fallbackIdiomDetection(trimmedSentence);
+
+      console.log(`   📊 Result:`, result);
+
+      if (result.hasIdiom) {
+        console.log(`   ✅ Idiom detected: "${result.idiom}"`);
+
+        idiomSpans.push({
+          idiom: result.idiom,
+          canonical: result.canonical,
+          original: trimmedSentence
+        });
+
+        foundIdiomsInElement = true;
+      } else {
+        console.log(`   ❌ No idiom found`);
+      }
+    }
+
+    // If we found idioms, wrap them in spans
+    if (foundIdiomsInElement) {
+      console.log(`   🎯 Wrapping ${idiomSpans.length} idioms in this element`);
+
+      // Use safe text replacement that preserves HTML structure
+      this.withoutFixation(element, () => {
+        idiomSpans.forEach(({ idiom, canonical, original }, index) => {
+          console.log(`   🔄 Replacing idiom ${index + 1}: "${idiom}"`);
+          this.wrapIdiomInTextNodes(element, idiom, original, canonical);
+        });
+      });
+
+      element.classList.add('cogniread-has-idioms');
+
+      // Verify spans were created
+      const spans = element.querySelectorAll('.cogniread-idiom-phrase');
+      console.log(`   ✅ Created ${spans.length} idiom spans in element`);
+    }
+
+    return foundIdiomsInElement ? idiomSpans.length : 0;
+  }
+
+  escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+  }
+
+  escapeRegex(str) {
+    return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+
+  extractSentenceContext(element, term) {
+    // Get the full text from parent element
+    const parentText = element.parentElement.textContent;
+
+    // Split into sentences (handle various punctuation)
+    const sentences = parentText.match(/[^.!?]+[.!?]+/g) || [parentText];
+
+    // Find the sentence containing the term (case-insensitive)
+    const termLower = term.toLowerCase();
+    for (const sentence of sentences) {
       if (sentence.toLowerCase().includes(termLower)) {
         return sentence.trim();
       }
@@ -2651,7 +3961,9 @@ class CogniRead {
     return parentText.substring(0, 300);
   }
 
-  wrapIdiomInTextNodes(element, idiom, original) {
+  // idiom is the phrase as written; canonical the dictionary entry it matched ("spilled the
+  // beans" -> "spill the beans"), used for explanations and the vocabulary notebook
+  wrapIdiomInTextNodes(element, idiom, original, canonical = idiom) {
     // Walk through all text nodes and replace idiom occurrences
     // This preserves HTML structure by only modifying text content
     const walker = document.createTreeWalker(
@@ -2672,6 +3984,7 @@ class CogniRead {
     }
 
     const idiomLower = idiom.toLowerCase();
+    const entry = this.aiService.getIdiomEntry(canonical);
     let replacementCount = 0;
 
     textNodes.forEach(textNode => {
@@ -2694,7 +4007,9 @@ class CogniRead {
       span.className = 'cogniread-idiom-phrase';
       span.setAttribute('data-original', original);
       span.setAttribute('data-idiom', actualIdiom);
-      // Note: data-literal removed - explanation will be fetched on hover
+      span.setAttribute('data-canonical', canonical.toLowerCase());
+      // Dictionary meaning is the offline fallback; the AI explanation is fetched on hover
+      if (entry) span.setAttribute('data-meaning', entry.meaning);
       span.textContent = actualIdiom;
 
       // Create document fragment to insert all at once
@@ -2725,29 +4040,31 @@ class CogniRead {
   attachIdiomListeners() {
     // Remove previous listeners if any
     if (this.idiomMouseOverHandler) {
-      document.removeEventListener('mouseover', this.idiomMouseOverHandler, true);
+      this.removeHoverListener('mouseover', this.idiomMouseOverHandler);
     }
     if (this.idiomMouseOutHandler) {
-      document.removeEventListener('mouseout', this.idiomMouseOutHandler, true);
+      this.removeHoverListener('mouseout', this.idiomMouseOutHandler);
     }
 
     // Create handlers with proper binding and null checks
     this.idiomMouseOverHandler = (e) => {
-      if (e.target && e.target.classList && e.target.classList.contains('cogniread-idiom-phrase')) {
+      const phrase = e.target && e.target.closest ? e.target.closest('.cogniread-idiom-phrase') : null;
+      if (phrase && !(e.relatedTarget && phrase.contains(e.relatedTarget))) {
         console.log('🔥 Hovering over idiom!');
-        this.showIdiomTooltip(e.target);
+        this.showIdiomTooltip(phrase);
       }
     };
 
     this.idiomMouseOutHandler = (e) => {
-      if (e.target && e.target.classList && e.target.classList.contains('cogniread-idiom-phrase')) {
+      const phrase = e.target && e.target.closest ? e.target.closest('.cogniread-idiom-phrase') : null;
+      if (phrase && !(e.relatedTarget && phrase.contains(e.relatedTarget))) {
         this.hideIdiomTooltip();
       }
     };
 
     // Add listeners using mouseover/mouseout which bubble properly
-    document.addEventListener('mouseover', this.idiomMouseOverHandler, true);
-    document.addEventListener('mouseout', this.idiomMouseOutHandler, true);
+    this.addHoverListener('mouseover', this.idiomMouseOverHandler);
+    this.addHoverListener('mouseout', this.idiomMouseOutHandler);
 
     console.log('✅ Attached idiom hover listeners via event delegation');
   }
@@ -2757,129 +4074,898 @@ class CogniRead {
 
     // Remove event listeners
     if (this.idiomMouseOverHandler) {
-      document.removeEventListener('mouseover', this.idiomMouseOverHandler, true);
+      this.removeHoverListener('mouseover', this.idiomMouseOverHandler);
     }
     if (this.idiomMouseOutHandler) {
-      document.removeEventListener('mouseout', this.idiomMouseOutHandler, true);
+      this.removeHoverListener('mouseout', this.idiomMouseOutHandler);
+    }
+
+    // Remove all idiom spans and restore original text
+    document.querySelectorAll('.cogniread-has-idioms').forEach(element => {
+      // Unwrap all idiom spans
+      element.querySelectorAll('.cogniread-idiom-phrase').forEach(span => {
+        const idiom = span.dataset.idiom;
+        span.replaceWith(idiom);
+      });
+      element.classList.remove('cogniread-has-idioms');
+
+      if (this.state.fixationMode) {
+        this.fixationEmphasis.apply(element);
+      }
+    });
+
+    // Remove any visible tooltip
+    this.hideIdiomTooltip();
+  }
+
+  async showIdiomTooltip(span) {
+    console.log('🖱️ Hovering over idiom phrase');
+    const idiom = span.dataset.idiom;
+    const original = span.dataset.original;
+    const canonical = span.dataset.canonical || idiom;
+    const meaning = span.dataset.meaning || '';
+
+    console.log('📝 Idiom:', idiom);
+
+    if (!idiom) {
+      console.warn('⚠️ Missing idiom data!');
+      return;
+    }
+
+    const rect = span.getBoundingClientRect();
+
+    // Remove any existing tooltip
+    this.hideIdiomTooltip();
+
+    // Create tooltip bubble
+    const bubble = document.createElement('div');
+    bubble.className = 'cogniread-idiom-tooltip';
+    bubble.id = 'cogniread-idiom-bubble';
+    bubble.innerHTML = `
+      <div class="cogniread-idiom-tooltip-header">${this.escapeHtml(idiom)}</div>
+      <div class="cogniread-idiom-tooltip-content">Loading explanation...</div>
+    `;
+
+    // Position above the span (account for scrolling)
+    const left = rect.left + rect.width / 2 + window.scrollX;
+    const top = rect.top + window.scrollY - 10;
+
+    console.log('📌 Tooltip position:', { left, top });
+
+    bubble.style.position = 'absolute';
+    bubble.style.left = `${left}px`;
+    bubble.style.top = `${top}px`;
+    bubble.style.transform = 'translate(-50%, -100%)';
+    bubble.style.zIndex = '2147483647';
+
+    this.uiRoot.appendChild(bubble);
+    console.log('✅ Tooltip added to DOM');
+
+    // Fetch AI-powered explanation on hover (not during scan)
+    try {
+      // The AI explains the dictionary form; the dictionary meaning is used without it
+      const explanation = await this.aiService.explainIdiomInNativeLanguage(canonical, meaning);
+      console.log('✅ AI explanation received:', explanation);
+
+      // Update tooltip content with explanation
+      const headerDiv = bubble.querySelector('.cogniread-idiom-tooltip-header');
+      const contentDiv = bubble.querySelector('.cogniread-idiom-tooltip-content');
+
+      if (headerDiv && contentDiv) {
+        // Set the idiom phrase as the header
+        headerDiv.textContent = idiom;
+
+        // Extract and set the explanation (remove "idiom means" prefix if present)
+        let cleanExplanation = explanation;
+        if (explanation.toLowerCase().includes(canonical.toLowerCase() + ' means')) {
+          const parts = explanation.split(/\s+means\s+/i);
+          if (parts.length > 1) {
+            cleanExplanation = parts.slice(1).join(' means ');
+          }
+        } else if (explanation.toLowerCase().startsWith(canonical.toLowerCase())) {
+          // Remove idiom from start if present
+          cleanExplanation = explanation.substring(canonical.length).replace(/^[\s:]+/, '');
+        }
+
+        contentDiv.textContent = cleanExplanation;
+
+        // Idioms the reader stopped on become review cards too
+        if (bubble.isConnected) {
+          this.saveVocabularyEntry(canonical, cleanExplanation, this.extractSentenceContext(span, idiom), 'idiom');
+        }
+      }
+    } catch (error) {
+      console.error('❌ Failed to get AI explanation:', error);
+      // Fallback to dictionary explanation if AI fails
+      const headerDiv = bubble.querySelector('.cogniread-idiom-tooltip-header');
+      const contentDiv = bubble.querySelector('.cogniread-idiom-tooltip-content');
+      if (headerDiv && contentDiv) {
+        headerDiv.textContent = idiom;
+        contentDiv.textContent = meaning || 'A figure of speech with a non-literal meaning. (AI explanation unavailable)';
+      }
+    }
+  }
+
+  hideIdiomTooltip() {
+    const bubble = this.uiRoot.getElementById('cogniread-idiom-bubble');
+    if (bubble) {
+      console.log('🧹 Removing idiom tooltip');
+      bubble.remove();
+    }
+  }
+
+  // ===== Hidden Meanings =====
+  // Sentences that don't mean what they literally say (sarcasm, rhetorical questions,
+  // hyperbole, metaphor, implied meaning) get a dotted underline; hovering shows the kind
+  // and a plain restatement in the idiom tooltip style.
+
+  async toggleHiddenMeaningMode(enabled) {
+    console.log('🎭 Hidden meaning mode toggle:', enabled);
+    this.state.hiddenMeaningMode = enabled;
+    this.updateQuickToggleStates();
+
+    if (enabled) {
+      await this.annotateHiddenMeanings();
+    } else {
+      this.removeHiddenMeanings();
+    }
+
+    // If focus mode is active, refresh the current chunk to show updated content
+    if (this.state.focusMode) {
+      this.showFocusChunk(this.state.currentFocusIndex);
+    }
+
+    await this.savePreferences();
+  }
+
+  // Each paragraph is a separate prompt, so annotations appear as the scan goes. Pass
+  // blocks to annotate only those (new content); otherwise the whole main content is scanned.
+  async annotateHiddenMeanings(blocks = null) {
+    if (!this.hiddenMeaningController || this.hiddenMeaningController.signal.aborted) {
+      this.hiddenMeaningController = new AbortController();
+    }
+    const signal = this.hiddenMeaningController.signal;
+
+    const container = this.findMainContainer();
+    const elements = Array.from(new Set(blocks || container.querySelectorAll('p, li, blockquote')))
+      .filter(element => element.matches('p, li, blockquote') && !element.querySelector('p, li, blockquote'))
+      .filter(element => !element.closest('nav, header, footer, aside, .ad, .advertisement, [data-cogniread-excluded]'))
+      .filter(element => !this.hiddenMeaningScanned.has(element) && element.textContent.trim().length >= 15);
+
+    if (elements.length === 0) return;
+    console.log(`🎭 Looking for hidden meanings in ${elements.length} elements`);
+
+    this.attachHiddenMeaningListeners();
+    const loading = blocks ? null : this.showLoading('Looking for hidden meanings...');
+    let found = 0;
+
+    try {
+      // The first paragraphs are enough to show it's working
+      for (const [index, element] of elements.entries()) {
+        if (signal.aborted) break;
+        if (index === 3) this.hideLoading(loading);
+
+        this.hiddenMeaningScanned.add(element);
+        const annotations = await this.aiService.detectHiddenMeanings(element.textContent.trim(), { signal });
+        if (signal.aborted || !element.isConnected || annotations.length === 0) continue;
+
+        this.withoutFixation(element, () => {
+          annotations.forEach(annotation => {
+            if (this.wrapHiddenMeaning(element, annotation)) found++;
+          });
+        });
+      }
+      console.log(`✨ Marked ${found} hidden meanings`);
+    } catch (error) {
+      console.error('❌ Hidden meaning scan failed:', error);
+    } finally {
+      this.hideLoading(loading);
+    }
+  }
+
+  // Wraps the quoted sentence, which may run across links and other inline elements, in one
+  // span per text node. Whitespace is compared collapsed. Returns whether it was found.
+  wrapHiddenMeaning(element, annotation) {
+    const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT, null, false);
+    const positions = []; // Collapsed-text index -> { node, offset }
+    let text = '';
+    let node;
+
+    while (node = walker.nextNode()) {
+      // Text already marked, or in an idiom with its own tooltip, is matched but not wrapped
+      const skip = !!node.parentElement.closest('.cogniread-hidden-meaning, .cogniread-idiom-phrase');
+      for (let offset = 0; offset < node.nodeValue.length; offset++) {
+        const char = node.nodeValue[offset];
+        if (/\s/.test(char) && /\s$/.test(text)) continue;
+        text += /\s/.test(char) ? ' ' : char;
+        positions.push(skip ? null : { node, offset });
+      }
+    }
+
+    const quote = annotation.quote.replace(/\s+/g, ' ').trim();
+    const start = text.indexOf(quote);
+    if (!quote || start === -1) return false;
+
+    // Character ranges per text node, wrapped last to first so offsets stay valid
+    const ranges = [];
+    positions.slice(start, start + quote.length).forEach(position => {
+      if (!position) return;
+      const last = ranges[ranges.length - 1];
+      if (last && last.node === position.node) {
+        last.end = position.offset + 1;
+      } else {
+        ranges.push({ node: position.node, start: position.offset, end: position.offset + 1 });
+      }
+    });
+    if (ranges.length === 0) return false;
+
+    ranges.reverse().forEach(range => {
+      const target = range.node.splitText(range.start);
+      target.splitText(range.end - range.start);
+
+      const span = document.createElement('span');
+      span.className = 'cogniread-hidden-meaning';
+      span.setAttribute('data-category', annotation.category);
+      span.setAttribute('data-restatement', annotation.restatement);
+      span.setAttribute('data-source', annotation.source);
+      target.replaceWith(span);
+      span.appendChild(target);
+    });
+
+    element.classList.add('cogniread-has-hidden-meanings');
+    return true;
+  }
+
+  attachHiddenMeaningListeners() {
+    if (this.hiddenMeaningMouseOverHandler) return;
+
+    // Idioms inside a marked sentence keep their own tooltip
+    const findMarked = (target) => {
+      if (!target || !target.closest || target.closest('.cogniread-idiom-phrase')) return null;
+      return target.closest('.cogniread-hidden-meaning');
+    };
+
+    this.hiddenMeaningMouseOverHandler = (e) => {
+      const span = findMarked(e.target);
+      if (span && !(e.relatedTarget && span.contains(e.relatedTarget))) {
+        this.showHiddenMeaningTooltip(span);
+      }
+    };
+
+    this.hiddenMeaningMouseOutHandler = (e) => {
+      const span = findMarked(e.target);
+      if (span && !(e.relatedTarget && span.contains(e.relatedTarget))) {
+        this.hideHiddenMeaningTooltip();
+      }
+    };
+
+    this.addHoverListener('mouseover', this.hiddenMeaningMouseOverHandler);
+    this.addHoverListener('mouseout', this.hiddenMeaningMouseOutHandler);
+  }
+
+  removeHiddenMeanings() {
+    console.log('🧹 Removing hidden meaning annotations...');
+
+    if (this.hiddenMeaningController) {
+      this.hiddenMeaningController.abort();
+      this.hiddenMeaningController = null;
+    }
+    if (this.hiddenMeaningMouseOverHandler) {
+      this.removeHoverListener('mouseover', this.hiddenMeaningMouseOverHandler);
+      this.removeHoverListener('mouseout', this.hiddenMeaningMouseOutHandler);
+      this.hiddenMeaningMouseOverHandler = null;
+      this.hiddenMeaningMouseOutHandler = null;
+    }
+
+    document.querySelectorAll('.cogniread-has-hidden-meanings').forEach(element => {
+      element.querySelectorAll('.cogniread-hidden-meaning').forEach(span => {
+        span.replaceWith(...span.childNodes);
+      });
+      element.normalize();
+      element.classList.remove('cogniread-has-hidden-meanings');
+
+      if (this.state.fixationMode) {
+        this.fixationEmphasis.apply(element);
+      }
+    });
+
+    this.hiddenMeaningScanned = new WeakSet();
+    this.hideHiddenMeaningTooltip();
+  }
+
+  showHiddenMeaningTooltip(span) {
+    const labels = {
+      'sarcasm': 'Sarcasm',
+      'rhetorical-question': 'Rhetorical question',
+      'hyperbole': 'Exaggeration',
+      'metaphor': 'Metaphor',
+      'implied-meaning': 'Implied meaning'
+    };
+    const rect = span.getBoundingClientRect();
+
+    this.hideHiddenMeaningTooltip();
+
+    const bubble = document.createElement('div');
+    bubble.className = 'cogniread-idiom-tooltip';
+    bubble.id = 'cogniread-hidden-meaning-bubble';
+    bubble.innerHTML = `
+      <div class="cogniread-idiom-tooltip-header">🎭 ${this.escapeHtml(labels[span.dataset.category] || 'Hidden meaning')}</div>
+      <div class="cogniread-idiom-tooltip-content">${this.escapeHtml(span.dataset.restatement || '')}</div>
+      ${span.dataset.source === 'pattern' ? '<div class="cogniread-hidden-meaning-note">Guessed from the wording</div>' : ''}
+    `;
+
+    // Position above the span (account for scrolling)
+    bubble.style.position = 'absolute';
+    bubble.style.left = `${rect.left + rect.width / 2 + window.scrollX}px`;
+    bubble.style.top = `${rect.top + window.scrollY - 10}px`;
+    bubble.style.transform = 'translate(-50%, -100%)';
+    bubble.style.zIndex = '2147483647';
+
+    this.uiRoot.appendChild(bubble);
+  }
+
+  hideHiddenMeaningTooltip() {
+    const bubble = this.uiRoot.getElementById('cogniread-hidden-meaning-bubble');
+    if (bubble) bubble.remove();
+  }
+
+  // ===== Domain Glossaries =====
+  // Bundled medical, legal, finance and computing glossaries (see DomainGlossary). Their
+  // terms are highlighted along with the long and unusual words, and their definitions are
+  // used before asking the model. Auto-Detect picks the domains from the page's topic.
+
+  // Points the definitions at the glossaries in use. Callers re-highlight.
+  applyGlossaries() {
+    const glossary = this.aiService.getDomainGlossary();
+    if (!glossary) return;
+
+    this.detectedGlossaryDomains = glossary.detectDomains(this.cognitiveEngine.extractMainContent().text);
+    const choice = this.state.glossaryDomain;
+    const domains = choice === 'auto' ? this.detectedGlossaryDomains : choice === 'off' ? [] : [choice];
+
+    console.log(`🏷️ Glossaries: ${domains.join(', ') || 'none'} (${choice})`);
+    this.aiService.setGlossaryDomains(domains);
+    this.updateGlossaryUI();
+  }
+
+  // The Auto-Detect option names the domains found on this page
+  updateGlossaryUI() {
+    const glossarySelect = this.uiRoot.getElementById('cogniread-glossary-select');
+    if (!glossarySelect) return;
+
+    glossarySelect.value = this.state.glossaryDomain;
+    const autoOption = glossarySelect.querySelector('option[value="auto"]');
+    if (autoOption) {
+      const glossary = this.aiService.getDomainGlossary();
+      const names = this.detectedGlossaryDomains.map(id => glossary.getDomainName(id));
+      autoOption.textContent = names.length ? `Auto-Detect (${names.join(', ')})` : 'Auto-Detect (none found)';
+    }
+  }
+
+  async setGlossaryDomain(choice) {
+    this.state.glossaryDomain = choice;
+    this.applyGlossaries();
+
+    if (this.state.definitionsEnabled) {
+      this.disableDefinitions();
+      await this.enableDefinitions();
+      this.refreshFocusChunk();
+    }
+
+    await this.savePreferences();
+  }
+
+  // ===== Idiom Packs =====
+  // User and shared idiom collections (see IdiomPackStore). The enabled ones are part of
+  // the global or site profile and are merged into the dictionary Literal Language uses.
+
+  // Loads the enabled packs into the idiom lookup; with rescan, an active Literal Language
+  // pass is redone so added or removed idioms show up
+  async applyIdiomPacks({ rescan = true } = {}) {
+    try {
+      const packs = await this.idiomPackStore.getAll();
+      // Forget packs that were deleted
+      const enabled = this.state.idiomPacks.filter(id => packs.some(pack => pack.id === id));
+      this.state.idiomPacks = enabled;
+
+      this.aiService.setPackIdioms(await this.idiomPackStore.getIdioms(enabled));
+      this.renderIdiomPackList(packs);
+
+      if (rescan && this.state.idiomMode) {
+        this.restoreOriginalText();
+        await this.convertIdiomsToLiteral();
+      }
+    } catch (error) {
+      console.error('❌ Failed to load idiom packs:', error);
+    }
+  }
+
+  renderIdiomPackList(packs) {
+    const list = this.uiRoot.getElementById('cogniread-idiom-pack-list');
+    if (!list) return;
+
+    list.innerHTML = '';
+
+    if (packs.length === 0) {
+      const empty = document.createElement('div');
+      empty.className = 'cogniread-idiom-pack-empty';
+      empty.textContent = 'No idiom packs yet. Create or import one under Manage.';
+      list.appendChild(empty);
+      return;
+    }
+
+    packs.forEach(pack => {
+      const label = document.createElement('label');
+      label.className = 'cogniread-idiom-pack';
+
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.dataset.packId = pack.id;
+      checkbox.checked = this.state.idiomPacks.includes(pack.id);
+
+      const name = document.createElement('span');
+      name.className = 'cogniread-idiom-pack-name';
+      name.textContent = pack.name;
+
+      const count = document.createElement('span');
+      count.className = 'cogniread-idiom-pack-count';
+      count.textContent = Object.keys(pack.idioms).length;
+
+      label.append(checkbox, name, count);
+      if (pack.description) label.title = pack.description;
+      list.appendChild(label);
+    });
+  }
+
+  async toggleIdiomPack(id, enabled) {
+    this.state.idiomPacks = enabled
+      ? [...new Set([...this.state.idiomPacks, id])]
+      : this.state.idiomPacks.filter(packId => packId !== id);
+
+    await this.savePreferences();
+    await this.applyIdiomPacks();
+  }
+
+  updateProgress() {
+    if (!this.ui.progress) return;
+
+    const scrollPosition = window.scrollY + window.innerHeight;
+    const totalHeight = document.documentElement.scrollHeight;
+    const progress = this.cognitiveEngine.calculateProgress(scrollPosition, totalHeight);
+    this.ui.progress.style.width = `${progress}%`;
+  }
+
+  // ===== Dynamic Content =====
+  // Pages that load more text later (feeds, "load more", comment threads) and single-page
+  // apps that swap the article without a page load. See DynamicContentWatcher.
+
+  // Bring blocks that appeared after the features ran in line with the active modes
+  async handleNewContent(blocks) {
+    this.contentExtractor.invalidate(); // The main content may have grown or moved
+    const container = this.findMainContainer();
+    const fresh = blocks.filter(block => container.contains(block) && !this.contentExtractor.isExcluded(block));
+    if (fresh.length === 0) return;
+
+    console.log(`🆕 ${fresh.length} new blocks in the main content`);
+    const within = (element) => fresh.some(block => block.contains(element));
+
+    if (this.pipeline.hasActiveTransforms()) {
+      const paragraphs = this.findSubstantialParagraphs(container)
+        .filter(p => within(p) && !this.pipeline.getRecord(p));
+      if (paragraphs.length > 0) this.scheduleTransforms(paragraphs);
+    }
+
+    if (this.state.definitionsEnabled) {
+      const text = fresh.map(block => block.textContent).join('\n');
+      const difficultTerms = this.cognitiveEngine.identifyDifficultTerms(text);
+      fresh.forEach(block => {
+        difficultTerms.forEach(term => this.wrapTermInTextNodes(block, term));
+      });
+    }
+
+    if (this.state.idiomMode) {
+      fresh
+        .filter(block => block.matches('p, h1, h2, h3, h4, h5, h6, li, blockquote'))
+        .filter(block => block.textContent.trim().length >= 15)
+        .forEach(block => {
+          try {
+            this.convertIdiomsInElement(block);
+          } catch (error) {
+            console.error('❌ Failed to convert idioms in new content:', error);
+          }
+        });
+    }
+
+    if (this.state.hiddenMeaningMode) {
+      this.annotateHiddenMeanings(fresh.flatMap(block => [block, ...block.querySelectorAll('p, li, blockquote')]));
+    }
+
+    if (this.state.bilingualMode) {
+      this.showBilingualLines(this.findSubstantialParagraphs(container).filter(within));
+    }
+
+    if (this.state.fixationMode) {
+      fresh.forEach(block => this.fixationEmphasis.apply(block));
+    }
+
+    if (this.state.focusMode) {
+      this.rechunkFocusContent();
+    } else {
+      this.state.contentChunks = this.cognitiveEngine.chunkContent();
+    }
+  }
+
+  // New chunks, still showing the one the reader was on
+  rechunkFocusContent() {
+    const current = this.state.contentChunks[this.state.currentFocusIndex];
+    this.state.contentChunks = this.cognitiveEngine.chunkContent();
+
+    const index = current ? this.state.contentChunks.findIndex(chunk => chunk.element === current.element) : -1;
+    this.state.currentFocusIndex = index >= 0 ? index : Math.min(this.state.currentFocusIndex, this.state.contentChunks.length - 1);
+    this.showFocusChunk(Math.max(0, this.state.currentFocusIndex));
+  }
+
+  // A single-page app showed a different page: drop the old page's state and re-apply
+  // the active modes to the new one
+  async handleNavigation(url) {
+    console.log(`🧭 Resetting for ${url}`);
+
+    clearTimeout(this.readingPositionTimer);
+    this.closeResumePrompt();
+    this.toggleExtractionDebug(false); // The outlines belong to the old page
+    this.closeAllComparePanels();
+    this.removeAllFaithfulnessBadges();
+    this.closeQuizPanel();
+    this.readAloud.stop();
+    this.pipeline.cancel();
+    this.pipeline.prune();
+    // The reader view shows the old article; it's reopened with the new one below
+    const readerOpen = this.distractionFreeMode.isActive;
+    if (readerOpen) {
+      this.distractionFreeMode.deactivate();
+    }
+    if (this.state.tldrMode) {
+      this.hideTLDR();
+    }
+
+    this.contentExtractor.invalidate();
+    this.state.currentFocusIndex = 0;
+    await this.analyzePage();
+
+    // The new page may be in another language
+    this.removeBilingualLines();
+    await this.detectPageLanguage();
+    await this.applyLanguageSettings();
+    this.applyGlossaries(); // Auto-Detect picks the new page's topic
+
+    if (this.pipeline.hasActiveTransforms()) {
+      await this.applyTransforms();
+    }
+    if (this.state.definitionsEnabled) {
+      await this.enableDefinitions();
+    }
+    if (this.state.idiomMode) {
+      await this.convertIdiomsToLiteral();
+    }
+    if (this.state.hiddenMeaningMode) {
+      this.removeHiddenMeanings(); // Stops the old page's scan
+      this.annotateHiddenMeanings();
+    }
+    if (this.state.bilingualMode) {
+      this.showBilingualLines();
+    }
+    this.syncFixation();
+    if (this.state.tldrMode) {
+      await this.showTLDR();
+    }
+    this.refreshFocusChunk();
+
+    if (readerOpen) {
+      const distractionFreeToggle = this.uiRoot.getElementById('cogniread-distraction-free-toggle');
+      if (distractionFreeToggle) {
+        distractionFreeToggle.classList.add('active');
+      }
+      this.toggleDistractionFreeMode(true);
+      this.updateActiveBadge();
+    }
+
+    this.offerResume();
+  }
+
+  // ===== Languages =====
+  // The page language is detected on load and after navigation. Translate First adds a
+  // translation step at the start of the transform pipeline; Bilingual shows the other
+  // language under each paragraph; definitions and summaries come in the reader's language.
+
+  async detectPageLanguage() {
+    const content = this.cognitiveEngine.extractMainContent();
+    this.state.pageLanguage = await this.aiService.detectLanguage(content.text, document.documentElement.lang);
+    console.log(`🌍 Page language: ${this.state.pageLanguage}`);
+    this.updateLanguageUI();
+  }
+
+  // Whether the page is shown translated into the reader's language
+  isTranslating() {
+    return this.state.translateFirst && this.state.pageLanguage !== this.state.nativeLanguage;
+  }
+
+  // Language the paragraphs are shown in
+  getTextLanguage() {
+    return this.isTranslating() ? this.state.nativeLanguage : this.state.pageLanguage;
+  }
+
+  // Points the translate step and the models at the current languages. Callers re-apply
+  // the transforms.
+  async applyLanguageSettings() {
+    this.aiService.setNativeLanguage(this.state.nativeLanguage);
+    // A new model language replaces the model sessions; stop the rewrites still using them
+    if (this.aiService.resolveModelLanguage(this.getTextLanguage()) !== this.aiService.modelLanguage) {
+      this.pipeline.cancel();
+    }
+    await this.aiService.setModelLanguage(this.getTextLanguage());
+    if (window.cognireadPromptAPI) {
+      window.cognireadPromptAPI.setOutputLanguage(this.aiService.modelLanguage);
+    }
+
+    this.pipeline.setTransform('translate', this.isTranslating()
+      ? { from: this.state.pageLanguage, to: this.state.nativeLanguage }
+      : null);
+    this.updateLanguageUI();
+  }
+
+  updateLanguageUI() {
+    const pageLanguage = this.uiRoot.getElementById('cogniread-page-language');
+    const nativeLanguageSelect = this.uiRoot.getElementById('cogniread-native-language-select');
+    const note = this.uiRoot.getElementById('cogniread-language-note');
+    const sameLanguage = this.state.pageLanguage === this.state.nativeLanguage;
+
+    if (pageLanguage) pageLanguage.textContent = this.aiService.getLanguageName(this.state.pageLanguage);
+    if (nativeLanguageSelect) nativeLanguageSelect.value = this.state.nativeLanguage;
+    if (note) {
+      note.textContent = sameLanguage ? 'This page is already in your language, so there is nothing to translate.' : '';
+      note.style.display = sameLanguage ? 'block' : 'none';
+    }
+  }
+
+  // Alerts (or only logs, when quiet) and returns false when Chrome can't translate this
+  // page into the reader's language
+  async checkTranslationAvailable({ quiet = false } = {}) {
+    const { pageLanguage, nativeLanguage } = this.state;
+    if (await this.aiService.canTranslate(pageLanguage, nativeLanguage)) return true;
+
+    if (quiet) {
+      console.warn(`⚠️ Can't translate ${pageLanguage} into ${nativeLanguage} on this device`);
+      return false;
+    }
+    alert(`Chrome can't translate ${this.aiService.getLanguageName(pageLanguage)} into ${this.aiService.getLanguageName(nativeLanguage)} on this device. Translation needs Chrome's built-in Translator API.`);
+    return false;
+  }
+
+  async setNativeLanguage(language) {
+    console.log('🌍 Native language:', language);
+    this.state.nativeLanguage = language;
+    await this.applyLanguageSettings();
+
+    if (this.state.translateFirst) {
+      await this.applyTransforms();
+    }
+    if (this.state.bilingualMode) {
+      this.removeBilingualLines();
+      this.showBilingualLines();
+    }
+
+    await this.savePreferences();
+  }
+
+  async toggleTranslateFirst(enabled) {
+    console.log('🌐 Translate first toggle:', enabled);
+
+    if (enabled && !(await this.checkTranslationAvailable())) {
+      const toggle = this.uiRoot.getElementById('cogniread-translate-first-toggle');
+      if (toggle) toggle.classList.remove('active');
+      this.updateActiveBadge();
+      return;
+    }
+
+    this.state.translateFirst = enabled;
+    this.updateQuickToggleStates();
+    await this.applyLanguageSettings();
+    await this.applyTransforms();
+
+    // The line under each paragraph switches between translation and original
+    if (this.state.bilingualMode) {
+      this.removeBilingualLines();
+      this.showBilingualLines();
+    }
+
+    await this.savePreferences();
+  }
+
+  async toggleBilingualMode(enabled) {
+    console.log('📑 Bilingual mode toggle:', enabled);
+
+    if (enabled && !(await this.checkTranslationAvailable())) {
+      const toggle = this.uiRoot.getElementById('cogniread-bilingual-toggle');
+      if (toggle) toggle.classList.remove('active');
+      this.updateActiveBadge();
+      return;
+    }
+
+    this.state.bilingualMode = enabled;
+    this.updateQuickToggleStates();
+
+    if (enabled) {
+      this.showBilingualLines();
+    } else {
+      this.removeBilingualLines();
     }
 
-    // Remove all idiom spans and restore original text
-    document.querySelectorAll('.cogniread-has-idioms').forEach(element => {
-      // Unwrap all idiom spans
-      element.querySelectorAll('.cogniread-idiom-phrase').forEach(span => {
-        const idiom = span.dataset.idiom;
-        span.replaceWith(idiom);
-      });
-      element.classList.remove('cogniread-has-idioms');
-    });
-
-    // Remove any visible tooltip
-    this.hideIdiomTooltip();
+    await this.savePreferences();
   }
 
-  async showIdiomTooltip(span) {
-    console.log('🖱️ Hovering over idiom phrase');
-    const idiom = span.dataset.idiom;
-    const original = span.dataset.original;
+  // Adds a line under each paragraph: the translation, or the original when the page
+  // itself is shown translated. Pass paragraphs to add lines only for those (new content).
+  async showBilingualLines(paragraphs = null) {
+    const { pageLanguage, nativeLanguage } = this.state;
+    if (pageLanguage === nativeLanguage) return;
 
-    console.log('📝 Idiom:', idiom);
+    if (!this.bilingualController || this.bilingualController.signal.aborted) {
+      this.bilingualController = new AbortController();
+    }
+    const signal = this.bilingualController.signal;
 
-    if (!idiom) {
-      console.warn('⚠️ Missing idiom data!');
-      return;
+    const targets = (paragraphs || this.findSubstantialParagraphs(this.findMainContainer()))
+      .filter(paragraph => !this.bilingualLines.has(paragraph));
+    console.log(`📑 Adding bilingual lines to ${targets.length} paragraphs`);
+
+    for (const paragraph of targets) {
+      if (signal.aborted) break;
+
+      const record = this.pipeline.getRecord(paragraph);
+      const original = record ? record.originalText : paragraph.textContent.trim();
+      const showOriginal = this.isTranslating();
+      const text = showOriginal
+        ? original
+        : await this.aiService.translateText(original, pageLanguage, nativeLanguage, { signal });
+      if (signal.aborted || !paragraph.isConnected || (!showOriginal && text === original)) continue;
+
+      const line = document.createElement('div');
+      line.className = 'cogniread-bilingual-line';
+      line.lang = showOriginal ? pageLanguage : nativeLanguage;
+      line.textContent = text;
+      paragraph.insertAdjacentElement('afterend', line);
+      this.bilingualLines.set(paragraph, line);
     }
+  }
 
-    const rect = span.getBoundingClientRect();
+  removeBilingualLines() {
+    if (this.bilingualController) {
+      this.bilingualController.abort();
+      this.bilingualController = null;
+    }
+    this.bilingualLines.forEach(line => line.remove());
+    this.bilingualLines.clear();
+  }
 
-    // Remove any existing tooltip
-    this.hideIdiomTooltip();
+  // ===== Reading Position =====
 
-    // Create tooltip bubble
-    const bubble = document.createElement('div');
-    bubble.className = 'cogniread-idiom-tooltip';
-    bubble.id = 'cogniread-idiom-bubble';
-    bubble.innerHTML = `
-      <div class="cogniread-idiom-tooltip-header">${this.escapeHtml(idiom)}</div>
-      <div class="cogniread-idiom-tooltip-content">Loading explanation...</div>
-    `;
+  // The article root and scrolling element of whichever view is showing
+  getReadingView() {
+    if (this.distractionFreeMode && this.distractionFreeMode.isActive) {
+      const container = this.distractionFreeMode.readerContainer;
+      return {
+        root: container.querySelector('.cogniread-df-content'),
+        scroller: container,
+        percent: this.distractionFreeMode.getScrollPercent()
+      };
+    }
 
-    // Position above the span (account for scrolling)
-    const left = rect.left + rect.width / 2 + window.scrollX;
-    const top = rect.top + window.scrollY - 10;
+    const scrollable = document.documentElement.scrollHeight - window.innerHeight;
+    return {
+      root: this.findMainContainer(),
+      scroller: window,
+      percent: scrollable > 0 ? (window.scrollY / scrollable) * 100 : 0
+    };
+  }
 
-    console.log('📌 Tooltip position:', { left, top });
+  scheduleReadingPositionSave() {
+    clearTimeout(this.readingPositionTimer);
+    this.readingPositionTimer = setTimeout(() => this.saveReadingPosition(), 1000);
+  }
 
-    bubble.style.position = 'absolute';
-    bubble.style.left = `${left}px`;
-    bubble.style.top = `${top}px`;
-    bubble.style.transform = 'translate(-50%, -100%)';
-    bubble.style.zIndex = '2147483647';
+  async saveReadingPosition() {
+    clearTimeout(this.readingPositionTimer);
+    if (!this.readingPosition || this.resumePending) return;
+    if (this.contentWatcher && this.contentWatcher.isNavigating()) return; // URL is new, content isn't yet
 
-    document.body.appendChild(bubble);
-    console.log('✅ Tooltip added to DOM');
+    const view = this.getReadingView();
+    const chunk = this.state.focusMode ? this.state.contentChunks[this.state.currentFocusIndex] : null;
 
-    // Fetch AI-powered explanation on hover (not during scan)
-    try {
-      // Call explainIdiom without pre-existing literal - AI will generate it
-      const explanation = await this.aiService.explainIdiom(idiom);
-      console.log('✅ AI explanation received:', explanation);
+    await this.readingPosition.save(window.location.href, {
+      progress: Math.round(view.percent),
+      anchor: this.readingPosition.capture(view.root),
+      focusIndex: chunk ? this.state.currentFocusIndex : 0,
+      focusText: chunk ? this.readingPosition.fingerprint(this.readingPosition.getText(chunk.element)) : ''
+    });
+  }
 
-      // Update tooltip content with explanation
-      const headerDiv = bubble.querySelector('.cogniread-idiom-tooltip-header');
-      const contentDiv = bubble.querySelector('.cogniread-idiom-tooltip-content');
+  async offerResume() {
+    const position = await this.readingPosition.get(window.location.href);
+    const worthResuming = position &&
+      ((position.progress >= 5 && position.progress < 95) || position.focusIndex > 0);
+    if (!worthResuming) return;
+
+    this.resumePending = true;
+
+    const where = position.focusIndex > 0
+      ? `at section ${position.focusIndex + 1} in Focus Mode`
+      : `${position.progress}% of the way through`;
+
+    const prompt = document.createElement('div');
+    prompt.id = 'cogniread-resume-prompt';
+    prompt.className = 'cogniread-resume-prompt';
+    prompt.innerHTML = `
+      <span class="cogniread-resume-text">📍 Last time you stopped ${where}.</span>
+      <button class="cogniread-resume-accept">Resume where you left off</button>
+      <button class="cogniread-resume-dismiss" title="Start from here">&times;</button>
+    `;
+    this.uiRoot.appendChild(prompt);
 
-      if (headerDiv && contentDiv) {
-        // Set the idiom phrase as the header
-        headerDiv.textContent = idiom;
+    prompt.querySelector('.cogniread-resume-accept').addEventListener('click', () => {
+      this.closeResumePrompt();
+      this.resumeReadingPosition(position);
+    });
+    prompt.querySelector('.cogniread-resume-dismiss').addEventListener('click', () => {
+      this.closeResumePrompt();
+    });
 
-        // Extract and set the explanation (remove "idiom means" prefix if present)
-        let cleanExplanation = explanation;
-        if (explanation.toLowerCase().includes(idiom.toLowerCase() + ' means')) {
-          const parts = explanation.split(/\s+means\s+/i);
-          if (parts.length > 1) {
-            cleanExplanation = parts.slice(1).join(' means ');
-          }
-        } else if (explanation.toLowerCase().startsWith(idiom.toLowerCase())) {
-          // Remove idiom from start if present
-          cleanExplanation = explanation.substring(idiom.length).replace(/^[\s:]+/, '');
-        }
+    // Reading on from the top without answering counts as "no"
+    this.resumePromptTimer = setTimeout(() => this.closeResumePrompt(), 20000);
+  }
 
-        contentDiv.textContent = cleanExplanation;
-      }
-    } catch (error) {
-      console.error('❌ Failed to get AI explanation:', error);
-      // Fallback to dictionary explanation if AI fails
-      const headerDiv = bubble.querySelector('.cogniread-idiom-tooltip-header');
-      const contentDiv = bubble.querySelector('.cogniread-idiom-tooltip-content');
-      if (headerDiv && contentDiv) {
-        headerDiv.textContent = idiom;
-        contentDiv.textContent = 'A figure of speech with a non-literal meaning. (AI explanation unavailable)';
-      }
-    }
+  closeResumePrompt() {
+    clearTimeout(this.resumePromptTimer);
+    this.resumePromptTimer = null;
+    const prompt = this.uiRoot.getElementById('cogniread-resume-prompt');
+    if (prompt) prompt.remove();
+    this.resumePending = false;
   }
 
-  hideIdiomTooltip() {
-    const bubble = document.getElementById('cogniread-idiom-bubble');
-    if (bubble) {
-      console.log('🧹 Removing idiom tooltip');
-      bubble.remove();
+  resumeReadingPosition(position) {
+    if (this.state.focusMode && this.state.contentChunks.length > 0) {
+      this.state.currentFocusIndex = this.readingPosition.locateChunk(this.state.contentChunks, position);
+      this.showFocusChunk(this.state.currentFocusIndex);
+      console.log(`📍 Resumed Focus Mode at section ${this.state.currentFocusIndex + 1}`);
+      return;
     }
-  }
 
-  updateProgress() {
-    if (!this.ui.progress) return;
+    const view = this.getReadingView();
+    const target = this.readingPosition.locate(view.root, position.anchor);
+    const scrollerTop = view.scroller === window ? 0 : view.scroller.getBoundingClientRect().top;
+    let delta;
 
-    const scrollPosition = window.scrollY + window.innerHeight;
-    const totalHeight = document.documentElement.scrollHeight;
-    const progress = this.cognitiveEngine.calculateProgress(scrollPosition, totalHeight);
-    this.ui.progress.style.width = `${progress}%`;
+    if (target) {
+      // A line of the previous text stays visible above the anchor
+      const rect = target.element.getBoundingClientRect();
+      delta = rect.top - scrollerTop + rect.height * target.offset - 40;
+    } else {
+      // The anchored paragraph is gone - fall back to the scroll percentage
+      const scrollable = view.scroller === window
+        ? document.documentElement.scrollHeight - window.innerHeight
+        : view.scroller.scrollHeight - view.scroller.clientHeight;
+      const current = view.scroller === window ? window.scrollY : view.scroller.scrollTop;
+      delta = scrollable * (position.progress / 100) - current;
+    }
+
+    view.scroller.scrollBy({ top: delta, behavior: 'smooth' });
+    console.log(`📍 Resumed reading ${target ? 'at saved paragraph' : `at ${position.progress}%`}`);
   }
 
   updateActiveBadge() {
-    const toggles = document.querySelectorAll('.cogniread-toggle');
+    const toggles = this.uiRoot.querySelectorAll('.cogniread-toggle');
     const activeCount = Array.from(toggles).filter(toggle => toggle.classList.contains('active')).length;
-    const badge = document.getElementById('cogniread-active-badge');
-    const headerCount = document.getElementById('cogniread-header-count');
+    const badge = this.uiRoot.getElementById('cogniread-active-badge');
+    const headerCount = this.uiRoot.getElementById('cogniread-header-count');
 
     if (badge) {
       badge.textContent = activeCount;
@@ -2892,7 +4978,7 @@ class CogniRead {
     }
 
     // Update escape hatch button state and visibility
-    const escapeHatch = document.getElementById('cogniread-escape-hatch');
+    const escapeHatch = this.uiRoot.getElementById('cogniread-escape-hatch');
     if (escapeHatch) {
       if (activeCount > 0) {
         escapeHatch.classList.add('has-active-features');
@@ -2911,7 +4997,7 @@ class CogniRead {
 
   updateSectionChevronColors() {
     // Get all sections
-    const sections = document.querySelectorAll('.cogniread-section');
+    const sections = this.uiRoot.querySelectorAll('.cogniread-section');
 
     sections.forEach(section => {
       // Get all toggles and selects within this section
@@ -2969,7 +5055,7 @@ class CogniRead {
       <div class="cogniread-loading-spinner"></div>
       <div>${message}</div>
     `;
-    document.body.appendChild(loading);
+    this.uiRoot.appendChild(loading);
     return loading;
   }
 
@@ -2981,13 +5067,13 @@ class CogniRead {
 
   hideAllLoadingModals() {
     // Hide any orphaned loading modals
-    const loadingModals = document.querySelectorAll('.cogniread-loading');
+    const loadingModals = this.uiRoot.querySelectorAll('.cogniread-loading');
     loadingModals.forEach(modal => modal.remove());
   }
 
   showAIWarning() {
     // Remove any existing warning
-    const existingWarning = document.getElementById('cogniread-ai-warning');
+    const existingWarning = this.uiRoot.getElementById('cogniread-ai-warning');
     if (existingWarning) existingWarning.remove();
 
     const warning = document.createElement('div');
@@ -3072,11 +5158,11 @@ class CogniRead {
     `;
     document.head.appendChild(style);
 
-    document.body.appendChild(warning);
+    this.uiRoot.appendChild(warning);
 
     // Add event listeners
-    const dismissBtn = document.getElementById('cogniread-dismiss-warning');
-    const closeBtn = document.getElementById('cogniread-close-warning');
+    const dismissBtn = this.uiRoot.getElementById('cogniread-dismiss-warning');
+    const closeBtn = this.uiRoot.getElementById('cogniread-close-warning');
 
     dismissBtn.addEventListener('click', () => {
       warning.remove();
@@ -3110,17 +5196,37 @@ class CogniRead {
     }, 15000);
   }
 
-  async resetAllFeatures() {
+  // With save: false the features are only turned off here; nothing is written to storage
+  async resetAllFeatures({ notify = true, save = true } = {}) {
     console.log('🔄 Resetting all features to default state...');
+    this.savingPaused = !save;
+
+    try {
+      await this.turnOffAllFeatures();
+    } finally {
+      this.savingPaused = false;
+    }
+
+    if (save) {
+      await this.savePreferences();
+    }
+
+    console.log('✅ All features reset to default state');
+
+    if (notify) {
+      this.showToast('✓ All features reset to default');
+    }
+  }
 
+  async turnOffAllFeatures() {
     // Disable all toggles in the UI
-    document.querySelectorAll('.cogniread-toggle.active').forEach(toggle => {
+    this.uiRoot.querySelectorAll('.cogniread-toggle.active').forEach(toggle => {
       toggle.classList.remove('active');
     });
 
     // Reset simplification slider
-    const simplificationSlider = document.getElementById('cogniread-simplification-slider');
-    const simplificationValue = document.getElementById('cogniread-simplification-value');
+    const simplificationSlider = this.uiRoot.getElementById('cogniread-simplification-slider');
+    const simplificationValue = this.uiRoot.getElementById('cogniread-simplification-value');
     if (simplificationSlider) {
       simplificationSlider.value = 0;
       if (simplificationValue) {
@@ -3129,17 +5235,20 @@ class CogniRead {
     }
 
     // Reset tone select
-    const toneSelect = document.getElementById('cogniread-tone-select');
+    const toneSelect = this.uiRoot.getElementById('cogniread-tone-select');
     if (toneSelect) {
       toneSelect.value = 'off';
     }
 
     // Reset plain language select
-    const plainLanguageSelect = document.getElementById('cogniread-plain-language-select');
+    const plainLanguageSelect = this.uiRoot.getElementById('cogniread-plain-language-select');
     if (plainLanguageSelect) {
       plainLanguageSelect.value = 'off';
     }
 
+    // Put every rewritten paragraph back at once instead of re-deriving after each toggle
+    this.pipeline.clear();
+
     // Turn off Focus Mode
     if (this.state.focusMode) {
       await this.toggleFocusMode(false);
@@ -3155,6 +5264,11 @@ class CogniRead {
       this.toggleDyslexiaMode(false);
     }
 
+    // Turn off Fixation Emphasis
+    if (this.state.fixationMode) {
+      await this.toggleFixationMode(false);
+    }
+
     // Turn off Definitions
     if (this.state.definitionsEnabled) {
       await this.toggleDefinitions(false);
@@ -3165,9 +5279,22 @@ class CogniRead {
       await this.toggleIdiomMode(false);
     }
 
+    // Turn off Hidden Meanings
+    if (this.state.hiddenMeaningMode) {
+      await this.toggleHiddenMeaningMode(false);
+    }
+
+    // Turn off translation (the reader's language stays)
+    if (this.state.translateFirst) {
+      await this.toggleTranslateFirst(false);
+    }
+    if (this.state.bilingualMode) {
+      await this.toggleBilingualMode(false);
+    }
+
     // Turn off Expansion Mode
     if (this.state.expansionMode) {
-      this.toggleExpansion(false);
+      await this.toggleExpansionMode(false);
     }
 
     // Turn off Active Voice
@@ -3185,27 +5312,31 @@ class CogniRead {
       this.toggleCognitiveHeatmap(false);
     }
 
-    // Remove any simplification
-    if (this.state.simplificationLevel > 0) {
-      this.removeSimplification();
-      this.state.simplificationLevel = 0;
+    // Turn off Compare Rewrites
+    if (this.state.compareMode) {
+      await this.toggleCompareMode(false);
     }
 
-    // Reset tone adjustment
-    if (this.state.toneAdjustment && this.state.toneAdjustment !== 'off') {
-      this.removeToneAdjustment();
-      this.state.toneAdjustment = 'off';
+    // Stop reading aloud
+    if (this.state.readAloud) {
+      await this.toggleReadAloud(false);
     }
 
-    // Update the active badge
-    this.updateActiveBadge();
+    // Turn off AI Meaning Check
+    if (this.state.faithfulnessAI) {
+      await this.toggleFaithfulnessAI(false);
+    }
 
-    // Save the reset state
-    await this.savePreferences();
+    // Remove any simplification and tone adjustment
+    this.state.simplificationLevel = 0;
+    this.state.toneAdjustment = 'off';
 
-    console.log('✅ All features reset to default state');
+    // Update the active badge
+    this.updateActiveBadge();
+  }
 
-    // Show a brief notification
+  // Brief confirmation message at the top of the page
+  showToast(message) {
     const notification = document.createElement('div');
     notification.style.cssText = `
       position: fixed;
@@ -3223,8 +5354,8 @@ class CogniRead {
       font-weight: 500;
       animation: slideInDown 0.3s ease-out;
     `;
-    notification.textContent = '✓ All features reset to default';
-    document.body.appendChild(notification);
+    notification.textContent = message;
+    this.uiRoot.appendChild(notification);
 
     setTimeout(() => {
       notification.style.animation = 'slideOutUp 0.3s ease-in';
@@ -3232,28 +5363,71 @@ class CogniRead {
     }, 2000);
   }
 
+  // Feature state that a site profile can override (panel appearance stays global)
+  getFeaturePreferences() {
+    return {
+      simplificationLevel: this.state.simplificationLevel,
+      expansionMode: this.state.expansionMode,
+      focusMode: this.state.focusMode,
+      tldrMode: this.state.tldrMode,
+      dyslexiaMode: this.state.dyslexiaMode,
+      fixationMode: this.state.fixationMode,
+      fixationRatio: this.state.fixationRatio,
+      definitionsEnabled: this.state.definitionsEnabled,
+      glossaryDomain: this.state.glossaryDomain,
+      idiomMode: this.state.idiomMode,
+      hiddenMeaningMode: this.state.hiddenMeaningMode,
+      idiomPacks: this.state.idiomPacks,
+      nativeLanguage: this.state.nativeLanguage,
+      translateFirst: this.state.translateFirst,
+      bilingualMode: this.state.bilingualMode,
+      distractionFree: this.state.distractionFree,
+      activeVoice: this.state.activeVoice,
+      sentenceRestructuring: this.state.sentenceRestructuring,
+      conceptConnections: this.state.conceptConnections,
+      cognitiveHeatmap: this.state.cognitiveHeatmap,
+      toneAdjustment: this.state.toneAdjustment,
+      compareMode: this.state.compareMode,
+      faithfulnessAI: this.state.faithfulnessAI,
+      readAloudRate: this.state.readAloudRate,
+      readAloudPitch: this.state.readAloudPitch,
+      readAloudVoice: this.state.readAloudVoice
+    };
+  }
+
   async savePreferences() {
+    if (this.savingPaused) return;
+
     try {
-      await chrome.storage.sync.set({
-        cogniread_preferences: {
-          simplificationLevel: this.state.simplificationLevel,
-          expansionMode: this.state.expansionMode,
-          focusMode: this.state.focusMode,
-          tldrMode: this.state.tldrMode,
-          dyslexiaMode: this.state.dyslexiaMode,
-          definitionsEnabled: this.state.definitionsEnabled,
-          idiomMode: this.state.idiomMode,
-          distractionFree: this.state.distractionFree,
-          activeVoice: this.state.activeVoice,
-          sentenceRestructuring: this.state.sentenceRestructuring,
-          conceptConnections: this.state.conceptConnections,
-          cognitiveHeatmap: this.state.cognitiveHeatmap,
-          toneAdjustment: this.state.toneAdjustment,
-          theme: this.state.theme,
-          panelPosition: this.state.panelPosition,
-          starredFeatures: this.state.starredFeatures
+      const panelPreferences = {
+        theme: this.state.theme,
+        panelPosition: this.state.panelPosition,
+        starredFeatures: this.state.starredFeatures
+      };
+
+      if (this.siteProfile) {
+        // This site has its own profile: feature changes go into it and the global
+        // defaults stay untouched. Only panel settings that changed are written there,
+        // since sync storage allows few writes a minute
+        const preferences = this.getFeaturePreferences();
+        if (JSON.stringify(preferences) !== JSON.stringify(this.siteProfile.preferences)) {
+          this.siteProfile = { preferences, savedAt: Date.now() };
+          this.updateSiteProfileUI();
+          this.scheduleSiteProfileSave();
         }
-      });
+
+        const result = await chrome.storage.sync.get(['cogniread_preferences']);
+        const globalPrefs = result.cogniread_preferences || {};
+        const changed = Object.keys(panelPreferences)
+          .some(key => JSON.stringify(globalPrefs[key]) !== JSON.stringify(panelPreferences[key]));
+        if (changed) {
+          await chrome.storage.sync.set({ cogniread_preferences: { ...globalPrefs, ...panelPreferences } });
+        }
+      } else {
+        await chrome.storage.sync.set({
+          cogniread_preferences: { ...this.getFeaturePreferences(), ...panelPreferences }
+        });
+      }
     } catch (error) {
       // Extension context invalidated (extension reloaded/updated)
       // Silently fail - preferences will be lost but extension still works
@@ -3267,16 +5441,47 @@ class CogniRead {
 
   async loadPreferences() {
     try {
-      const result = await chrome.storage.sync.get(['cogniread_preferences']);
-      if (result.cogniread_preferences) {
-        const prefs = result.cogniread_preferences;
+      const profileKey = this.getSiteProfileKey();
+      const result = await chrome.storage.sync.get(['cogniread_preferences', profileKey]);
+      this.siteProfile = result[profileKey] || null;
+      this.updateSiteProfileUI();
+      this.updateExtractionRuleUI();
+
+      // A matching site profile overrides the global defaults for this origin
+      const prefs = this.siteProfile
+        ? { ...(result.cogniread_preferences || {}), ...this.siteProfile.preferences }
+        : result.cogniread_preferences;
+
+      // Idiom packs before the features, so a Literal Language scan already uses them
+      this.state.idiomPacks = prefs && Array.isArray(prefs.idiomPacks) ? prefs.idiomPacks : [];
+      await this.applyIdiomPacks({ rescan: false });
+
+      // Languages before the features too, so rewrites start from the translation
+      this.state.nativeLanguage = (prefs && prefs.nativeLanguage) || 'en';
+      // Saved Translate First stays off on pages this device can't translate (no alert on load)
+      this.state.translateFirst = !!(prefs && prefs.translateFirst) &&
+        await this.checkTranslationAvailable({ quiet: true });
+      const translateFirstToggle = this.uiRoot.getElementById('cogniread-translate-first-toggle');
+      if (translateFirstToggle) {
+        translateFirstToggle.classList.toggle('active', this.state.translateFirst);
+      }
+      await this.applyLanguageSettings();
+
+      // Glossary before definitions, so the first highlight pass includes its terms
+      this.state.glossaryDomain = (prefs && prefs.glossaryDomain) || 'auto';
+      this.applyGlossaries();
+
+      if (prefs) {
+        if (this.siteProfile) {
+          console.log(`🗂️ Applying site profile for ${this.getSiteOrigin()}`);
+        }
 
       // Theme
       if (prefs.theme) {
         this.state.theme = prefs.theme;
 
         // Update toggle button
-        const toggleBtn = document.getElementById('cogniread-theme-toggle');
+        const toggleBtn = this.uiRoot.getElementById('cogniread-theme-toggle');
 
         if (toggleBtn) {
           const labels = {
@@ -3294,7 +5499,7 @@ class CogniRead {
       if (prefs.panelPosition) {
         this.state.panelPosition = prefs.panelPosition;
         // Update position toggle button
-        const positionToggle = document.getElementById('cogniread-position-toggle');
+        const positionToggle = this.uiRoot.getElementById('cogniread-position-toggle');
         if (positionToggle) {
           positionToggle.setAttribute('data-position', prefs.panelPosition);
         }
@@ -3319,7 +5524,7 @@ class CogniRead {
 
       // Focus Mode
       if (prefs.focusMode) {
-        const focusToggle = document.getElementById('cogniread-focus-mode-toggle');
+        const focusToggle = this.uiRoot.getElementById('cogniread-focus-mode-toggle');
         if (focusToggle) {
           focusToggle.classList.add('active');
         }
@@ -3328,7 +5533,7 @@ class CogniRead {
 
       // TL;DR Mode
       if (prefs.tldrMode) {
-        const tldrToggle = document.getElementById('cogniread-tldr-toggle');
+        const tldrToggle = this.uiRoot.getElementById('cogniread-tldr-toggle');
         if (tldrToggle) {
           tldrToggle.classList.add('active');
         }
@@ -3338,16 +5543,30 @@ class CogniRead {
 
       // Dyslexia Mode
       if (prefs.dyslexiaMode) {
-        const dyslexiaToggle = document.getElementById('cogniread-dyslexia-toggle');
+        const dyslexiaToggle = this.uiRoot.getElementById('cogniread-dyslexia-toggle');
         if (dyslexiaToggle) {
           dyslexiaToggle.classList.add('active');
         }
         await this.toggleDyslexiaMode(true);
       }
 
+      // Fixation Emphasis
+      if (typeof prefs.fixationRatio === 'number') {
+        this.state.fixationRatio = prefs.fixationRatio;
+        this.fixationEmphasis.setRatio(prefs.fixationRatio);
+      }
+      this.updateFixationSettingsUI();
+      if (prefs.fixationMode) {
+        const fixationToggle = this.uiRoot.getElementById('cogniread-fixation-toggle');
+        if (fixationToggle) {
+          fixationToggle.classList.add('active');
+        }
+        await this.toggleFixationMode(true);
+      }
+
       // Definitions are enabled by default
       if (prefs.definitionsEnabled !== undefined) {
-        const definitionsToggle = document.getElementById('cogniread-definitions-toggle');
+        const definitionsToggle = this.uiRoot.getElementById('cogniread-definitions-toggle');
         if (definitionsToggle) {
           if (prefs.definitionsEnabled) {
             definitionsToggle.classList.add('active');
@@ -3356,7 +5575,7 @@ class CogniRead {
         }
       } else {
         // First time - enable by default
-        const definitionsToggle = document.getElementById('cogniread-definitions-toggle');
+        const definitionsToggle = this.uiRoot.getElementById('cogniread-definitions-toggle');
         if (definitionsToggle) {
           definitionsToggle.classList.add('active');
         }
@@ -3365,7 +5584,7 @@ class CogniRead {
 
       // Literal Language / Idiom mode (off by default)
       if (prefs.idiomMode) {
-        const literalToggle = document.getElementById('cogniread-literal-toggle');
+        const literalToggle = this.uiRoot.getElementById('cogniread-literal-toggle');
         if (literalToggle) {
           literalToggle.classList.add('active');
         }
@@ -3373,9 +5592,29 @@ class CogniRead {
         this.state.idiomMode = true;
       }
 
+      // Hidden Meanings (off by default); the scan runs in the background
+      if (prefs.hiddenMeaningMode) {
+        const hiddenMeaningToggle = this.uiRoot.getElementById('cogniread-hidden-meaning-toggle');
+        if (hiddenMeaningToggle) {
+          hiddenMeaningToggle.classList.add('active');
+        }
+        this.state.hiddenMeaningMode = true;
+        this.annotateHiddenMeanings();
+      }
+
+      // Bilingual (off by default); translations are added in the background
+      if (prefs.bilingualMode) {
+        const bilingualToggle = this.uiRoot.getElementById('cogniread-bilingual-toggle');
+        if (bilingualToggle) {
+          bilingualToggle.classList.add('active');
+        }
+        this.state.bilingualMode = true;
+        this.showBilingualLines();
+      }
+
       // Distraction-Free Mode
       if (prefs.distractionFree) {
-        const distractionFreeToggle = document.getElementById('cogniread-distraction-free-toggle');
+        const distractionFreeToggle = this.uiRoot.getElementById('cogniread-distraction-free-toggle');
         if (distractionFreeToggle) {
           distractionFreeToggle.classList.add('active');
         }
@@ -3384,7 +5623,7 @@ class CogniRead {
 
       // Expansion Mode
       if (prefs.expansionMode) {
-        const expansionToggle = document.getElementById('cogniread-expansion-toggle');
+        const expansionToggle = this.uiRoot.getElementById('cogniread-expansion-toggle');
         if (expansionToggle) {
           expansionToggle.classList.add('active');
         }
@@ -3393,7 +5632,7 @@ class CogniRead {
 
       // Active Voice
       if (prefs.activeVoice) {
-        const activeVoiceToggle = document.getElementById('cogniread-active-voice-toggle');
+        const activeVoiceToggle = this.uiRoot.getElementById('cogniread-active-voice-toggle');
         if (activeVoiceToggle) {
           activeVoiceToggle.classList.add('active');
         }
@@ -3402,7 +5641,7 @@ class CogniRead {
 
       // Sentence Restructuring
       if (prefs.sentenceRestructuring) {
-        const restructureToggle = document.getElementById('cogniread-restructure-toggle');
+        const restructureToggle = this.uiRoot.getElementById('cogniread-restructure-toggle');
         if (restructureToggle) {
           restructureToggle.classList.add('active');
         }
@@ -3411,7 +5650,7 @@ class CogniRead {
 
       // Concept Connections
       if (prefs.conceptConnections) {
-        const conceptToggle = document.getElementById('cogniread-concept-toggle');
+        const conceptToggle = this.uiRoot.getElementById('cogniread-concept-toggle');
         if (conceptToggle) {
           conceptToggle.classList.add('active');
         }
@@ -3420,16 +5659,51 @@ class CogniRead {
 
       // Cognitive Heatmap
       if (prefs.cognitiveHeatmap) {
-        const heatmapToggle = document.getElementById('cogniread-heatmap-toggle');
+        const heatmapToggle = this.uiRoot.getElementById('cogniread-heatmap-toggle');
         if (heatmapToggle) {
           heatmapToggle.classList.add('active');
         }
         await this.toggleCognitiveHeatmap(true);
       }
 
+      // Compare Rewrites
+      if (prefs.compareMode) {
+        const compareToggle = this.uiRoot.getElementById('cogniread-compare-toggle');
+        if (compareToggle) {
+          compareToggle.classList.add('active');
+        }
+        await this.toggleCompareMode(true);
+      }
+
+      // Read Aloud settings
+      if (typeof prefs.readAloudRate === 'number') {
+        this.state.readAloudRate = prefs.readAloudRate;
+      }
+      if (typeof prefs.readAloudPitch === 'number') {
+        this.state.readAloudPitch = prefs.readAloudPitch;
+      }
+      if (typeof prefs.readAloudVoice === 'string') {
+        this.state.readAloudVoice = prefs.readAloudVoice;
+      }
+      this.readAloud.setSettings({
+        rate: this.state.readAloudRate,
+        pitch: this.state.readAloudPitch,
+        voiceURI: this.state.readAloudVoice
+      });
+      this.updateReadAloudSettingsUI();
+
+      // AI Meaning Check
+      if (prefs.faithfulnessAI) {
+        const faithfulnessAIToggle = this.uiRoot.getElementById('cogniread-faithfulness-ai-toggle');
+        if (faithfulnessAIToggle) {
+          faithfulnessAIToggle.classList.add('active');
+        }
+        await this.toggleFaithfulnessAI(true);
+      }
+
       // Simplification Level
       if (prefs.simplificationLevel !== undefined) {
-        const simplificationSlider = document.getElementById('cogniread-simplification-slider');
+        const simplificationSlider = this.uiRoot.getElementById('cogniread-simplification-slider');
         if (simplificationSlider) {
           simplificationSlider.value = prefs.simplificationLevel;
           this.state.simplificationLevel = prefs.simplificationLevel;
@@ -3464,28 +5738,290 @@ class CogniRead {
     this.updateActiveBadge();
   }
 
-  // Save only starred features (more efficient than saving all preferences)
-  async saveStarredFeatures() {
+  // Save only starred features (more efficient than saving all preferences)
+  async saveStarredFeatures() {
+    try {
+      const result = await chrome.storage.sync.get(['cogniread_preferences']);
+      const prefs = result.cogniread_preferences || {};
+      prefs.starredFeatures = this.state.starredFeatures;
+
+      await chrome.storage.sync.set({
+        cogniread_preferences: prefs
+      });
+    } catch (error) {
+      if (error.message.includes('Extension context invalidated')) {
+        console.warn('⚠️ CogniRead: Extension was reloaded. Starred features not saved.');
+      } else {
+        console.error('Error saving starred features:', error);
+      }
+    }
+  }
+
+  // ===== Site Profiles =====
+
+  getSiteOrigin() {
+    // file:// and similar pages report a "null" origin - fall back to the page address
+    const origin = window.location.origin;
+    return origin && origin !== 'null' ? origin : window.location.href.split('#')[0];
+  }
+
+  // Each profile is its own sync item, so the 8 KB per-item quota limits one site's
+  // profile rather than all of them together
+  getSiteProfileKey(origin = this.getSiteOrigin()) {
+    return `cogniread_site_profile:${origin}`;
+  }
+
+  async writeSiteProfile() {
+    await chrome.storage.sync.set({ [this.getSiteProfileKey()]: this.siteProfile });
+  }
+
+  // Toggling a few features in a row makes one write instead of one per toggle
+  scheduleSiteProfileSave() {
+    clearTimeout(this.siteProfileTimer);
+    this.siteProfileTimer = setTimeout(() => this.saveScheduledSiteProfile(), 2000);
+  }
+
+  async saveScheduledSiteProfile() {
+    if (!this.siteProfileTimer) return;
+    clearTimeout(this.siteProfileTimer);
+    this.siteProfileTimer = null;
+    if (!this.siteProfile) return;
+
+    try {
+      await this.writeSiteProfile();
+    } catch (error) {
+      if (error.message.includes('Extension context invalidated')) {
+        console.warn('⚠️ CogniRead: Extension was reloaded. Site profile not saved.');
+      } else {
+        console.error('Error saving site profile:', error);
+      }
+    }
+  }
+
+  // Save the features that are on right now as this site's profile
+  async saveSiteProfile() {
+    clearTimeout(this.siteProfileTimer);
+    this.siteProfileTimer = null;
+
+    try {
+      this.siteProfile = {
+        preferences: this.getFeaturePreferences(),
+        savedAt: Date.now()
+      };
+      await this.writeSiteProfile();
+      this.updateSiteProfileUI();
+      this.showToast(`✓ Saved profile for ${window.location.hostname || 'this page'}`);
+      console.log('🗂️ Site profile saved:', this.siteProfile);
+    } catch (error) {
+      if (error.message.includes('Extension context invalidated')) {
+        console.warn('⚠️ CogniRead: Extension was reloaded. Site profile not saved.');
+      } else {
+        console.error('Error saving site profile:', error);
+        alert(`Couldn't save the profile for this site: ${error.message}`);
+      }
+    }
+  }
+
+  // Forget this site's profile and switch back to the global defaults
+  async removeSiteProfile() {
+    clearTimeout(this.siteProfileTimer);
+    this.siteProfileTimer = null;
+
+    try {
+      await chrome.storage.sync.remove(this.getSiteProfileKey());
+
+      this.siteProfile = null;
+      this.updateSiteProfileUI();
+
+      // Turn off the site's features without writing them over the global defaults,
+      // then re-apply the global defaults
+      await this.resetAllFeatures({ notify: false, save: false });
+      await this.loadPreferences();
+
+      this.showToast('✓ Using global defaults on this site');
+      console.log('🗂️ Site profile removed');
+    } catch (error) {
+      if (error.message.includes('Extension context invalidated')) {
+        console.warn('⚠️ CogniRead: Extension was reloaded. Site profile not removed.');
+      } else {
+        console.error('Error removing site profile:', error);
+      }
+    }
+  }
+
+  updateSiteProfileUI() {
+    const origin = this.uiRoot.getElementById('cogniread-profile-origin');
+    const description = this.uiRoot.getElementById('cogniread-profile-description');
+    const removeItem = this.uiRoot.getElementById('cogniread-profile-remove-item');
+    const saveBtn = this.uiRoot.getElementById('cogniread-profile-save-btn');
+    const chip = this.uiRoot.getElementById('cogniread-profile-chip');
+
+    if (origin) {
+      origin.textContent = window.location.hostname || 'This page';
+    }
+
+    if (this.siteProfile) {
+      const savedOn = new Date(this.siteProfile.savedAt).toLocaleDateString();
+      if (description) description.textContent = `Site profile active · saved ${savedOn}`;
+      if (removeItem) removeItem.style.display = '';
+      if (saveBtn) saveBtn.textContent = 'Update';
+      if (chip) {
+        chip.style.display = '';
+        chip.title = `Using the saved profile for ${window.location.hostname || 'this page'}`;
+      }
+    } else {
+      if (description) description.textContent = 'Using global defaults';
+      if (removeItem) removeItem.style.display = 'none';
+      if (saveBtn) saveBtn.textContent = 'Save';
+      if (chip) chip.style.display = 'none';
+    }
+  }
+
+  // ===== Extraction Rules =====
+
+  async loadExtractionRule() {
+    try {
+      this.extractionRule = await this.extractionRules.get(this.getSiteOrigin());
+    } catch (error) {
+      console.error('Error loading extraction rule:', error);
+      this.extractionRule = null;
+    }
+    this.contentExtractor.setRule(this.extractionRule);
+  }
+
+  // Let the user click the article (kind 'main') or an element to leave out ('exclude')
+  async pickExtractionElement(kind) {
+    if (this.distractionFreeMode.isActive) {
+      alert('Exit distraction-free mode first, then pick the element on the page.');
+      return;
+    }
+
+    // The panel would cover part of the page while picking
+    this.ui.controls.style.setProperty('visibility', 'hidden', 'important');
+    const element = await this.elementPicker.pick({
+      message: kind === 'main' ? 'Click the article\'s main content' : 'Click an element to leave out'
+    });
+    this.ui.controls.style.removeProperty('visibility');
+
+    if (!element) return;
+
+    const selector = this.elementPicker.buildSelector(element);
+    const origin = this.getSiteOrigin();
+
+    try {
+      this.extractionRule = kind === 'main'
+        ? await this.extractionRules.setMain(origin, selector)
+        : await this.extractionRules.addExclude(origin, selector);
+      this.contentExtractor.setRule(this.extractionRule);
+      this.updateExtractionRuleUI();
+
+      this.showToast(kind === 'main'
+        ? '✓ Main content saved for this site - features use it from now on'
+        : '✓ Element excluded on this site');
+      console.log(`🎯 Extraction rule (${kind}): ${selector}`, this.extractionRule);
+    } catch (error) {
+      if (error.message.includes('Extension context invalidated')) {
+        console.warn('⚠️ CogniRead: Extension was reloaded. Extraction rule not saved.');
+      } else {
+        console.error('Error saving extraction rule:', error);
+        alert(`Couldn't save the content rule for this site: ${error.message}`);
+      }
+    }
+  }
+
+  async resetExtractionRule() {
     try {
-      const result = await chrome.storage.sync.get(['cogniread_preferences']);
-      const prefs = result.cogniread_preferences || {};
-      prefs.starredFeatures = this.state.starredFeatures;
+      await this.extractionRules.remove(this.getSiteOrigin());
+      this.extractionRule = null;
+      this.contentExtractor.setRule(null);
+      this.contentExtractor.extract({ force: true }); // Clears the exclusion markers
+      this.updateExtractionRuleUI();
+      this.showToast('✓ Main content is detected automatically again');
+    } catch (error) {
+      console.error('Error removing extraction rule:', error);
+      alert(`Couldn't reset the content rules for this site: ${error.message}`);
+    }
+  }
 
-      await chrome.storage.sync.set({
-        cogniread_preferences: prefs
+  async exportExtractionRules() {
+    try {
+      const json = await this.extractionRules.toJSON();
+      this.articleExporter.download({
+        filename: 'cogniread-content-rules.json',
+        blob: new Blob([json], { type: 'application/json' })
       });
     } catch (error) {
-      if (error.message.includes('Extension context invalidated')) {
-        console.warn('⚠️ CogniRead: Extension was reloaded. Starred features not saved.');
-      } else {
-        console.error('Error saving starred features:', error);
+      console.error('Error exporting extraction rules:', error);
+      alert('Failed to export content rules. Please try again.');
+    }
+  }
+
+  importExtractionRules() {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = 'application/json,.json';
+    input.addEventListener('change', async () => {
+      const file = input.files[0];
+      if (!file) return;
+
+      try {
+        const count = await this.extractionRules.importJSON(await file.text());
+        await this.loadExtractionRule();
+        this.updateExtractionRuleUI();
+        this.showToast(`✓ Imported content rules for ${count} site${count === 1 ? '' : 's'}`);
+      } catch (error) {
+        console.error('Error importing extraction rules:', error);
+        alert(error.message);
       }
+    });
+    input.click();
+  }
+
+  // Shows or hides ContentExtractor's debug outlines. Returns a summary of the result that
+  // can be sent in a message (the debugExtraction action).
+  toggleExtractionDebug(show = !this.contentExtractor.debugOverlay) {
+    if (show === !!this.contentExtractor.debugOverlay) {
+      return this.describeExtraction(this.contentExtractor.lastResult);
+    }
+
+    const result = this.contentExtractor.debug();
+    const btn = this.uiRoot.getElementById('cogniread-extraction-debug-btn');
+    if (btn) btn.textContent = this.contentExtractor.debugOverlay ? 'Hide' : 'Show';
+    return this.describeExtraction(result);
+  }
+
+  describeExtraction(result) {
+    if (!result) return null;
+    return {
+      showing: !!this.contentExtractor.debugOverlay,
+      path: result.path,
+      method: result.method,
+      score: result.score,
+      textLength: result.textLength,
+      duration: result.duration,
+      rule: this.extractionRule,
+      candidates: result.candidates.map(({ path, score, linkDensity }) => ({ path, score, linkDensity }))
+    };
+  }
+
+  updateExtractionRuleUI() {
+    const description = this.uiRoot.getElementById('cogniread-extraction-description');
+    const resetItem = this.uiRoot.getElementById('cogniread-extraction-reset-item');
+    const rule = this.extractionRule;
+
+    if (description) {
+      const parts = [];
+      if (rule && rule.main) parts.push('Picked for this site');
+      if (rule && rule.exclude.length) parts.push(`${rule.exclude.length} excluded`);
+      description.textContent = parts.length ? parts.join(' · ') : 'Detected automatically';
+      description.title = rule ? [rule.main, ...rule.exclude.map(selector => `not ${selector}`)].filter(Boolean).join('\n') : '';
     }
+    if (resetItem) resetItem.style.display = rule ? '' : 'none';
   }
 
   // Update star button states based on stored starred features
   updateStarButtonStates() {
-    const starButtons = document.querySelectorAll('.cogniread-star-btn');
+    const starButtons = this.uiRoot.querySelectorAll('.cogniread-star-btn');
     starButtons.forEach(starBtn => {
       const featureName = starBtn.getAttribute('data-feature');
       const isStarred = this.state.starredFeatures.includes(featureName);
@@ -3495,7 +6031,7 @@ class CogniRead {
 
   // Update theme selector to show starred features as quick access buttons
   updateThemeSelectorStarredFeatures() {
-    const themeSelector = document.querySelector('.cogniread-theme-selector');
+    const themeSelector = this.uiRoot.querySelector('.cogniread-theme-selector');
     if (!themeSelector) return;
 
     // Remove existing starred feature buttons (except theme and position toggles)
@@ -3510,11 +6046,14 @@ class CogniRead {
       'dyslexia-mode': { icon: '👁️', label: 'Dyslexia', toggleId: 'cogniread-dyslexia-toggle' },
       'definitions': { icon: '📚', label: 'Definitions', toggleId: 'cogniread-definitions-toggle' },
       'literal-language': { icon: '🔤', label: 'Literal', toggleId: 'cogniread-literal-toggle' },
+      'hidden-meanings': { icon: '🎭', label: 'Hidden', toggleId: 'cogniread-hidden-meaning-toggle' },
       'concept-connections': { icon: '🔗', label: 'Concepts', toggleId: 'cogniread-concept-toggle' },
       'heatmap': { icon: '📊', label: 'Heatmap', toggleId: 'cogniread-heatmap-toggle' },
       'expansion': { icon: '🔠', label: 'Expand', toggleId: 'cogniread-expansion-toggle' },
       'restructure': { icon: '🔄', label: 'Restructure', toggleId: 'cogniread-restructure-toggle' },
-      'active-voice': { icon: '▶️', label: 'Active', toggleId: 'cogniread-active-voice-toggle' }
+      'active-voice': { icon: '▶️', label: 'Active', toggleId: 'cogniread-active-voice-toggle' },
+      'translate-first': { icon: '🌐', label: 'Translate', toggleId: 'cogniread-translate-first-toggle' },
+      'bilingual': { icon: '📑', label: 'Bilingual', toggleId: 'cogniread-bilingual-toggle' }
     };
 
     // Add quick access buttons for each starred feature
@@ -3530,7 +6069,7 @@ class CogniRead {
       quickToggle.textContent = metadata.icon;
 
       // Check if feature is currently active
-      const mainToggle = document.getElementById(metadata.toggleId);
+      const mainToggle = this.uiRoot.getElementById(metadata.toggleId);
       if (mainToggle && mainToggle.classList.contains('active')) {
         quickToggle.setAttribute('data-active', 'true');
       }
@@ -3556,7 +6095,7 @@ class CogniRead {
   // Update all quick toggle button states to match their feature states
   updateQuickToggleStates() {
     // Update all starred feature quick toggles (dynamically generated)
-    const starredQuickToggles = document.querySelectorAll('[data-starred-feature]');
+    const starredQuickToggles = this.uiRoot.querySelectorAll('[data-starred-feature]');
     const featureStateMap = {
       'focus-mode': this.state.focusMode,
       'tldr-mode': this.state.tldrMode,
@@ -3564,11 +6103,14 @@ class CogniRead {
       'dyslexia-mode': this.state.dyslexiaMode,
       'definitions': this.state.definitionsEnabled,
       'literal-language': this.state.idiomMode,
+      'hidden-meanings': this.state.hiddenMeaningMode,
       'concept-connections': this.state.conceptConnections,
       'heatmap': this.state.cognitiveHeatmap,
       'expansion': this.state.expansionMode,
       'restructure': this.state.sentenceRestructuring,
-      'active-voice': this.state.activeVoice
+      'active-voice': this.state.activeVoice,
+      'translate-first': this.state.translateFirst,
+      'bilingual': this.state.bilingualMode
     };
 
     starredQuickToggles.forEach(quickToggle => {
@@ -3584,53 +6126,18 @@ class CogniRead {
   async applyPlainLanguageTranslation(domain) {
     console.log('🌐 Plain Language Translation:', domain);
 
-    if (domain === 'off') {
-      this.restorePlainLanguage();
-      return;
-    }
-
-    try {
-      await window.ensurePromptAPIReady();
-    } catch (error) {
-      alert(error.message);
-      return;
-    }
-
-    const loading = this.showLoading(`Translating to plain language...`);
-
-    try {
-      const paragraphs = Array.from(document.querySelectorAll('p, h1, h2, h3, h4, h5, h6, li'))
-        .filter(p => p.textContent.trim().length > 30 && !p.closest('nav, header, footer'));
-
-      for (const para of paragraphs.slice(0, 20)) {
-        if (!para.dataset.originalHTML) {
-          para.dataset.originalHTML = para.innerHTML;
-        }
-
-        const text = para.textContent;
-        const translated = await window.cognireadPromptAPI.translateToPlainLanguage(text, domain);
-
-        para.innerHTML = translated;
-        para.classList.add('cogniread-plain-language');
+    if (domain !== 'off') {
+      try {
+        await window.ensurePromptAPIReady();
+      } catch (error) {
+        alert(error.message);
+        return;
       }
-
-      console.log(`🌐 Translated ${Math.min(paragraphs.length, 20)} paragraphs`);
-    } catch (error) {
-      console.error('Error translating to plain language:', error);
-      alert('Failed to translate. Please try again.');
-    } finally {
-      this.hideLoading(loading);
     }
-  }
 
-  restorePlainLanguage() {
-    document.querySelectorAll('.cogniread-plain-language').forEach(el => {
-      if (el.dataset.originalHTML) {
-        el.innerHTML = el.dataset.originalHTML;
-        delete el.dataset.originalHTML;
-      }
-      el.classList.remove('cogniread-plain-language');
-    });
+    // Plain language runs first in the pipeline; the other rewrites build on its output
+    this.pipeline.setTransform('plainLanguage', domain === 'off' ? null : { domain });
+    await this.applyTransforms();
   }
 
   // Feature 3: Prerequisites Detection
@@ -3644,14 +6151,14 @@ class CogniRead {
       return;
     }
 
-    const btn = document.getElementById('cogniread-prerequisites-btn');
+    const btn = this.uiRoot.getElementById('cogniread-prerequisites-btn');
     if (btn) btn.disabled = true;
 
     const loading = this.showLoading('Analyzing prerequisites...');
 
     try {
       // Get article content
-      const article = document.querySelector('article, main, [role="main"], .content') || document.body;
+      const article = this.findMainContainer();
       const text = article.textContent.substring(0, 5000);
 
       const result = await window.cognireadPromptAPI.detectPrerequisites(text);
@@ -3668,7 +6175,7 @@ class CogniRead {
 
   showPrerequisitesModal(prerequisites) {
     // Remove any existing modal
-    const existingModal = document.getElementById('cogniread-prerequisites-modal');
+    const existingModal = this.uiRoot.getElementById('cogniread-prerequisites-modal');
     if (existingModal) existingModal.remove();
 
     const modal = document.createElement('div');
@@ -3697,7 +6204,7 @@ class CogniRead {
       </div>
     `;
 
-    document.body.appendChild(modal);
+    this.uiRoot.appendChild(modal);
 
     // Close button
     modal.querySelector('.cogniread-ai-modal-close').addEventListener('click', () => {
@@ -3721,13 +6228,13 @@ class CogniRead {
       return;
     }
 
-    const btn = document.getElementById('cogniread-goals-btn');
+    const btn = this.uiRoot.getElementById('cogniread-goals-btn');
     if (btn) btn.disabled = true;
 
     const loading = this.showLoading('Analyzing article goals...');
 
     try {
-      const article = document.querySelector('article, main, [role="main"], .content') || document.body;
+      const article = this.findMainContainer();
       const text = article.textContent.substring(0, 5000);
 
       const result = await window.cognireadPromptAPI.analyzeReadingGoals(text);
@@ -3743,7 +6250,7 @@ class CogniRead {
   }
 
   showReadingGoalsModal(analysis) {
-    const existingModal = document.getElementById('cogniread-goals-modal');
+    const existingModal = this.uiRoot.getElementById('cogniread-goals-modal');
     if (existingModal) existingModal.remove();
 
     const modal = document.createElement('div');
@@ -3774,7 +6281,7 @@ class CogniRead {
       </div>
     `;
 
-    document.body.appendChild(modal);
+    this.uiRoot.appendChild(modal);
 
     modal.querySelector('.cogniread-ai-modal-close').addEventListener('click', () => {
       modal.remove();
@@ -3785,6 +6292,171 @@ class CogniRead {
     });
   }
 
+  // Feature: Comprehension Quiz
+  async showComprehensionQuiz() {
+    console.log('✅ Building comprehension quiz...');
+
+    const btn = this.uiRoot.getElementById('cogniread-quiz-btn');
+    if (btn) btn.disabled = true;
+
+    const loading = this.showLoading('Writing questions about this article...');
+
+    try {
+      const paragraphs = this.collectQuizParagraphs();
+      const quiz = await this.comprehensionQuiz.generate(paragraphs);
+      console.log(`✅ Quiz ready: ${quiz.questions.length} questions (${quiz.source})`);
+      this.renderQuizPanel(quiz);
+    } catch (error) {
+      console.error('Error building comprehension quiz:', error);
+      alert('Failed to build a quiz for this page. Please try again.');
+    } finally {
+      this.hideLoading(loading);
+      if (btn) btn.disabled = false;
+    }
+  }
+
+  // Questions are written from the original text, even if a paragraph is currently rewritten
+  collectQuizParagraphs() {
+    this.quizParagraphs = this.findSubstantialParagraphs(this.findMainContainer());
+
+    return this.quizParagraphs.map((element, index) => {
+      const record = this.pipeline.getRecord(element);
+      return { index, text: record ? record.originalText : element.textContent.trim() };
+    });
+  }
+
+  renderQuizPanel(quiz) {
+    this.closeQuizPanel();
+
+    const panel = document.createElement('div');
+    panel.id = 'cogniread-quiz';
+    panel.className = 'cogniread-quiz-panel';
+
+    const sourceNote = quiz.source === 'ai'
+      ? 'Questions written by on-device AI.'
+      : 'Fill-in-the-blank questions from key sentences (AI questions need the Prompt API).';
+
+    panel.innerHTML = `
+      <div class="cogniread-ai-modal-header">
+        <h3>✅ Check My Understanding</h3>
+        <button class="cogniread-ai-modal-close" title="Close">&times;</button>
+      </div>
+      <div class="cogniread-ai-modal-body">
+        ${quiz.questions.length > 0 ? `
+          <p class="cogniread-ai-modal-intro">${sourceNote}</p>
+          <ol class="cogniread-quiz-list"></ol>
+          <div class="cogniread-quiz-score" aria-live="polite"></div>
+        ` : '<p>There isn\'t enough text on this page to write questions about.</p>'}
+      </div>
+    `;
+
+    const list = panel.querySelector('.cogniread-quiz-list');
+    quiz.questions.forEach(question => {
+      list.appendChild(this.renderQuizQuestion(question, panel, quiz));
+    });
+
+    panel.querySelector('.cogniread-ai-modal-close').addEventListener('click', () => {
+      this.closeQuizPanel();
+    });
+
+    this.uiRoot.appendChild(panel);
+  }
+
+  renderQuizQuestion(question, panel, quiz) {
+    const item = document.createElement('li');
+    item.className = 'cogniread-quiz-question';
+
+    const answerMarkup = question.type === 'multiple-choice'
+      ? question.options.map((option, index) => `
+          <label class="cogniread-quiz-option">
+            <input type="radio" name="cogniread-${question.id}" value="${index}">
+            <span>${this.escapeHtml(option)}</span>
+          </label>
+        `).join('')
+      : `<input type="text" class="cogniread-quiz-input" placeholder="${question.type === 'cloze' ? 'Missing word' : 'Your answer'}" autocomplete="off">`;
+
+    item.innerHTML = `
+      <div class="cogniread-quiz-prompt">${this.escapeHtml(question.prompt)}</div>
+      <div class="cogniread-quiz-answers">${answerMarkup}</div>
+      <div class="cogniread-quiz-actions">
+        <button class="cogniread-ai-button cogniread-quiz-check">Check</button>
+        <button class="cogniread-quiz-source-link" title="Show the paragraph this question is about">📍 Source</button>
+      </div>
+      <div class="cogniread-quiz-feedback" aria-live="polite"></div>
+    `;
+
+    const checkBtn = item.querySelector('.cogniread-quiz-check');
+    const feedback = item.querySelector('.cogniread-quiz-feedback');
+
+    const check = () => {
+      let response;
+      if (question.type === 'multiple-choice') {
+        const selected = item.querySelector('input[type="radio"]:checked');
+        if (!selected) return;
+        response = selected.value;
+      } else {
+        response = item.querySelector('.cogniread-quiz-input').value;
+        if (!response.trim()) return;
+      }
+
+      const result = this.comprehensionQuiz.grade(question, response);
+      item.classList.remove('cogniread-quiz-correct', 'cogniread-quiz-wrong');
+      item.classList.add(result.correct ? 'cogniread-quiz-correct' : 'cogniread-quiz-wrong');
+      item.dataset.answered = 'true';
+      feedback.textContent = result.correct
+        ? '✓ Correct!'
+        : `✗ Not quite. The answer is: ${result.expected}. Take another look at the highlighted paragraph.`;
+
+      if (!result.correct) {
+        this.scrollToQuizSource(question.paragraphIndex);
+      }
+
+      this.updateQuizScore(panel, quiz);
+    };
+
+    checkBtn.addEventListener('click', check);
+    const input = item.querySelector('.cogniread-quiz-input');
+    if (input) {
+      input.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') check();
+      });
+    }
+
+    item.querySelector('.cogniread-quiz-source-link').addEventListener('click', () => {
+      this.scrollToQuizSource(question.paragraphIndex);
+    });
+
+    return item;
+  }
+
+  updateQuizScore(panel, quiz) {
+    const score = panel.querySelector('.cogniread-quiz-score');
+    const answered = panel.querySelectorAll('.cogniread-quiz-question[data-answered="true"]').length;
+    const correct = panel.querySelectorAll('.cogniread-quiz-correct').length;
+    if (score) {
+      score.textContent = answered === quiz.questions.length
+        ? `You got ${correct} of ${quiz.questions.length} right.`
+        : `${correct} of ${answered} answered correctly so far.`;
+    }
+  }
+
+  scrollToQuizSource(index) {
+    const paragraph = this.quizParagraphs[index];
+    if (!paragraph || !paragraph.isConnected) return;
+
+    document.querySelectorAll('.cogniread-quiz-source').forEach(el => el.classList.remove('cogniread-quiz-source'));
+    paragraph.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    paragraph.classList.add('cogniread-quiz-source');
+    clearTimeout(this.quizHighlightTimer);
+    this.quizHighlightTimer = setTimeout(() => paragraph.classList.remove('cogniread-quiz-source'), 4000);
+  }
+
+  closeQuizPanel() {
+    const panel = this.uiRoot.getElementById('cogniread-quiz');
+    if (panel) panel.remove();
+    document.querySelectorAll('.cogniread-quiz-source').forEach(el => el.classList.remove('cogniread-quiz-source'));
+  }
+
   // Feature 5: Cognitive Load Indicator (Heatmap)
   async toggleCognitiveHeatmap(enabled) {
     console.log('📊 Cognitive Heatmap toggle:', enabled);
@@ -3807,7 +6479,7 @@ class CogniRead {
       await window.ensurePromptAPIReady();
     } catch (error) {
       alert(error.message);
-      const toggle = document.getElementById('cogniread-heatmap-toggle');
+      const toggle = this.uiRoot.getElementById('cogniread-heatmap-toggle');
       if (toggle) toggle.classList.remove('active');
       return;
     }
@@ -3815,7 +6487,7 @@ class CogniRead {
     const loading = this.showLoading('Analyzing difficulty...');
 
     try {
-      const paragraphs = Array.from(document.querySelectorAll('p'))
+      const paragraphs = Array.from(this.findMainContainer().querySelectorAll('p'))
         .filter(p => p.textContent.trim().length > 50 && !p.closest('nav, header, footer'));
 
       const paragraphTexts = paragraphs.map(p => p.textContent);
@@ -3886,7 +6558,7 @@ class CogniRead {
     }
 
     // Create modal immediately
-    const existingModal = document.getElementById('cogniread-analogy-modal');
+    const existingModal = this.uiRoot.getElementById('cogniread-analogy-modal');
     if (existingModal) existingModal.remove();
 
     const modal = document.createElement('div');
@@ -3910,7 +6582,7 @@ class CogniRead {
       </div>
     `;
 
-    document.body.appendChild(modal);
+    this.uiRoot.appendChild(modal);
 
     // Close button
     modal.querySelector('.cogniread-ai-modal-close').addEventListener('click', () => {
@@ -3947,7 +6619,7 @@ class CogniRead {
     }
 
     // Create modal immediately
-    const existingModal = document.getElementById('cogniread-describe-modal');
+    const existingModal = this.uiRoot.getElementById('cogniread-describe-modal');
     if (existingModal) existingModal.remove();
 
     const modal = document.createElement('div');
@@ -3971,7 +6643,7 @@ class CogniRead {
       </div>
     `;
 
-    document.body.appendChild(modal);
+    this.uiRoot.appendChild(modal);
 
     // Close button
     modal.querySelector('.cogniread-ai-modal-close').addEventListener('click', () => {
@@ -4003,7 +6675,7 @@ class CogniRead {
     }
 
     // Create modal immediately
-    const existingModal = document.getElementById('cogniread-sentence-modal');
+    const existingModal = this.uiRoot.getElementById('cogniread-sentence-modal');
     if (existingModal) existingModal.remove();
 
     const modal = document.createElement('div');
@@ -4023,7 +6695,7 @@ class CogniRead {
       </div>
     `;
 
-    document.body.appendChild(modal);
+    this.uiRoot.appendChild(modal);
 
     // Close button
     modal.querySelector('.cogniread-ai-modal-close').addEventListener('click', () => {
@@ -4044,455 +6716,6 @@ class CogniRead {
   }
 }
 
-// Distraction-Free Reading Mode Class
-class DistractionFreeMode {
-  constructor() {
-    this.level = 2; // Default: Focused (1=Minimal, 2=Focused, 3=Pure Text)
-    this.showImages = true;
-    this.showVideos = false;
-    this.showProgress = true;
-    this.fontFamily = 'serif';
-    this.fontSize = 18;
-    this.lineWidth = 680;
-    this.theme = 'light';
-    this.isActive = false;
-    this.originalContent = null;
-    this.readerContainer = null;
-  }
-
-  activate() {
-    if (this.isActive) {
-      console.log('Distraction-free mode already active');
-      return;
-    }
-
-    try {
-      console.log('Activating distraction-free mode...');
-
-      // Store reference to original body children (not innerHTML to preserve event listeners)
-      this.originalContent = {
-        children: Array.from(document.body.children).map(child => {
-          const clone = child.cloneNode(true);
-          return { element: child, clone: clone };
-        }),
-        scrollPosition: window.scrollY,
-        bodyClass: document.body.className,
-        bodyStyle: document.body.getAttribute('style')
-      };
-
-      // Extract main content
-      const mainContent = this.findMainContent();
-
-      if (!mainContent) {
-        console.warn('Could not find main content for distraction-free mode');
-        alert('Could not extract readable content from this page. Try a different page or article.');
-        return;
-      }
-
-      // Create reader view container
-      this.createReaderView();
-
-      // Clone and clean content
-      const cleanContent = this.sanitizeContent(mainContent);
-
-      // Apply typography enhancements
-      this.enhanceReadability(cleanContent);
-
-      // Insert clean content into reader view
-      const contentContainer = this.readerContainer.querySelector('.cogniread-df-content');
-      contentContainer.appendChild(cleanContent);
-
-      // Hide all body children instead of destroying them
-      this.originalContent.children.forEach(({ element }) => {
-        element.style.display = 'none';
-      });
-
-      // Add reader view to body (don't replace body content)
-      document.body.appendChild(this.readerContainer);
-
-      // Add exit button and controls
-      this.addControls();
-
-      // Add reading progress if enabled
-      if (this.showProgress) {
-        this.addReadingProgress();
-      }
-
-      this.isActive = true;
-      console.log('Distraction-free mode activated successfully');
-
-    } catch (error) {
-      console.error('Error activating distraction-free mode:', error);
-      alert('Failed to activate distraction-free mode. Please try again.');
-      this.deactivate();
-    }
-  }
-
-  deactivate() {
-    if (!this.isActive) return;
-
-    console.log('Deactivating distraction-free mode...');
-
-    // Remove reader container first
-    if (this.readerContainer && this.readerContainer.parentNode) {
-      this.readerContainer.remove();
-    }
-    this.readerContainer = null;
-
-    // Restore original content visibility
-    if (this.originalContent) {
-      // Restore all hidden elements
-      this.originalContent.children.forEach(({ element }) => {
-        element.style.display = '';
-      });
-
-      // Restore scroll position
-      window.scrollTo(0, this.originalContent.scrollPosition);
-
-      this.originalContent = null;
-    }
-
-    this.isActive = false;
-    console.log('Distraction-free mode deactivated');
-
-    // Update the toggle button state in the CogniRead panel
-    // This is needed when user exits via "Exit Reader Mode" button or Esc key
-    const distractionFreeToggle = document.getElementById('cogniread-distraction-free-toggle');
-    if (distractionFreeToggle && distractionFreeToggle.classList.contains('active')) {
-      distractionFreeToggle.classList.remove('active');
-      // Trigger update of active badge if CogniRead instance exists
-      if (window.cogniread && window.cogniread.updateActiveBadge) {
-        window.cogniread.updateActiveBadge();
-      }
-    }
-  }
-
-  findMainContent() {
-    // Strategy 1: Look for article tag
-    let article = document.querySelector('article');
-
-    // Strategy 2: Look for role="main"
-    if (!article) {
-      article = document.querySelector('[role="main"]');
-    }
-
-    // Strategy 3: Look for common content selectors
-    if (!article) {
-      const contentSelectors = [
-        '.post-content',
-        '.article-content',
-        '.entry-content',
-        '.content',
-        'main',
-        '#content',
-        '#main'
-      ];
-
-      for (const selector of contentSelectors) {
-        article = document.querySelector(selector);
-        if (article) break;
-      }
-    }
-
-    // Strategy 4: Find largest text block
-    if (!article) {
-      article = this.findLargestTextBlock();
-    }
-
-    return article;
-  }
-
-  findLargestTextBlock() {
-    const allElements = document.querySelectorAll('div, section');
-    let largest = null;
-    let maxTextLength = 0;
-
-    allElements.forEach(el => {
-      // Skip navigation, ads, headers, footers
-      if (el.closest('nav, header, footer, aside, .ad, .advertisement, .sidebar')) {
-        return;
-      }
-
-      const textLength = el.textContent.trim().length;
-      if (textLength > maxTextLength) {
-        maxTextLength = textLength;
-        largest = el;
-      }
-    });
-
-    return largest;
-  }
-
-  createReaderView() {
-    this.readerContainer = document.createElement('div');
-    this.readerContainer.className = 'cogniread-distraction-free';
-    this.readerContainer.setAttribute('data-theme', this.theme);
-    this.readerContainer.setAttribute('data-font-family', this.fontFamily);
-    this.readerContainer.innerHTML = `
-      <div class="cogniread-df-wrapper">
-        <div class="cogniread-df-content" style="max-width: ${this.lineWidth}px; font-size: ${this.fontSize}px;"></div>
-      </div>
-    `;
-  }
-
-  sanitizeContent(element) {
-    const clone = element.cloneNode(true);
-
-    // Remove unwanted elements based on level
-    const selectorsToRemove = [
-      'script',
-      'style',
-      'noscript'
-    ];
-
-    // Level 2 and 3: Remove navigation, ads, social elements
-    if (this.level >= 2) {
-      selectorsToRemove.push(
-        'aside',
-        'nav',
-        'header:not(.article-header)',
-        'footer:not(.article-footer)',
-        '.advertisement',
-        '.ad',
-        '.social-share',
-        '.share-buttons',
-        '.related-articles',
-        '.recommended',
-        '.comments',
-        '.comment-section',
-        'iframe[src*="ads"]',
-        '[class*="sidebar"]',
-        '[id*="sidebar"]',
-        '[class*="widget"]'
-      );
-    }
-
-    selectorsToRemove.forEach(selector => {
-      clone.querySelectorAll(selector).forEach(el => el.remove());
-    });
-
-    // Handle images based on settings
-    if (this.level === 3 || !this.showImages) {
-      clone.querySelectorAll('img').forEach(img => {
-        const placeholder = document.createElement('button');
-        placeholder.className = 'cogniread-df-image-placeholder';
-        placeholder.textContent = `📷 [Image: ${img.alt || 'No description'}]`;
-        placeholder.onclick = () => this.showImageModal(img.src, img.alt);
-        img.replaceWith(placeholder);
-      });
-    } else {
-      // Keep images but make them responsive
-      clone.querySelectorAll('img').forEach(img => {
-        img.style.maxWidth = '100%';
-        img.style.height = 'auto';
-        img.style.display = 'block';
-        img.style.margin = '1.5rem auto';
-      });
-    }
-
-    // Handle videos
-    if (!this.showVideos) {
-      clone.querySelectorAll('video, iframe[src*="youtube"], iframe[src*="vimeo"]').forEach(video => {
-        const placeholder = document.createElement('button');
-        placeholder.className = 'cogniread-df-video-placeholder';
-        placeholder.textContent = '▶ Load Video';
-        placeholder.onclick = () => {
-          const videoClone = video.cloneNode(true);
-          videoClone.style.maxWidth = '100%';
-          placeholder.replaceWith(videoClone);
-        };
-        video.replaceWith(placeholder);
-      });
-    }
-
-    return clone;
-  }
-
-  enhanceReadability(content) {
-    // Add reading time estimate
-    const text = content.textContent;
-    const wordCount = text.split(/\s+/).filter(w => w.length > 0).length;
-    const readingTime = Math.ceil(wordCount / 200); // 200 WPM average
-
-    // Create article meta header
-    const meta = document.createElement('div');
-    meta.className = 'cogniread-df-article-meta';
-    meta.innerHTML = `
-      <div class="cogniread-df-meta-info">
-        <span>${wordCount.toLocaleString()} words</span>
-        <span>•</span>
-        <span>${readingTime} min read</span>
-      </div>
-    `;
-    content.prepend(meta);
-
-    // Ensure proper paragraph spacing
-    content.querySelectorAll('p').forEach(p => {
-      p.style.marginBottom = '1.5em';
-    });
-
-    // Clean up links
-    content.querySelectorAll('a').forEach(link => {
-      link.style.color = this.theme === 'dark' ? '#6ba3ff' : '#2563eb';
-      link.style.textDecoration = 'underline';
-      link.style.textDecorationThickness = '1px';
-      link.style.textUnderlineOffset = '2px';
-    });
-  }
-
-  addControls() {
-    const controls = document.createElement('div');
-    controls.className = 'cogniread-df-controls';
-    controls.innerHTML = `
-      <button class="cogniread-df-exit" aria-label="Exit distraction-free mode" title="Exit distraction-free mode (Esc)">
-        <svg width="20" height="20" viewBox="0 0 20 20" fill="none">
-          <path d="M4 4L16 16M4 16L16 4" stroke="currentColor" stroke-width="2"/>
-        </svg>
-        Exit Reader Mode
-      </button>
-      <div class="cogniread-df-settings">
-        <button class="cogniread-df-font-decrease" title="Decrease font size (-)">A−</button>
-        <button class="cogniread-df-font-increase" title="Increase font size (+)">A+</button>
-        <button class="cogniread-df-theme-toggle" title="Toggle theme">🌙</button>
-      </div>
-    `;
-
-    this.readerContainer.appendChild(controls);
-
-    // Exit button
-    controls.querySelector('.cogniread-df-exit').addEventListener('click', () => {
-      this.deactivate();
-    });
-
-    // Font size controls
-    controls.querySelector('.cogniread-df-font-decrease').addEventListener('click', () => {
-      console.log('📉 Decreasing font size from', this.fontSize);
-      this.fontSize = Math.max(14, this.fontSize - 1);
-      console.log('📉 New font size:', this.fontSize);
-      this.updateFontSize();
-    });
-
-    controls.querySelector('.cogniread-df-font-increase').addEventListener('click', () => {
-      console.log('📈 Increasing font size from', this.fontSize);
-      this.fontSize = Math.min(24, this.fontSize + 1);
-      console.log('📈 New font size:', this.fontSize);
-      this.updateFontSize();
-    });
-
-    // Theme toggle
-    controls.querySelector('.cogniread-df-theme-toggle').addEventListener('click', () => {
-      const oldTheme = this.theme;
-      this.theme = this.theme === 'light' ? 'dark' : 'light';
-      console.log(`🎨 Switching theme from ${oldTheme} to ${this.theme}`);
-      this.readerContainer.setAttribute('data-theme', this.theme);
-      controls.querySelector('.cogniread-df-theme-toggle').textContent =
-        this.theme === 'light' ? '🌙' : '☀️';
-      console.log(`✅ Theme applied: ${this.theme} mode`);
-    });
-  }
-
-  addReadingProgress() {
-    const progress = document.createElement('div');
-    progress.className = 'cogniread-df-progress';
-    progress.innerHTML = `
-      <div class="cogniread-df-progress-bar"></div>
-      <div class="cogniread-df-progress-text">0%</div>
-    `;
-
-    this.readerContainer.appendChild(progress);
-
-    // Update progress on scroll
-    const updateProgress = () => {
-      const windowHeight = window.innerHeight;
-      const documentHeight = document.documentElement.scrollHeight;
-      const scrollTop = window.scrollY;
-
-      // Calculate scroll percentage, handle case where content fits on one page
-      let scrollPercent = 0;
-      const scrollableHeight = documentHeight - windowHeight;
-
-      if (scrollableHeight > 0) {
-        scrollPercent = (scrollTop / scrollableHeight) * 100;
-      } else {
-        // Content fits on one page, always show 100%
-        scrollPercent = 100;
-      }
-
-      const progressBar = progress.querySelector('.cogniread-df-progress-bar');
-      const progressText = progress.querySelector('.cogniread-df-progress-text');
-
-      if (progressBar && progressText) {
-        progressBar.style.width = `${Math.min(100, Math.max(0, scrollPercent))}%`;
-        progressText.textContent = `${Math.round(Math.max(0, scrollPercent))}%`;
-      }
-    };
-
-    // Initial update
-    updateProgress();
-
-    // Update on scroll
-    window.addEventListener('scroll', updateProgress);
-  }
-
-  updateFontSize() {
-    const content = this.readerContainer.querySelector('.cogniread-df-content');
-    if (content) {
-      console.log('🔤 Updating font size to:', this.fontSize);
-      // Set font size with !important using setProperty
-      content.style.setProperty('font-size', `${this.fontSize}px`, 'important');
-
-      // Also update all paragraphs and text elements to ensure they respect the new size
-      content.querySelectorAll('p, li, span, div:not([class*="cogniread"])').forEach(el => {
-        el.style.setProperty('font-size', `${this.fontSize}px`, 'important');
-      });
-
-      console.log('✅ Font size updated successfully');
-    } else {
-      console.warn('⚠️ Could not find .cogniread-df-content element');
-    }
-  }
-
-  showImageModal(src, alt) {
-    const modal = document.createElement('div');
-    modal.className = 'cogniread-df-image-modal';
-    modal.innerHTML = `
-      <div class="cogniread-df-image-modal-content">
-        <button class="cogniread-df-image-modal-close">&times;</button>
-        <img src="${src}" alt="${alt || 'Image'}" />
-        ${alt ? `<p class="cogniread-df-image-caption">${alt}</p>` : ''}
-      </div>
-    `;
-
-    document.body.appendChild(modal);
-
-    modal.addEventListener('click', (e) => {
-      if (e.target === modal || e.target.classList.contains('cogniread-df-image-modal-close')) {
-        modal.remove();
-      }
-    });
-  }
-
-  // Keyboard shortcuts
-  handleKeyPress(e) {
-    if (!this.isActive) return;
-
-    // Esc - Exit
-    if (e.key === 'Escape') {
-      this.deactivate();
-    }
-    // + - Increase font
-    else if (e.key === '+' || e.key === '=') {
-      this.fontSize = Math.min(24, this.fontSize + 1);
-      this.updateFontSize();
-    }
-    // - - Decrease font
-    else if (e.key === '-' || e.key === '_') {
-      this.fontSize = Math.max(14, this.fontSize - 1);
-      this.updateFontSize();
-    }
-  }
-}
-
 // Initialize CogniRead when page loads
 let cogniRead = null;
 
@@ -4515,6 +6738,14 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
       initialized: cogniRead?.initialized || false,
       state: cogniRead?.state || {}
     });
+  } else if (request.action === 'debugExtraction') {
+    // Outline the detected main content; show: true/false, or toggle when left out
+    if (cogniRead && cogniRead.initialized) {
+      const show = typeof request.show === 'boolean' ? request.show : undefined;
+      sendResponse({ success: true, result: cogniRead.toggleExtractionDebug(show) });
+    } else {
+      sendResponse({ success: false, message: 'Extension not initialized' });
+    }
   } else if (request.action === 'reinitialize') {
     // Re-initialize if extension was closed
     if (!cogniRead || !cogniRead.initialized) {
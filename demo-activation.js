@@ -14,9 +14,8 @@ window.addEventListener('load', function() {
         return;
     }
 
-    // Check if CogniRead is already active
-    const cognireadPanel = document.getElementById('cogniread-panel') ||
-                           document.getElementById('cogniread-mini');
+    // Check if CogniRead is already active (its UI is mounted in a shadow root on this host)
+    const cognireadPanel = document.getElementById('cogniread-ui-host');
 
     if (!cognireadPanel) {
         console.log('🚀 CogniRead not detected, requesting activation...');
@@ -0,0 +1,442 @@
+// Distraction-Free Reading Mode
+// Clean reader view of the page's main content. Used by the content script and by the
+// offline library's reader page, which opens saved articles in the same view.
+
+class DistractionFreeMode {
+  constructor(options = {}) {
+    this.level = 2; // Default: Focused (1=Minimal, 2=Focused, 3=Pure Text)
+    this.showImages = true;
+    this.showVideos = false;
+    this.showProgress = true;
+    this.fontFamily = 'serif';
+    this.fontSize = 18;
+    this.lineWidth = 680;
+    this.theme = 'light';
+    this.isActive = false;
+    this.originalContent = null;
+    this.readerContainer = null;
+    this.pageActions = options.pageActions !== false; // Save/export need the content script
+    this.onExit = options.onExit || null; // Called after the reader view closes
+    this.onProgress = options.onProgress || null; // Called with the scroll percentage
+    this.uiRoot = options.uiRoot || null; // Content script's shadow root; the page itself otherwise
+  }
+
+  activate() {
+    if (this.isActive) {
+      console.log('Distraction-free mode already active');
+      return;
+    }
+
+    try {
+      console.log('Activating distraction-free mode...');
+
+      // Extract main content
+      const mainContent = this.findMainContent();
+
+      if (!mainContent) {
+        console.warn('Could not find main content for distraction-free mode');
+        alert('Could not extract readable content from this page. Try a different page or article.');
+        return;
+      }
+
+      // Clone and clean content, then show it in the reader view
+      this.open(this.sanitizeContent(mainContent));
+      console.log('Distraction-free mode activated successfully');
+
+    } catch (error) {
+      console.error('Error activating distraction-free mode:', error);
+      alert('Failed to activate distraction-free mode. Please try again.');
+      this.deactivate();
+    }
+  }
+
+  // Shows already cleaned content in the reader view. The library's reader page calls this
+  // directly with a saved article.
+  open(cleanContent) {
+    // Store reference to original body children (not innerHTML to preserve event listeners)
+    this.originalContent = {
+      children: Array.from(document.body.children).map(child => {
+        const clone = child.cloneNode(true);
+        return { element: child, clone: clone };
+      }),
+      scrollPosition: window.scrollY,
+      bodyClass: document.body.className,
+      bodyStyle: document.body.getAttribute('style')
+    };
+
+    // Create reader view container
+    this.createReaderView();
+
+    // Apply typography enhancements
+    this.enhanceReadability(cleanContent);
+
+    // Insert clean content into reader view
+    const contentContainer = this.readerContainer.querySelector('.cogniread-df-content');
+    contentContainer.appendChild(cleanContent);
+
+    // Hide all body children instead of destroying them
+    this.originalContent.children.forEach(({ element }) => {
+      element.style.display = 'none';
+    });
+
+    // Add reader view alongside the page (don't replace body content)
+    (this.uiRoot || document.body).appendChild(this.readerContainer);
+
+    // Add exit button and controls
+    this.addControls();
+
+    // Add reading progress if enabled
+    if (this.showProgress) {
+      this.addReadingProgress();
+    }
+
+    this.readerContainer.addEventListener('scroll', () => {
+      if (this.onProgress) this.onProgress(this.getScrollPercent());
+    });
+
+    this.isActive = true;
+  }
+
+  deactivate() {
+    if (!this.isActive) return;
+
+    console.log('Deactivating distraction-free mode...');
+
+    // Remove reader container first
+    if (this.readerContainer && this.readerContainer.parentNode) {
+      this.readerContainer.remove();
+    }
+    this.readerContainer = null;
+
+    // Restore original content visibility
+    if (this.originalContent) {
+      // Restore all hidden elements
+      this.originalContent.children.forEach(({ element }) => {
+        element.style.display = '';
+      });
+
+      // Restore scroll position
+      window.scrollTo(0, this.originalContent.scrollPosition);
+
+      this.originalContent = null;
+    }
+
+    this.isActive = false;
+    console.log('Distraction-free mode deactivated');
+
+    // Update the toggle button state in the CogniRead panel
+    // This is needed when user exits via "Exit Reader Mode" button or Esc key
+    const distractionFreeToggle = (this.uiRoot || document).getElementById('cogniread-distraction-free-toggle');
+    if (distractionFreeToggle && distractionFreeToggle.classList.contains('active')) {
+      distractionFreeToggle.classList.remove('active');
+      // Trigger update of active badge if CogniRead instance exists
+      if (window.cogniread && window.cogniread.updateActiveBadge) {
+        window.cogniread.updateActiveBadge();
+      }
+    }
+
+    if (this.onExit) {
+      this.onExit();
+    }
+  }
+
+  findMainContent() {
+    return window.cognireadContentExtractor.getMainContent();
+  }
+
+  createReaderView() {
+    this.readerContainer = document.createElement('div');
+    this.readerContainer.className = 'cogniread-distraction-free';
+    this.readerContainer.setAttribute('data-theme', this.theme);
+    this.readerContainer.setAttribute('data-font-family', this.fontFamily);
+    this.readerContainer.innerHTML = `
+      <div class="cogniread-df-wrapper">
+        <div class="cogniread-df-content" style="max-width: ${this.lineWidth}px; font-size: ${this.fontSize}px;"></div>
+      </div>
+    `;
+  }
+
+  sanitizeContent(element) {
+    const clone = element.cloneNode(true);
+
+    // Remove unwanted elements based on level
+    const selectorsToRemove = [
+      'script',
+      'style',
+      'noscript',
+      '[data-cogniread-excluded]' // Left out by this site's extraction rule
+    ];
+
+    // Level 2 and 3: Remove navigation, ads, social elements
+    if (this.level >= 2) {
+      selectorsToRemove.push(
+        'aside',
+        'nav',
+        'header:not(.article-header)',
+        'footer:not(.article-footer)',
+        '.advertisement',
+        '.ad',
+        '.social-share',
+        '.share-buttons',
+        '.related-articles',
+        '.recommended',
+        '.comments',
+        '.comment-section',
+        'iframe[src*="ads"]',
+        '[class*="sidebar"]',
+        '[id*="sidebar"]',
+        '[class*="widget"]'
+      );
+    }
+
+    selectorsToRemove.forEach(selector => {
+      clone.querySelectorAll(selector).forEach(el => el.remove());
+    });
+
+    // Handle images based on settings
+    if (this.level === 3 || !this.showImages) {
+      clone.querySelectorAll('img').forEach(img => {
+        const placeholder = document.createElement('button');
+        placeholder.className = 'cogniread-df-image-placeholder';
+        placeholder.textContent = `📷 [Image: ${img.alt || 'No description'}]`;
+        placeholder.onclick = () => this.showImageModal(img.src, img.alt);
+        img.replaceWith(placeholder);
+      });
+    } else {
+      // Keep images but make them responsive
+      clone.querySelectorAll('img').forEach(img => {
+        img.style.maxWidth = '100%';
+        img.style.height = 'auto';
+        img.style.display = 'block';
+        img.style.margin = '1.5rem auto';
+      });
+    }
+
+    // Handle videos
+    if (!this.showVideos) {
+      clone.querySelectorAll('video, iframe[src*="youtube"], iframe[src*="vimeo"]').forEach(video => {
+        const placeholder = document.createElement('button');
+        placeholder.className = 'cogniread-df-video-placeholder';
+        placeholder.textContent = '▶ Load Video';
+        placeholder.onclick = () => {
+          const videoClone = video.cloneNode(true);
+          videoClone.style.maxWidth = '100%';
+          placeholder.replaceWith(videoClone);
+        };
+        video.replaceWith(placeholder);
+      });
+    }
+
+    return clone;
+  }
+
+  enhanceReadability(content) {
+    // Add reading time estimate
+    const text = content.textContent;
+    const wordCount = text.split(/\s+/).filter(w => w.length > 0).length;
+    const readingTime = Math.ceil(wordCount / 200); // 200 WPM average
+
+    // Create article meta header
+    const meta = document.createElement('div');
+    meta.className = 'cogniread-df-article-meta';
+    meta.innerHTML = `
+      <div class="cogniread-df-meta-info">
+        <span>${wordCount.toLocaleString()} words</span>
+        <span>•</span>
+        <span>${readingTime} min read</span>
+      </div>
+    `;
+    content.prepend(meta);
+
+    // Ensure proper paragraph spacing
+    content.querySelectorAll('p').forEach(p => {
+      p.style.marginBottom = '1.5em';
+    });
+
+    // Clean up links
+    content.querySelectorAll('a').forEach(link => {
+      link.style.color = this.theme === 'dark' ? '#6ba3ff' : '#2563eb';
+      link.style.textDecoration = 'underline';
+      link.style.textDecorationThickness = '1px';
+      link.style.textUnderlineOffset = '2px';
+    });
+  }
+
+  addControls() {
+    const controls = document.createElement('div');
+    controls.className = 'cogniread-df-controls';
+    controls.innerHTML = `
+      <button class="cogniread-df-exit" aria-label="Exit distraction-free mode" title="Exit distraction-free mode (Esc)">
+        <svg width="20" height="20" viewBox="0 0 20 20" fill="none">
+          <path d="M4 4L16 16M4 16L16 4" stroke="currentColor" stroke-width="2"/>
+        </svg>
+        Exit Reader Mode
+      </button>
+      <div class="cogniread-df-settings">
+        <button class="cogniread-df-font-decrease" title="Decrease font size (-)">A−</button>
+        <button class="cogniread-df-font-increase" title="Increase font size (+)">A+</button>
+        <button class="cogniread-df-theme-toggle" title="Toggle theme">${this.theme === 'light' ? '🌙' : '☀️'}</button>
+        ${this.pageActions ? `
+          <button class="cogniread-df-save" title="Save this article to your offline library">🔖 Save</button>
+          <select class="cogniread-df-export" title="Export this article">
+            <option value="">💾 Export</option>
+            <option value="html">HTML</option>
+            <option value="markdown">Markdown</option>
+            <option value="epub">EPUB</option>
+          </select>
+        ` : ''}
+      </div>
+    `;
+
+    this.readerContainer.appendChild(controls);
+
+    // Exit button
+    controls.querySelector('.cogniread-df-exit').addEventListener('click', () => {
+      this.deactivate();
+    });
+
+    // Font size controls
+    controls.querySelector('.cogniread-df-font-decrease').addEventListener('click', () => {
+      console.log('📉 Decreasing font size from', this.fontSize);
+      this.fontSize = Math.max(14, this.fontSize - 1);
+      console.log('📉 New font size:', this.fontSize);
+      this.updateFontSize();
+    });
+
+    controls.querySelector('.cogniread-df-font-increase').addEventListener('click', () => {
+      console.log('📈 Increasing font size from', this.fontSize);
+      this.fontSize = Math.min(24, this.fontSize + 1);
+      console.log('📈 New font size:', this.fontSize);
+      this.updateFontSize();
+    });
+
+    // Theme toggle
+    controls.querySelector('.cogniread-df-theme-toggle').addEventListener('click', () => {
+      const oldTheme = this.theme;
+      this.theme = this.theme === 'light' ? 'dark' : 'light';
+      console.log(`🎨 Switching theme from ${oldTheme} to ${this.theme}`);
+      this.readerContainer.setAttribute('data-theme', this.theme);
+      controls.querySelector('.cogniread-df-theme-toggle').textContent =
+        this.theme === 'light' ? '🌙' : '☀️';
+      console.log(`✅ Theme applied: ${this.theme} mode`);
+    });
+
+    if (!this.pageActions) return;
+
+    // Save and export work on the reader view as shown (handled by the main CogniRead instance)
+    controls.querySelector('.cogniread-df-save').addEventListener('click', async () => {
+      if (!window.cogniread) return;
+      await window.cogniread.saveArticleForLater(this.readerContainer.querySelector('.cogniread-df-content'));
+    });
+
+    const exportSelect = controls.querySelector('.cogniread-df-export');
+    exportSelect.addEventListener('change', async () => {
+      const format = exportSelect.value;
+      exportSelect.value = '';
+      if (!format || !window.cogniread) return;
+      await window.cogniread.exportArticle(format, this.readerContainer.querySelector('.cogniread-df-content'));
+    });
+  }
+
+  addReadingProgress() {
+    const progress = document.createElement('div');
+    progress.className = 'cogniread-df-progress';
+    progress.innerHTML = `
+      <div class="cogniread-df-progress-bar"></div>
+      <div class="cogniread-df-progress-text">0%</div>
+    `;
+
+    this.readerContainer.appendChild(progress);
+
+    // Update progress on scroll
+    const updateProgress = () => {
+      const scrollPercent = this.getScrollPercent();
+      const progressBar = progress.querySelector('.cogniread-df-progress-bar');
+      const progressText = progress.querySelector('.cogniread-df-progress-text');
+
+      if (progressBar && progressText) {
+        progressBar.style.setProperty('width', `${scrollPercent}%`, 'important');
+        progressText.textContent = `${Math.round(scrollPercent)}%`;
+      }
+    };
+
+    // Initial update
+    updateProgress();
+
+    // The reader view is a fixed overlay, so it scrolls inside its own container
+    this.readerContainer.addEventListener('scroll', updateProgress);
+  }
+
+  getScrollPercent() {
+    if (!this.readerContainer) return 0;
+
+    // Handle case where content fits on one page
+    const scrollableHeight = this.readerContainer.scrollHeight - this.readerContainer.clientHeight;
+    if (scrollableHeight <= 0) return 100;
+
+    return Math.min(100, Math.max(0, (this.readerContainer.scrollTop / scrollableHeight) * 100));
+  }
+
+  updateFontSize() {
+    const content = this.readerContainer.querySelector('.cogniread-df-content');
+    if (content) {
+      console.log('🔤 Updating font size to:', this.fontSize);
+      // Set font size with !important using setProperty
+      content.style.setProperty('font-size', `${this.fontSize}px`, 'important');
+
+      // Also update all paragraphs and text elements to ensure they respect the new size
+      content.querySelectorAll('p, li, span, div:not([class*="cogniread"])').forEach(el => {
+        el.style.setProperty('font-size', `${this.fontSize}px`, 'important');
+      });
+
+      console.log('✅ Font size updated successfully');
+    } else {
+      console.warn('⚠️ Could not find .cogniread-df-content element');
+    }
+  }
+
+  showImageModal(src, alt) {
+    const modal = document.createElement('div');
+    modal.className = 'cogniread-df-image-modal';
+    modal.innerHTML = `
+      <div class="cogniread-df-image-modal-content">
+        <button class="cogniread-df-image-modal-close">&times;</button>
+        <img src="${src}" alt="${alt || 'Image'}" />
+        ${alt ? `<p class="cogniread-df-image-caption">${alt}</p>` : ''}
+      </div>
+    `;
+
+    (this.uiRoot || document.body).appendChild(modal);
+
+    modal.addEventListener('click', (e) => {
+      if (e.target === modal || e.target.classList.contains('cogniread-df-image-modal-close')) {
+        modal.remove();
+      }
+    });
+  }
+
+  // Keyboard shortcuts
+  handleKeyPress(e) {
+    if (!this.isActive) return;
+
+    // Esc - Exit
+    if (e.key === 'Escape') {
+      this.deactivate();
+    }
+    // + - Increase font
+    else if (e.key === '+' || e.key === '=') {
+      this.fontSize = Math.min(24, this.fontSize + 1);
+      this.updateFontSize();
+    }
+    // - - Decrease font
+    else if (e.key === '-' || e.key === '_') {
+      this.fontSize = Math.max(14, this.fontSize - 1);
+      this.updateFontSize();
+    }
+  }
+}
+
+// Export for use in content script
+if (typeof window !== 'undefined') {
+  window.DistractionFreeMode = DistractionFreeMode;
+}
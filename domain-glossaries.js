@@ -0,0 +1,198 @@
+// Domain glossaries: curated plain-language definitions for medical, legal, finance and
+// computing terms that the word-shape heuristics in CognitiveEngine miss ("tort", "EBITDA").
+// Format: domain id: { name, icon, terms: { 'term': 'definition' } }
+//   Lower-case terms match in any case and with a plural -s / -es ("torts");
+//   terms with capitals (acronyms) match only as written, plus a plural -s ("APIs").
+// Terms are picked to be specific to their domain, so a handful of them on a page is a
+// good sign of its topic (see DomainGlossary.detectDomains).
+
+const DOMAIN_GLOSSARIES = {
+  medical: {
+    name: 'Medical',
+    icon: '🩺',
+    terms: {
+      'acute': 'starting suddenly and usually lasting a short time',
+      'anemia': 'not having enough healthy red blood cells to carry oxygen around the body',
+      'analgesic': 'a medicine that relieves pain',
+      'antibiotic': 'a medicine that kills bacteria or stops them from growing; it does not work on viruses',
+      'arrhythmia': 'a heartbeat that is too fast, too slow or irregular',
+      'benign': 'not cancer and not likely to spread',
+      'biopsy': 'taking a small piece of tissue from the body to look at it under a microscope',
+      'cardiovascular': 'about the heart and blood vessels',
+      'chronic': 'lasting a long time or coming back again and again',
+      'comorbidity': 'another illness a person has at the same time as the main one',
+      'contraindication': 'a reason not to use a treatment, because it could be harmful for that person',
+      'edema': 'swelling caused by fluid trapped in the body\'s tissues',
+      'embolism': 'a blockage in a blood vessel, often caused by a blood clot',
+      'etiology': 'the cause of a disease',
+      'hypertension': 'high blood pressure',
+      'hypotension': 'low blood pressure',
+      'immunotherapy': 'a treatment that helps the body\'s own defences fight a disease such as cancer',
+      'inflammation': 'the body\'s reaction to injury or infection: redness, heat, swelling and pain',
+      'intravenous': 'given directly into a vein, for example through a drip',
+      'malignant': 'cancerous and able to spread to other parts of the body',
+      'metastasis': 'cancer that has spread from where it started to another part of the body',
+      'morbidity': 'how common an illness is, or how much illness a condition causes',
+      'mortality': 'the number of deaths in a group of people',
+      'myocardial infarction': 'a heart attack: part of the heart muscle dies because its blood supply is blocked',
+      'oncology': 'the branch of medicine that treats cancer',
+      'palliative': 'care that eases pain and symptoms without trying to cure the illness',
+      'pathogen': 'a germ, such as a virus or bacterium, that causes disease',
+      'placebo': 'a dummy treatment with no active medicine, used to compare against a real one',
+      'prognosis': 'the likely course and outcome of an illness',
+      'prophylaxis': 'treatment given to prevent a disease',
+      'remission': 'a period when the signs of a disease lessen or disappear',
+      'sepsis': 'a life-threatening reaction in which the body\'s response to an infection damages its own organs',
+      'stent': 'a small tube put into a blood vessel or other passage to keep it open',
+      'subcutaneous': 'under the skin, for example an injection just below the skin',
+      'tachycardia': 'a heart rate that is faster than normal',
+      'thrombosis': 'a blood clot forming inside a blood vessel',
+      'triage': 'sorting patients by how urgently they need treatment',
+      'vaccine': 'a substance that trains the body\'s defences to fight a disease before you catch it',
+      'MRI': 'magnetic resonance imaging: a scan that uses magnets and radio waves to make pictures of the inside of the body',
+      'CT scan': 'a scan that uses X-rays from many angles to make detailed pictures of the inside of the body',
+      'BMI': 'body mass index: a number worked out from height and weight to estimate body fat'
+    }
+  },
+
+  legal: {
+    name: 'Legal',
+    icon: '⚖️',
+    terms: {
+      'affidavit': 'a written statement that someone swears is true, used as evidence',
+      'appellant': 'the person or side who appeals a court\'s decision to a higher court',
+      'arbitration': 'settling a dispute with an independent person instead of a court',
+      'breach of contract': 'failing to do what a contract requires',
+      'burden of proof': 'the duty to prove that a claim is true',
+      'case law': 'law based on earlier court decisions rather than written statutes',
+      'counterclaim': 'a claim made by the defendant against the person who is suing them',
+      'damages': 'money a court orders one side to pay the other for harm or loss',
+      'defendant': 'the person or company being sued or accused in court',
+      'due diligence': 'careful checking of facts and risks before a decision or deal',
+      'due process': 'the right to fair legal procedures before the state takes away rights or property',
+      'fiduciary': 'a person who must act in someone else\'s best interest, such as a trustee',
+      'habeas corpus': 'the right of a detained person to be brought before a court, which decides whether the detention is lawful',
+      'indemnity': 'a promise to pay for someone else\'s loss or damage',
+      'injunction': 'a court order to do something or to stop doing something',
+      'jurisdiction': 'the power of a court or authority to make legal decisions in a place or on a subject',
+      'liability': 'legal responsibility for something, especially for paying for harm or debt',
+      'litigation': 'taking a dispute to court',
+      'negligence': 'failing to take reasonable care, causing harm to someone',
+      'plaintiff': 'the person or company who brings a case against another in court',
+      'precedent': 'an earlier court decision that guides how similar cases are decided',
+      'prosecution': 'the side that brings criminal charges against someone in court',
+      'statute': 'a written law passed by a parliament or legislature',
+      'statute of limitations': 'the time limit for starting a legal case',
+      'subpoena': 'a legal order to appear in court or to hand over documents',
+      'testimony': 'what a witness says under oath in court',
+      'tort': 'a wrongful act, other than breaking a contract, that causes harm and lets the victim sue',
+      'plea bargain': 'a deal in which the accused pleads guilty in exchange for a lighter charge or sentence',
+      'probate': 'the legal process of proving a will and handling a dead person\'s estate',
+      'power of attorney': 'a legal document that lets someone act for another person',
+      'arraignment': 'a court hearing where the accused is formally charged and asked to plead',
+      'acquittal': 'a court decision that the accused is not guilty',
+      'felony': 'a serious crime, usually punished by more than a year in prison',
+      'misdemeanor': 'a less serious crime, usually punished by a fine or a short jail term',
+      'intellectual property': 'creations of the mind, such as inventions, designs and writing, that the law protects',
+      'non-disclosure agreement': 'a contract in which people agree to keep certain information secret',
+      'GDPR': 'the General Data Protection Regulation: the European Union law on how personal data may be collected and used'
+    }
+  },
+
+  finance: {
+    name: 'Finance',
+    icon: '💰',
+    terms: {
+      'amortization': 'paying off a debt in regular instalments, or spreading the cost of an asset over time',
+      'asset': 'something of value that a person or company owns',
+      'balance sheet': 'a statement of what a company owns and owes at a point in time',
+      'bear market': 'a period when share prices fall by 20% or more',
+      'bull market': 'a period when share prices rise steadily',
+      'bond': 'a loan to a government or company that pays interest and is repaid on a set date',
+      'capital gain': 'profit from selling something for more than you paid for it',
+      'collateral': 'property promised to a lender, which they can take if the loan is not repaid',
+      'compound interest': 'interest earned on both the original money and the interest already added',
+      'depreciation': 'a fall in the value of an asset over time',
+      'derivative': 'a financial contract whose value depends on the price of something else, such as a share or commodity',
+      'diversification': 'spreading money across different investments to reduce risk',
+      'dividend': 'a share of a company\'s profit paid to its shareholders',
+      'equity': 'ownership in a company, or the value of something minus what is owed on it',
+      'fiscal year': 'the twelve-month period a company or government uses for its accounts',
+      'hedge fund': 'an investment fund that uses riskier strategies to try to earn high returns',
+      'index fund': 'a fund that tracks a market index, such as the S&P 500, instead of picking investments',
+      'inflation': 'the general rise in prices, which means money buys less over time',
+      'leverage': 'using borrowed money to increase the size of an investment, which raises both risk and possible return',
+      'liquidity': 'how quickly something can be turned into cash without losing value',
+      'market capitalization': 'the total value of a company\'s shares on the stock market',
+      'mortgage': 'a loan to buy property, with the property as security',
+      'portfolio': 'all the investments a person or fund holds',
+      'quantitative easing': 'a central bank creating money to buy bonds, to lower interest rates and support the economy',
+      'recession': 'a period when the economy shrinks, usually for at least two quarters in a row',
+      'revenue': 'the total money a company takes in from sales before costs are subtracted',
+      'securities': 'tradable financial assets such as shares and bonds',
+      'valuation': 'an estimate of what a company or asset is worth',
+      'volatility': 'how much and how quickly a price goes up and down',
+      'yield': 'the income an investment pays, shown as a percentage of its price',
+      'write-off': 'removing the value of something from the accounts because it is worthless or cannot be recovered',
+      'EBITDA': 'earnings before interest, taxes, depreciation and amortization: a measure of a company\'s operating profit',
+      'ETF': 'exchange-traded fund: a fund that holds many investments and is bought and sold like a share',
+      'IPO': 'initial public offering: when a company first sells its shares to the public',
+      'APR': 'annual percentage rate: the yearly cost of a loan, including interest and fees',
+      'ROI': 'return on investment: the profit from an investment compared with its cost',
+      'GDP': 'gross domestic product: the total value of goods and services a country produces'
+    }
+  },
+
+  computing: {
+    name: 'Computing',
+    icon: '💻',
+    terms: {
+      'algorithm': 'a set of step-by-step instructions for solving a problem or doing a task',
+      'asynchronous': 'happening without waiting for something else to finish first',
+      'authentication': 'checking that a user is who they claim to be, for example with a password',
+      'backend': 'the part of a system that runs on the server, out of the user\'s sight',
+      'bandwidth': 'how much data can be sent over a connection in a given time',
+      'cache': 'a store of copies of data kept close at hand so it can be fetched faster',
+      'compiler': 'a program that translates source code into a form the computer can run',
+      'containerization': 'packaging software with everything it needs so it runs the same anywhere',
+      'cryptography': 'the use of codes to keep information secret and secure',
+      'database': 'an organised collection of data that a computer can search and update',
+      'debugging': 'finding and fixing errors in a program',
+      'deployment': 'putting software into use, for example on live servers',
+      'encryption': 'scrambling data so only someone with the right key can read it',
+      'firmware': 'software built into a device that controls its hardware',
+      'frontend': 'the part of a system that the user sees and interacts with',
+      'latency': 'the delay between asking for something and getting a response',
+      'machine learning': 'computers learning patterns from data instead of following fixed rules',
+      'malware': 'software designed to harm a computer or steal information',
+      'microservice': 'a small, independent part of a larger application that does one job',
+      'middleware': 'software that connects different programs or systems so they can work together',
+      'open source': 'software whose source code anyone can read, change and share',
+      'phishing': 'tricking people into giving away passwords or other information with fake messages or websites',
+      'recursion': 'a function or process that calls itself to solve smaller parts of a problem',
+      'refactoring': 'restructuring code to make it cleaner without changing what it does',
+      'repository': 'a storage place for code and its history of changes',
+      'runtime': 'the time when a program is running, or the software that runs it',
+      'scalability': 'how well a system copes when it has more users or data',
+      'source code': 'the instructions of a program as written by programmers',
+      'two-factor authentication': 'logging in with two kinds of proof, such as a password and a code sent to your phone',
+      'virtualization': 'running several virtual computers on one physical machine',
+      'API': 'application programming interface: a defined way for programs to talk to each other',
+      'CPU': 'central processing unit: the main chip that carries out a computer\'s instructions',
+      'GPU': 'graphics processing unit: a chip built for graphics and many calculations at once',
+      'SaaS': 'software as a service: software you use over the internet instead of installing it',
+      'SQL': 'a language for asking questions of and changing data in databases',
+      'LLM': 'large language model: an AI system trained on huge amounts of text to understand and write language'
+    }
+  }
+};
+
+// Export for use in content script
+if (typeof window !== 'undefined') {
+  window.DOMAIN_GLOSSARIES = DOMAIN_GLOSSARIES;
+}
+
+// Export for ES6 modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = DOMAIN_GLOSSARIES;
+}
@@ -0,0 +1,91 @@
+// Domain Glossary
+// Finds the terms of the bundled domain glossaries (domain-glossaries.js) in a text, guesses
+// a page's topic from how many different terms of each domain it uses, and looks up the
+// curated definition of a highlighted word.
+
+class DomainGlossary {
+  constructor(glossaries = {}) {
+    this.glossaries = glossaries;
+    this.minTopicTerms = 4; // Different terms a page needs to count as being about a domain
+
+    // One pattern per term: words may be joined by spaces or hyphens, plus an optional plural
+    this.patterns = [];
+    Object.entries(glossaries).forEach(([domain, glossary]) => {
+      Object.entries(glossary.terms).forEach(([term, definition]) => {
+        const acronym = term !== term.toLowerCase();
+        const words = term.split(/[\s-]+/).map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+        const plural = acronym ? 's?' : '(?:s|es)?';
+        this.patterns.push({
+          domain,
+          term,
+          definition,
+          regex: new RegExp(`\\b${words.join('[\\s-]+')}${plural}\\b`, acronym ? 'g' : 'gi')
+        });
+      });
+    });
+  }
+
+  // [{ id, name, icon, count }] in the bundled order
+  getDomains() {
+    return Object.entries(this.glossaries).map(([id, glossary]) => ({
+      id,
+      name: glossary.name,
+      icon: glossary.icon,
+      count: Object.keys(glossary.terms).length
+    }));
+  }
+
+  getDomainName(id) {
+    return this.glossaries[id] ? this.glossaries[id].name : id;
+  }
+
+  // Domains the text is about, the one with the most different terms first
+  detectDomains(text) {
+    const counts = {};
+    this.patterns.forEach(pattern => {
+      pattern.regex.lastIndex = 0;
+      if (pattern.regex.test(text)) {
+        counts[pattern.domain] = (counts[pattern.domain] || 0) + 1;
+      }
+    });
+
+    return Object.keys(counts)
+      .filter(domain => counts[domain] >= this.minTopicTerms)
+      .sort((a, b) => counts[b] - counts[a]);
+  }
+
+  // Terms of the given domains as written in the text ("Torts", "EBITDA"), without
+  // duplicates. Longest first, so "statute of limitations" is wrapped before "statute".
+  findTerms(text, domains) {
+    const found = new Map(); // lower-case form -> form as written
+    this.patterns
+      .filter(pattern => domains.includes(pattern.domain))
+      .forEach(pattern => {
+        pattern.regex.lastIndex = 0; // matchAll starts where the last test() stopped
+        for (const match of text.matchAll(pattern.regex)) {
+          const key = match[0].toLowerCase();
+          if (!found.has(key)) found.set(key, match[0]);
+        }
+      });
+    return Array.from(found.values()).sort((a, b) => b.length - a.length);
+  }
+
+  // { term, definition, domain } for a word or phrase as written, or null
+  lookup(text, domains) {
+    const trimmed = String(text).trim();
+    for (const pattern of this.patterns) {
+      if (!domains.includes(pattern.domain)) continue;
+      pattern.regex.lastIndex = 0;
+      const match = pattern.regex.exec(trimmed);
+      if (match && match.index === 0 && match[0].length === trimmed.length) {
+        return { term: pattern.term, definition: pattern.definition, domain: pattern.domain };
+      }
+    }
+    return null;
+  }
+}
+
+// Export for use in content script
+if (typeof window !== 'undefined') {
+  window.DomainGlossary = DomainGlossary;
+}
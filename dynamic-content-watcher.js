@@ -0,0 +1,171 @@
+// Dynamic Content Watcher
+// Notices content that arrives after the features ran: "load more" buttons, infinite feeds,
+// comment threads, and single-page-app route changes. New text blocks are batched and
+// handed to onContent; a URL change (ignoring #fragments) waits for the new route to finish
+// rendering and then calls onNavigate so the page state can be rebuilt.
+
+class DynamicContentWatcher {
+  constructor(options = {}) {
+    this.onContent = options.onContent || (() => {});
+    this.onNavigate = options.onNavigate || (() => {});
+    this.getRoot = options.getRoot || (() => document.body);
+    this.ignoreSelector = options.ignoreSelector || '[id^="cogniread-"]';
+
+    this.blockSelector = 'p, li, h1, h2, h3, h4, h5, h6, blockquote, pre, dd, figcaption';
+    this.batchDelay = 500; // Feeds insert items in bursts; handle a burst at once
+    this.settleDelay = 800; // A route is "rendered" once the DOM has been quiet this long
+    this.maxSettleWait = 5000;
+
+    this.observer = null;
+    this.seen = new WeakSet(); // Blocks already present or already handed out
+    this.pending = new Set();
+    this.batchTimer = null;
+    this.settleTimer = null;
+    this.navigationStarted = 0;
+    this.url = null;
+    this.running = false;
+
+    this.handleMutations = this.handleMutations.bind(this);
+    this.checkUrl = this.checkUrl.bind(this);
+  }
+
+  start() {
+    if (this.running) return;
+    this.running = true;
+    this.url = this.getPageUrl();
+    this.markSeen(document.body);
+
+    this.observer = new MutationObserver(this.handleMutations);
+    this.observer.observe(document.body, { childList: true, subtree: true });
+
+    // history.pushState from the page's own scripts isn't observable from a content script;
+    // the Navigation API reports it, and DOM mutations catch the rest
+    window.addEventListener('popstate', this.checkUrl);
+    if (window.navigation) {
+      window.navigation.addEventListener('navigatesuccess', this.checkUrl);
+    }
+  }
+
+  stop() {
+    if (!this.running) return;
+    this.running = false;
+
+    this.observer.disconnect();
+    this.observer = null;
+    window.removeEventListener('popstate', this.checkUrl);
+    if (window.navigation) {
+      window.navigation.removeEventListener('navigatesuccess', this.checkUrl);
+    }
+
+    clearTimeout(this.batchTimer);
+    clearTimeout(this.settleTimer);
+    this.pending.clear();
+    this.navigationStarted = 0;
+  }
+
+  // Between a route change and the new page settling, the DOM belongs to neither page
+  isNavigating() {
+    return this.navigationStarted > 0;
+  }
+
+  getPageUrl() {
+    return window.location.href.split('#')[0];
+  }
+
+  // Treat everything currently under root as handled
+  markSeen(root) {
+    if (root.matches && root.matches(this.blockSelector)) this.seen.add(root);
+    root.querySelectorAll(this.blockSelector).forEach(block => this.seen.add(block));
+  }
+
+  handleMutations(mutations) {
+    this.checkUrl();
+
+    if (this.navigationStarted) {
+      this.scheduleSettle();
+      return;
+    }
+
+    mutations.forEach(mutation => {
+      mutation.addedNodes.forEach(node => {
+        if (node.nodeType !== Node.ELEMENT_NODE || node.closest(this.ignoreSelector)) return;
+
+        if (node.matches(this.blockSelector)) this.pending.add(node);
+        node.querySelectorAll(this.blockSelector).forEach(block => this.pending.add(block));
+      });
+    });
+
+    if (this.pending.size > 0) {
+      clearTimeout(this.batchTimer);
+      this.batchTimer = setTimeout(() => this.flush(), this.batchDelay);
+    }
+  }
+
+  flush() {
+    const root = this.getRoot();
+    const blocks = Array.from(this.pending).filter(block =>
+      !this.seen.has(block) &&
+      block.isConnected &&
+      !block.closest(this.ignoreSelector) &&
+      /\S/.test(block.textContent)
+    );
+    this.pending.clear();
+
+    blocks.forEach(block => this.seen.add(block));
+
+    // Outside the main content (page chrome, menus) is left alone
+    const inRoot = blocks.filter(block => root.contains(block));
+    if (inRoot.length === 0) return;
+
+    Promise.resolve(this.onContent(inRoot)).catch(error => {
+      console.error('❌ Failed to process new content:', error);
+    });
+  }
+
+  // ===== Single-page navigation =====
+
+  checkUrl() {
+    if (!this.running) return;
+
+    const url = this.getPageUrl();
+    if (url === this.url) return;
+
+    this.url = url;
+    this.pending.clear();
+    clearTimeout(this.batchTimer);
+
+    if (!this.navigationStarted) {
+      this.navigationStarted = Date.now();
+      console.log(`🧭 Route changed to ${url}, waiting for the page to render`);
+    }
+    this.scheduleSettle();
+  }
+
+  scheduleSettle() {
+    clearTimeout(this.settleTimer);
+    const waited = Date.now() - this.navigationStarted;
+    const delay = waited >= this.maxSettleWait ? 0 : this.settleDelay;
+    this.settleTimer = setTimeout(() => this.finishNavigation(), delay);
+  }
+
+  async finishNavigation() {
+    this.navigationStarted = 0;
+    this.markSeen(document.body); // The rebuild covers the whole new page
+
+    try {
+      await this.onNavigate(this.url);
+    } catch (error) {
+      console.error('❌ Failed to reset after navigation:', error);
+    }
+
+    // Whatever the rebuild added (TL;DR, rewritten markup) isn't new page content
+    this.pending.clear();
+    clearTimeout(this.batchTimer);
+    if (this.running) this.markSeen(document.body);
+  }
+}
+
+// Export for use in content script
+if (typeof window !== 'undefined') {
+  window.DynamicContentWatcher = DynamicContentWatcher;
+}
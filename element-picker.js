@@ -0,0 +1,217 @@
+// Element Picker
+// Lets the user point at an element on the page (hover to highlight, click to choose,
+// ↑ to widen to the parent, Esc to cancel) and builds a CSS selector that finds it again
+// on later visits. Used for per-site extraction rules.
+
+class ElementPicker {
+  constructor(options = {}) {
+    this.uiRoot = options.uiRoot || null; // Where the highlight and banner are mounted
+    this.active = false;
+    this.current = null;
+    this.highlight = null;
+    this.banner = null;
+    this.finish = null;
+    // CogniRead's own UI: the shadow root host (hits inside it are retargeted there) and the
+    // in-page annotations. Not its classes on <html>/<body>, which cover the whole page.
+    this.uiSelector = '#cogniread-ui-host, .cogniread-tldr-container, .cogniread-bilingual-line';
+
+    this.handleMouseMove = this.handleMouseMove.bind(this);
+    this.handleClick = this.handleClick.bind(this);
+    this.handleKeyDown = this.handleKeyDown.bind(this);
+  }
+
+  // Resolves with the chosen element, or null if the user cancelled
+  pick({ message = 'Click an element' } = {}) {
+    if (this.active) this.stop(null);
+
+    return new Promise(resolve => {
+      this.active = true;
+      this.finish = resolve;
+
+      this.highlight = document.createElement('div');
+      this.highlight.className = 'cogniread-picker-highlight';
+      this.highlight.style.display = 'none';
+
+      this.banner = document.createElement('div');
+      this.banner.className = 'cogniread-picker-banner';
+      this.banner.setAttribute('role', 'status');
+      const text = document.createElement('span');
+      text.textContent = message;
+      const hint = document.createElement('span');
+      hint.className = 'cogniread-picker-hint';
+      hint.textContent = '↑ select parent · Esc cancel';
+      this.banner.append(text, hint);
+
+      (this.uiRoot || document.body).append(this.highlight, this.banner);
+
+      // Capture phase so the page's own handlers (links, menus) don't fire while picking
+      document.addEventListener('mousemove', this.handleMouseMove, true);
+      document.addEventListener('click', this.handleClick, true);
+      document.addEventListener('keydown', this.handleKeyDown, true);
+    });
+  }
+
+  stop(element) {
+    if (!this.active) return;
+    this.active = false;
+
+    document.removeEventListener('mousemove', this.handleMouseMove, true);
+    document.removeEventListener('click', this.handleClick, true);
+    document.removeEventListener('keydown', this.handleKeyDown, true);
+
+    if (this.highlight) this.highlight.remove();
+    if (this.banner) this.banner.remove();
+    this.highlight = null;
+    this.banner = null;
+    this.current = null;
+
+    const finish = this.finish;
+    this.finish = null;
+    if (finish) finish(element);
+  }
+
+  handleMouseMove(e) {
+    const target = document.elementFromPoint(e.clientX, e.clientY);
+    if (!target || target.closest(this.uiSelector) || target === document.documentElement || target === document.body) {
+      return;
+    }
+    this.setCurrent(target);
+  }
+
+  handleClick(e) {
+    e.preventDefault();
+    e.stopPropagation();
+
+    if (e.target.closest && e.target.closest(this.uiSelector)) return;
+    this.stop(this.current);
+  }
+
+  handleKeyDown(e) {
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      e.stopPropagation();
+      this.stop(null);
+    } else if (e.key === 'ArrowUp' && this.current) {
+      e.preventDefault();
+      e.stopPropagation();
+      const parent = this.current.parentElement;
+      if (parent && parent !== document.body && parent !== document.documentElement) {
+        this.setCurrent(parent);
+      }
+    } else if (e.key === 'Enter' && this.current) {
+      e.preventDefault();
+      e.stopPropagation();
+      this.stop(this.current);
+    }
+  }
+
+  setCurrent(element) {
+    this.current = element;
+
+    const rect = element.getBoundingClientRect();
+    this.highlight.style.display = '';
+    this.highlight.style.setProperty('top', `${rect.top}px`, 'important');
+    this.highlight.style.setProperty('left', `${rect.left}px`, 'important');
+    this.highlight.style.setProperty('width', `${rect.width}px`, 'important');
+    this.highlight.style.setProperty('height', `${rect.height}px`, 'important');
+    this.highlight.setAttribute('data-label', this.describe(element));
+  }
+
+  describe(element) {
+    let label = element.tagName.toLowerCase();
+    if (element.id) label += `#${element.id}`;
+    const classes = this.getStableClasses(element).slice(0, 2);
+    if (classes.length) label += `.${classes.join('.')}`;
+    return label;
+  }
+
+  // ===== Selectors =====
+
+  // Shortest selector (walking up from the element) that matches only this element.
+  // Prefers ids and class names over positions, which break when pages add content.
+  buildSelector(element) {
+    const parts = [];
+    let node = element;
+
+    while (node && node !== document.body && node !== document.documentElement) {
+      parts.unshift(this.buildSegment(node));
+      const selector = parts.join(' > ');
+      if (this.isUnique(selector, element)) return selector;
+      if (this.isStableId(node.id)) break; // An id anchors the path; adding ancestors won't help
+      node = node.parentElement;
+    }
+
+    // Fall back to a full positional path
+    return this.buildPositionalPath(element);
+  }
+
+  buildSegment(element) {
+    if (this.isStableId(element.id)) {
+      return `#${CSS.escape(element.id)}`;
+    }
+
+    let segment = element.tagName.toLowerCase();
+    const classes = this.getStableClasses(element);
+    if (classes.length) {
+      segment += classes.map(name => `.${CSS.escape(name)}`).join('');
+    }
+
+    // Disambiguate among siblings only when the classes don't
+    const parent = element.parentElement;
+    if (parent) {
+      const similar = Array.from(parent.children).filter(sibling => sibling.matches(segment));
+      if (similar.length > 1) {
+        segment += `:nth-of-type(${this.getTypeIndex(element)})`;
+      }
+    }
+
+    return segment;
+  }
+
+  buildPositionalPath(element) {
+    const parts = [];
+    for (let node = element; node && node !== document.body; node = node.parentElement) {
+      parts.unshift(`${node.tagName.toLowerCase()}:nth-of-type(${this.getTypeIndex(node)})`);
+    }
+    return `body > ${parts.join(' > ')}`;
+  }
+
+  getTypeIndex(element) {
+    let index = 1;
+    for (let sibling = element.previousElementSibling; sibling; sibling = sibling.previousElementSibling) {
+      if (sibling.tagName === element.tagName) index++;
+    }
+    return index;
+  }
+
+  isUnique(selector, element) {
+    try {
+      const matches = document.querySelectorAll(selector);
+      return matches.length === 1 && matches[0] === element;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  // Generated ids ("ember123", "react-4f9a2c") change between visits
+  isStableId(id) {
+    return !!id && !/\d{3,}|[a-f0-9]{6,}|^(ember|react|ng|vue|radix|headlessui)[-_:]/i.test(id) &&
+      document.querySelectorAll(`#${CSS.escape(id)}`).length === 1;
+  }
+
+  // Class names that look hand-written: not CogniRead's own, not state or hashed (CSS modules)
+  getStableClasses(element) {
+    if (typeof element.className !== 'string') return [];
+    return element.className.trim().split(/\s+/).filter(name =>
+      name &&
+      !name.startsWith('cogniread-') &&
+      !/^(is-|has-|js-)|active|hover|focus|selected|open/i.test(name) &&
+      !/^(css|sc|jsx|svelte)-|__[a-zA-Z0-9]{5,}$|\d{2,}/.test(name)
+    ).slice(0, 3);
+  }
+}
+
+// Export for use in content script
+if (typeof window !== 'undefined') {
+  window.ElementPicker = ElementPicker;
+}
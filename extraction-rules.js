@@ -0,0 +1,134 @@
+// Extraction Rules
+// Per-site corrections for the main content extractor: the element that holds the article
+// and elements to leave out of it, picked by the user on the page. Rules are keyed by origin,
+// kept in chrome.storage.local and can be exported/imported as JSON to share with a team.
+
+class ExtractionRules {
+  constructor() {
+    this.storageKey = 'cogniread_extraction_rules';
+    this.exportType = 'cogniread-extraction-rules';
+    this.writeQueue = Promise.resolve(); // Serializes read-modify-write updates
+  }
+
+  isAvailable() {
+    return typeof chrome !== 'undefined' && !!(chrome.storage && chrome.storage.local);
+  }
+
+  async load() {
+    if (!this.isAvailable()) return {};
+    const result = await chrome.storage.local.get([this.storageKey]);
+    return result[this.storageKey] || {};
+  }
+
+  async get(origin) {
+    const rules = await this.load();
+    return rules[origin] || null;
+  }
+
+  // Rejects when the write fails, so callers can tell the user; the queue itself carries
+  // on with the next update
+  update(mutator) {
+    const write = this.writeQueue.then(async () => {
+      const rules = await this.load();
+      const result = mutator(rules);
+      await chrome.storage.local.set({ [this.storageKey]: rules });
+      return result;
+    });
+    this.writeQueue = write.catch((error) => {
+      console.error('❌ Extraction rules update failed:', error);
+    });
+    return write;
+  }
+
+  // Sets (or clears, with null) the main content selector for an origin
+  async setMain(origin, selector) {
+    return this.update(rules => {
+      const rule = rules[origin] || { main: null, exclude: [] };
+      rule.main = selector || null;
+      return this.store(rules, origin, rule);
+    });
+  }
+
+  async addExclude(origin, selector) {
+    return this.update(rules => {
+      const rule = rules[origin] || { main: null, exclude: [] };
+      if (!rule.exclude.includes(selector)) rule.exclude.push(selector);
+      return this.store(rules, origin, rule);
+    });
+  }
+
+  async remove(origin) {
+    return this.update(rules => {
+      delete rules[origin];
+    });
+  }
+
+  // Empty rules are dropped rather than kept around
+  store(rules, origin, rule) {
+    if (!rule.main && rule.exclude.length === 0) {
+      delete rules[origin];
+      return null;
+    }
+    rules[origin] = { ...rule, updatedAt: Date.now() };
+    return rules[origin];
+  }
+
+  // ===== Import / export =====
+
+  async toJSON() {
+    const rules = await this.load();
+    return JSON.stringify({ type: this.exportType, version: 1, exportedAt: new Date().toISOString(), rules }, null, 2);
+  }
+
+  // Imported rules replace existing rules for the same origin; others are kept.
+  // Returns the number of origins imported; throws if the file isn't a rules export.
+  async importJSON(json) {
+    let data;
+    try {
+      data = JSON.parse(json);
+    } catch (error) {
+      throw new Error('This file is not valid JSON.');
+    }
+
+    if (!data || data.type !== this.exportType || typeof data.rules !== 'object') {
+      throw new Error('This file is not a CogniRead extraction rules export.');
+    }
+
+    const imported = {};
+    Object.entries(data.rules).forEach(([origin, rule]) => {
+      const clean = this.validate(rule);
+      if (clean) imported[origin] = clean;
+    });
+
+    await this.update(rules => {
+      Object.entries(imported).forEach(([origin, rule]) => this.store(rules, origin, rule));
+    });
+
+    return Object.keys(imported).length;
+  }
+
+  // Keeps only well-formed selectors, so a bad import can't break extraction on a site
+  validate(rule) {
+    if (!rule || typeof rule !== 'object') return null;
+
+    const main = this.isValidSelector(rule.main) ? rule.main : null;
+    const exclude = Array.isArray(rule.exclude) ? rule.exclude.filter(selector => this.isValidSelector(selector)) : [];
+
+    return main || exclude.length > 0 ? { main, exclude } : null;
+  }
+
+  isValidSelector(selector) {
+    if (typeof selector !== 'string' || !selector.trim()) return false;
+    try {
+      document.createDocumentFragment().querySelector(selector);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+}
+
+// Export for use in content script
+if (typeof window !== 'undefined') {
+  window.ExtractionRules = ExtractionRules;
+}
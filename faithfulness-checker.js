@@ -0,0 +1,181 @@
+// Faithfulness Checker
+// Offline heuristics that compare a paragraph with its AI rewrite and flag details that
+// commonly get lost: numbers, dates, negations and names. A dropped "not" or dosage in
+// simplified medical or legal text changes its meaning, so readers get a warning.
+
+class FaithfulnessChecker {
+  constructor() {
+    this.numberWords = {
+      zero: 0, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9,
+      ten: 10, eleven: 11, twelve: 12, thirteen: 13, fourteen: 14, fifteen: 15, sixteen: 16,
+      seventeen: 17, eighteen: 18, nineteen: 19, twenty: 20, thirty: 30, forty: 40, fifty: 50,
+      sixty: 60, seventy: 70, eighty: 80, ninety: 90, hundred: 100, thousand: 1000,
+      million: 1000000, billion: 1000000000, half: 0.5, once: 1, twice: 2, dozen: 12
+    };
+
+    this.months = [
+      'january', 'february', 'march', 'april', 'may', 'june', 'july', 'august',
+      'september', 'october', 'november', 'december'
+    ];
+    this.monthAbbreviations = ['jan', 'feb', 'mar', 'apr', 'jun', 'jul', 'aug', 'sep', 'sept', 'oct', 'nov', 'dec'];
+    this.weekdays = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+
+    this.negationPattern = /\b(?:not|no|never|none|nobody|nothing|nowhere|neither|nor|cannot|without)\b|n['’]t\b/gi;
+
+    // Capitalised words that are not names
+    this.commonCapitalized = new Set([
+      'i', 'a', 'an', 'the', 'this', 'that', 'these', 'those', 'it', 'its', 'he', 'she', 'we',
+      'they', 'you', 'my', 'our', 'your', 'their', 'his', 'her', 'in', 'on', 'at', 'of', 'for',
+      'and', 'or', 'but', 'if', 'when', 'while', 'as', 'to', 'with', 'by', 'from', 'however',
+      'also', 'so', 'then', 'there', 'here', 'what', 'which', 'who', 'why', 'how', 'after',
+      'before', 'because', 'although', 'some', 'many', 'most', 'all', 'each', 'every', 'no',
+      'yes', 'not', 'do', 'does', 'is', 'are', 'was', 'were', 'be', 'can', 'will', 'may'
+    ]);
+  }
+
+  // Returns { issues: [{ type, label, detail }], faithful }
+  check(original, rewritten) {
+    const issues = [
+      ...this.checkNumbers(original, rewritten),
+      ...this.checkDates(original, rewritten),
+      ...this.checkNegations(original, rewritten),
+      ...this.checkNames(original, rewritten)
+    ];
+    return { issues, faithful: issues.length === 0 };
+  }
+
+  checkNumbers(original, rewritten) {
+    const kept = this.extractNumbers(rewritten);
+    const missing = [];
+    this.extractNumbers(original).forEach(value => {
+      if (!kept.has(value)) missing.push(value);
+    });
+
+    return missing.map(value => ({
+      type: 'number',
+      label: 'Number missing',
+      detail: value
+    }));
+  }
+
+  // Digits and spelled-out numbers, normalised ("1,000" and "one thousand" don't match - keep it simple)
+  extractNumbers(text) {
+    const numbers = new Set();
+
+    (text.match(/\d+(?:[.,]\d+)*/g) || []).forEach(match => {
+      numbers.add(match.replace(/,(?=\d{3}\b)/g, ''));
+    });
+
+    (text.toLowerCase().match(/\b[a-z]+\b/g) || []).forEach(word => {
+      if (Object.prototype.hasOwnProperty.call(this.numberWords, word)) {
+        numbers.add(String(this.numberWords[word]));
+      }
+    });
+
+    return numbers;
+  }
+
+  checkDates(original, rewritten) {
+    const kept = this.extractDateWords(rewritten);
+    const issues = [];
+    this.extractDateWords(original).forEach(word => {
+      if (!kept.has(word)) {
+        issues.push({ type: 'date', label: 'Date missing', detail: word.charAt(0).toUpperCase() + word.slice(1) });
+      }
+    });
+    return issues;
+  }
+
+  extractDateWords(text) {
+    const found = new Set();
+    // Month and weekday names only count when capitalised ("May 5", not "you may")
+    (text.match(/\b[A-Z][a-z]+\.?/g) || []).forEach(token => {
+      const word = token.replace('.', '').toLowerCase();
+      if (this.months.includes(word) || this.weekdays.includes(word)) {
+        found.add(word);
+      } else if (this.monthAbbreviations.includes(word)) {
+        found.add(this.months.find(month => month.startsWith(word.slice(0, 3))));
+      }
+    });
+    return found;
+  }
+
+  checkNegations(original, rewritten) {
+    const before = (original.match(this.negationPattern) || []).length;
+    const after = (rewritten.match(this.negationPattern) || []).length;
+
+    if (after < before) {
+      return [{ type: 'negation', label: 'Negation dropped', detail: `${before} in original, ${after} in rewrite` }];
+    }
+    if (before === 0 && after > 0) {
+      return [{ type: 'negation', label: 'Negation added', detail: `${after} in rewrite, none in original` }];
+    }
+    return [];
+  }
+
+  checkNames(original, rewritten) {
+    const haystack = rewritten.toLowerCase();
+    const issues = [];
+
+    this.extractNames(original).forEach(name => {
+      const words = name.toLowerCase().split(/\s+/);
+      // "President Joe Biden" is still there if the rewrite says "Biden"
+      const present = haystack.includes(name.toLowerCase()) || haystack.includes(words[words.length - 1]);
+      if (!present) {
+        issues.push({ type: 'entity', label: 'Name missing', detail: name });
+      }
+    });
+
+    return issues;
+  }
+
+  // Capitalised word runs that aren't just sentence starts, plus acronyms
+  extractNames(text) {
+    const names = new Set();
+    const pattern = /[A-Z][\w'’-]*(?:\s+(?:of|the|de|van|von)?\s*[A-Z][\w'’-]*)*/g;
+    let match;
+
+    while ((match = pattern.exec(text)) !== null) {
+      const phrase = match[0].trim();
+      const before = text.slice(0, match.index);
+      const afterTitle = /\b(?:Dr|Mr|Mrs|Ms|Prof|St|Jr|Sr)\.\s*$/.test(before);
+      const sentenceStart = !afterTitle && (before.trim() === '' || /[.!?:;"“]\s*$/.test(before));
+      let words = phrase.split(/\s+/);
+
+      // "The Supreme Court" at the start of a sentence - drop the leading word
+      if (sentenceStart && words.length > 1 && this.commonCapitalized.has(words[0].toLowerCase())) {
+        words = words.slice(1);
+      }
+
+      const name = words.join(' ');
+      const isAcronym = /^[A-Z]{2,}s?$/.test(name);
+
+      // Dates are checked separately
+      if (words.length === 1 && this.isDateWord(name)) continue;
+
+      if (words.length === 1 && !isAcronym) {
+        const leadingWord = sentenceStart && name === phrase;
+        if (leadingWord || this.commonCapitalized.has(name.toLowerCase()) || name.length < 3) continue;
+      }
+
+      names.add(name);
+    }
+
+    return names;
+  }
+
+  isDateWord(word) {
+    const lower = word.replace('.', '').toLowerCase();
+    return this.months.includes(lower) || this.weekdays.includes(lower) || this.monthAbbreviations.includes(lower);
+  }
+
+  // Short human-readable summary used for badge tooltips
+  describe(issues) {
+    return issues.map(issue => `${issue.label}: ${issue.detail}`).join('\n');
+  }
+}
+
+// Export for use in content script
+if (typeof window !== 'undefined') {
+  window.FaithfulnessChecker = FaithfulnessChecker;
+}
@@ -0,0 +1,104 @@
+// Fixation Emphasis
+// Bionic-style reading aid: bolds the first part of every word so the eye has a fixation
+// point. Each text node is replaced by one wrapper span, so removing the wrapper restores
+// the exact original text.
+
+class FixationEmphasis {
+  constructor(options = {}) {
+    this.ratio = options.ratio || 0.4; // Share of each word's letters to bold
+
+    // Code, links, form controls and words already emphasized are left alone
+    this.skipSelector = [
+      'a', 'code', 'pre', 'kbd', 'samp', 'var', 'script', 'style', 'noscript', 'textarea',
+      'input', 'select', 'button', 'svg', 'math', '[contenteditable=""]', '[contenteditable="true"]',
+      'nav', 'aside', 'footer',
+      '.cogniread-fixation-text'
+    ].join(', ');
+
+    this.wordPattern = /[\p{L}\p{N}][\p{L}\p{M}\p{N}'’-]*/gu;
+  }
+
+  setRatio(ratio) {
+    this.ratio = Math.min(0.9, Math.max(0.1, ratio));
+  }
+
+  // Number of leading characters to bold
+  fixationLength(word) {
+    if (word.length <= 3) return 1;
+    return Math.max(1, Math.min(word.length - 1, Math.round(word.length * this.ratio)));
+  }
+
+  // Emphasize every text node under root (safe to call again - wrapped text is skipped)
+  apply(root) {
+    if (!root) return 0;
+
+    const textNodes = [];
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, {
+      acceptNode: (node) => {
+        const parent = node.parentElement;
+        if (!parent || !/\S/.test(node.nodeValue) || parent.closest(this.skipSelector)) {
+          return NodeFilter.FILTER_REJECT;
+        }
+        return NodeFilter.FILTER_ACCEPT;
+      }
+    });
+
+    let node;
+    while ((node = walker.nextNode())) {
+      textNodes.push(node);
+    }
+
+    textNodes.forEach(textNode => {
+      textNode.parentNode.replaceChild(this.emphasize(textNode.nodeValue), textNode);
+    });
+
+    return textNodes.length;
+  }
+
+  emphasize(text) {
+    const wrapper = document.createElement('span');
+    wrapper.className = 'cogniread-fixation-text';
+
+    let lastIndex = 0;
+    for (const match of text.matchAll(this.wordPattern)) {
+      if (match.index > lastIndex) {
+        wrapper.appendChild(document.createTextNode(text.substring(lastIndex, match.index)));
+      }
+
+      const word = match[0];
+      const length = this.fixationLength(word);
+      const bold = document.createElement('b');
+      bold.className = 'cogniread-fixation';
+      bold.textContent = word.substring(0, length);
+      wrapper.appendChild(bold);
+      if (length < word.length) {
+        wrapper.appendChild(document.createTextNode(word.substring(length)));
+      }
+
+      lastIndex = match.index + word.length;
+    }
+
+    if (lastIndex < text.length) {
+      wrapper.appendChild(document.createTextNode(text.substring(lastIndex)));
+    }
+
+    return wrapper;
+  }
+
+  // Put the plain text back and merge the split text nodes
+  remove(root) {
+    if (!root) return;
+
+    const parents = new Set();
+    root.querySelectorAll('.cogniread-fixation-text').forEach(wrapper => {
+      parents.add(wrapper.parentNode);
+      wrapper.replaceWith(document.createTextNode(wrapper.textContent));
+    });
+    parents.forEach(parent => parent && parent.normalize());
+  }
+}
+
+// Export for use in content script
+if (typeof window !== 'undefined') {
+  window.FixationEmphasis = FixationEmphasis;
+}
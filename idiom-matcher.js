@@ -0,0 +1,226 @@
+// Idiom Matcher
+// Finds dictionary idioms in a sentence whatever their tense or person: "beating around the
+// bush", "spilled the beans" and "he bit off more than he could chew" all map to their
+// base-form entries. Words are compared by lemma (suffix rules plus a table of irregular
+// forms), and the placeholder words in a phrase stand for any person (you, someone),
+// possessive (your, someone's, one's), reflexive (yourself) or short object (something).
+
+class IdiomMatcher {
+  constructor(dictionary = {}) {
+    this.slots = {
+      'you': 'person',
+      'someone': 'person',
+      'somebody': 'person',
+      'your': 'possessive',
+      'someone\'s': 'possessive',
+      'one\'s': 'possessive',
+      'yourself': 'reflexive',
+      'something': 'object'
+    };
+    this.people = new Set([
+      'i', 'you', 'he', 'she', 'it', 'we', 'they', 'me', 'him', 'her', 'us', 'them',
+      'someone', 'somebody', 'anyone', 'anybody', 'everyone', 'everybody', 'nobody', 'one'
+    ]);
+    this.possessives = new Set(['my', 'your', 'his', 'her', 'its', 'our', 'their', 'one\'s']);
+    this.reflexives = new Set(['myself', 'yourself', 'himself', 'herself', 'itself', 'ourselves', 'yourselves', 'themselves', 'oneself']);
+    this.maxObjectWords = 3; // "take [his advice] with a grain of salt"
+
+    // Inflected form -> base form, for verbs the suffix rules can't undo
+    this.irregular = {
+      'is': 'be', 'are': 'be', 'was': 'be', 'were': 'be', 'been': 'be', 'being': 'be', 'am': 'be',
+      'has': 'have', 'had': 'have', 'does': 'do', 'did': 'do', 'done': 'do',
+      'broke': 'break', 'broken': 'break', 'bit': 'bite', 'bitten': 'bite', 'beaten': 'beat',
+      'burnt': 'burn', 'caught': 'catch', 'came': 'come', 'fell': 'fall', 'fallen': 'fall',
+      'felt': 'feel', 'flew': 'fly', 'flown': 'fly', 'got': 'get', 'gotten': 'get',
+      'gave': 'give', 'given': 'give', 'went': 'go', 'gone': 'go', 'hung': 'hang',
+      'heard': 'hear', 'kept': 'keep', 'knew': 'know', 'known': 'know', 'lay': 'lie',
+      'learnt': 'learn', 'made': 'make', 'ran': 'run', 'said': 'say', 'saw': 'see', 'seen': 'see',
+      'shown': 'show', 'sat': 'sit', 'slept': 'sleep', 'spoke': 'speak', 'spoken': 'speak',
+      'spilt': 'spill', 'stole': 'steal', 'stolen': 'steal', 'took': 'take', 'taken': 'take',
+      'thought': 'think', 'threw': 'throw', 'thrown': 'throw', 'blew': 'blow', 'blown': 'blow',
+      'could': 'can', 'would': 'will', 'might': 'may', 'should': 'shall',
+      'couldn\'t': 'can\'t', 'cannot': 'can\'t', 'wouldn\'t': 'won\'t',
+      'doesn\'t': 'don\'t', 'didn\'t': 'don\'t'
+    };
+
+    this.patterns = [];
+    this.setDictionary(dictionary);
+  }
+
+  // Dictionary format: see idioms-dictionary.js
+  setDictionary(dictionary) {
+    this.dictionary = dictionary;
+    this.patterns = [];
+
+    Object.entries(dictionary).forEach(([idiom, entry]) => {
+      const phrases = [idiom, ...((entry && entry.variants) || [])];
+      phrases.forEach(phrase => {
+        const words = this.tokenize(phrase).map(token => this.compileWord(token.word));
+        const literals = words.filter(word => word.lemmas);
+        if (literals.length === 0) return;
+
+        // The longest literal word is the rarest; sentences without it are skipped quickly
+        const anchor = literals.reduce((longest, word) => word.word.length > longest.word.length ? word : longest);
+        this.patterns.push({ idiom, entry, words, anchor });
+      });
+    });
+
+    // Longer phrases first, so "go back to the drawing board" wins over "back to the drawing board"
+    this.patterns.sort((a, b) => b.words.length - a.words.length);
+  }
+
+  getEntry(idiom) {
+    return this.dictionary[String(idiom).toLowerCase()] || null;
+  }
+
+  // Best (longest) idiom in the sentence, or null
+  find(sentence) {
+    return this.findAll(sentence)[0] || null;
+  }
+
+  // All non-overlapping idioms in the sentence, longest phrases first.
+  // Each match: { idiom (dictionary key), text (as written), start, end, entry }
+  findAll(sentence) {
+    const tokens = this.tokenize(sentence);
+    if (tokens.length === 0) return [];
+
+    const sentenceLemmas = new Set();
+    tokens.forEach(token => {
+      token.lemmas = this.lemmatize(token.word);
+      token.lemmas.forEach(lemma => sentenceLemmas.add(lemma));
+    });
+
+    const matches = [];
+    const used = new Set(); // Token indexes already part of a match
+
+    for (const pattern of this.patterns) {
+      if (!this.intersects(pattern.anchor.lemmas, sentenceLemmas)) continue;
+      if (matches.some(match => match.idiom === pattern.idiom)) continue;
+
+      for (let start = 0; start < tokens.length; start++) {
+        if (used.has(start)) continue;
+        const end = this.matchFrom(pattern.words, tokens, 0, start);
+        if (end === -1) continue;
+
+        let overlaps = false;
+        for (let i = start; i < end; i++) overlaps = overlaps || used.has(i);
+        if (overlaps) continue;
+
+        for (let i = start; i < end; i++) used.add(i);
+        matches.push({
+          idiom: pattern.idiom,
+          text: sentence.substring(tokens[start].start, tokens[end - 1].end),
+          start: tokens[start].start,
+          end: tokens[end - 1].end,
+          entry: pattern.entry
+        });
+        break;
+      }
+    }
+
+    return matches;
+  }
+
+  // Index of the token after the match, or -1
+  matchFrom(words, tokens, wordIndex, tokenIndex) {
+    if (wordIndex === words.length) return tokenIndex;
+    if (tokenIndex >= tokens.length) return -1;
+    // Words of a phrase sit next to each other (a comma or hyphen at most)
+    if (wordIndex > 0 && !tokens[tokenIndex].joined) return -1;
+
+    const word = words[wordIndex];
+
+    if (word.slot === 'object') {
+      for (let count = 1; count <= this.maxObjectWords && tokenIndex + count <= tokens.length; count++) {
+        if (count > 1 && !tokens[tokenIndex + count - 1].joined) break;
+        const end = this.matchFrom(words, tokens, wordIndex + 1, tokenIndex + count);
+        if (end !== -1) return end;
+      }
+      return -1;
+    }
+
+    if (!this.matchesWord(word, tokens[tokenIndex])) return -1;
+    return this.matchFrom(words, tokens, wordIndex + 1, tokenIndex + 1);
+  }
+
+  matchesWord(word, token) {
+    switch (word.slot) {
+      case 'person':
+        return this.people.has(token.word) || token.capitalized;
+      case 'possessive':
+        return this.possessives.has(token.word) || /'s$|s'$/.test(token.word);
+      case 'reflexive':
+        return this.reflexives.has(token.word);
+      default:
+        return this.intersects(word.lemmas, token.lemmas);
+    }
+  }
+
+  compileWord(word) {
+    if (this.slots[word]) return { word, slot: this.slots[word] };
+    return { word, lemmas: this.lemmatize(word) };
+  }
+
+  // Words with their positions; "low-hanging" is two words, "don't" and "horse's" are one
+  tokenize(text) {
+    const normalized = text.replace(/[‘’]/g, '\'');
+    const tokens = [];
+    const pattern = /[a-z0-9]+(?:'[a-z]+)*/gi;
+    let match;
+    let previousEnd = null;
+
+    while ((match = pattern.exec(normalized)) !== null) {
+      const gap = previousEnd === null ? '' : normalized.substring(previousEnd, match.index);
+      tokens.push({
+        word: match[0].toLowerCase(),
+        start: match.index,
+        end: match.index + match[0].length,
+        capitalized: /^[A-Z]/.test(match[0]),
+        joined: /^[\s,\-–—]*$/.test(gap)
+      });
+      previousEnd = match.index + match[0].length;
+    }
+
+    return tokens;
+  }
+
+  // Possible base forms of a word (always including the word itself)
+  lemmatize(word) {
+    const lemmas = new Set([word]);
+
+    let base = word;
+    if (/'s$/.test(base)) base = base.slice(0, -2); // Possessive: "devil's" -> "devil"
+    else if (/s'$/.test(base)) base = base.slice(0, -1);
+    lemmas.add(base);
+
+    if (this.irregular[base]) lemmas.add(this.irregular[base]);
+    if (base.includes('\'')) return lemmas;
+
+    if (base.length > 3 && /(ies|ied)$/.test(base)) lemmas.add(`${base.slice(0, -3)}y`);
+    if (base.length > 3 && /(ses|xes|zes|ches|shes|oes)$/.test(base)) lemmas.add(base.slice(0, -2));
+    if (base.length > 3 && /s$/.test(base) && !/ss$/.test(base)) lemmas.add(base.slice(0, -1));
+    if (base.length > 4 && /ed$/.test(base)) this.addStems(lemmas, base.slice(0, -2));
+    if (base.length > 4 && /ing$/.test(base)) this.addStems(lemmas, base.slice(0, -3));
+
+    return lemmas;
+  }
+
+  // "bak" -> bak, bake; "stopp" -> stop
+  addStems(lemmas, stem) {
+    lemmas.add(stem);
+    lemmas.add(`${stem}e`);
+    if (/([bdgklmnprt])\1$/.test(stem)) lemmas.add(stem.slice(0, -1));
+  }
+
+  intersects(a, b) {
+    for (const value of a) {
+      if (b.has(value)) return true;
+    }
+    return false;
+  }
+}
+
+// Export for use in content script
+if (typeof window !== 'undefined') {
+  window.IdiomMatcher = IdiomMatcher;
+}
@@ -0,0 +1,220 @@
+// Idiom Pack Store
+// User and community idiom packs: named collections of idioms in the idioms-dictionary.js
+// format (business jargon, regional sayings) that extend the built-in dictionary. Packs live
+// in chrome.storage.local; which ones are used is part of the global or site profile.
+// Packs can be exported and imported as JSON to share them with a team.
+
+class IdiomPackStore {
+  constructor() {
+    this.storageKey = 'cogniread_idiom_packs';
+    this.exportType = 'cogniread-idiom-pack';
+    this.registers = ['informal', 'neutral', 'formal'];
+    this.maxPhraseLength = 100;
+    this.writeQueue = Promise.resolve(); // Serializes read-modify-write updates
+  }
+
+  isAvailable() {
+    return typeof chrome !== 'undefined' && !!(chrome.storage && chrome.storage.local);
+  }
+
+  async load() {
+    if (!this.isAvailable()) return {};
+    const result = await chrome.storage.local.get([this.storageKey]);
+    return result[this.storageKey] || {};
+  }
+
+  // Alphabetical by name
+  async getAll() {
+    const packs = await this.load();
+    return Object.values(packs).sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  async get(id) {
+    const packs = await this.load();
+    return packs[id] || null;
+  }
+
+  // Rejects when the write fails, so callers can tell the user; the queue itself carries
+  // on with the next update
+  update(mutator) {
+    const write = this.writeQueue.then(async () => {
+      const packs = await this.load();
+      const result = mutator(packs);
+      await chrome.storage.local.set({ [this.storageKey]: packs });
+      return result;
+    });
+    this.writeQueue = write.catch((error) => {
+      console.error('❌ Idiom pack update failed:', error);
+    });
+    return write;
+  }
+
+  buildId() {
+    return `pack-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+  }
+
+  async createPack({ name, description = '' }) {
+    const cleanName = this.cleanName(name);
+    const now = Date.now();
+    const pack = { id: this.buildId(), name: cleanName, description: String(description).trim(), idioms: {}, createdAt: now, updatedAt: now };
+
+    return this.update(packs => {
+      packs[pack.id] = pack;
+      return pack;
+    });
+  }
+
+  async updatePack(id, { name, description }) {
+    const cleanName = name === undefined ? null : this.cleanName(name);
+
+    return this.update(packs => {
+      const pack = packs[id];
+      if (!pack) return null;
+      if (cleanName) pack.name = cleanName;
+      if (description !== undefined) pack.description = String(description).trim();
+      pack.updatedAt = Date.now();
+      return pack;
+    });
+  }
+
+  async removePack(id) {
+    return this.update(packs => {
+      delete packs[id];
+    });
+  }
+
+  // Adds or replaces an idiom. Pass previousPhrase when an edit renamed it.
+  // Throws if the entry is incomplete.
+  async setIdiom(id, phrase, entry, previousPhrase = null) {
+    const key = this.cleanPhrase(phrase);
+    const clean = this.validateEntry(entry);
+    if (!key) throw new Error('Enter the idiom phrase.');
+    if (!clean) throw new Error('Enter what the idiom means.');
+
+    return this.update(packs => {
+      const pack = packs[id];
+      if (!pack) return null;
+      if (previousPhrase) delete pack.idioms[this.cleanPhrase(previousPhrase)];
+      pack.idioms[key] = clean;
+      pack.updatedAt = Date.now();
+      return pack;
+    });
+  }
+
+  async removeIdiom(id, phrase) {
+    return this.update(packs => {
+      const pack = packs[id];
+      if (!pack) return null;
+      delete pack.idioms[this.cleanPhrase(phrase)];
+      pack.updatedAt = Date.now();
+      return pack;
+    });
+  }
+
+  // The idioms of the given packs as one dictionary; later packs win on duplicate phrases
+  async getIdioms(ids) {
+    if (!ids || ids.length === 0) return {};
+    const packs = await this.load();
+    return ids.reduce((idioms, id) => (packs[id] ? { ...idioms, ...packs[id].idioms } : idioms), {});
+  }
+
+  onChange(callback) {
+    if (!this.isAvailable() || !chrome.storage.onChanged) return;
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName === 'local' && changes[this.storageKey]) {
+        this.getAll().then(callback);
+      }
+    });
+  }
+
+  // ===== Import / export =====
+
+  toJSON(pack) {
+    return JSON.stringify({
+      type: this.exportType,
+      version: 1,
+      exportedAt: new Date().toISOString(),
+      name: pack.name,
+      description: pack.description,
+      idioms: pack.idioms
+    }, null, 2);
+  }
+
+  // Importing a pack with the name of an existing one updates it in place, so a team can
+  // share new versions without everyone re-enabling the pack. Returns the stored pack;
+  // throws if the file isn't a pack export or has no usable idioms.
+  async importJSON(json) {
+    let data;
+    try {
+      data = JSON.parse(json);
+    } catch (error) {
+      throw new Error('This file is not valid JSON.');
+    }
+
+    if (!data || data.type !== this.exportType || !data.idioms || typeof data.idioms !== 'object') {
+      throw new Error('This file is not a CogniRead idiom pack.');
+    }
+
+    const idioms = {};
+    Object.entries(data.idioms).forEach(([phrase, entry]) => {
+      const key = this.cleanPhrase(phrase);
+      const clean = this.validateEntry(entry);
+      if (key && clean) idioms[key] = clean;
+    });
+
+    if (Object.keys(idioms).length === 0) {
+      throw new Error('This pack has no idioms with a meaning.');
+    }
+
+    const name = this.cleanName(data.name || 'Imported pack');
+    const description = typeof data.description === 'string' ? data.description.trim() : '';
+
+    return this.update(packs => {
+      const now = Date.now();
+      const existing = Object.values(packs).find(pack => pack.name.toLowerCase() === name.toLowerCase());
+      const pack = existing
+        ? { ...existing, description: description || existing.description, idioms, updatedAt: now }
+        : { id: this.buildId(), name, description, idioms, createdAt: now, updatedAt: now };
+      packs[pack.id] = pack;
+      return pack;
+    });
+  }
+
+  // ===== Validation =====
+
+  cleanName(name) {
+    const clean = String(name || '').trim().replace(/\s+/g, ' ').slice(0, 60);
+    if (!clean) throw new Error('Give the pack a name.');
+    return clean;
+  }
+
+  // Dictionary keys are lower case with single spaces
+  cleanPhrase(phrase) {
+    if (typeof phrase !== 'string') return '';
+    return phrase.trim().toLowerCase().replace(/[‘’]/g, '\'').replace(/\s+/g, ' ').slice(0, this.maxPhraseLength);
+  }
+
+  // Same shape as the built-in dictionary. A plain string is taken as the meaning, so
+  // older "phrase: meaning" lists import too.
+  validateEntry(entry) {
+    if (typeof entry === 'string') entry = { meaning: entry };
+    if (!entry || typeof entry !== 'object') return null;
+
+    const meaning = typeof entry.meaning === 'string' ? entry.meaning.trim() : '';
+    if (!meaning) return null;
+
+    return {
+      meaning,
+      variants: Array.isArray(entry.variants)
+        ? entry.variants.map(variant => this.cleanPhrase(variant)).filter(Boolean)
+        : [],
+      example: typeof entry.example === 'string' ? entry.example.trim() : '',
+      register: this.registers.includes(entry.register) ? entry.register : 'informal'
+    };
+  }
+}
+
+// Export for use in content script
+if (typeof window !== 'undefined') {
+  window.IdiomPackStore = IdiomPackStore;
+}
@@ -0,0 +1,351 @@
+document.addEventListener('DOMContentLoaded', async function() {
+  const store = new IdiomPackStore();
+  const themeToggle = document.getElementById('themeToggle');
+  const packView = document.getElementById('packView');
+  const editorView = document.getElementById('editorView');
+  const newPackBtn = document.getElementById('newPackBtn');
+  const importBtn = document.getElementById('importBtn');
+  const importInput = document.getElementById('importInput');
+  const summary = document.getElementById('summary');
+  const packList = document.getElementById('packList');
+  const emptyState = document.getElementById('emptyState');
+  const backBtn = document.getElementById('backBtn');
+  const packTitle = document.getElementById('packTitle');
+  const exportBtn = document.getElementById('exportBtn');
+  const deletePackBtn = document.getElementById('deletePackBtn');
+  const packForm = document.getElementById('packForm');
+  const packName = document.getElementById('packName');
+  const packDescription = document.getElementById('packDescription');
+  const idiomForm = document.getElementById('idiomForm');
+  const idiomFormTitle = document.getElementById('idiomFormTitle');
+  const idiomPhrase = document.getElementById('idiomPhrase');
+  const idiomMeaning = document.getElementById('idiomMeaning');
+  const idiomVariants = document.getElementById('idiomVariants');
+  const idiomExample = document.getElementById('idiomExample');
+  const idiomRegister = document.getElementById('idiomRegister');
+  const idiomSaveBtn = document.getElementById('idiomSaveBtn');
+  const idiomCancelBtn = document.getElementById('idiomCancelBtn');
+  const searchInput = document.getElementById('searchInput');
+  const idiomSummary = document.getElementById('idiomSummary');
+  const idiomList = document.getElementById('idiomList');
+
+  let packs = [];
+  let currentId = null; // Pack open in the editor
+  let editingPhrase = null; // Idiom being edited, null when adding
+
+  initializeTheme();
+
+  packs = await store.getAll();
+  render();
+
+  // Keeps the page in sync with edits made in another tab
+  store.onChange((updated) => {
+    packs = updated;
+    if (currentId && !getCurrentPack()) currentId = null;
+    render();
+  });
+
+  newPackBtn.addEventListener('click', async () => {
+    const name = prompt('Name of the new idiom pack:');
+    if (name === null) return;
+
+    try {
+      const pack = await store.createPack({ name });
+      packs = await store.getAll();
+      openPack(pack.id);
+    } catch (error) {
+      alert(error.message);
+    }
+  });
+
+  importBtn.addEventListener('click', () => importInput.click());
+
+  importInput.addEventListener('change', async () => {
+    const file = importInput.files[0];
+    importInput.value = '';
+    if (!file) return;
+
+    try {
+      const pack = await store.importJSON(await file.text());
+      packs = await store.getAll();
+      render();
+      alert(`Imported "${pack.name}" with ${Object.keys(pack.idioms).length} idioms. Turn it on under Literal Language in the CogniRead panel.`);
+    } catch (error) {
+      alert(error.message);
+    }
+  });
+
+  backBtn.addEventListener('click', () => {
+    currentId = null;
+    resetIdiomForm();
+    render();
+  });
+
+  exportBtn.addEventListener('click', () => {
+    const pack = getCurrentPack();
+    if (!pack) return;
+    const filename = `cogniread-idioms-${pack.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'pack'}.json`;
+    download(filename, store.toJSON(pack), 'application/json');
+  });
+
+  deletePackBtn.addEventListener('click', async () => {
+    const pack = getCurrentPack();
+    if (!pack) return;
+    if (!confirm(`Delete the pack "${pack.name}" and its ${Object.keys(pack.idioms).length} idioms? This cannot be undone.`)) return;
+
+    try {
+      await store.removePack(pack.id);
+      packs = packs.filter(p => p.id !== pack.id);
+      currentId = null;
+      render();
+    } catch (error) {
+      alert(error.message);
+    }
+  });
+
+  packForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    try {
+      await store.updatePack(currentId, { name: packName.value, description: packDescription.value });
+      packs = await store.getAll();
+      render();
+    } catch (error) {
+      alert(error.message);
+    }
+  });
+
+  idiomForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const entry = {
+      meaning: idiomMeaning.value,
+      variants: idiomVariants.value.split('\n').map(line => line.trim()).filter(Boolean),
+      example: idiomExample.value,
+      register: idiomRegister.value
+    };
+
+    try {
+      await store.setIdiom(currentId, idiomPhrase.value, entry, editingPhrase);
+      packs = await store.getAll();
+      resetIdiomForm();
+      render();
+      idiomPhrase.focus();
+    } catch (error) {
+      alert(error.message);
+    }
+  });
+
+  idiomCancelBtn.addEventListener('click', resetIdiomForm);
+  searchInput.addEventListener('input', renderIdioms);
+
+  themeToggle.addEventListener('click', () => {
+    const isDark = document.body.classList.contains('dark-theme');
+    setTheme(isDark ? 'light' : 'dark');
+  });
+
+  function getCurrentPack() {
+    return packs.find(pack => pack.id === currentId) || null;
+  }
+
+  function openPack(id) {
+    currentId = id;
+    searchInput.value = '';
+    resetIdiomForm();
+    render();
+    window.scrollTo(0, 0);
+  }
+
+  function render() {
+    const pack = getCurrentPack();
+    packView.style.display = pack ? 'none' : 'block';
+    editorView.style.display = pack ? 'block' : 'none';
+
+    if (pack) {
+      renderEditor(pack);
+    } else {
+      renderPacks();
+    }
+  }
+
+  function renderPacks() {
+    const packLabel = packs.length === 1 ? 'pack' : 'packs';
+    summary.textContent = `${packs.length} ${packLabel}`;
+    summary.style.display = packs.length ? 'block' : 'none';
+    emptyState.style.display = packs.length ? 'none' : 'block';
+
+    packList.innerHTML = '';
+    packs.forEach(pack => {
+      const item = document.createElement('li');
+      item.className = 'entry pack';
+      item.addEventListener('click', () => openPack(pack.id));
+
+      const name = document.createElement('div');
+      name.className = 'entry-term';
+      name.textContent = pack.name;
+      item.appendChild(name);
+
+      if (pack.description) {
+        const description = document.createElement('div');
+        description.className = 'entry-description';
+        description.textContent = pack.description;
+        item.appendChild(description);
+      }
+
+      const count = Object.keys(pack.idioms).length;
+      const meta = document.createElement('div');
+      meta.className = 'entry-meta';
+      meta.textContent = `${count} ${count === 1 ? 'idiom' : 'idioms'} · updated ${new Date(pack.updatedAt).toLocaleDateString()}`;
+      item.appendChild(meta);
+
+      packList.appendChild(item);
+    });
+  }
+
+  function renderEditor(pack) {
+    packTitle.textContent = pack.name;
+    // Don't overwrite details the user is typing
+    if (document.activeElement !== packName) packName.value = pack.name;
+    if (document.activeElement !== packDescription) packDescription.value = pack.description || '';
+    renderIdioms();
+  }
+
+  // Search matches the phrase, its variants and its meaning
+  function renderIdioms() {
+    const pack = getCurrentPack();
+    if (!pack) return;
+
+    const query = searchInput.value.trim().toLowerCase();
+    const all = Object.entries(pack.idioms).sort((a, b) => a[0].localeCompare(b[0]));
+    const visible = all.filter(([phrase, entry]) =>
+      !query || [phrase, entry.meaning, ...(entry.variants || [])].some(value => (value || '').toLowerCase().includes(query))
+    );
+
+    const idiomLabel = all.length === 1 ? 'idiom' : 'idioms';
+    idiomSummary.textContent = visible.length === all.length
+      ? `${all.length} ${idiomLabel}`
+      : `Showing ${visible.length} of ${all.length} ${idiomLabel}`;
+
+    idiomList.innerHTML = '';
+    visible.forEach(([phrase, entry]) => idiomList.appendChild(renderIdiom(pack, phrase, entry)));
+  }
+
+  function renderIdiom(pack, phrase, entry) {
+    const item = document.createElement('li');
+    item.className = 'entry';
+
+    const term = document.createElement('div');
+    term.className = 'entry-term';
+    term.textContent = phrase;
+    const register = document.createElement('span');
+    register.className = 'entry-kind';
+    register.textContent = entry.register;
+    term.appendChild(register);
+    item.appendChild(term);
+
+    const meaning = document.createElement('div');
+    meaning.className = 'entry-definition';
+    meaning.textContent = entry.meaning;
+    item.appendChild(meaning);
+
+    if (entry.example) {
+      const example = document.createElement('div');
+      example.className = 'entry-context';
+      example.textContent = entry.example;
+      item.appendChild(example);
+    }
+
+    if (entry.variants && entry.variants.length) {
+      const variants = document.createElement('div');
+      variants.className = 'entry-meta';
+      variants.textContent = `Also: ${entry.variants.join(' · ')}`;
+      item.appendChild(variants);
+    }
+
+    const actions = document.createElement('div');
+    actions.className = 'entry-actions';
+    const editBtn = document.createElement('button');
+    editBtn.className = 'btn secondary';
+    editBtn.textContent = 'Edit';
+    editBtn.addEventListener('click', () => editIdiom(phrase, entry));
+    actions.appendChild(editBtn);
+    item.appendChild(actions);
+
+    const removeBtn = document.createElement('button');
+    removeBtn.className = 'entry-remove';
+    removeBtn.title = `Delete "${phrase}"`;
+    removeBtn.textContent = '×';
+    removeBtn.addEventListener('click', async () => {
+      try {
+        await store.removeIdiom(pack.id, phrase);
+        if (editingPhrase === phrase) resetIdiomForm();
+        packs = await store.getAll();
+        render();
+      } catch (error) {
+        alert(error.message);
+      }
+    });
+    item.appendChild(removeBtn);
+
+    return item;
+  }
+
+  function editIdiom(phrase, entry) {
+    editingPhrase = phrase;
+    idiomFormTitle.textContent = `Edit "${phrase}"`;
+    idiomSaveBtn.textContent = 'Save Idiom';
+    idiomCancelBtn.style.display = '';
+    idiomPhrase.value = phrase;
+    idiomMeaning.value = entry.meaning;
+    idiomVariants.value = (entry.variants || []).join('\n');
+    idiomExample.value = entry.example || '';
+    idiomRegister.value = entry.register || 'informal';
+    idiomForm.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    idiomMeaning.focus();
+  }
+
+  function resetIdiomForm() {
+    editingPhrase = null;
+    idiomForm.reset();
+    idiomFormTitle.textContent = 'Add an idiom';
+    idiomSaveBtn.textContent = 'Add Idiom';
+    idiomCancelBtn.style.display = 'none';
+  }
+
+  function download(filename, content, type) {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  function initializeTheme() {
+    chrome.storage.sync.get(['cogniread_theme'], function(result) {
+      let theme = result.cogniread_theme || 'system';
+
+      if (theme === 'system') {
+        const prefersDark = window.matchMedia('(prefers-color-scheme: dark)').matches;
+        theme = prefersDark ? 'dark' : 'light';
+      }
+
+      applyTheme(theme);
+    });
+  }
+
+  function setTheme(theme) {
+    applyTheme(theme);
+    chrome.storage.sync.set({ cogniread_theme: theme });
+  }
+
+  function applyTheme(theme) {
+    if (theme === 'dark') {
+      document.body.classList.add('dark-theme');
+      themeToggle.textContent = '☀️';
+      themeToggle.title = 'Switch to light theme';
+    } else {
+      document.body.classList.remove('dark-theme');
+      themeToggle.textContent = '🌙';
+      themeToggle.title = 'Switch to dark theme';
+    }
+  }
+});
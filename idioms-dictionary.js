@@ -1,141 +1,814 @@
 // Comprehensive English idioms dictionary
 // Extracted from commonly used English idioms list
-// Format: 'idiom phrase': 'literal meaning'
+// Format: 'canonical phrase': { meaning, variants, example, register }
+//   meaning  - literal meaning in plain language
+//   variants - other wordings of the same idiom (the canonical phrase is always matched)
+//   example  - a sentence using the idiom
+//   register - 'informal', 'neutral' or 'formal'
+// Phrases are written in base form; IdiomMatcher (idiom-matcher.js) also matches their
+// inflections ("beating", "spilled", "broke"). In a phrase, you / your / yourself, someone /
+// someone's, one's and something stand for any person, possessive or object.
 
 const IDIOMS_DICTIONARY = {
   // A
-  'a hot potato': 'a disputed issue that many people are talking about',
-  'a penny for your thoughts': 'asking what someone is thinking',
-  'actions speak louder than words': 'intentions are judged by actions not words',
-  'add insult to injury': 'make a bad situation worse',
-  'an arm and a leg': 'very expensive',
-  'as right as rain': 'perfect or in good health',
-  'at the drop of a hat': 'without any hesitation',
+  'a hot potato': {
+    meaning: 'a disputed issue that many people are talking about',
+    variants: [],
+    example: 'The new tax plan has become a hot potato for the government.',
+    register: 'informal'
+  },
+  'a penny for your thoughts': {
+    meaning: 'asking what someone is thinking',
+    variants: ['penny for your thoughts'],
+    example: 'You look far away. A penny for your thoughts?',
+    register: 'informal'
+  },
+  'a picture is worth a thousand words': {
+    meaning: 'visual presentation is more descriptive',
+    variants: ['a picture paints a thousand words'],
+    example: 'Add a diagram to the report; a picture is worth a thousand words.',
+    register: 'neutral'
+  },
+  'a far cry from': {
+    meaning: 'very different from',
+    variants: [],
+    example: 'The small flat was a far cry from the house she grew up in.',
+    register: 'neutral'
+  },
+  'a drop in the ocean': {
+    meaning: 'a very small amount compared with what is needed',
+    variants: ['a drop in the bucket'],
+    example: 'The donation was welcome, but it is a drop in the ocean.',
+    register: 'neutral'
+  },
+  'a taste of your own medicine': {
+    meaning: 'something you did to others happens to you',
+    variants: ['taste of your own medicine'],
+    example: 'When his friends ignored him, he got a taste of his own medicine.',
+    register: 'informal'
+  },
+  'a wild goose chase': {
+    meaning: 'a search that is hopeless or pointless',
+    variants: ['wild goose chase'],
+    example: 'The wrong address sent us on a wild goose chase across town.',
+    register: 'informal'
+  },
+  'actions speak louder than words': {
+    meaning: 'intentions are judged by actions not words',
+    variants: [],
+    example: 'He says he will help, but actions speak louder than words.',
+    register: 'neutral'
+  },
+  'add insult to injury': {
+    meaning: 'make a bad situation worse',
+    variants: [],
+    example: 'The flight was cancelled, and to add insult to injury, they lost my bag.',
+    register: 'neutral'
+  },
+  'an arm and a leg': {
+    meaning: 'very expensive',
+    variants: ['cost an arm and a leg'],
+    example: 'That car must have cost an arm and a leg.',
+    register: 'informal'
+  },
+  'as right as rain': {
+    meaning: 'perfect or in good health',
+    variants: ['right as rain'],
+    example: 'After a night\'s sleep she was as right as rain.',
+    register: 'informal'
+  },
+  'at the drop of a hat': {
+    meaning: 'without any hesitation',
+    variants: [],
+    example: 'He would travel anywhere at the drop of a hat.',
+    register: 'informal'
+  },
 
   // B
-  'back to the drawing board': 'start over after a failure',
-  'ball is in your court': 'it is your decision',
-  'barking up the wrong tree': 'looking in the wrong place',
-  'be glad to see the back of': 'be happy when a person leaves',
-  'beat around the bush': 'avoiding the main topic',
-  'best of both worlds': 'all the advantages',
-  'best thing since sliced bread': 'a good invention or innovation',
-  'bite off more than you can chew': 'take on a task that is too big',
-  'blessing in disguise': 'something good that is not recognized at first',
-  'break a leg': 'good luck',
-  'burn the midnight oil': 'work late into the night',
-  'by the skin of your teeth': 'just barely',
+  'back to square one': {
+    meaning: 'back to the beginning after making no progress',
+    variants: [],
+    example: 'The test failed, so we are back to square one.',
+    register: 'informal'
+  },
+  'back to the drawing board': {
+    meaning: 'start over after a failure',
+    variants: ['go back to the drawing board'],
+    example: 'The client rejected the design, so it is back to the drawing board.',
+    register: 'informal'
+  },
+  'ballpark figure': {
+    meaning: 'a rough estimate',
+    variants: ['ballpark estimate'],
+    example: 'Can you give me a ballpark figure for the repairs?',
+    register: 'informal'
+  },
+  'bark up the wrong tree': {
+    meaning: 'looking in the wrong place',
+    variants: [],
+    example: 'If you think I took your keys, you are barking up the wrong tree.',
+    register: 'informal'
+  },
+  'be glad to see the back of': {
+    meaning: 'be happy when a person leaves',
+    variants: ['glad to see the back of'],
+    example: 'I will be glad to see the back of this cold weather.',
+    register: 'informal'
+  },
+  'beat around the bush': {
+    meaning: 'avoiding the main topic',
+    variants: ['beat about the bush'],
+    example: 'Stop beating around the bush and tell me what happened.',
+    register: 'informal'
+  },
+  'best thing since sliced bread': {
+    meaning: 'a good invention or innovation',
+    variants: ['greatest thing since sliced bread'],
+    example: 'She thinks her new phone is the best thing since sliced bread.',
+    register: 'informal'
+  },
+  'bite off more than you can chew': {
+    meaning: 'take on a task that is too big',
+    variants: [],
+    example: 'He bit off more than he could chew when he took on three jobs.',
+    register: 'informal'
+  },
+  'bite the bullet': {
+    meaning: 'do something difficult that you have been avoiding',
+    variants: [],
+    example: 'I finally bit the bullet and booked the dentist appointment.',
+    register: 'informal'
+  },
+  'blessing in disguise': {
+    meaning: 'something good that is not recognized at first',
+    variants: [],
+    example: 'Losing that job was a blessing in disguise.',
+    register: 'neutral'
+  },
+  'break a leg': {
+    meaning: 'good luck',
+    variants: [],
+    example: 'Break a leg in tonight\'s show!',
+    register: 'informal'
+  },
+  'break the bank': {
+    meaning: 'cost too much money',
+    variants: [],
+    example: 'A weekend away will not break the bank.',
+    register: 'informal'
+  },
+  'break the ice': {
+    meaning: 'start a conversation and help people feel comfortable',
+    variants: [],
+    example: 'She told a joke to break the ice at the meeting.',
+    register: 'informal'
+  },
+  'burn bridges': {
+    meaning: 'destroy a relationship so you cannot go back',
+    variants: ['burn your bridges'],
+    example: 'Be polite when you resign; do not burn bridges.',
+    register: 'informal'
+  },
+  'burn the midnight oil': {
+    meaning: 'work late into the night',
+    variants: [],
+    example: 'She burned the midnight oil to finish her thesis.',
+    register: 'informal'
+  },
+  'bury the hatchet': {
+    meaning: 'stop arguing and become friendly again',
+    variants: [],
+    example: 'After years of silence, the brothers buried the hatchet.',
+    register: 'informal'
+  },
+  'by the skin of your teeth': {
+    meaning: 'just barely',
+    variants: [],
+    example: 'He passed the exam by the skin of his teeth.',
+    register: 'informal'
+  },
 
   // C
-  'can\'t judge a book by its cover': 'cannot judge by appearance',
-  'caught between two stools': 'difficult to choose between two alternatives',
-  'come rain or shine': 'no matter what happens',
-  'costs an arm and a leg': 'very expensive',
-  'cross that bridge when you come to it': 'deal with a problem when it happens',
-  'cry over spilt milk': 'complain about a loss from the past',
-  'curiosity killed the cat': 'being inquisitive can lead to trouble',
-  'cut corners': 'done badly to save money',
-  'cut the mustard': 'succeed or meet expectations',
+  'call it a day': {
+    meaning: 'stop working for the day',
+    variants: [],
+    example: 'We have done enough; let\'s call it a day.',
+    register: 'informal'
+  },
+  'caught between two stools': {
+    meaning: 'difficult to choose between two alternatives',
+    variants: ['fall between two stools'],
+    example: 'The plan fell between two stools and pleased nobody.',
+    register: 'informal'
+  },
+  'come rain or shine': {
+    meaning: 'no matter what happens',
+    variants: ['rain or shine'],
+    example: 'The market is open every Saturday, come rain or shine.',
+    register: 'informal'
+  },
+  'count your chickens before they hatch': {
+    meaning: 'make plans for something that might not happen',
+    variants: ['count your chickens before the eggs have hatched', 'count your chickens'],
+    example: 'Don\'t count your chickens before they hatch; the deal is not signed yet.',
+    register: 'informal'
+  },
+  'cross that bridge when you come to it': {
+    meaning: 'deal with a problem when it happens',
+    variants: [],
+    example: 'If the budget runs out, we will cross that bridge when we come to it.',
+    register: 'informal'
+  },
+  'cry over spilt milk': {
+    meaning: 'complain about a loss from the past',
+    variants: [],
+    example: 'The mistake is made; there is no use crying over spilt milk.',
+    register: 'informal'
+  },
+  'curiosity killed the cat': {
+    meaning: 'being inquisitive can lead to trouble',
+    variants: [],
+    example: 'Stop asking about the surprise; curiosity killed the cat.',
+    register: 'informal'
+  },
+  'cut corners': {
+    meaning: 'done badly to save money',
+    variants: [],
+    example: 'The builders cut corners and the roof now leaks.',
+    register: 'informal'
+  },
+  'cut the mustard': {
+    meaning: 'succeed or meet expectations',
+    variants: [],
+    example: 'The new player just doesn\'t cut the mustard.',
+    register: 'informal'
+  },
+  'cut to the chase': {
+    meaning: 'get to the important point',
+    variants: [],
+    example: 'We are short on time, so let me cut to the chase.',
+    register: 'informal'
+  },
 
   // D
-  'devil\'s advocate': 'present a counter argument',
-  'don\'t count your chickens before the eggs have hatched': 'do not make plans for something that might not happen',
-  'don\'t give up the day job': 'you are not very good at something',
-  'don\'t put all your eggs in one basket': 'do not put all resources in one possibility',
-  'drastic times call for drastic measures': 'desperate situations need drastic actions',
+  'play devil\'s advocate': {
+    meaning: 'present a counter argument',
+    variants: ['devil\'s advocate'],
+    example: 'Let me play devil\'s advocate and argue the other side.',
+    register: 'neutral'
+  },
+  'don\'t give up the day job': {
+    meaning: 'you are not very good at something',
+    variants: ['don\'t quit your day job'],
+    example: 'Nice singing, but don\'t give up the day job.',
+    register: 'informal'
+  },
+  'put all your eggs in one basket': {
+    meaning: 'depend on a single plan or resource',
+    variants: [],
+    example: 'Apply to several schools; don\'t put all your eggs in one basket.',
+    register: 'informal'
+  },
+  'drastic times call for drastic measures': {
+    meaning: 'desperate situations need drastic actions',
+    variants: ['desperate times call for desperate measures'],
+    example: 'We cancelled every meeting; drastic times call for drastic measures.',
+    register: 'neutral'
+  },
 
   // E
-  'elvis has left the building': 'the show has come to an end',
-  'every cloud has a silver lining': 'be optimistic even in difficult times',
+  'elvis has left the building': {
+    meaning: 'the show has come to an end',
+    variants: [],
+    example: 'The lights came on and we knew Elvis had left the building.',
+    register: 'informal'
+  },
+  'every cloud has a silver lining': {
+    meaning: 'be optimistic even in difficult times',
+    variants: ['silver lining'],
+    example: 'I missed the bus but met an old friend; every cloud has a silver lining.',
+    register: 'neutral'
+  },
 
   // F
-  'far cry from': 'very different from',
-  'feel a bit under the weather': 'feeling slightly ill',
+  'face the music': {
+    meaning: 'accept the unpleasant results of your actions',
+    variants: [],
+    example: 'He broke the window, and now he has to face the music.',
+    register: 'informal'
+  },
 
   // G
-  'give the benefit of the doubt': 'believe someone without proof',
-  'go back to the drawing board': 'start over',
-  'go down in flames': 'fail spectacularly',
-  'get out of hand': 'become uncontrollable',
-  'get your act together': 'organize yourself',
-  'give someone the cold shoulder': 'ignore someone',
+  'get cold feet': {
+    meaning: 'become too nervous to do something you planned',
+    variants: ['cold feet'],
+    example: 'He got cold feet the night before the wedding.',
+    register: 'informal'
+  },
+  'get out of hand': {
+    meaning: 'become uncontrollable',
+    variants: ['out of hand'],
+    example: 'The party got out of hand and the neighbours called the police.',
+    register: 'neutral'
+  },
+  'get the ball rolling': {
+    meaning: 'start an activity',
+    variants: ['start the ball rolling'],
+    example: 'I will get the ball rolling by introducing myself.',
+    register: 'informal'
+  },
+  'get your act together': {
+    meaning: 'organize yourself',
+    variants: [],
+    example: 'You need to get your act together before the exams.',
+    register: 'informal'
+  },
+  'give someone the benefit of the doubt': {
+    meaning: 'believe someone without proof',
+    variants: ['the benefit of the doubt'],
+    example: 'She said the train was late, so I gave her the benefit of the doubt.',
+    register: 'neutral'
+  },
+  'give someone the cold shoulder': {
+    meaning: 'ignore someone',
+    variants: ['get the cold shoulder'],
+    example: 'After the argument, she gave him the cold shoulder.',
+    register: 'informal'
+  },
+  'go down in flames': {
+    meaning: 'fail spectacularly',
+    variants: [],
+    example: 'The product launch went down in flames.',
+    register: 'informal'
+  },
+  'go the extra mile': {
+    meaning: 'make more effort than expected',
+    variants: [],
+    example: 'Our nurse always goes the extra mile for her patients.',
+    register: 'neutral'
+  },
 
   // H
-  'hear it on the grapevine': 'hear rumors',
-  'hit the nail on the head': 'do or say something exactly right',
-  'hit the sack': 'go to bed',
-  'hit the sheets': 'go to bed',
-  'hit the hay': 'go to bed',
-  'hang in there': 'persevere',
+  'hang in there': {
+    meaning: 'persevere',
+    variants: [],
+    example: 'Hang in there, the hard part is almost over.',
+    register: 'informal'
+  },
+  'hear it on the grapevine': {
+    meaning: 'hear rumors',
+    variants: ['on the grapevine', 'through the grapevine'],
+    example: 'I heard it through the grapevine that you are moving.',
+    register: 'informal'
+  },
+  'hit the ground running': {
+    meaning: 'start something quickly and with energy',
+    variants: [],
+    example: 'The new manager hit the ground running.',
+    register: 'informal'
+  },
+  'hit the nail on the head': {
+    meaning: 'do or say something exactly right',
+    variants: [],
+    example: 'You hit the nail on the head when you said the plan was too expensive.',
+    register: 'informal'
+  },
+  'hit the sack': {
+    meaning: 'go to bed',
+    variants: ['hit the hay', 'hit the sheets'],
+    example: 'I am exhausted; I am going to hit the sack.',
+    register: 'informal'
+  },
 
   // I
-  'in the heat of the moment': 'overwhelmed by what is happening',
-  'it takes two to tango': 'actions need more than one person',
+  'in hot water': {
+    meaning: 'in trouble',
+    variants: [],
+    example: 'He is in hot water for missing the deadline again.',
+    register: 'informal'
+  },
+  'in the heat of the moment': {
+    meaning: 'overwhelmed by what is happening',
+    variants: [],
+    example: 'I said things in the heat of the moment that I did not mean.',
+    register: 'neutral'
+  },
+  'in the same boat': {
+    meaning: 'in the same difficult situation as others',
+    variants: [],
+    example: 'Don\'t worry about the late fee; we are all in the same boat.',
+    register: 'informal'
+  },
+  'it takes two to tango': {
+    meaning: 'actions need more than one person',
+    variants: ['takes two to tango'],
+    example: 'Don\'t blame only him for the fight; it takes two to tango.',
+    register: 'informal'
+  },
 
   // J
-  'jump on the bandwagon': 'join a popular trend',
+  'judge a book by its cover': {
+    meaning: 'judge something only by how it looks',
+    variants: [],
+    example: 'The café looks shabby, but you can\'t judge a book by its cover.',
+    register: 'neutral'
+  },
+  'jump on the bandwagon': {
+    meaning: 'join a popular trend',
+    variants: ['climb on the bandwagon', 'get on the bandwagon'],
+    example: 'Every company is jumping on the AI bandwagon.',
+    register: 'informal'
+  },
+  'jump the gun': {
+    meaning: 'do something too soon',
+    variants: [],
+    example: 'They jumped the gun and announced the results early.',
+    register: 'informal'
+  },
 
   // K
-  'keep something at bay': 'keep something away',
-  'kill two birds with one stone': 'accomplish two things at the same time',
+  'keep an eye on': {
+    meaning: 'watch or look after',
+    variants: [],
+    example: 'Could you keep an eye on my bag for a minute?',
+    register: 'neutral'
+  },
+  'keep something at bay': {
+    meaning: 'keep something away',
+    variants: ['keep at bay'],
+    example: 'Regular exercise keeps illness at bay.',
+    register: 'neutral'
+  },
+  'kill two birds with one stone': {
+    meaning: 'accomplish two things at the same time',
+    variants: [],
+    example: 'I walk to work, which kills two birds with one stone: exercise and transport.',
+    register: 'informal'
+  },
 
   // L
-  'last straw': 'the final problem in a series',
-  'let sleeping dogs lie': 'do not disturb a situation',
-  'let the cat out of the bag': 'share information that was concealed',
-  'let someone off the hook': 'not punish someone',
+  'learn the ropes': {
+    meaning: 'learn how to do a job',
+    variants: ['know the ropes', 'show someone the ropes'],
+    example: 'It took me a month to learn the ropes at the new office.',
+    register: 'informal'
+  },
+  'let off steam': {
+    meaning: 'release strong feelings or energy',
+    variants: ['blow off steam'],
+    example: 'The kids ran around the park to let off steam.',
+    register: 'informal'
+  },
+  'let sleeping dogs lie': {
+    meaning: 'do not disturb a situation',
+    variants: [],
+    example: 'I wanted to ask about the argument but decided to let sleeping dogs lie.',
+    register: 'informal'
+  },
+  'let someone off the hook': {
+    meaning: 'not punish someone',
+    variants: ['off the hook'],
+    example: 'The teacher let him off the hook with a warning.',
+    register: 'informal'
+  },
+  'let the cat out of the bag': {
+    meaning: 'share information that was concealed',
+    variants: [],
+    example: 'She let the cat out of the bag about the surprise party.',
+    register: 'informal'
+  },
+  'low-hanging fruit': {
+    meaning: 'the easiest tasks or goals to achieve',
+    variants: [],
+    example: 'Let\'s fix the low-hanging fruit before the big redesign.',
+    register: 'informal'
+  },
 
   // M
-  'make a long story short': 'come to the point',
-  'method to my madness': 'there is structure to my approach',
-  'miss the boat': 'miss your chance',
+  'make a long story short': {
+    meaning: 'come to the point',
+    variants: ['long story short'],
+    example: 'To make a long story short, we missed the flight.',
+    register: 'informal'
+  },
+  'method to my madness': {
+    meaning: 'there is structure to my approach',
+    variants: ['method in my madness', 'method to the madness', 'method in the madness'],
+    example: 'My desk looks messy, but there is method to my madness.',
+    register: 'informal'
+  },
+  'miss the boat': {
+    meaning: 'miss your chance',
+    variants: [],
+    example: 'Tickets sold out in an hour and I missed the boat.',
+    register: 'informal'
+  },
+  'move the goalposts': {
+    meaning: 'change the rules unfairly while something is in progress',
+    variants: [],
+    example: 'Every time we meet the target, management moves the goalposts.',
+    register: 'informal'
+  },
 
   // N
-  'not a spark of decency': 'no manners',
-  'not playing with a full deck': 'lacks intelligence',
-  'no pain, no gain': 'hard work brings rewards',
+  'no pain, no gain': {
+    meaning: 'hard work brings rewards',
+    variants: [],
+    example: 'Training is tough, but no pain, no gain.',
+    register: 'informal'
+  },
+  'not a spark of decency': {
+    meaning: 'no manners',
+    variants: [],
+    example: 'He left without thanking anyone; not a spark of decency.',
+    register: 'informal'
+  },
+  'not playing with a full deck': {
+    meaning: 'lacks intelligence',
+    variants: [],
+    example: 'Anyone who believes that is not playing with a full deck.',
+    register: 'informal'
+  },
 
   // O
-  'off one\'s rocker': 'crazy or demented',
-  'on the ball': 'understands the situation well',
-  'once in a blue moon': 'happens very rarely',
+  'off one\'s rocker': {
+    meaning: 'crazy or demented',
+    variants: [],
+    example: 'You must be off your rocker to swim in that cold lake.',
+    register: 'informal'
+  },
+  'on the ball': {
+    meaning: 'understands the situation well',
+    variants: [],
+    example: 'Our new assistant is really on the ball.',
+    register: 'informal'
+  },
+  'on the same page': {
+    meaning: 'agreeing or understanding things the same way',
+    variants: [],
+    example: 'Let\'s meet first so we are all on the same page.',
+    register: 'informal'
+  },
+  'on thin ice': {
+    meaning: 'in a risky situation',
+    variants: ['skate on thin ice'],
+    example: 'After being late three times, he is on thin ice with his boss.',
+    register: 'informal'
+  },
+  'once bitten, twice shy': {
+    meaning: 'a bad experience makes you careful',
+    variants: [],
+    example: 'She won\'t lend him money again; once bitten, twice shy.',
+    register: 'informal'
+  },
+  'once in a blue moon': {
+    meaning: 'happens very rarely',
+    variants: [],
+    example: 'We only eat out once in a blue moon.',
+    register: 'informal'
+  },
+  'out of the blue': {
+    meaning: 'suddenly and unexpectedly',
+    variants: [],
+    example: 'She called me out of the blue after ten years.',
+    register: 'informal'
+  },
 
   // P
-  'picture paints a thousand words': 'visual presentation is more descriptive',
-  'piece of cake': 'easy or simple task',
-  'pull someone\'s leg': 'joke with someone or tease them',
-  'pull yourself together': 'calm down',
-  'put wool over other people\'s eyes': 'deceive someone',
+  'piece of cake': {
+    meaning: 'easy or simple task',
+    variants: [],
+    example: 'The test was a piece of cake.',
+    register: 'informal'
+  },
+  'play it by ear': {
+    meaning: 'decide what to do as things happen',
+    variants: [],
+    example: 'We have no plans for Sunday; we will play it by ear.',
+    register: 'informal'
+  },
+  'pull someone\'s leg': {
+    meaning: 'joke with someone or tease them',
+    variants: [],
+    example: 'Relax, I am only pulling your leg.',
+    register: 'informal'
+  },
+  'pull the wool over someone\'s eyes': {
+    meaning: 'deceive someone',
+    variants: ['put the wool over someone\'s eyes', 'pull the wool over other people\'s eyes'],
+    example: 'Don\'t try to pull the wool over my eyes; I saw the receipt.',
+    register: 'informal'
+  },
+  'pull your weight': {
+    meaning: 'do your fair share of the work',
+    variants: [],
+    example: 'Everyone on the team needs to pull their weight.',
+    register: 'informal'
+  },
+  'pull yourself together': {
+    meaning: 'calm down',
+    variants: [],
+    example: 'Pull yourself together; the interview starts in five minutes.',
+    register: 'informal'
+  },
+
+  // R
+  'raise the bar': {
+    meaning: 'set a higher standard',
+    variants: [],
+    example: 'The new phone raises the bar for battery life.',
+    register: 'neutral'
+  },
+  'reinvent the wheel': {
+    meaning: 'waste time making something that already exists',
+    variants: [],
+    example: 'Use the existing template; there is no need to reinvent the wheel.',
+    register: 'informal'
+  },
+  'run out of steam': {
+    meaning: 'lose energy or enthusiasm',
+    variants: [],
+    example: 'The campaign ran out of steam after the first month.',
+    register: 'informal'
+  },
 
   // S
-  'sat on the fence': 'not make a decision',
-  'see eye to eye': 'agree on something',
-  'sit on the fence': 'not make a decision',
-  'speak of the devil': 'the person being talked about arrives',
-  'steal someone\'s thunder': 'take credit for what someone else did',
-  'so far so good': 'everything is okay',
-  'spill the beans': 'reveal a secret',
+  'see eye to eye': {
+    meaning: 'agree on something',
+    variants: [],
+    example: 'My sister and I don\'t see eye to eye on politics.',
+    register: 'informal'
+  },
+  'sit on the fence': {
+    meaning: 'not make a decision',
+    variants: [],
+    example: 'You can\'t sit on the fence forever; pick a side.',
+    register: 'informal'
+  },
+  'sleep on it': {
+    meaning: 'wait until tomorrow to decide',
+    variants: [],
+    example: 'It is a big decision, so sleep on it.',
+    register: 'informal'
+  },
+  'so far so good': {
+    meaning: 'everything is okay',
+    variants: ['so far, so good'],
+    example: 'The renovation is halfway done and so far so good.',
+    register: 'informal'
+  },
+  'speak of the devil': {
+    meaning: 'the person being talked about arrives',
+    variants: [],
+    example: 'Speak of the devil, here comes Sam now.',
+    register: 'informal'
+  },
+  'spill the beans': {
+    meaning: 'reveal a secret',
+    variants: [],
+    example: 'Who spilled the beans about the merger?',
+    register: 'informal'
+  },
+  'steal someone\'s thunder': {
+    meaning: 'take credit for what someone else did',
+    variants: [],
+    example: 'He stole my thunder by announcing my idea first.',
+    register: 'informal'
+  },
+  'storm in a teacup': {
+    meaning: 'a lot of anger about something unimportant',
+    variants: ['tempest in a teapot'],
+    example: 'The fuss over the new logo was a storm in a teacup.',
+    register: 'informal'
+  },
+  'straight from the horse\'s mouth': {
+    meaning: 'hear from the authoritative source',
+    variants: ['from the horse\'s mouth'],
+    example: 'I heard it straight from the horse\'s mouth: the CEO is leaving.',
+    register: 'informal'
+  },
 
   // T
-  'take with a grain of salt': 'do not take too seriously',
-  'take with a pinch of salt': 'do not take too seriously',
-  'taste of your own medicine': 'something you did to others happens to you',
-  'through thick and thin': 'in good times and bad times',
-  'to hear something straight from the horse\'s mouth': 'hear from the authoritative source',
-  'the ball is in your court': 'it is your decision',
-  'the best of both worlds': 'ideal situation',
-  'the last straw': 'the final problem',
-  'that ship has sailed': 'that opportunity is gone',
-  'throw in the towel': 'give up',
-  'under the weather': 'feeling sick',
+  'take something with a grain of salt': {
+    meaning: 'do not take too seriously',
+    variants: ['take with a grain of salt', 'take something with a pinch of salt', 'take with a pinch of salt'],
+    example: 'Take his advice with a grain of salt; he has never run a business.',
+    register: 'informal'
+  },
+  'that ship has sailed': {
+    meaning: 'that opportunity is gone',
+    variants: [],
+    example: 'I wanted to apply, but that ship has sailed.',
+    register: 'informal'
+  },
+  'the ball is in your court': {
+    meaning: 'it is your decision',
+    variants: ['ball is in your court', 'the ball\'s in your court'],
+    example: 'I have made my offer; the ball is in your court.',
+    register: 'informal'
+  },
+  'the best of both worlds': {
+    meaning: 'all the advantages of two different things',
+    variants: ['best of both worlds'],
+    example: 'Working from home two days a week gives me the best of both worlds.',
+    register: 'neutral'
+  },
+  'the bottom line': {
+    meaning: 'the most important fact',
+    variants: [],
+    example: 'The bottom line is that we cannot afford it.',
+    register: 'neutral'
+  },
+  'the elephant in the room': {
+    meaning: 'an obvious problem that nobody wants to talk about',
+    variants: [],
+    example: 'The budget cut was the elephant in the room at the meeting.',
+    register: 'informal'
+  },
+  'the last straw': {
+    meaning: 'the final problem in a series',
+    variants: ['last straw', 'the final straw'],
+    example: 'When he was late again, it was the last straw.',
+    register: 'informal'
+  },
+  'the tip of the iceberg': {
+    meaning: 'a small visible part of a much bigger problem',
+    variants: ['tip of the iceberg'],
+    example: 'These complaints are just the tip of the iceberg.',
+    register: 'neutral'
+  },
+  'the whole nine yards': {
+    meaning: 'everything',
+    variants: ['whole nine yards'],
+    example: 'They had a band, fireworks, the whole nine yards.',
+    register: 'informal'
+  },
+  'the writing is on the wall': {
+    meaning: 'there are clear signs something bad will happen',
+    variants: ['writing on the wall'],
+    example: 'When sales kept falling, the writing was on the wall for the store.',
+    register: 'neutral'
+  },
+  'think outside the box': {
+    meaning: 'think in a new and creative way',
+    variants: [],
+    example: 'We need to think outside the box to solve this.',
+    register: 'informal'
+  },
+  'through thick and thin': {
+    meaning: 'in good times and bad times',
+    variants: [],
+    example: 'They stayed friends through thick and thin.',
+    register: 'neutral'
+  },
+  'throw in the towel': {
+    meaning: 'give up',
+    variants: [],
+    example: 'After five failed attempts, he threw in the towel.',
+    register: 'informal'
+  },
+  'touch base': {
+    meaning: 'briefly contact someone to share news',
+    variants: [],
+    example: 'Let\'s touch base next week about the project.',
+    register: 'informal'
+  },
+
+  // U
+  'under the weather': {
+    meaning: 'feeling sick',
+    variants: [],
+    example: 'I am feeling a bit under the weather today.',
+    register: 'informal'
+  },
 
   // W
-  'whole nine yards': 'everything',
-  'wouldn\'t be caught dead': 'would never like to do something',
+  'when pigs fly': {
+    meaning: 'never',
+    variants: [],
+    example: 'He will clean his room when pigs fly.',
+    register: 'informal'
+  },
+  'wouldn\'t be caught dead': {
+    meaning: 'would never like to do something',
+    variants: [],
+    example: 'I wouldn\'t be caught dead wearing that hat.',
+    register: 'informal'
+  },
 
   // Y
-  'you can say that again': 'I agree completely',
-  'your guess is as good as mine': 'I do not know the answer'
+  'you can say that again': {
+    meaning: 'I agree completely',
+    variants: [],
+    example: '"It is hot today." "You can say that again."',
+    register: 'informal'
+  },
+  'your guess is as good as mine': {
+    meaning: 'I do not know the answer',
+    variants: [],
+    example: 'Where did he go? Your guess is as good as mine.',
+    register: 'informal'
+  }
 };
 
 // Export for use in content script
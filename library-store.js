@@ -0,0 +1,144 @@
+// Library Store
+// Articles saved for offline reading. A small index (title, progress, tags, complexity)
+// lives under one key so the library page loads quickly; each article's cleaned HTML is
+// stored under its own key and only read when the article is opened.
+
+class LibraryStore {
+  constructor() {
+    this.storageKey = 'cogniread_library';
+    this.contentPrefix = 'cogniread_library_article_';
+    this.writeQueue = Promise.resolve(); // Serializes read-modify-write updates
+  }
+
+  isAvailable() {
+    return typeof chrome !== 'undefined' && !!(chrome.storage && chrome.storage.local);
+  }
+
+  // One entry per page; the fragment is ignored so re-saving replaces the earlier copy
+  buildId(url) {
+    const key = url.split('#')[0];
+    let hash = 0;
+    for (let i = 0; i < key.length; i++) {
+      hash = ((hash << 5) - hash + key.charCodeAt(i)) | 0;
+    }
+    return `article_${(hash >>> 0).toString(36)}_${key.length.toString(36)}`;
+  }
+
+  async load() {
+    if (!this.isAvailable()) return {};
+    const result = await chrome.storage.local.get([this.storageKey]);
+    return result[this.storageKey] || {};
+  }
+
+  // Most recently saved first
+  async getAll() {
+    const entries = await this.load();
+    return Object.values(entries).sort((a, b) => b.savedAt - a.savedAt);
+  }
+
+  async get(id) {
+    const entries = await this.load();
+    return entries[id] || null;
+  }
+
+  // Index entry plus { html, tldr }
+  async getArticle(id) {
+    if (!this.isAvailable()) return null;
+    const key = this.contentPrefix + id;
+    const [entry, result] = await Promise.all([this.get(id), chrome.storage.local.get([key])]);
+    if (!entry || !result[key]) return null;
+    return { ...entry, ...result[key] };
+  }
+
+  update(mutator) {
+    this.writeQueue = this.writeQueue
+      .then(async () => {
+        const entries = await this.load();
+        const result = mutator(entries);
+        await chrome.storage.local.set({ [this.storageKey]: entries });
+        return result;
+      })
+      .catch((error) => {
+        console.error('❌ Library update failed:', error);
+        return null;
+      });
+    return this.writeQueue;
+  }
+
+  // Saving the same page again refreshes its content but keeps tags and reading progress
+  async save({ url, title, siteName, html, tldr = [], transformations = [], complexity = null, wordCount = 0, readingTime = 0 }) {
+    if (!this.isAvailable() || !url || !html) return null;
+
+    const id = this.buildId(url);
+    const now = Date.now();
+
+    await chrome.storage.local.set({ [this.contentPrefix + id]: { html, tldr } });
+
+    return this.update(entries => {
+      const existing = entries[id] || {};
+      entries[id] = {
+        id,
+        url: url.split('#')[0],
+        title: title || url,
+        siteName: siteName || '',
+        transformations,
+        complexity,
+        wordCount,
+        readingTime,
+        tags: existing.tags || [],
+        progress: existing.progress || 0,
+        savedAt: now,
+        lastOpenedAt: existing.lastOpenedAt || null,
+        size: html.length
+      };
+      return entries[id];
+    });
+  }
+
+  async setProgress(id, progress) {
+    return this.update(entries => {
+      if (!entries[id]) return null;
+      entries[id].progress = Math.max(0, Math.min(100, Math.round(progress)));
+      entries[id].lastOpenedAt = Date.now();
+      return entries[id];
+    });
+  }
+
+  async setTags(id, tags) {
+    const clean = Array.from(new Set(tags.map(tag => tag.trim().toLowerCase()).filter(Boolean)));
+    return this.update(entries => {
+      if (!entries[id]) return null;
+      entries[id].tags = clean;
+      return entries[id];
+    });
+  }
+
+  async remove(id) {
+    if (!this.isAvailable()) return;
+    await chrome.storage.local.remove([this.contentPrefix + id]);
+    return this.update(entries => {
+      delete entries[id];
+    });
+  }
+
+  async clear() {
+    if (!this.isAvailable()) return;
+    const entries = await this.load();
+    await chrome.storage.local.remove([this.storageKey, ...Object.keys(entries).map(id => this.contentPrefix + id)]);
+  }
+
+  // Calls back with the full entry list whenever another tab or page changes it
+  onChange(callback) {
+    if (!this.isAvailable() || !chrome.storage.onChanged) return;
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName === 'local' && changes[this.storageKey]) {
+        this.getAll().then(callback);
+      }
+    });
+  }
+}
+
+// Export for use in content script
+if (typeof window !== 'undefined') {
+  window.LibraryStore = LibraryStore;
+}
@@ -0,0 +1,217 @@
+document.addEventListener('DOMContentLoaded', async function() {
+  const store = new LibraryStore();
+  const themeToggle = document.getElementById('themeToggle');
+  const searchInput = document.getElementById('searchInput');
+  const tagSelect = document.getElementById('tagSelect');
+  const sortSelect = document.getElementById('sortSelect');
+  const summary = document.getElementById('summary');
+  const articleList = document.getElementById('articleList');
+  const emptyState = document.getElementById('emptyState');
+
+  let articles = [];
+
+  initializeTheme();
+
+  articles = await store.getAll();
+  render();
+
+  // Articles saved (or read) in other tabs show up without a reload
+  store.onChange((updated) => {
+    articles = updated;
+    render();
+  });
+
+  searchInput.addEventListener('input', render);
+  tagSelect.addEventListener('change', render);
+  sortSelect.addEventListener('change', render);
+
+  themeToggle.addEventListener('click', () => {
+    const isDark = document.body.classList.contains('dark-theme');
+    setTheme(isDark ? 'light' : 'dark');
+  });
+
+  function getVisibleArticles() {
+    const query = searchInput.value.trim().toLowerCase();
+    const tag = tagSelect.value;
+    const visible = articles.filter(article => {
+      if (tag && !(article.tags || []).includes(tag)) return false;
+      return !query || [article.title, article.siteName, ...(article.tags || [])]
+        .some(value => (value || '').toLowerCase().includes(query));
+    });
+
+    if (sortSelect.value === 'title') {
+      visible.sort((a, b) => a.title.localeCompare(b.title));
+    } else if (sortSelect.value === 'unfinished') {
+      visible.sort((a, b) => isFinished(a) - isFinished(b) || b.savedAt - a.savedAt);
+    } else if (sortSelect.value === 'complexity') {
+      visible.sort((a, b) => (a.complexity || 10) - (b.complexity || 10));
+    } else {
+      visible.sort((a, b) => b.savedAt - a.savedAt);
+    }
+
+    return visible;
+  }
+
+  function isFinished(article) {
+    return article.progress >= 95 ? 1 : 0;
+  }
+
+  function render() {
+    updateTagOptions();
+
+    const visible = getVisibleArticles();
+    const label = articles.length === 1 ? 'article' : 'articles';
+    const sizeMb = articles.reduce((sum, article) => sum + (article.size || 0), 0) / (1024 * 1024);
+
+    summary.textContent = visible.length === articles.length
+      ? `${articles.length} ${label} saved · ${sizeMb.toFixed(1)} MB`
+      : `Showing ${visible.length} of ${articles.length} ${label}`;
+    summary.style.display = articles.length ? 'block' : 'none';
+    emptyState.style.display = articles.length ? 'none' : 'block';
+
+    articleList.innerHTML = '';
+    visible.forEach(article => articleList.appendChild(renderArticle(article)));
+  }
+
+  // Keep the tag filter in sync with the tags in use
+  function updateTagOptions() {
+    const selected = tagSelect.value;
+    const tags = Array.from(new Set(articles.flatMap(article => article.tags || []))).sort();
+
+    tagSelect.innerHTML = '<option value="">All tags</option>';
+    tags.forEach(tag => {
+      const option = document.createElement('option');
+      option.value = tag;
+      option.textContent = tag;
+      tagSelect.appendChild(option);
+    });
+    tagSelect.value = tags.includes(selected) ? selected : '';
+  }
+
+  function renderArticle(article) {
+    const item = document.createElement('li');
+    item.className = 'article';
+
+    const title = document.createElement('a');
+    title.className = 'article-title';
+    title.href = `reader.html?id=${encodeURIComponent(article.id)}`;
+    title.textContent = article.title;
+    item.appendChild(title);
+
+    const meta = document.createElement('div');
+    meta.className = 'article-meta';
+    const details = [article.siteName, `saved ${new Date(article.savedAt).toLocaleDateString()}`];
+    if (article.readingTime) details.push(`${article.readingTime} min read`);
+    meta.textContent = `${details.filter(Boolean).join(' · ')} · `;
+    const original = document.createElement('a');
+    original.href = article.url;
+    original.target = '_blank';
+    original.rel = 'noopener';
+    original.textContent = 'Original';
+    meta.appendChild(original);
+    item.appendChild(meta);
+
+    const stats = document.createElement('div');
+    stats.className = 'article-stats';
+    if (article.complexity) {
+      const complexity = document.createElement('span');
+      const level = article.complexity <= 3 ? 'easy' : article.complexity <= 6 ? 'medium' : 'hard';
+      complexity.className = `complexity ${level}`;
+      complexity.title = 'Cognitive complexity (1 = easy, 10 = hard)';
+      complexity.textContent = `Complexity ${article.complexity}/10`;
+      stats.appendChild(complexity);
+    }
+    const progress = document.createElement('div');
+    progress.className = 'progress';
+    const progressBar = document.createElement('div');
+    progressBar.className = 'progress-bar';
+    progressBar.style.width = `${article.progress || 0}%`;
+    progress.appendChild(progressBar);
+    stats.appendChild(progress);
+    const progressText = document.createElement('span');
+    progressText.className = 'progress-text';
+    progressText.textContent = isFinished(article) ? 'Finished' : article.progress ? `${article.progress}% read` : 'Not started';
+    stats.appendChild(progressText);
+    item.appendChild(stats);
+
+    if (article.transformations && article.transformations.length > 0) {
+      const transformations = document.createElement('div');
+      transformations.className = 'chips transformations';
+      article.transformations.forEach(label => {
+        const chip = document.createElement('span');
+        chip.className = 'chip';
+        chip.textContent = label;
+        transformations.appendChild(chip);
+      });
+      item.appendChild(transformations);
+    }
+
+    const tags = document.createElement('div');
+    tags.className = 'chips';
+    (article.tags || []).forEach(tag => {
+      const chip = document.createElement('button');
+      chip.className = 'chip tag';
+      chip.title = `Show articles tagged "${tag}"`;
+      chip.textContent = `#${tag}`;
+      chip.addEventListener('click', () => {
+        tagSelect.value = tag;
+        render();
+      });
+      tags.appendChild(chip);
+    });
+    const editTags = document.createElement('button');
+    editTags.className = 'chip edit-tags';
+    editTags.textContent = (article.tags || []).length ? '✎ Tags' : '+ Add tags';
+    editTags.addEventListener('click', async () => {
+      const value = prompt('Tags for this article (comma-separated):', (article.tags || []).join(', '));
+      if (value === null) return;
+      await store.setTags(article.id, value.split(','));
+    });
+    tags.appendChild(editTags);
+    item.appendChild(tags);
+
+    const removeBtn = document.createElement('button');
+    removeBtn.className = 'article-remove';
+    removeBtn.title = `Delete "${article.title}"`;
+    removeBtn.textContent = '×';
+    removeBtn.addEventListener('click', async () => {
+      if (!confirm(`Delete "${article.title}" from your library?`)) return;
+      await store.remove(article.id);
+      articles = articles.filter(a => a.id !== article.id);
+      render();
+    });
+    item.appendChild(removeBtn);
+
+    return item;
+  }
+
+  function initializeTheme() {
+    chrome.storage.sync.get(['cogniread_theme'], function(result) {
+      let theme = result.cogniread_theme || 'system';
+
+      if (theme === 'system') {
+        const prefersDark = window.matchMedia('(prefers-color-scheme: dark)').matches;
+        theme = prefersDark ? 'dark' : 'light';
+      }
+
+      applyTheme(theme);
+    });
+  }
+
+  function setTheme(theme) {
+    applyTheme(theme);
+    chrome.storage.sync.set({ cogniread_theme: theme });
+  }
+
+  function applyTheme(theme) {
+    if (theme === 'dark') {
+      document.body.classList.add('dark-theme');
+      themeToggle.textContent = '☀️';
+      themeToggle.title = 'Switch to light theme';
+    } else {
+      document.body.classList.remove('dark-theme');
+      themeToggle.textContent = '🌙';
+      themeToggle.title = 'Switch to dark theme';
+    }
+  }
+});
@@ -72,6 +72,70 @@ document.addEventListener('DOMContentLoaded', async function() {
     }
   });
 
+  // ===== Auto-Activation Allow-List =====
+  const autoActivateToggle = document.getElementById('autoActivateToggle');
+  const autoActivateToggleText = document.getElementById('autoActivateToggleText');
+  const autoActivateForm = document.getElementById('autoActivateForm');
+  const autoActivateInput = document.getElementById('autoActivateInput');
+  const autoActivateList = document.getElementById('autoActivateList');
+  const autoActivateEmpty = document.getElementById('autoActivateEmpty');
+
+  const currentDomain = canActivate && /^https?:/.test(tab.url) ? normalizeDomain(tab.url) : null;
+
+  if (currentDomain) {
+    autoActivateToggleText.textContent = `Always activate on ${currentDomain}`;
+  } else {
+    autoActivateToggle.disabled = true;
+  }
+
+  renderAutoActivateDomains();
+
+  autoActivateToggle.addEventListener('change', async () => {
+    if (!currentDomain) return;
+
+    const domains = await getAutoActivateDomains();
+
+    if (autoActivateToggle.checked) {
+      await saveAutoActivateDomains([...domains, currentDomain]);
+
+      // Activate right away instead of waiting for the next page load
+      if (!activationCard.classList.contains('active')) {
+        const response = await chrome.runtime.sendMessage({
+          action: 'activateOnTab',
+          tabId: tab.id
+        });
+        if (response.success) {
+          updateActivationUI(true);
+        }
+      }
+    } else {
+      // Remove every entry that covers this site (including a parent domain)
+      await saveAutoActivateDomains(domains.filter(domain => !domainMatches(currentDomain, domain)));
+    }
+
+    renderAutoActivateDomains();
+  });
+
+  autoActivateForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+
+    const domain = normalizeDomain(autoActivateInput.value);
+    if (!domain) {
+      autoActivateInput.setCustomValidity('Enter a domain like docs.example.com');
+      autoActivateInput.reportValidity();
+      return;
+    }
+
+    const domains = await getAutoActivateDomains();
+    await saveAutoActivateDomains([...domains, domain]);
+    autoActivateInput.value = '';
+    renderAutoActivateDomains();
+  });
+
+  autoActivateInput.addEventListener('input', () => {
+    autoActivateInput.setCustomValidity('');
+  });
+
   // Theme toggle
   themeToggle.addEventListener('click', () => {
     const isDark = document.body.classList.contains('dark-theme');
@@ -99,6 +163,50 @@ document.addEventListener('DOMContentLoaded', async function() {
     });
   }
 
+  // Vocabulary notebook button
+  const openVocabularyBtn = document.getElementById('openVocabularyBtn');
+  if (openVocabularyBtn) {
+    openVocabularyBtn.addEventListener('click', function() {
+      chrome.tabs.create({
+        url: chrome.runtime.getURL('vocabulary.html')
+      });
+      window.close();
+    });
+  }
+
+  // Spaced-repetition review button (shows how many cards are due)
+  const openReviewBtn = document.getElementById('openReviewBtn');
+  if (openReviewBtn) {
+    new SpacedRepetition().countDue().then((due) => {
+      if (due > 0) openReviewBtn.textContent = `Review (${due} due)`;
+    });
+
+    openReviewBtn.addEventListener('click', function() {
+      chrome.tabs.create({
+        url: chrome.runtime.getURL('review.html')
+      });
+      window.close();
+    });
+  }
+
+  // Offline reading library button
+  const openLibraryBtn = document.getElementById('openLibraryBtn');
+  if (openLibraryBtn) {
+    openLibraryBtn.addEventListener('click', function() {
+      chrome.tabs.create({
+        url: chrome.runtime.getURL('library.html')
+      });
+      window.close();
+    });
+  }
+
+  // Per-site extraction rules (picked in the page panel)
+  const extractionRules = new ExtractionRules();
+  const rulesList = document.getElementById('rulesList');
+  const rulesEmpty = document.getElementById('rulesEmpty');
+
+  renderExtractionRules();
+
   // Check activation status
   async function checkActivationStatus(tabId) {
     try {
@@ -129,6 +237,97 @@ document.addEventListener('DOMContentLoaded', async function() {
     }
   }
 
+  async function getAutoActivateDomains() {
+    const result = await chrome.storage.sync.get(['cogniread_auto_activate_domains']);
+    return result.cogniread_auto_activate_domains || [];
+  }
+
+  async function saveAutoActivateDomains(domains) {
+    const unique = [...new Set(domains)].sort();
+    await chrome.storage.sync.set({ cogniread_auto_activate_domains: unique });
+  }
+
+  // Turn user input or a page URL into a hostname ("https://www.example.com/docs" -> "www.example.com").
+  // The host is kept as entered: dropping "www." would widen the entry to every subdomain.
+  function normalizeDomain(value) {
+    const input = (value || '').trim().toLowerCase();
+    if (!input) return null;
+
+    try {
+      const url = new URL(input.includes('://') ? input : `https://${input}`);
+      const hostname = url.hostname;
+      return /^[a-z0-9-]+(\.[a-z0-9-]+)*$/.test(hostname) ? hostname : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Same rule as background.js: an entry covers its own hostname and any subdomain
+  function domainMatches(hostname, domain) {
+    return hostname === domain || hostname.endsWith('.' + domain);
+  }
+
+  async function renderAutoActivateDomains() {
+    const domains = await getAutoActivateDomains();
+
+    autoActivateToggle.checked = !!currentDomain && domains.some(domain => domainMatches(currentDomain, domain));
+    autoActivateEmpty.style.display = domains.length ? 'none' : 'block';
+    autoActivateList.innerHTML = '';
+
+    domains.forEach(domain => {
+      const item = document.createElement('li');
+      const label = document.createElement('span');
+      label.textContent = domain;
+
+      const removeBtn = document.createElement('button');
+      removeBtn.className = 'auto-activate-remove';
+      removeBtn.title = `Stop auto-activating on ${domain}`;
+      removeBtn.textContent = '×';
+      removeBtn.addEventListener('click', async () => {
+        const current = await getAutoActivateDomains();
+        await saveAutoActivateDomains(current.filter(d => d !== domain));
+        renderAutoActivateDomains();
+      });
+
+      item.appendChild(label);
+      item.appendChild(removeBtn);
+      autoActivateList.appendChild(item);
+    });
+  }
+
+  async function renderExtractionRules() {
+    const rules = await extractionRules.load();
+    const origins = Object.keys(rules).sort();
+
+    rulesEmpty.style.display = origins.length ? 'none' : 'block';
+    rulesList.innerHTML = '';
+
+    origins.forEach(origin => {
+      const rule = rules[origin];
+      const item = document.createElement('li');
+      const label = document.createElement('span');
+      label.textContent = origin.replace(/^https?:\/\//, '');
+      label.title = [rule.main, ...rule.exclude.map(selector => `not ${selector}`)].filter(Boolean).join('\n');
+
+      const removeBtn = document.createElement('button');
+      removeBtn.className = 'rules-remove';
+      removeBtn.title = `Remove the content rules for ${label.textContent}`;
+      removeBtn.textContent = '×';
+      removeBtn.addEventListener('click', async () => {
+        try {
+          await extractionRules.remove(origin);
+        } catch (error) {
+          alert(`Couldn't remove the content rules for ${label.textContent}: ${error.message}`);
+        }
+        renderExtractionRules();
+      });
+
+      item.appendChild(label);
+      item.appendChild(removeBtn);
+      rulesList.appendChild(item);
+    });
+  }
+
   function initializeTheme() {
     // Check for saved theme preference or default to system
     chrome.storage.sync.get(['cogniread_theme'], function(result) {
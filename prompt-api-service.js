@@ -7,6 +7,7 @@ class PromptAPIService {
     this.availabilityStatus = null;
     this.session = null;
     this.defaultParams = null;
+    this.outputLanguage = 'en'; // Follows the language of the text being rewritten (see AIService.setModelLanguage)
     this.initPromise = this.checkAvailability(); // Store promise for async init
   }
 
@@ -15,6 +16,11 @@ class PromptAPIService {
     return this.availabilityStatus === 'after-download';
   }
 
+  // Sessions are created per prompt, so new prompts use it right away
+  setOutputLanguage(language) {
+    this.outputLanguage = language;
+  }
+
   // Wait for initialization to complete
   async waitForInit() {
     await this.initPromise;
@@ -30,7 +36,7 @@ class PromptAPIService {
         // Get default parameters first (recommended by Chrome docs)
         try {
           this.defaultParams = await LanguageModel.params({
-            outputLanguage: 'en'
+            outputLanguage: this.outputLanguage
           });
           console.log('🤖 Default AI params:', this.defaultParams);
         } catch (e) {
@@ -42,7 +48,7 @@ class PromptAPIService {
         const availability = await LanguageModel.availability({
           temperature: 0.7,
           topK: 40,
-          outputLanguage: 'en'
+          outputLanguage: this.outputLanguage
         });
 
         this.availabilityStatus = availability;
@@ -65,7 +71,7 @@ class PromptAPIService {
     }
   }
 
-  async createSession(systemPrompt = '') {
+  async createSession(systemPrompt = '', { signal } = {}) {
     if (!this.isAvailable) {
       throw new Error('Prompt API is not available');
     }
@@ -75,8 +81,11 @@ class PromptAPIService {
       const options = {
         temperature: 0.7,
         topK: 40,
-        outputLanguage: 'en'
+        outputLanguage: this.outputLanguage
       };
+      if (signal) {
+        options.signal = signal;
+      }
 
       // Add system prompt as initial prompt if provided
       if (systemPrompt) {
@@ -96,24 +105,32 @@ class PromptAPIService {
     }
   }
 
-  async prompt(userPrompt, systemPrompt = '') {
+  // options.signal aborts the prompt (e.g. when the transform pipeline is cancelled)
+  async prompt(userPrompt, systemPrompt = '', options = {}) {
     if (!this.isAvailable) {
       throw new Error('Prompt API is not available');
     }
 
     let session = null;
     try {
-      session = await this.createSession(systemPrompt);
+      session = await this.createSession(systemPrompt, { signal: options.signal });
 
       // Check context window usage (optional but recommended)
       if (session.inputUsage && session.inputQuota) {
         console.log(`Context usage: ${session.inputUsage}/${session.inputQuota} tokens`);
       }
 
-      const response = await session.prompt(userPrompt, { outputLanguage: 'en' });
+      const promptOptions = { outputLanguage: this.outputLanguage };
+      if (options.signal) {
+        promptOptions.signal = options.signal;
+      }
+
+      const response = await session.prompt(userPrompt, promptOptions);
       return response;
     } catch (error) {
-      console.error('Error in prompt:', error);
+      if (error.name !== 'AbortError') {
+        console.error('Error in prompt:', error);
+      }
       throw error;
     } finally {
       // Always destroy session to free resources, even if error occurs
@@ -134,7 +151,7 @@ class PromptAPIService {
       session = await this.createSession(systemPrompt);
 
       // Use promptStreaming for progressive display
-      const stream = await session.promptStreaming(userPrompt, { outputLanguage: 'en' });
+      const stream = await session.promptStreaming(userPrompt, { outputLanguage: this.outputLanguage });
       let fullResponse = '';
 
       for await (const chunk of stream) {
@@ -192,7 +209,7 @@ class PromptAPIService {
   }
 
   // Feature 3: Plain Language Translation
-  async translateToPlainLanguage(text, domain = 'auto') {
+  async translateToPlainLanguage(text, domain = 'auto', options = {}) {
     const domainPrompts = {
       legal: 'You are a legal translator. Convert legal jargon and complex legal text into plain, everyday language that anyone can understand. Keep the meaning accurate but make it accessible.',
       medical: 'You are a medical translator. Convert medical terminology and clinical language into patient-friendly language. Make complex health information clear without losing accuracy.',
@@ -204,10 +221,12 @@ class PromptAPIService {
     const userPrompt = `Translate this text into plain language:\n\n${text.substring(0, 2000)}`;
 
     try {
-      const response = await this.prompt(userPrompt, systemPrompt);
+      const response = await this.prompt(userPrompt, systemPrompt, options);
       return response;
     } catch (error) {
-      console.error('Error translating to plain language:', error);
+      if (error.name !== 'AbortError') {
+        console.error('Error translating to plain language:', error);
+      }
       return text;
     }
   }
@@ -308,6 +327,52 @@ class PromptAPIService {
     }
   }
 
+  // Feature: Faithfulness Second Opinion
+  // Returns { faithful, problems: [string] } or null when the check couldn't run
+  async verifyFaithfulness(original, rewritten) {
+    const systemPrompt = `You are a careful editor checking that a simplified rewrite keeps the meaning of the original text. Look for lost or changed numbers, dates, negations, conditions, names and obligations. Return ONLY valid JSON without any markdown formatting. Format: {"faithful": true|false, "problems": ["short description", ...]}`;
+
+    const userPrompt = `Original:\n${original.substring(0, 1500)}\n\nRewrite:\n${rewritten.substring(0, 1500)}\n\nDoes the rewrite keep the meaning of the original? List every meaning change.`;
+
+    try {
+      const response = await this.prompt(userPrompt, systemPrompt);
+      const jsonString = this.extractJSON(response);
+      const result = JSON.parse(jsonString);
+      return {
+        faithful: result.faithful !== false,
+        problems: Array.isArray(result.problems) ? result.problems.filter(problem => typeof problem === 'string') : []
+      };
+    } catch (error) {
+      console.error('Error verifying faithfulness:', error);
+      return null;
+    }
+  }
+
+  // Feature: Comprehension Quiz
+  // paragraphs: [{ index, text }]; each question names the [P#] paragraph it tests
+  async generateComprehensionQuestions(paragraphs) {
+    const systemPrompt = `You are a reading comprehension tutor. Write questions that check whether a reader understood the main ideas of an article, not trivia. Every question must be answerable from a single labelled paragraph. Return ONLY valid JSON without any markdown formatting. Format: {"questions": [{"type": "multiple-choice", "question": "...", "options": ["...", "...", "...", "..."], "answer": 0, "paragraph": 3}, {"type": "short-answer", "question": "...", "answer": "short expected answer", "keywords": ["key", "words"], "paragraph": 5}]} where "answer" for multiple-choice is the index of the correct option and "paragraph" is the P number of the source paragraph.`;
+
+    const labelled = paragraphs.map(p => `[P${p.index}] ${p.text.substring(0, 400)}`).join('\n\n');
+    const userPrompt = `Write 4 multiple-choice questions and 2 short-answer questions about this article. Spread them across different paragraphs.\n\n${labelled}`;
+
+    try {
+      const response = await this.prompt(userPrompt, systemPrompt);
+      const jsonString = this.extractJSON(response);
+      const result = JSON.parse(jsonString);
+      // Models sometimes answer "P3" instead of 3
+      (result.questions || []).forEach(question => {
+        if (question && typeof question.paragraph === 'string') {
+          question.paragraph = parseInt(question.paragraph.replace(/\D/g, ''), 10);
+        }
+      });
+      return result;
+    } catch (error) {
+      console.error('Error generating comprehension questions:', error);
+      return { questions: [] };
+    }
+  }
+
   destroy() {
     if (this.session) {
       this.session.destroy();
@@ -0,0 +1,235 @@
+// Read Aloud
+// Speaks an element's text with speechSynthesis and highlights each word as it is spoken.
+// Highlighting uses the CSS Custom Highlight API, so the page's DOM is never modified.
+
+class ReadAloud {
+  constructor(options = {}) {
+    this.rate = options.rate || 1;
+    this.pitch = options.pitch || 1;
+    this.voiceURI = options.voiceURI || '';
+    this.highlightName = 'cogniread-read-aloud';
+
+    this.element = null; // Element being read
+    this.text = ''; // Its text, as spoken
+    this.textNodes = []; // [{ node, start, end }] offsets into this.text
+    this.sentences = []; // [{ text, start }] spoken one utterance at a time
+    this.sentenceIndex = 0;
+    this.position = 0; // Character offset of the word being spoken
+    this.state = 'idle'; // 'idle', 'speaking', 'paused'
+    this.session = 0; // Bumped on every speak/stop so stale utterance events are ignored
+    this.onEnd = null;
+  }
+
+  isSupported() {
+    return typeof window !== 'undefined' && 'speechSynthesis' in window && typeof SpeechSynthesisUtterance !== 'undefined';
+  }
+
+  // Voices load asynchronously in Chrome
+  getVoices() {
+    if (!this.isSupported()) return Promise.resolve([]);
+
+    const voices = speechSynthesis.getVoices();
+    if (voices.length > 0) return Promise.resolve(voices);
+
+    return new Promise(resolve => {
+      const done = () => {
+        speechSynthesis.removeEventListener('voiceschanged', done);
+        resolve(speechSynthesis.getVoices());
+      };
+      speechSynthesis.addEventListener('voiceschanged', done);
+      setTimeout(done, 2000); // Some platforms never fire voiceschanged
+    });
+  }
+
+  setSettings({ rate, pitch, voiceURI } = {}) {
+    if (rate !== undefined) this.rate = rate;
+    if (pitch !== undefined) this.pitch = pitch;
+    if (voiceURI !== undefined) this.voiceURI = voiceURI;
+
+    // Apply immediately by restarting the current sentence
+    if (this.state === 'speaking') {
+      this.speakFrom(this.sentenceIndex);
+    }
+  }
+
+  // Read an element from the start; onEnd runs when its last sentence finishes
+  speak(element, { onEnd } = {}) {
+    if (!this.isSupported()) return false;
+
+    this.stop();
+    this.onEnd = onEnd || null;
+    this.setElement(element);
+    this.sentences = this.splitSentences(this.text);
+
+    if (this.sentences.length === 0) {
+      this.finish();
+      return true;
+    }
+
+    this.speakFrom(0);
+    return true;
+  }
+
+  // The same text was re-rendered into a new element (e.g. focus mode refresh) - keep going
+  retarget(element) {
+    if (this.state === 'idle' || this.collectText(element).text !== this.text) return false;
+    this.setElement(element);
+    this.highlightWord(this.position);
+    return true;
+  }
+
+  setElement(element) {
+    const collected = this.collectText(element);
+    this.element = element;
+    this.text = collected.text;
+    this.textNodes = collected.textNodes;
+  }
+
+  collectText(element) {
+    const textNodes = [];
+    let text = '';
+
+    const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT, {
+      acceptNode: (node) => {
+        const parent = node.parentElement;
+        if (!parent || parent.closest('script, style, button, [aria-hidden="true"]')) {
+          return NodeFilter.FILTER_REJECT;
+        }
+        return NodeFilter.FILTER_ACCEPT;
+      }
+    });
+
+    let node;
+    while ((node = walker.nextNode())) {
+      textNodes.push({ node, start: text.length, end: text.length + node.textContent.length });
+      text += node.textContent;
+    }
+
+    return { text, textNodes };
+  }
+
+  splitSentences(text) {
+    const sentences = [];
+    const pattern = /[^.!?]+[.!?]+["'”’)]*\s*|[^.!?]+$/g;
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+      if (match[0].trim()) {
+        sentences.push({ text: match[0], start: match.index });
+      }
+    }
+    return sentences;
+  }
+
+  // Long utterances get cut off in Chrome, so each sentence is its own utterance
+  speakFrom(index) {
+    const session = ++this.session;
+    speechSynthesis.cancel();
+    // Chrome keeps the queue paused across cancel()
+    if (speechSynthesis.paused) {
+      speechSynthesis.resume();
+    }
+
+    this.sentenceIndex = index;
+    this.state = 'speaking';
+
+    const sentence = this.sentences[index];
+    const utterance = new SpeechSynthesisUtterance(sentence.text);
+    utterance.rate = this.rate;
+    utterance.pitch = this.pitch;
+
+    const voice = speechSynthesis.getVoices().find(v => v.voiceURI === this.voiceURI);
+    if (voice) {
+      utterance.voice = voice;
+      utterance.lang = voice.lang;
+    } else {
+      utterance.lang = document.documentElement.lang || 'en';
+    }
+
+    utterance.onboundary = (event) => {
+      if (session !== this.session || event.name !== 'word') return;
+      this.position = sentence.start + event.charIndex;
+      this.highlightWord(this.position, event.charLength);
+    };
+
+    utterance.onend = () => {
+      if (session !== this.session) return;
+      if (index + 1 < this.sentences.length) {
+        this.speakFrom(index + 1);
+      } else {
+        this.finish();
+      }
+    };
+
+    utterance.onerror = (event) => {
+      if (session !== this.session || event.error === 'interrupted' || event.error === 'canceled') return;
+      console.error('❌ Read aloud error:', event.error);
+      this.stop();
+    };
+
+    this.position = sentence.start;
+    speechSynthesis.speak(utterance);
+  }
+
+  pause() {
+    if (this.state !== 'speaking') return;
+    speechSynthesis.pause();
+    this.state = 'paused';
+  }
+
+  resume() {
+    if (this.state !== 'paused') return;
+    speechSynthesis.resume();
+    this.state = 'speaking';
+  }
+
+  stop() {
+    this.session++;
+    if (this.isSupported()) {
+      speechSynthesis.cancel();
+    }
+    this.state = 'idle';
+    this.clearHighlight();
+  }
+
+  finish() {
+    const onEnd = this.onEnd;
+    this.stop();
+    if (onEnd) onEnd();
+  }
+
+  highlightWord(offset, length) {
+    if (typeof CSS === 'undefined' || !CSS.highlights || typeof Highlight === 'undefined') return;
+
+    // Some voices report charLength 0 - take the word at the offset instead
+    const wordLength = length || ((this.text.slice(offset).match(/^\S+/) || [''])[0].length);
+    const start = this.locate(offset);
+    const end = this.locate(offset + wordLength);
+    if (!start || !end) return;
+
+    try {
+      const range = document.createRange();
+      range.setStart(start.node, start.offset);
+      range.setEnd(end.node, end.offset);
+      CSS.highlights.set(this.highlightName, new Highlight(range));
+    } catch (error) {
+      // Node was replaced while speaking - the next boundary will retry
+    }
+  }
+
+  // Map a character offset in this.text to a text node + offset
+  locate(offset) {
+    const entry = this.textNodes.find(item => offset >= item.start && offset <= item.end);
+    return entry ? { node: entry.node, offset: offset - entry.start } : null;
+  }
+
+  clearHighlight() {
+    if (typeof CSS !== 'undefined' && CSS.highlights) {
+      CSS.highlights.delete(this.highlightName);
+    }
+  }
+}
+
+// Export for use in content script
+if (typeof window !== 'undefined') {
+  window.ReadAloud = ReadAloud;
+}
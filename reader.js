@@ -0,0 +1,118 @@
+document.addEventListener('DOMContentLoaded', async function() {
+  const store = new LibraryStore();
+  const status = document.getElementById('status');
+  const id = new URLSearchParams(window.location.search).get('id');
+
+  const article = id ? await store.getArticle(id) : null;
+  if (!article) {
+    status.innerHTML = 'This article is no longer in your library. <a href="library.html">Back to the library</a>';
+    return;
+  }
+
+  document.title = `${article.title} - CogniRead`;
+
+  let saveTimer = null;
+  let progress = article.progress || 0;
+
+  const reader = new DistractionFreeMode({
+    pageActions: false, // Already saved; export needs the live page's definitions
+    onExit: () => {
+      window.location.href = 'library.html';
+    },
+    onProgress: (percent) => {
+      progress = percent;
+      clearTimeout(saveTimer);
+      saveTimer = setTimeout(saveProgress, 1000);
+    }
+  });
+  reader.theme = await getReaderTheme();
+  reader.open(buildContent(article));
+
+  const exitBtn = reader.readerContainer.querySelector('.cogniread-df-exit');
+  exitBtn.lastChild.textContent = ' Back to Library';
+  exitBtn.title = 'Back to the library (Esc)';
+
+  document.addEventListener('keydown', (e) => reader.handleKeyPress(e));
+
+  restoreProgress(reader.readerContainer, progress);
+  store.setProgress(article.id, progress); // Records when it was last opened
+
+  // Kept from the last scroll event - the reader view is already gone when leaving
+  window.addEventListener('pagehide', saveProgress);
+
+  function saveProgress() {
+    clearTimeout(saveTimer);
+    store.setProgress(article.id, progress);
+  }
+
+  // The reader view scrolls inside its own container; finished articles start from the top
+  function restoreProgress(scroller, saved) {
+    if (!saved || saved >= 95) return;
+    requestAnimationFrame(() => {
+      scroller.scrollTop = (scroller.scrollHeight - scroller.clientHeight) * (saved / 100);
+    });
+  }
+
+  // Saved HTML is parsed inertly; nothing in it runs, and images were stored inline.
+  // Anything else that would load from the network (and tell the site the article was
+  // read) is dropped, including from articles saved before the library stripped it.
+  function buildContent(saved) {
+    // Cleaned before import: an imported <img> starts loading even outside the page
+    const parsed = new DOMParser().parseFromString(`<div>${saved.html}</div>`, 'text/html');
+    const inert = parsed.body.firstElementChild;
+
+    inert.querySelectorAll('script, style, iframe, object, embed, video, audio, source, track, link, meta, base, image')
+      .forEach(el => el.remove());
+    inert.querySelectorAll('img').forEach(img => {
+      if (!(img.getAttribute('src') || '').startsWith('data:')) img.remove();
+    });
+    inert.querySelectorAll('*').forEach(el => {
+      ['srcset', 'poster', 'background'].forEach(name => el.removeAttribute(name));
+      if (/url\s*\(/i.test(el.getAttribute('style') || '')) el.removeAttribute('style');
+    });
+
+    const content = document.importNode(inert, true);
+
+    // Idiom explanations can't be fetched offline; the dictionary meaning is kept on the span
+    content.querySelectorAll('.cogniread-idiom-phrase[data-original]').forEach(span => {
+      span.title = span.dataset.original;
+    });
+
+    if (saved.tldr && saved.tldr.length > 0) {
+      const tldr = document.createElement('div');
+      tldr.className = 'cogniread-tldr-container';
+      const heading = document.createElement('h3');
+      heading.textContent = '📝 TL;DR Summary';
+      const list = document.createElement('ul');
+      saved.tldr.forEach(point => {
+        const item = document.createElement('li');
+        item.textContent = point;
+        list.appendChild(item);
+      });
+      tldr.append(heading, list);
+      content.prepend(tldr);
+    }
+
+    const source = document.createElement('p');
+    source.className = 'cogniread-library-source';
+    source.textContent = `${saved.siteName || saved.url} · saved ${new Date(saved.savedAt).toLocaleDateString()}`;
+    content.prepend(source);
+
+    if (!content.querySelector('h1')) {
+      const heading = document.createElement('h1');
+      heading.textContent = saved.title;
+      content.prepend(heading);
+    }
+
+    return content;
+  }
+
+  async function getReaderTheme() {
+    const result = await chrome.storage.sync.get(['cogniread_theme']);
+    const theme = result.cogniread_theme || 'system';
+    if (theme === 'system') {
+      return window.matchMedia('(prefers-color-scheme: dark)').matches ? 'dark' : 'light';
+    }
+    return theme;
+  }
+});
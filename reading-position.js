@@ -0,0 +1,183 @@
+// Reading Position
+// Remembers where the reader stopped on each page: the paragraph at the top of the
+// viewport (by its text, so small edits to the page don't lose the place), the scroll
+// percentage as a fallback, and the Focus Mode chunk. Stored per URL in chrome.storage.local.
+
+class ReadingPosition {
+  constructor(options = {}) {
+    this.storageKey = 'cogniread_positions';
+    this.maxEntries = 500;
+    this.getText = options.getText || ((element) => element.textContent);
+    this.blockSelector = 'p, h1, h2, h3, h4, h5, h6, li, blockquote, pre';
+    this.skipSelector = '.cogniread-tldr-container, .cogniread-df-article-meta';
+    this.writeQueue = Promise.resolve(); // Serializes read-modify-write updates
+  }
+
+  isAvailable() {
+    return typeof chrome !== 'undefined' && !!(chrome.storage && chrome.storage.local);
+  }
+
+  // Fragments are in-page jumps, not different articles
+  buildKey(url) {
+    return url.split('#')[0];
+  }
+
+  async load() {
+    if (!this.isAvailable()) return {};
+    const result = await chrome.storage.local.get([this.storageKey]);
+    return result[this.storageKey] || {};
+  }
+
+  async get(url) {
+    const positions = await this.load();
+    return positions[this.buildKey(url)] || null;
+  }
+
+  update(mutator) {
+    this.writeQueue = this.writeQueue
+      .then(async () => {
+        const positions = await this.load();
+        const result = mutator(positions);
+        await chrome.storage.local.set({ [this.storageKey]: positions });
+        return result;
+      })
+      .catch((error) => {
+        console.error('❌ Reading position update failed:', error);
+        return null;
+      });
+    return this.writeQueue;
+  }
+
+  async save(url, position) {
+    if (!this.isAvailable()) return null;
+    const key = this.buildKey(url);
+    return this.update(positions => {
+      positions[key] = { ...position, updatedAt: Date.now() };
+      this.prune(positions);
+      return positions[key];
+    });
+  }
+
+  async remove(url) {
+    const key = this.buildKey(url);
+    return this.update(positions => {
+      delete positions[key];
+    });
+  }
+
+  // Forget the pages read longest ago once the list is full
+  prune(positions) {
+    const keys = Object.keys(positions);
+    if (keys.length <= this.maxEntries) return;
+
+    keys
+      .sort((a, b) => positions[a].updatedAt - positions[b].updatedAt)
+      .slice(0, keys.length - this.maxEntries)
+      .forEach(key => delete positions[key]);
+  }
+
+  // ===== Text anchors =====
+
+  getBlocks(root) {
+    return Array.from(root.querySelectorAll(this.blockSelector)).filter(element => {
+      if (element.closest(this.skipSelector)) return false;
+      // Innermost blocks only (a <li> holding a <p> is anchored by the <p>)
+      if (element.querySelector(this.blockSelector)) return false;
+      return this.fingerprint(this.getText(element)).length >= 20;
+    });
+  }
+
+  fingerprint(text) {
+    return (text || '').toLowerCase().replace(/\s+/g, ' ').trim().substring(0, 160);
+  }
+
+  // The first block not yet scrolled past, and how far into it the reader is.
+  // viewportTop is the top edge of the scrolling area in client coordinates.
+  capture(root, viewportTop = 0) {
+    const blocks = this.getBlocks(root);
+
+    for (let index = 0; index < blocks.length; index++) {
+      const rect = blocks[index].getBoundingClientRect();
+      if (rect.height === 0 || rect.bottom <= viewportTop + 10) continue;
+
+      return {
+        text: this.fingerprint(this.getText(blocks[index])),
+        offset: rect.top < viewportTop ? Math.min(1, (viewportTop - rect.top) / rect.height) : 0,
+        index,
+        count: blocks.length
+      };
+    }
+
+    return null;
+  }
+
+  // Finds the anchored block again: exact text first, then the most similar block,
+  // preferring one near the same relative position in the article
+  locate(root, anchor) {
+    if (!anchor || !anchor.text) return null;
+
+    const blocks = this.getBlocks(root);
+    if (blocks.length === 0) return null;
+
+    const fingerprints = blocks.map(element => this.fingerprint(this.getText(element)));
+    const expectedIndex = anchor.count > 1 ? (anchor.index / (anchor.count - 1)) * (blocks.length - 1) : 0;
+    const distance = (index) => Math.abs(index - expectedIndex) / blocks.length;
+
+    const exact = fingerprints
+      .map((text, index) => ({ text, index }))
+      .filter(({ text }) => text === anchor.text)
+      .sort((a, b) => distance(a.index) - distance(b.index))[0];
+    if (exact) {
+      return { element: blocks[exact.index], offset: anchor.offset || 0 };
+    }
+
+    let best = null;
+    fingerprints.forEach((text, index) => {
+      const score = this.similarity(text, anchor.text) - distance(index) * 0.2;
+      if (!best || score > best.score) best = { index, score };
+    });
+
+    if (best && best.score >= 0.5) {
+      return { element: blocks[best.index], offset: anchor.offset || 0 };
+    }
+    return null;
+  }
+
+  // Share of words in common (Dice coefficient over word sets)
+  similarity(a, b) {
+    const wordsA = new Set(a.split(' ').filter(Boolean));
+    const wordsB = new Set(b.split(' ').filter(Boolean));
+    if (wordsA.size === 0 || wordsB.size === 0) return 0;
+
+    let shared = 0;
+    wordsA.forEach(word => {
+      if (wordsB.has(word)) shared++;
+    });
+    return (2 * shared) / (wordsA.size + wordsB.size);
+  }
+
+  // Index of the Focus Mode chunk matching the saved one, or the saved index if none does
+  locateChunk(chunks, position) {
+    if (!chunks.length) return 0;
+
+    const savedIndex = Math.min(position.focusIndex || 0, chunks.length - 1);
+    if (!position.focusText) return savedIndex;
+
+    let best = { index: savedIndex, score: 0 };
+    chunks.forEach((chunk, index) => {
+      const text = this.fingerprint(this.getText(chunk.element));
+      const score = text === position.focusText ? 2 : this.similarity(text, position.focusText);
+      const closer = Math.abs(index - savedIndex) < Math.abs(best.index - savedIndex);
+      if (score > best.score || (score === best.score && score > 0 && closer)) {
+        best = { index, score };
+      }
+    });
+
+    return best.score >= 0.5 ? best.index : savedIndex;
+  }
+}
+
+// Export for use in content script
+if (typeof window !== 'undefined') {
+  window.ReadingPosition = ReadingPosition;
+}
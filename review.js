@@ -0,0 +1,203 @@
+document.addEventListener('DOMContentLoaded', async function() {
+  const reviewer = new SpacedRepetition();
+  const themeToggle = document.getElementById('themeToggle');
+  const session = document.getElementById('session');
+  const card = document.getElementById('card');
+  const cardKind = document.getElementById('cardKind');
+  const cardContext = document.getElementById('cardContext');
+  const cardQuestion = document.getElementById('cardQuestion');
+  const cardAnswer = document.getElementById('cardAnswer');
+  const cardSource = document.getElementById('cardSource');
+  const revealActions = document.getElementById('revealActions');
+  const revealBtn = document.getElementById('revealBtn');
+  const gradeActions = document.getElementById('gradeActions');
+  const progressText = document.getElementById('progressText');
+  const remainingText = document.getElementById('remainingText');
+  const doneState = document.getElementById('doneState');
+  const doneTitle = document.getElementById('doneTitle');
+  const doneText = document.getElementById('doneText');
+
+  const intervalLabels = {
+    1: document.getElementById('intervalAgain'),
+    3: document.getElementById('intervalHard'),
+    4: document.getElementById('intervalGood'),
+    5: document.getElementById('intervalEasy')
+  };
+
+  let queue = [];
+  let current = null;
+  let reviewedCount = 0;
+  let busy = false;
+
+  initializeTheme();
+
+  queue = await reviewer.getDueCards();
+  showNext();
+
+  revealBtn.addEventListener('click', reveal);
+
+  gradeActions.querySelectorAll('[data-quality]').forEach(button => {
+    button.addEventListener('click', () => grade(parseInt(button.dataset.quality, 10)));
+  });
+
+  document.addEventListener('keydown', (e) => {
+    if (!current || e.ctrlKey || e.metaKey || e.altKey) return;
+
+    if ((e.key === ' ' || e.key === 'Enter') && !card.classList.contains('revealed')) {
+      e.preventDefault();
+      reveal();
+      return;
+    }
+
+    const quality = { 1: 1, 2: 3, 3: 4, 4: 5 }[e.key];
+    if (quality && card.classList.contains('revealed')) {
+      e.preventDefault();
+      grade(quality);
+    }
+  });
+
+  themeToggle.addEventListener('click', () => {
+    const isDark = document.body.classList.contains('dark-theme');
+    setTheme(isDark ? 'light' : 'dark');
+  });
+
+  function showNext() {
+    current = queue.shift() || null;
+
+    if (!current) {
+      showDone();
+      return;
+    }
+
+    session.style.display = 'block';
+    doneState.style.display = 'none';
+    card.classList.remove('revealed');
+    card.classList.toggle('idiom', current.kind === 'idiom');
+    revealActions.style.display = 'flex';
+    gradeActions.style.display = 'none';
+
+    const isIdiom = current.kind === 'idiom';
+    cardKind.textContent = isIdiom ? 'Idiom' : 'Word';
+    cardQuestion.textContent = isIdiom
+      ? `What does "${current.term}" really mean here?`
+      : `What does "${current.term}" mean in this sentence?`;
+
+    cardContext.innerHTML = '';
+    appendHighlighted(cardContext, current.context || current.term, current.term);
+
+    progressText.textContent = `Reviewed ${reviewedCount}`;
+    remainingText.textContent = `${queue.length + 1} left`;
+  }
+
+  function reveal() {
+    if (!current) return;
+
+    card.classList.add('revealed');
+    revealActions.style.display = 'none';
+    gradeActions.style.display = 'flex';
+
+    cardAnswer.textContent = current.definition || 'No definition was saved for this one.';
+
+    cardSource.innerHTML = '';
+    if (current.url) {
+      cardSource.appendChild(document.createTextNode('From '));
+      const link = document.createElement('a');
+      link.href = current.url;
+      link.target = '_blank';
+      link.rel = 'noopener';
+      link.textContent = current.title || current.url;
+      cardSource.appendChild(link);
+    }
+
+    // Preview where each grade would schedule the card
+    Object.keys(intervalLabels).forEach(quality => {
+      const preview = reviewer.schedule(current.schedule, parseInt(quality, 10));
+      intervalLabels[quality].textContent = reviewer.describeInterval(preview);
+    });
+  }
+
+  async function grade(quality) {
+    if (!current || busy) return;
+    busy = true;
+
+    const state = await reviewer.grade(current.id, quality);
+    reviewedCount++;
+
+    // Forgotten cards come back at the end of this session
+    if (state && quality < 3) {
+      queue.push({ ...current, schedule: state });
+    }
+
+    busy = false;
+    showNext();
+  }
+
+  async function showDone() {
+    session.style.display = 'none';
+    doneState.style.display = 'block';
+
+    const cards = await reviewer.getCards();
+    if (cards.length === 0) {
+      doneTitle.textContent = 'Nothing to review yet';
+      doneText.textContent = 'Look up words with Show Definitions or hover idioms in Literal Language mode, and they will show up here.';
+      return;
+    }
+
+    doneTitle.textContent = reviewedCount > 0 ? `🎉 Done! You reviewed ${reviewedCount} card${reviewedCount === 1 ? '' : 's'}.` : 'All caught up';
+
+    const nextDue = await reviewer.getNextDue();
+    const unseen = cards.filter(c => !c.schedule).length;
+    if (nextDue) {
+      doneText.textContent = `Next review: ${new Date(nextDue).toLocaleString()}.`;
+    } else if (unseen > 0) {
+      doneText.textContent = `${unseen} new card${unseen === 1 ? '' : 's'} will be introduced tomorrow.`;
+    } else {
+      doneText.textContent = '';
+    }
+  }
+
+  // Mark the word or idiom inside its sentence
+  function appendHighlighted(container, text, term) {
+    const index = text.toLowerCase().indexOf(term.toLowerCase());
+    if (index === -1) {
+      container.textContent = text;
+      return;
+    }
+
+    const mark = document.createElement('mark');
+    mark.textContent = text.substring(index, index + term.length);
+    container.appendChild(document.createTextNode(text.substring(0, index)));
+    container.appendChild(mark);
+    container.appendChild(document.createTextNode(text.substring(index + term.length)));
+  }
+
+  function initializeTheme() {
+    chrome.storage.sync.get(['cogniread_theme'], function(result) {
+      let theme = result.cogniread_theme || 'system';
+
+      if (theme === 'system') {
+        const prefersDark = window.matchMedia('(prefers-color-scheme: dark)').matches;
+        theme = prefersDark ? 'dark' : 'light';
+      }
+
+      applyTheme(theme);
+    });
+  }
+
+  function setTheme(theme) {
+    applyTheme(theme);
+    chrome.storage.sync.set({ cogniread_theme: theme });
+  }
+
+  function applyTheme(theme) {
+    if (theme === 'dark') {
+      document.body.classList.add('dark-theme');
+      themeToggle.textContent = '☀️';
+      themeToggle.title = 'Switch to light theme';
+    } else {
+      document.body.classList.remove('dark-theme');
+      themeToggle.textContent = '🌙';
+      themeToggle.title = 'Switch to dark theme';
+    }
+  }
+});
@@ -0,0 +1,134 @@
+// Spaced Repetition
+// SM-2 review schedule for the vocabulary notebook. Cards are the saved words and idioms;
+// their schedules live under a separate key so the notebook stays a plain list of lookups.
+
+class SpacedRepetition {
+  constructor(options = {}) {
+    this.vocabularyStore = options.vocabularyStore || new VocabularyStore();
+    this.storageKey = 'cogniread_review';
+    this.newCardsPerDay = options.newCardsPerDay || 20;
+    this.relearnDelay = 10 * 60 * 1000; // Failed cards come back in the same session
+    this.dayMs = 24 * 60 * 60 * 1000;
+    this.writeQueue = Promise.resolve();
+  }
+
+  isAvailable() {
+    return typeof chrome !== 'undefined' && !!(chrome.storage && chrome.storage.local);
+  }
+
+  async loadSchedules() {
+    if (!this.isAvailable()) return {};
+    const result = await chrome.storage.local.get([this.storageKey]);
+    return result[this.storageKey] || {};
+  }
+
+  // Vocabulary entries joined with their schedule (null for cards never reviewed)
+  async getCards() {
+    const [entries, schedules] = await Promise.all([this.vocabularyStore.getAll(), this.loadSchedules()]);
+    return entries.map(entry => ({ ...entry, schedule: schedules[entry.id] || null }));
+  }
+
+  // Overdue cards first, then today's share of new cards (oldest lookups first)
+  async getDueCards(now = Date.now()) {
+    const cards = await this.getCards();
+    const due = cards
+      .filter(card => card.schedule && card.schedule.due <= now)
+      .sort((a, b) => a.schedule.due - b.schedule.due);
+
+    const newCards = cards
+      .filter(card => !card.schedule)
+      .sort((a, b) => a.addedAt - b.addedAt)
+      .slice(0, await this.getNewCardAllowance(cards, now));
+
+    return [...due, ...newCards];
+  }
+
+  async countDue(now = Date.now()) {
+    return (await this.getDueCards(now)).length;
+  }
+
+  // New cards introduced today count against the daily limit
+  async getNewCardAllowance(cards, now) {
+    const startOfDay = new Date(now).setHours(0, 0, 0, 0);
+    const introducedToday = cards.filter(card => card.schedule && card.schedule.introducedAt >= startOfDay).length;
+    return Math.max(0, this.newCardsPerDay - introducedToday);
+  }
+
+  // SM-2. quality: 0-5, below 3 counts as forgotten
+  schedule(previous, quality, now = Date.now()) {
+    const state = previous
+      ? { ...previous }
+      : { repetitions: 0, interval: 0, ease: 2.5, introducedAt: now, reviews: 0, lapses: 0 };
+
+    state.ease = Math.max(1.3, state.ease + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02)));
+    state.reviews++;
+    state.lastReviewed = now;
+
+    if (quality < 3) {
+      if (state.repetitions > 0) state.lapses++;
+      state.repetitions = 0;
+      state.interval = 0;
+      state.due = now + this.relearnDelay;
+      return state;
+    }
+
+    if (state.repetitions === 0) {
+      state.interval = 1;
+    } else if (state.repetitions === 1) {
+      state.interval = 6;
+    } else {
+      state.interval = Math.round(state.interval * state.ease);
+    }
+    state.repetitions++;
+    state.due = now + state.interval * this.dayMs;
+    return state;
+  }
+
+  async grade(id, quality) {
+    this.writeQueue = this.writeQueue
+      .then(async () => {
+        const [schedules, entries] = await Promise.all([this.loadSchedules(), this.vocabularyStore.load()]);
+        schedules[id] = this.schedule(schedules[id], quality);
+
+        // Forget schedules of words deleted from the notebook
+        Object.keys(schedules).forEach(key => {
+          if (!entries[key]) delete schedules[key];
+        });
+
+        await chrome.storage.local.set({ [this.storageKey]: schedules });
+        return schedules[id];
+      })
+      .catch((error) => {
+        console.error('❌ Review update failed:', error);
+        return null;
+      });
+    return this.writeQueue;
+  }
+
+  // "10 min", "1 day", "3 weeks" - shown on the grade buttons
+  describeInterval(state, now = Date.now()) {
+    const ms = state.due - now;
+    const minutes = Math.round(ms / 60000);
+    if (minutes < 60) return `${Math.max(1, minutes)} min`;
+
+    const days = Math.round(ms / this.dayMs);
+    if (days < 1) return `${Math.round(minutes / 60)} h`;
+    if (days < 14) return `${days} day${days === 1 ? '' : 's'}`;
+    if (days < 60) return `${Math.round(days / 7)} weeks`;
+    return `${Math.round(days / 30)} months`;
+  }
+
+  // Earliest upcoming due time, for the "all done" screen
+  async getNextDue(now = Date.now()) {
+    const cards = await this.getCards();
+    const upcoming = cards
+      .filter(card => card.schedule && card.schedule.due > now)
+      .map(card => card.schedule.due);
+    return upcoming.length ? Math.min(...upcoming) : null;
+  }
+}
+
+// Export for use in extension pages and the background worker
+if (typeof window !== 'undefined') {
+  window.SpacedRepetition = SpacedRepetition;
+}
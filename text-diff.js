@@ -0,0 +1,111 @@
+// Text Diff
+// Word-level diff between a paragraph's original text and its AI rewrite, used by the
+// compare view so readers can see exactly what a simplification changed.
+
+class TextDiff {
+  constructor(options = {}) {
+    // LCS is O(n*m) - above this many cells the middle section is shown as replaced
+    this.maxCells = options.maxCells || 250000;
+  }
+
+  // Words keep their trailing whitespace so the diff can be rendered back verbatim
+  tokenize(text) {
+    return (text || '').match(/\S+\s*/g) || [];
+  }
+
+  // Returns [{ type: 'equal' | 'delete' | 'insert', text }]
+  diffWords(original, rewritten) {
+    const a = this.tokenize(original);
+    const b = this.tokenize(rewritten);
+    const key = (token) => token.trim();
+
+    // Skip the common prefix and suffix - rewrites often keep the start or end intact
+    let start = 0;
+    while (start < a.length && start < b.length && key(a[start]) === key(b[start])) {
+      start++;
+    }
+    let endA = a.length;
+    let endB = b.length;
+    while (endA > start && endB > start && key(a[endA - 1]) === key(b[endB - 1])) {
+      endA--;
+      endB--;
+    }
+
+    const ops = [];
+    a.slice(0, start).forEach(token => ops.push({ type: 'equal', text: token }));
+    this.diffMiddle(a.slice(start, endA), b.slice(start, endB), key).forEach(op => ops.push(op));
+    a.slice(endA).forEach(token => ops.push({ type: 'equal', text: token }));
+
+    return this.mergeOps(ops);
+  }
+
+  diffMiddle(a, b, key) {
+    const ops = [];
+    const n = a.length;
+    const m = b.length;
+
+    if (n * m > this.maxCells) {
+      a.forEach(token => ops.push({ type: 'delete', text: token }));
+      b.forEach(token => ops.push({ type: 'insert', text: token }));
+      return ops;
+    }
+
+    // lengths[i][j] = LCS length of a[i..] and b[j..]
+    const lengths = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+    for (let i = n - 1; i >= 0; i--) {
+      for (let j = m - 1; j >= 0; j--) {
+        lengths[i][j] = key(a[i]) === key(b[j])
+          ? lengths[i + 1][j + 1] + 1
+          : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+      }
+    }
+
+    let i = 0;
+    let j = 0;
+    while (i < n && j < m) {
+      if (key(a[i]) === key(b[j])) {
+        ops.push({ type: 'equal', text: b[j] });
+        i++;
+        j++;
+      } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+        ops.push({ type: 'delete', text: a[i++] });
+      } else {
+        ops.push({ type: 'insert', text: b[j++] });
+      }
+    }
+    while (i < n) ops.push({ type: 'delete', text: a[i++] });
+    while (j < m) ops.push({ type: 'insert', text: b[j++] });
+
+    return ops;
+  }
+
+  mergeOps(ops) {
+    const merged = [];
+    ops.forEach(op => {
+      const last = merged[merged.length - 1];
+      if (last && last.type === op.type) {
+        last.text += op.text;
+      } else {
+        merged.push({ ...op });
+      }
+    });
+    return merged;
+  }
+
+  // Share of original words that survived the rewrite (0-1)
+  similarity(ops) {
+    let kept = 0;
+    let removed = 0;
+    ops.forEach(op => {
+      const words = this.tokenize(op.text).length;
+      if (op.type === 'equal') kept += words;
+      if (op.type === 'delete') removed += words;
+    });
+    return kept + removed === 0 ? 1 : kept / (kept + removed);
+  }
+}
+
+// Export for use in content script
+if (typeof window !== 'undefined') {
+  window.TextDiff = TextDiff;
+}
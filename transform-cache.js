@@ -0,0 +1,183 @@
+// Transform Cache
+// Persistent LRU cache for AI transformations (simplify, tone, active voice, definitions...)
+// Entries live in chrome.storage.local so revisiting a page or re-toggling a mode is instant
+// and doesn't spend model quota.
+
+class TransformCache {
+  constructor(options = {}) {
+    this.maxEntries = options.maxEntries || 2000;
+    this.maxBytes = options.maxBytes || 4 * 1024 * 1024; // Leave room for other local data
+    this.indexKey = 'cogniread_cache_index';
+    this.entryPrefix = 'cogniread_cache_';
+
+    // In-memory copy of the index: { key: [sizeInBytes, lastUsed] }
+    this.index = null;
+    this.indexLoading = null;
+    this.removedKeys = new Set();
+    this.writeTimer = null;
+  }
+
+  isAvailable() {
+    return typeof chrome !== 'undefined' && !!(chrome.storage && chrome.storage.local);
+  }
+
+  // Key = transformation type + parameters + hash of the source text
+  buildKey(type, params, text) {
+    const paramString = Object.keys(params || {})
+      .sort()
+      .map(name => `${name}=${params[name]}`)
+      .join('&');
+    return `${type}|${paramString}|${this.hashText(text)}${text.length.toString(36)}`;
+  }
+
+  // cyrb53 - fast, well-distributed 53-bit string hash (crypto.subtle is not available on http pages)
+  hashText(text) {
+    let h1 = 0xdeadbeef;
+    let h2 = 0x41c6ce57;
+    for (let i = 0; i < text.length; i++) {
+      const ch = text.charCodeAt(i);
+      h1 = Math.imul(h1 ^ ch, 2654435761);
+      h2 = Math.imul(h2 ^ ch, 1597334677);
+    }
+    h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+    h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+    return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(36);
+  }
+
+  async loadIndex() {
+    if (this.index) return this.index;
+    if (!this.indexLoading) {
+      this.indexLoading = chrome.storage.local.get([this.indexKey]).then((result) => {
+        this.index = result[this.indexKey] || {};
+        return this.index;
+      });
+    }
+    return this.indexLoading;
+  }
+
+  async get(type, params, text) {
+    if (!this.isAvailable() || !text) return null;
+
+    try {
+      const key = this.buildKey(type, params, text);
+      const storageKey = this.entryPrefix + key;
+
+      // Read the entry directly - another tab may have cached it since our index was loaded
+      const result = await chrome.storage.local.get([storageKey]);
+      const value = result[storageKey];
+      if (value === undefined) return null;
+
+      const index = await this.loadIndex();
+      index[key] = [index[key] ? index[key][0] : value.length * 2, Date.now()];
+      this.removedKeys.delete(key);
+      this.scheduleIndexWrite();
+
+      console.log(`💾 Cache hit: ${type}`);
+      return value;
+    } catch (error) {
+      this.handleStorageError(error, 'reading');
+      return null;
+    }
+  }
+
+  async set(type, params, text, value) {
+    if (!this.isAvailable() || !text || typeof value !== 'string' || !value) return;
+
+    try {
+      const key = this.buildKey(type, params, text);
+      const size = (key.length + value.length) * 2; // UTF-16 estimate
+
+      await chrome.storage.local.set({ [this.entryPrefix + key]: value });
+
+      const index = await this.loadIndex();
+      index[key] = [size, Date.now()];
+      this.removedKeys.delete(key);
+
+      await this.evict();
+      this.scheduleIndexWrite();
+    } catch (error) {
+      this.handleStorageError(error, 'writing');
+    }
+  }
+
+  // Drop least-recently-used entries until we're back under both limits
+  async evict() {
+    const index = await this.loadIndex();
+    const keys = Object.keys(index);
+    let totalBytes = keys.reduce((sum, key) => sum + index[key][0], 0);
+
+    if (keys.length <= this.maxEntries && totalBytes <= this.maxBytes) return;
+
+    keys.sort((a, b) => index[a][1] - index[b][1]);
+
+    const evicted = [];
+    let count = keys.length;
+    for (const key of keys) {
+      if (count <= this.maxEntries && totalBytes <= this.maxBytes) break;
+      totalBytes -= index[key][0];
+      count--;
+      evicted.push(key);
+      delete index[key];
+      this.removedKeys.add(key);
+    }
+
+    await chrome.storage.local.remove(evicted.map(key => this.entryPrefix + key));
+    console.log(`🧹 Cache evicted ${evicted.length} least-recently-used entries`);
+  }
+
+  // Index writes are batched - every cache hit touches lastUsed
+  scheduleIndexWrite() {
+    if (this.writeTimer) return;
+    this.writeTimer = setTimeout(() => {
+      this.writeTimer = null;
+      this.flushIndex();
+    }, 1000);
+  }
+
+  async flushIndex() {
+    try {
+      // Merge with the stored index so entries added by other tabs aren't forgotten
+      const result = await chrome.storage.local.get([this.indexKey]);
+      const stored = result[this.indexKey] || {};
+      const index = await this.loadIndex();
+
+      Object.keys(stored).forEach(key => {
+        if (this.removedKeys.has(key)) return;
+        if (!index[key] || stored[key][1] > index[key][1]) {
+          index[key] = stored[key];
+        }
+      });
+      this.removedKeys.clear();
+
+      await this.evict();
+      await chrome.storage.local.set({ [this.indexKey]: index });
+    } catch (error) {
+      this.handleStorageError(error, 'saving the index of');
+    }
+  }
+
+  async clear() {
+    if (!this.isAvailable()) return;
+
+    const all = await chrome.storage.local.get(null);
+    const keys = Object.keys(all).filter(key => key === this.indexKey || key.startsWith(this.entryPrefix));
+    await chrome.storage.local.remove(keys);
+
+    this.index = {};
+    this.removedKeys.clear();
+    console.log(`🧹 Cleared ${keys.length} cached transformations`);
+  }
+
+  handleStorageError(error, action) {
+    if (error.message && error.message.includes('Extension context invalidated')) {
+      console.warn(`⚠️ CogniRead: Extension was reloaded. Skipped ${action} the transformation cache.`);
+    } else {
+      console.error(`Error ${action} the transformation cache:`, error);
+    }
+  }
+}
+
+// Export for use in content script
+if (typeof window !== 'undefined') {
+  window.TransformCache = TransformCache;
+}
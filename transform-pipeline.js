@@ -0,0 +1,380 @@
+// Transform Pipeline
+// Applies an ordered chain of text transformations (plain language, simplify, expand,
+// restructure, active voice, tone) to each paragraph. The true original of a paragraph
+// is recorded once and every output is re-derived from it, so turning one transform
+// off keeps the others and never restores a half-transformed state.
+
+class TransformPipeline {
+  constructor(options = {}) {
+    this.escapeHtml = options.escapeHtml || ((text) => {
+      const div = document.createElement('div');
+      div.textContent = text;
+      return div.innerHTML;
+    });
+
+    this.transforms = []; // Registered transforms, in chain order
+    this.active = new Map(); // transform id -> params of enabled transforms
+    this.records = new Map(); // paragraph element -> { originalHTML, originalText, outputs }
+    this.excluded = new Set(); // Paragraphs the reader reverted to their original
+    this.job = null; // Lazy render job in progress
+  }
+
+  // transform: { id, label, className, apply: async (text, params, { signal }) => string }
+  // label may be a string or a function of the transform's params
+  register(transform) {
+    this.transforms.push(transform);
+  }
+
+  // Enable a transform with params, or disable it with null
+  setTransform(id, params) {
+    if (params === null || params === undefined) {
+      this.active.delete(id);
+    } else {
+      this.active.set(id, params);
+    }
+  }
+
+  isActive(id) {
+    return this.active.has(id);
+  }
+
+  hasActiveTransforms() {
+    return this.active.size > 0;
+  }
+
+  // Enabled transforms in chain order with a signature for each chain prefix
+  getChain() {
+    const chain = [];
+    let signature = '';
+    this.transforms.forEach(transform => {
+      if (!this.active.has(transform.id)) return;
+      const params = this.active.get(transform.id);
+      signature += `>${transform.id}:${JSON.stringify(params)}`;
+      chain.push({ transform, params, signature });
+    });
+    return chain;
+  }
+
+  // Combined label of the active chain, e.g. "✨ Simplified (ELI5) · 🎵 Tone: formal"
+  getLabel(chain = this.getChain()) {
+    return chain.map(step => {
+      const label = step.transform.label;
+      return typeof label === 'function' ? label(step.params) : label;
+    }).join(' · ');
+  }
+
+  getRecord(element) {
+    return this.records.get(element) || null;
+  }
+
+  getTransformedElements() {
+    return Array.from(this.records.keys());
+  }
+
+  // Output of the active chain for a paragraph, if it has been computed
+  getOutput(element) {
+    const record = this.records.get(element);
+    const chain = this.getChain();
+    if (!record || chain.length === 0) return null;
+    return record.outputs.get(chain[chain.length - 1].signature) || null;
+  }
+
+  // Output of one transform of the active chain for a paragraph (the chain up to and
+  // including it), or null when it isn't in the chain or hasn't been computed
+  getStepOutput(element, id) {
+    const record = this.records.get(element);
+    const step = this.getChain().find(step => step.transform.id === id);
+    if (!record || !step) return null;
+    return record.outputs.get(step.signature) || null;
+  }
+
+  // Keep a single paragraph original while the chain stays on for the rest
+  exclude(element) {
+    this.excluded.add(element);
+    const record = this.records.get(element);
+    if (record) {
+      this.resetElement(element, record);
+      element.classList.add('cogniread-transform-excluded');
+    }
+  }
+
+  include(element) {
+    this.excluded.delete(element);
+    element.classList.remove('cogniread-transform-excluded');
+  }
+
+  isExcluded(element) {
+    return this.excluded.has(element);
+  }
+
+  // Record the untouched paragraph the first time any transform reaches it
+  ensureRecord(element) {
+    let record = this.records.get(element);
+    if (!record) {
+      record = {
+        originalHTML: element.innerHTML,
+        originalText: element.textContent.trim(),
+        outputs: new Map() // chain prefix signature -> text
+      };
+      this.records.set(element, record);
+      element.dataset.originalText = record.originalText;
+    }
+    return record;
+  }
+
+  // Whether the current chain output for an element is already known (no model call needed)
+  isRenderCached(element) {
+    const record = this.records.get(element);
+    const chain = this.getChain();
+    if (chain.length === 0 || this.excluded.has(element)) return true;
+    return !!record && record.outputs.has(chain[chain.length - 1].signature);
+  }
+
+  // Re-derive one paragraph: original -> each active transform in order
+  async render(element, { signal } = {}) {
+    const chain = this.getChain();
+    if (chain.length === 0) {
+      this.restore(element);
+      return true;
+    }
+
+    const record = this.ensureRecord(element);
+    if (this.excluded.has(element)) {
+      this.resetElement(element, record);
+      element.classList.add('cogniread-transform-excluded');
+      return false;
+    }
+
+    let text = record.originalText;
+
+    for (const step of chain) {
+      if (record.outputs.has(step.signature)) {
+        text = record.outputs.get(step.signature);
+        continue;
+      }
+
+      const output = await step.transform.apply(text, step.params, { signal });
+
+      // Transforms fall back to cheap heuristics when aborted - don't keep those
+      if (signal && signal.aborted) return false;
+
+      text = (output || '').trim() || text;
+      record.outputs.set(step.signature, text);
+    }
+
+    this.writeOutput(element, text, chain);
+    return true;
+  }
+
+  writeOutput(element, text, chain) {
+    this.transforms.forEach(transform => element.classList.remove(transform.className));
+    chain.forEach(step => element.classList.add(step.transform.className));
+
+    element.innerHTML = this.escapeHtml(text);
+    element.classList.add('cogniread-transformed');
+    element.dataset.cognireadLabel = this.getLabel(chain);
+  }
+
+  // Put the original markup back, keeping the record and its memoized outputs
+  resetElement(element, record) {
+    this.transforms.forEach(transform => element.classList.remove(transform.className));
+    element.classList.remove('cogniread-transformed');
+    element.innerHTML = record.originalHTML;
+    delete element.dataset.cognireadLabel;
+  }
+
+  // Put the original markup back and forget the paragraph
+  restore(element) {
+    const record = this.records.get(element);
+    if (!record) return;
+
+    this.resetElement(element, record);
+    element.classList.remove('cogniread-transform-excluded');
+    delete element.dataset.originalText;
+
+    this.records.delete(element);
+  }
+
+  restoreAll() {
+    this.cancel();
+    this.getTransformedElements().forEach(element => this.restore(element));
+  }
+
+  // Forget paragraphs the page removed (e.g. after a single-page app changed route)
+  prune() {
+    this.getTransformedElements().forEach(element => {
+      if (!element.isConnected) {
+        this.records.delete(element);
+        this.excluded.delete(element);
+      }
+    });
+  }
+
+  // Turn every transform off and put all paragraphs back
+  clear() {
+    this.active.clear();
+    this.restoreAll();
+    this.excluded.clear();
+  }
+
+  // ===== Lazy rendering =====
+  // Paragraphs are rendered when they come near the viewport, one at a time, so long
+  // articles don't block and work can be cancelled through an AbortController.
+
+  schedule(elements, callbacks = {}) {
+    this.cancel();
+
+    const job = {
+      controller: new AbortController(),
+      pending: new Set(elements),
+      queue: [],
+      total: elements.length,
+      done: 0,
+      running: false,
+      observer: null,
+      callbacks
+    };
+    this.job = job;
+
+    elements.forEach(element => element.classList.add('cogniread-transform-pending'));
+
+    job.observer = new IntersectionObserver((entries) => {
+      entries.forEach(entry => {
+        if (entry.isIntersecting) {
+          this.enqueue(entry.target);
+        }
+      });
+    }, { rootMargin: '300px 0px' }); // Start slightly before the paragraph is visible
+
+    elements.forEach(element => job.observer.observe(element));
+    return job;
+  }
+
+  // Add more paragraphs to the running job (e.g. content that appeared later)
+  extend(elements) {
+    const job = this.job;
+    if (!job) return;
+
+    elements.forEach(element => {
+      if (job.pending.has(element)) return;
+      job.pending.add(element);
+      job.total++;
+      element.classList.add('cogniread-transform-pending');
+      job.observer.observe(element);
+    });
+
+    if (job.callbacks.onProgress) job.callbacks.onProgress(job);
+  }
+
+  // Render a paragraph ahead of scroll order (e.g. the current focus mode chunk)
+  prioritize(element) {
+    this.enqueue(element, true);
+  }
+
+  enqueue(element, priority = false) {
+    const job = this.job;
+    if (!job || !job.pending.has(element)) return;
+
+    const queued = job.queue.indexOf(element);
+    if (queued !== -1) {
+      if (!priority) return;
+      job.queue.splice(queued, 1);
+    }
+
+    job.observer.unobserve(element);
+    if (priority) {
+      job.queue.unshift(element);
+    } else {
+      job.queue.push(element);
+    }
+
+    this.processQueue(job);
+  }
+
+  async processQueue(job) {
+    if (job.running) return;
+    job.running = true;
+
+    const signal = job.controller.signal;
+
+    while (job.queue.length > 0 && !signal.aborted) {
+      const element = job.queue.shift();
+
+      element.classList.remove('cogniread-transform-pending');
+      element.classList.add('cogniread-transform-working');
+
+      let rendered = false;
+      try {
+        rendered = await this.render(element, { signal });
+      } catch (error) {
+        console.error('❌ Failed to transform paragraph:', error);
+      }
+
+      element.classList.remove('cogniread-transform-working');
+      if (signal.aborted) break;
+
+      job.pending.delete(element);
+      job.done++;
+
+      if (rendered && job.callbacks.onRendered) job.callbacks.onRendered(element);
+      if (job.callbacks.onProgress) job.callbacks.onProgress(job);
+    }
+
+    job.running = false;
+
+    if (job.pending.size === 0 && this.job === job) {
+      this.finishJob(job);
+    }
+  }
+
+  // Abort in-flight work. Paragraphs that weren't reached show the active chain's output
+  // if it is already known and their original otherwise, never an earlier chain's output.
+  cancel() {
+    const job = this.job;
+    if (!job) return;
+
+    job.controller.abort();
+    job.pending.forEach(element => {
+      if (this.settle(element) && job.callbacks.onRendered) job.callbacks.onRendered(element);
+    });
+    this.finishJob(job);
+  }
+
+  // Returns true when the active chain's output was written, false when the original was
+  // put back (or the paragraph was left alone)
+  settle(element) {
+    const record = this.records.get(element);
+    if (!record || this.excluded.has(element)) return false;
+
+    const chain = this.getChain();
+    const output = chain.length > 0 ? record.outputs.get(chain[chain.length - 1].signature) : null;
+    if (output) {
+      this.writeOutput(element, output, chain);
+      return true;
+    }
+    this.resetElement(element, record);
+    return false;
+  }
+
+  finishJob(job) {
+    job.observer.disconnect();
+    job.pending.forEach(element => {
+      element.classList.remove('cogniread-transform-pending', 'cogniread-transform-working');
+    });
+    job.pending.clear();
+    job.queue = [];
+
+    if (this.job === job) {
+      this.job = null;
+    }
+
+    if (job.callbacks.onDone) {
+      job.callbacks.onDone(job, job.controller.signal.aborted);
+    }
+  }
+}
+
+// Export for use in content script
+if (typeof window !== 'undefined') {
+  window.TransformPipeline = TransformPipeline;
+}
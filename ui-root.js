@@ -0,0 +1,91 @@
+// UI Root
+// Mounts CogniRead's interface (control panel, bubbles, modals, reader view, focus mode)
+// inside a closed shadow root, so the host page's CSS can't restyle it and its CSS can't
+// restyle the page. styles.css is loaded into the shadow root with page-level selectors
+// rewritten for it: :root and html/body theme classes become :host, and the host mirrors
+// the cogniread-* classes set on <html> and <body>. Inline annotations (definitions,
+// idioms, TL;DR, rewrite markers) are part of the article and stay in the page; their
+// page-styles.css is injected there and loaded here too, for the copies of the article
+// in the reader view and focus mode.
+
+class UIRoot {
+  constructor() {
+    this.hostId = 'cogniread-ui-host';
+    this.host = null;
+    this.root = null;
+    this.classObserver = null;
+    this.stylesheets = ['page-styles.css', 'styles.css'];
+  }
+
+  // Returns the shadow root, creating it on first use
+  async mount() {
+    if (this.root) return this.root;
+
+    const existing = document.getElementById(this.hostId);
+    if (existing) existing.remove(); // Left over from an earlier session on this page
+
+    this.host = document.createElement('div');
+    this.host.id = this.hostId;
+    // Outside <body>: reader view hides the body's children, and body styles don't apply
+    document.documentElement.appendChild(this.host);
+
+    this.root = this.host.attachShadow({ mode: 'closed' });
+
+    // One <style> each, so both files keep their @import rules at the top
+    for (const file of this.stylesheets) {
+      const style = document.createElement('style');
+      style.textContent = await this.loadStylesheet(file);
+      this.root.appendChild(style);
+    }
+
+    this.mirrorPageClasses();
+    this.classObserver = new MutationObserver(() => this.mirrorPageClasses());
+    this.classObserver.observe(document.documentElement, { attributes: true, attributeFilter: ['class'] });
+    this.classObserver.observe(document.body, { attributes: true, attributeFilter: ['class'] });
+
+    return this.root;
+  }
+
+  unmount() {
+    if (this.classObserver) this.classObserver.disconnect();
+    if (this.host) this.host.remove();
+    this.classObserver = null;
+    this.host = null;
+    this.root = null;
+  }
+
+  async loadStylesheet(file) {
+    try {
+      const response = await fetch(chrome.runtime.getURL(file));
+      return this.adaptStylesheet(await response.text());
+    } catch (error) {
+      console.error(`❌ Failed to load ${file} into the UI root:`, error);
+      return '';
+    }
+  }
+
+  adaptStylesheet(css) {
+    // Inside a shadow root, :host only takes extra conditions in its argument: :host(:not(.x))
+    const adapted = css
+      .replace(/:root:not\(([^)]*)\)/g, ':host(:not($1))')
+      .replace(/:root\b/g, ':host')
+      .replace(/(^|[\s,>+~])(?:html|body)\.(cogniread-[\w-]+)/gm, '$1:host(.$2)');
+
+    // Nothing the page sets on <html> (font size, colour, line height) is inherited
+    return `:host { all: initial !important; }\n${adapted}`;
+  }
+
+  // Theme, dyslexia and compare classes live on <html>/<body>; copy them to the host
+  mirrorPageClasses() {
+    if (!this.host) return;
+
+    const classes = [...document.documentElement.classList, ...document.body.classList]
+      .filter(name => name.startsWith('cogniread-'));
+    this.host.className = classes.join(' ');
+  }
+}
+
+// Export for use in content script
+if (typeof window !== 'undefined') {
+  window.UIRoot = UIRoot;
+}
@@ -0,0 +1,139 @@
+// Vocabulary Store
+// Personal notebook of words looked up through Show Definitions and idioms explained by
+// Literal Language. Entries live in chrome.storage.local under one key and are shared by
+// the content script, the vocabulary and review pages and the background worker.
+
+class VocabularyStore {
+  constructor() {
+    this.storageKey = 'cogniread_vocabulary';
+    this.maxEntries = 5000;
+    this.writeQueue = Promise.resolve(); // Serializes read-modify-write updates
+  }
+
+  isAvailable() {
+    return typeof chrome !== 'undefined' && !!(chrome.storage && chrome.storage.local);
+  }
+
+  // One entry per word or idiom, case-insensitive
+  buildId(term, kind = 'word') {
+    const id = term.trim().toLowerCase();
+    return kind === 'idiom' ? `idiom:${id}` : id;
+  }
+
+  async load() {
+    if (!this.isAvailable()) return {};
+    const result = await chrome.storage.local.get([this.storageKey]);
+    return result[this.storageKey] || {};
+  }
+
+  // Newest first
+  async getAll() {
+    const entries = await this.load();
+    return Object.values(entries).sort((a, b) => b.addedAt - a.addedAt);
+  }
+
+  update(mutator) {
+    this.writeQueue = this.writeQueue
+      .then(async () => {
+        const entries = await this.load();
+        const result = mutator(entries);
+        await chrome.storage.local.set({ [this.storageKey]: entries });
+        return result;
+      })
+      .catch((error) => {
+        console.error('❌ Vocabulary update failed:', error);
+        return null;
+      });
+    return this.writeQueue;
+  }
+
+  // Save a lookup. The first sighting keeps its sentence and page; later lookups only count.
+  async add({ term, kind = 'word', definition, context, url, title }) {
+    if (!this.isAvailable() || !term || !term.trim()) return null;
+
+    const id = this.buildId(term, kind);
+    const now = Date.now();
+
+    return this.update(entries => {
+      const existing = entries[id];
+      if (existing) {
+        existing.lookups = (existing.lookups || 1) + 1;
+        existing.lastLookedUp = now;
+        if (!existing.definition && definition) existing.definition = definition;
+        return existing;
+      }
+
+      entries[id] = {
+        id,
+        kind,
+        term: term.trim(),
+        definition: definition || '',
+        context: context || '',
+        url: url || '',
+        title: title || '',
+        addedAt: now,
+        lastLookedUp: now,
+        lookups: 1
+      };
+      this.prune(entries);
+      return entries[id];
+    });
+  }
+
+  async remove(id) {
+    return this.update(entries => {
+      delete entries[id];
+    });
+  }
+
+  async clear() {
+    if (!this.isAvailable()) return;
+    await chrome.storage.local.remove([this.storageKey]);
+  }
+
+  // Drop the least recently looked-up words once the notebook is full
+  prune(entries) {
+    const ids = Object.keys(entries);
+    if (ids.length <= this.maxEntries) return;
+
+    ids
+      .sort((a, b) => entries[a].lastLookedUp - entries[b].lastLookedUp)
+      .slice(0, ids.length - this.maxEntries)
+      .forEach(id => delete entries[id]);
+  }
+
+  // Calls back with the full entry list whenever another tab or page changes it
+  onChange(callback) {
+    if (!this.isAvailable() || !chrome.storage.onChanged) return;
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName === 'local' && changes[this.storageKey]) {
+        this.getAll().then(callback);
+      }
+    });
+  }
+
+  toJSON(entries) {
+    return JSON.stringify(entries, null, 2);
+  }
+
+  // Columns import cleanly into spreadsheets and flashcard apps
+  toCSV(entries) {
+    const columns = ['term', 'kind', 'definition', 'context', 'title', 'url', 'addedAt', 'lookups'];
+    const escape = (value) => {
+      const text = String(value === undefined || value === null ? '' : value);
+      return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    const rows = entries.map(entry => columns.map(column => {
+      const value = column === 'addedAt' ? new Date(entry.addedAt).toISOString() : (entry[column] || (column === 'kind' ? 'word' : ''));
+      return escape(value);
+    }).join(','));
+
+    return [columns.join(','), ...rows].join('\n');
+  }
+}
+
+// Export for use in content script
+if (typeof window !== 'undefined') {
+  window.VocabularyStore = VocabularyStore;
+}
@@ -0,0 +1,220 @@
+document.addEventListener('DOMContentLoaded', async function() {
+  const store = new VocabularyStore();
+  const reviewer = new SpacedRepetition({ vocabularyStore: store });
+  const themeToggle = document.getElementById('themeToggle');
+  const searchInput = document.getElementById('searchInput');
+  const kindSelect = document.getElementById('kindSelect');
+  const sortSelect = document.getElementById('sortSelect');
+  const reviewBtn = document.getElementById('reviewBtn');
+  const exportCsvBtn = document.getElementById('exportCsvBtn');
+  const exportJsonBtn = document.getElementById('exportJsonBtn');
+  const clearBtn = document.getElementById('clearBtn');
+  const summary = document.getElementById('summary');
+  const entryList = document.getElementById('entryList');
+  const emptyState = document.getElementById('emptyState');
+
+  let entries = [];
+
+  initializeTheme();
+
+  entries = await store.getAll();
+  render();
+
+  // Words looked up in other tabs show up without a reload
+  store.onChange((updated) => {
+    entries = updated;
+    render();
+  });
+
+  searchInput.addEventListener('input', render);
+  kindSelect.addEventListener('change', render);
+  sortSelect.addEventListener('change', render);
+
+  reviewBtn.addEventListener('click', () => {
+    window.location.href = 'review.html';
+  });
+
+  exportCsvBtn.addEventListener('click', () => {
+    download('cogniread-vocabulary.csv', store.toCSV(getVisibleEntries()), 'text/csv');
+  });
+
+  exportJsonBtn.addEventListener('click', () => {
+    download('cogniread-vocabulary.json', store.toJSON(getVisibleEntries()), 'application/json');
+  });
+
+  clearBtn.addEventListener('click', async () => {
+    if (!confirm(`Delete all ${entries.length} saved entries? This cannot be undone.`)) return;
+    await store.clear();
+    entries = [];
+    render();
+  });
+
+  themeToggle.addEventListener('click', () => {
+    const isDark = document.body.classList.contains('dark-theme');
+    setTheme(isDark ? 'light' : 'dark');
+  });
+
+  // Search matches the word, its definition and the saved sentence
+  function getVisibleEntries() {
+    const query = searchInput.value.trim().toLowerCase();
+    const kind = kindSelect.value;
+    const visible = entries.filter(entry => {
+      if (kind !== 'all' && (entry.kind || 'word') !== kind) return false;
+      return !query || [entry.term, entry.definition, entry.context, entry.title]
+        .some(value => (value || '').toLowerCase().includes(query));
+    });
+
+    if (sortSelect.value === 'alphabetical') {
+      visible.sort((a, b) => a.term.localeCompare(b.term));
+    } else if (sortSelect.value === 'lookups') {
+      visible.sort((a, b) => (b.lookups || 1) - (a.lookups || 1));
+    } else {
+      visible.sort((a, b) => b.addedAt - a.addedAt);
+    }
+
+    return visible;
+  }
+
+  function render() {
+    const visible = getVisibleEntries();
+
+    const wordLabel = entries.length === 1 ? 'entry' : 'entries';
+    summary.textContent = visible.length === entries.length
+      ? `${entries.length} ${wordLabel} saved`
+      : `Showing ${visible.length} of ${entries.length} ${wordLabel}`;
+    summary.style.display = entries.length ? 'block' : 'none';
+    emptyState.style.display = entries.length ? 'none' : 'block';
+    exportCsvBtn.disabled = visible.length === 0;
+    exportJsonBtn.disabled = visible.length === 0;
+    clearBtn.disabled = entries.length === 0;
+
+    entryList.innerHTML = '';
+    visible.forEach(entry => entryList.appendChild(renderEntry(entry)));
+
+    updateReviewButton();
+  }
+
+  async function updateReviewButton() {
+    const due = await reviewer.countDue();
+    reviewBtn.textContent = due > 0 ? `Review (${due} due)` : 'Review';
+    reviewBtn.disabled = entries.length === 0;
+  }
+
+  function renderEntry(entry) {
+    const item = document.createElement('li');
+    item.className = entry.kind === 'idiom' ? 'entry idiom' : 'entry';
+
+    const term = document.createElement('div');
+    term.className = 'entry-term';
+    term.textContent = entry.term;
+    if (entry.kind === 'idiom') {
+      const kind = document.createElement('span');
+      kind.className = 'entry-kind';
+      kind.textContent = 'idiom';
+      term.appendChild(kind);
+    }
+    if (entry.lookups > 1) {
+      const lookups = document.createElement('span');
+      lookups.className = 'entry-lookups';
+      lookups.textContent = `looked up ${entry.lookups}×`;
+      term.appendChild(lookups);
+    }
+    item.appendChild(term);
+
+    if (entry.definition) {
+      const definition = document.createElement('div');
+      definition.className = 'entry-definition';
+      definition.textContent = entry.definition;
+      item.appendChild(definition);
+    }
+
+    if (entry.context) {
+      const context = document.createElement('div');
+      context.className = 'entry-context';
+      appendHighlighted(context, entry.context, entry.term);
+      item.appendChild(context);
+    }
+
+    const meta = document.createElement('div');
+    meta.className = 'entry-meta';
+    meta.textContent = `${new Date(entry.addedAt).toLocaleDateString()} · `;
+    if (entry.url) {
+      const link = document.createElement('a');
+      link.href = entry.url;
+      link.target = '_blank';
+      link.rel = 'noopener';
+      link.textContent = entry.title || entry.url;
+      meta.appendChild(link);
+    } else {
+      meta.appendChild(document.createTextNode('Unknown page'));
+    }
+    item.appendChild(meta);
+
+    const removeBtn = document.createElement('button');
+    removeBtn.className = 'entry-remove';
+    removeBtn.title = `Delete "${entry.term}"`;
+    removeBtn.textContent = '×';
+    removeBtn.addEventListener('click', async () => {
+      await store.remove(entry.id);
+      entries = entries.filter(e => e.id !== entry.id);
+      render();
+    });
+    item.appendChild(removeBtn);
+
+    return item;
+  }
+
+  // Mark the saved word inside its sentence
+  function appendHighlighted(container, text, term) {
+    const index = text.toLowerCase().indexOf(term.toLowerCase());
+    if (index === -1) {
+      container.textContent = text;
+      return;
+    }
+
+    const mark = document.createElement('mark');
+    mark.textContent = text.substring(index, index + term.length);
+    container.appendChild(document.createTextNode(text.substring(0, index)));
+    container.appendChild(mark);
+    container.appendChild(document.createTextNode(text.substring(index + term.length)));
+  }
+
+  function download(filename, content, type) {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  function initializeTheme() {
+    chrome.storage.sync.get(['cogniread_theme'], function(result) {
+      let theme = result.cogniread_theme || 'system';
+
+      if (theme === 'system') {
+        const prefersDark = window.matchMedia('(prefers-color-scheme: dark)').matches;
+        theme = prefersDark ? 'dark' : 'light';
+      }
+
+      applyTheme(theme);
+    });
+  }
+
+  function setTheme(theme) {
+    applyTheme(theme);
+    chrome.storage.sync.set({ cogniread_theme: theme });
+  }
+
+  function applyTheme(theme) {
+    if (theme === 'dark') {
+      document.body.classList.add('dark-theme');
+      themeToggle.textContent = '☀️';
+      themeToggle.title = 'Switch to light theme';
+    } else {
+      document.body.classList.remove('dark-theme');
+      themeToggle.textContent = '🌙';
+      themeToggle.title = 'Switch to dark theme';
+    }
+  }
+});